@@ -1,5 +1,5 @@
-require("dotenv").config();
-const { makeToken } = require("../auth/token");
+import "dotenv/config";
+import { makeToken } from "./token1.js";
 
 const ACCESS_SECRET = process.env.APP_ACCESS_SECRET;
 if (!ACCESS_SECRET) {
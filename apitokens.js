@@ -0,0 +1,146 @@
+// ============================================================================
+// 🔥 ALGTP™ — API tokens (HMAC signed, scoped, per user) for bots / scripts
+// Token = token1.js makeToken({ jti, uid, scopes, exp }) signed with APP_ACCESS_SECRET.
+// Send it as  Authorization: Bearer <token>  or  ?token=<token>
+// ----------------------------------------------------------------------------
+// ENV:
+//   APP_ACCESS_SECRET      HMAC secret (required; rotating it invalidates every token)
+//   TOKEN_DEFAULT_DAYS     (default 90)
+//   TOKEN_MAX_DAYS         (default 365)
+// Scopes:
+//   scan    /list /scan /top-movers /movers-* /most-* /unusual-volume
+//   pro     /snapshot-all /premarket /aftermarket   (owner must be premium)
+//   halts   /halts                                  (owner must be premium)
+// Revoked tokens go to the SQLite denylist (db.js token_denylist) and stay dead
+// until they expire; the signature alone is never enough.
+// ============================================================================
+import "dotenv/config";
+import crypto from "node:crypto";
+import { makeToken, verifyToken } from "./token1.js";
+import {
+  getUserById,
+  insertApiToken,
+  listApiTokensForUser,
+  getApiToken,
+  touchApiToken,
+  denyToken,
+  getDeniedToken,
+} from "./db.js";
+
+const APP_ACCESS_SECRET = String(process.env.APP_ACCESS_SECRET || "").trim();
+const TOKEN_MAX_DAYS = Math.max(1, Math.min(3650, Number(process.env.TOKEN_MAX_DAYS || 365)));
+const TOKEN_DEFAULT_DAYS = Math.max(1, Math.min(TOKEN_MAX_DAYS, Number(process.env.TOKEN_DEFAULT_DAYS || 90)));
+
+const API_TOKEN_SCOPES = ["scan", "pro", "halts"];
+const PREMIUM_SCOPES = ["pro", "halts"];
+
+function apiTokensEnvMissing() {
+  return APP_ACCESS_SECRET ? [] : ["APP_ACCESS_SECRET"];
+}
+
+// Authorization: Bearer <token>  >  ?token=<token>
+function tokenFromRequest(req) {
+  const h = String(req.get?.("authorization") || "");
+  const m = h.match(/^Bearer\s+(\S+)$/i);
+  if (m) return m[1];
+  const q = req.query?.token;
+  return typeof q === "string" && q.trim() ? q.trim() : null;
+}
+
+function apiTokenFromDb(row) {
+  if (!row) return null;
+  const now = Date.now();
+  return {
+    id: row.jti,
+    name: row.name,
+    scopes: JSON.parse(row.scopes),
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at ?? null,
+    revokedAt: row.revoked_at ?? null,
+    status: row.revoked_at ? "revoked" : row.expires_at <= now ? "expired" : "active",
+  };
+}
+
+function validateTokenRequest(user, body) {
+  const errors = [];
+  const b = body || {};
+
+  const name = String(b.name ?? "").trim();
+  if (!name) errors.push("name is required");
+  if (name.length > 80) errors.push("name must be ≤ 80 characters");
+
+  const scopes = Array.isArray(b.scopes) ? [...new Set(b.scopes.map((s) => String(s).trim().toLowerCase()))] : [];
+  if (!scopes.length) errors.push(`scopes must be a non-empty array of: ${API_TOKEN_SCOPES.join(", ")}`);
+  for (const s of scopes) {
+    if (!API_TOKEN_SCOPES.includes(s)) errors.push(`unknown scope "${s}"`);
+    else if (PREMIUM_SCOPES.includes(s) && !user?.premium) errors.push(`scope "${s}" needs a premium account`);
+  }
+
+  const days = b.days == null || b.days === "" ? TOKEN_DEFAULT_DAYS : Number(b.days);
+  if (!Number.isFinite(days) || days <= 0 || days > TOKEN_MAX_DAYS) errors.push(`days must be in (0, ${TOKEN_MAX_DAYS}]`);
+
+  return errors.length ? { ok: false, errors } : { ok: true, name, scopes, days };
+}
+
+// -> { ok, status, body }  body.token is shown once, only its metadata is stored
+function issueApiToken(user, body, nowMs = Date.now()) {
+  const v = validateTokenRequest(user, body);
+  if (!v.ok) return { ok: false, status: 400, body: { ok: false, error: "Invalid token request", detail: v.errors } };
+
+  const jti = `tok_${crypto.randomBytes(12).toString("base64url")}`;
+  const expiresAt = nowMs + Math.round(v.days * 86_400_000);
+  insertApiToken.run({ jti, user_id: user.id, name: v.name, scopes: JSON.stringify(v.scopes), now: nowMs, expires_at: expiresAt });
+
+  const token = makeToken({ jti, uid: user.id, scopes: v.scopes, exp: Math.floor(expiresAt / 1000) }, APP_ACCESS_SECRET);
+  return { ok: true, status: 201, body: { ok: true, token, meta: apiTokenFromDb(getApiToken.get(jti)) } };
+}
+
+function listApiTokens(user) {
+  return listApiTokensForUser.all(user.id).map(apiTokenFromDb);
+}
+
+// Owners revoke their own tokens; unknown / foreign ids look the same (404)
+function revokeApiToken(user, jti, reason = "revoked by owner") {
+  const row = getApiToken.get(String(jti || ""));
+  if (!row || row.user_id !== user.id) return { ok: false, status: 404, body: { ok: false, error: "Token not found" } };
+  denyToken.run({ jti: row.jti, now: Date.now(), reason });
+  return { ok: true, status: 200, body: { ok: true, revoked: apiTokenFromDb(getApiToken.get(row.jti)) } };
+}
+
+// -> { ok:true, token:{ jti, scopes }, user } | { ok:false, reason }
+function verifyApiToken(raw, nowMs = Date.now()) {
+  const v = verifyToken(raw, APP_ACCESS_SECRET);
+  if (!v.ok) return { ok: false, reason: v.reason };
+
+  const { jti, uid, scopes } = v.payload || {};
+  if (!jti || !Array.isArray(scopes)) return { ok: false, reason: "not_an_api_token" };
+  if (getDeniedToken.get(String(jti))) return { ok: false, reason: "revoked" };
+
+  const user = getUserById.get(uid);
+  if (!user) return { ok: false, reason: "unknown_user" };
+
+  touchApiToken.run({ jti: String(jti), now: nowMs });
+  return { ok: true, token: { jti: String(jti), scopes }, user };
+}
+
+// Premium scopes follow the owner's current plan, not the plan at issue time
+function tokenHasScope(apiToken, user, scope) {
+  if (!apiToken?.scopes?.includes(scope)) return false;
+  return !PREMIUM_SCOPES.includes(scope) || Boolean(user?.premium);
+}
+
+export {
+  API_TOKEN_SCOPES,
+  PREMIUM_SCOPES,
+  TOKEN_DEFAULT_DAYS,
+  TOKEN_MAX_DAYS,
+  apiTokensEnvMissing,
+  tokenFromRequest,
+  validateTokenRequest,
+  issueApiToken,
+  listApiTokens,
+  revokeApiToken,
+  verifyApiToken,
+  tokenHasScope,
+};
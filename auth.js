@@ -0,0 +1,247 @@
+// ============================================================================
+// 🔥 ALGTP™ — Auth (Google OAuth via passport + express-session on SQLite)
+// Usage (server.js):  for (const mw of authMiddleware()) app.use(mw);
+//                     app.get("/auth/google", passport.authenticate("google", ...))
+// ----------------------------------------------------------------------------
+// ENV:
+//   AUTH_PROVIDER          google (default) | stub
+//                          stub = no Google round trip: /auth/google?email=you@x.com signs
+//                          that address in (local dev + tests ONLY, never in production)
+//   GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET
+//   GOOGLE_CALLBACK_URL    (default PUBLIC_BASE_URL + /auth/google/callback)
+//   PUBLIC_BASE_URL        (default http://localhost:PORT)
+//   SESSION_SECRET         cookie signing secret (required)
+//   SESSION_TTL_DAYS       (default 30)
+//   SESSION_COOKIE_SECURE  true behind HTTPS (default false)
+//   PREMIUM_EMAILS         comma list, premium on sign-in (owners / testers)
+// Sessions live in the SQLite `sessions` table (db.js), so a restart keeps everyone signed in.
+// ============================================================================
+import "dotenv/config";
+import session from "express-session";
+import passport from "passport";
+import { Strategy as GoogleStrategy } from "passport-google-oauth20";
+import {
+  getUserById,
+  getUserByEmail,
+  upsertGoogleUser,
+  getSession,
+  upsertSession,
+  touchSession,
+  deleteSession,
+  deleteExpiredSessions,
+} from "./db.js";
+
+const AUTH_PROVIDER = String(process.env.AUTH_PROVIDER || "google").trim().toLowerCase();
+const GOOGLE_CLIENT_ID = String(process.env.GOOGLE_CLIENT_ID || "").trim();
+const GOOGLE_CLIENT_SECRET = String(process.env.GOOGLE_CLIENT_SECRET || "").trim();
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || `http://localhost:${Number(process.env.PORT || 3000)}`)
+  .trim()
+  .replace(/\/+$/, "");
+const GOOGLE_CALLBACK_URL = String(process.env.GOOGLE_CALLBACK_URL || `${PUBLIC_BASE_URL}/auth/google/callback`).trim();
+const SESSION_SECRET = String(process.env.SESSION_SECRET || "").trim();
+const SESSION_TTL_DAYS = Math.max(1, Math.min(365, Number(process.env.SESSION_TTL_DAYS || 30)));
+const SESSION_COOKIE_SECURE = String(process.env.SESSION_COOKIE_SECURE || "false").toLowerCase() === "true";
+const PREMIUM_EMAILS = new Set(
+  String(process.env.PREMIUM_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const SESSION_PRUNE_MS = 15 * 60_000;
+
+function authEnvMissing() {
+  const miss = [];
+  if (!SESSION_SECRET) miss.push("SESSION_SECRET");
+  if (AUTH_PROVIDER === "google") {
+    if (!GOOGLE_CLIENT_ID) miss.push("GOOGLE_CLIENT_ID");
+    if (!GOOGLE_CLIENT_SECRET) miss.push("GOOGLE_CLIENT_SECRET");
+  } else if (AUTH_PROVIDER !== "stub") {
+    miss.push("AUTH_PROVIDER (google | stub)");
+  }
+  return miss;
+}
+
+// ----------------------------------------------------------------------------
+// express-session store on the SQLite `sessions` table
+// ----------------------------------------------------------------------------
+class SqliteSessionStore extends session.Store {
+  constructor({ ttlMs = SESSION_TTL_DAYS * 86_400_000 } = {}) {
+    super();
+    this.ttlMs = ttlMs;
+    this.pruneTimer = setInterval(() => deleteExpiredSessions.run(Date.now()), SESSION_PRUNE_MS);
+    this.pruneTimer.unref();
+  }
+
+  expiresOf(sess) {
+    const exp = sess?.cookie?.expires ? new Date(sess.cookie.expires).getTime() : NaN;
+    return Number.isFinite(exp) ? exp : Date.now() + this.ttlMs;
+  }
+
+  get(sid, cb) {
+    try {
+      const row = getSession.get(sid, Date.now());
+      cb(null, row ? JSON.parse(row.sess) : null);
+    } catch (e) {
+      cb(e);
+    }
+  }
+
+  set(sid, sess, cb) {
+    try {
+      upsertSession.run({ sid, sess: JSON.stringify(sess), expires: this.expiresOf(sess) });
+      cb?.(null);
+    } catch (e) {
+      cb?.(e);
+    }
+  }
+
+  touch(sid, sess, cb) {
+    try {
+      touchSession.run({ sid, expires: this.expiresOf(sess) });
+      cb?.(null);
+    } catch (e) {
+      cb?.(e);
+    }
+  }
+
+  destroy(sid, cb) {
+    try {
+      deleteSession.run(sid);
+      cb?.(null);
+    } catch (e) {
+      cb?.(e);
+    }
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Stub OAuth strategy (AUTH_PROVIDER=stub): same name / routes / verify as Google
+//   GET /auth/google?email=a@b.com&name=A   -> 302 /auth/google/callback?code=stub&email=...
+//   GET /auth/google/callback?code=stub&... -> verify(profile) -> signed in
+// ----------------------------------------------------------------------------
+class StubOAuthStrategy extends passport.Strategy {
+  constructor(verify) {
+    super();
+    this.name = "google";
+    this.verify = verify;
+  }
+
+  authenticate(req) {
+    const email = String(req.query?.email || "dev@example.com").trim().toLowerCase();
+    const name = String(req.query?.name || email.split("@")[0]);
+
+    if (req.query?.code !== "stub") {
+      const q = new URLSearchParams({ code: "stub", email, name });
+      return this.redirect(`/auth/google/callback?${q}`);
+    }
+
+    const profile = {
+      provider: "stub",
+      id: `stub-${email}`,
+      displayName: name,
+      emails: [{ value: email, verified: true }],
+      photos: [],
+    };
+    this.verify(null, null, profile, (err, user, info) => {
+      if (err) return this.error(err);
+      if (!user) return this.fail(info);
+      this.success(user, info);
+    });
+  }
+}
+
+// Google (or stub) profile -> users row
+function verifyGoogleProfile(accessToken, refreshToken, profile, done) {
+  try {
+    const mail = (profile?.emails || []).find((e) => e?.value) || null;
+    const email = String(mail?.value || "").trim().toLowerCase();
+    if (!email) return done(null, false, { message: "Google account has no email" });
+    if (mail.verified === false) return done(null, false, { message: "Google email is not verified" });
+
+    upsertGoogleUser.run({
+      email,
+      name: profile.displayName || null,
+      avatar_url: profile.photos?.[0]?.value || null,
+      google_id: String(profile.id),
+      premium: PREMIUM_EMAILS.has(email) ? 1 : 0,
+      now: Date.now(),
+    });
+    done(null, getUserByEmail.get(email));
+  } catch (e) {
+    done(e);
+  }
+}
+
+function configurePassport() {
+  if (AUTH_PROVIDER === "stub") {
+    console.warn("⚠️ AUTH_PROVIDER=stub: anyone can sign in as any email (dev / tests only)");
+    passport.use(new StubOAuthStrategy(verifyGoogleProfile));
+  } else {
+    passport.use(
+      new GoogleStrategy(
+        { clientID: GOOGLE_CLIENT_ID, clientSecret: GOOGLE_CLIENT_SECRET, callbackURL: GOOGLE_CALLBACK_URL },
+        verifyGoogleProfile
+      )
+    );
+  }
+
+  passport.serializeUser((user, done) => done(null, user.id));
+  passport.deserializeUser((id, done) => {
+    try {
+      done(null, getUserById.get(id) || false);
+    } catch (e) {
+      done(e);
+    }
+  });
+}
+
+// session + passport middleware, in order
+function authMiddleware() {
+  configurePassport();
+  return [
+    session({
+      name: "algtp.sid",
+      secret: SESSION_SECRET,
+      store: new SqliteSessionStore(),
+      resave: false,
+      saveUninitialized: false,
+      rolling: true,
+      cookie: {
+        httpOnly: true,
+        sameSite: "lax",
+        secure: SESSION_COOKIE_SECURE,
+        maxAge: SESSION_TTL_DAYS * 86_400_000,
+      },
+    }),
+    passport.initialize(),
+    passport.session(),
+  ];
+}
+
+// Public view of a users row
+function publicUser(u) {
+  if (!u) return null;
+  return {
+    id: u.id,
+    email: u.email,
+    name: u.name,
+    avatarUrl: u.avatar_url,
+    premium: Boolean(u.premium),
+    billing: Boolean(u.stripe_customer_id), // /billing/portal available
+  };
+}
+
+export {
+  AUTH_PROVIDER,
+  GOOGLE_CALLBACK_URL,
+  PUBLIC_BASE_URL,
+  SESSION_TTL_DAYS,
+  authEnvMissing,
+  SqliteSessionStore,
+  StubOAuthStrategy,
+  verifyGoogleProfile,
+  authMiddleware,
+  publicUser,
+  passport,
+};
@@ -0,0 +1,116 @@
+/**
+ * ============================================================================
+ * 🔥 ALGTP™ Backtest - Standalone Script
+ * ----------------------------------------------------------------------------
+ * Replays the scanner (demandScore / signal icons / gap-float ranking) on
+ * stored bars and prints forward returns (+5m / +30m / EOD) per score bucket,
+ * per signal icon and per rank bucket.
+ *
+ * Usage:
+ *   node backtest.js --bars data/backtest/bars.csv --times 09:45,10:00
+ *   node backtest.js --bars bars.csv --daily daily.csv --floats floats.csv --top 10
+ *   node backtest.js --bars history.db --dates 2026-01-26,2026-01-27 --json
+ *
+ * Options:
+ *   --bars FILE     minute bars CSV (symbol,t,o,h,l,c,v) or SQLite (.db/.sqlite)
+ *   --daily FILE    daily bars CSV (symbol,date,o,c) for prevClose/open
+ *   --floats FILE   float CSV (symbol,floatShares) for Float Turnover%
+ *   --times LIST    NY sample times (default 09:45)
+ *   --dates LIST    YYYY-MM-DD dates (default: every date in the bars)
+ *   --top N         only score the top N ranked rows per sample point
+ *   --vwap-anchor A rth (09:30, default VWAP_ANCHOR) | pre (04:00) session VWAP for ✅ / 🚨
+ *   --json          print the raw JSON report
+ *   --rows          include every scored row in the JSON report
+ * ============================================================================
+ */
+
+import "dotenv/config";
+import { loadBacktestData, runBacktest } from "./scanner/backtest.js";
+import { normalizeVwapAnchor } from "./scanner/vwap.js";
+
+// ============================================================================
+// CONFIG (argv + env)
+// ============================================================================
+const args = process.argv.slice(2);
+
+function flag(name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+const VOL_SPIKE_MULT = Math.max(1.1, Math.min(10, Number(process.env.VOL_SPIKE_MULT || 1.5)));
+const VOL_AVG_LEN_5M = Math.max(5, Math.min(200, Number(process.env.VOL_AVG_LEN_5M || 20)));
+const VWAP_ANCHOR = normalizeVwapAnchor(process.env.VWAP_ANCHOR);
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+function fmt(x, suffix = "") {
+  return x === null || x === undefined ? "-" : `${x}${suffix}`;
+}
+
+function displayGroup(title, groups, horizons) {
+  console.log(`\n${title}`);
+  console.log(
+    ["Bucket".padEnd(8), "Count".padStart(6), ...horizons.map((h) => `${h} avg / med / win%`.padStart(26))].join(" | ")
+  );
+  console.log("-".repeat(16 + horizons.length * 29));
+
+  for (const [key, g] of Object.entries(groups)) {
+    const cells = horizons.map((h) => {
+      const s = g[h];
+      return `${fmt(s.avg, "%")} / ${fmt(s.median, "%")} / ${fmt(s.winRate)}`.padStart(26);
+    });
+    console.log([key.padEnd(8), String(g.count).padStart(6), ...cells].join(" | "));
+  }
+}
+
+function displayReport(r) {
+  console.log("\n" + "=".repeat(100));
+  console.log(`🔥 ALGTP™ Backtest — ${r.source}`);
+  console.log("=".repeat(100));
+  console.log(`Symbols: ${r.symbols}   Dates: ${r.dates.length}   Times: ${r.times.join(", ")}   Samples: ${r.samples}`);
+  if (r.top) console.log(`Top ${r.top} ranked rows per sample point`);
+  console.log(`VWAP anchor: ${r.vwapAnchor}`);
+  if (r.skippedBars) console.log(`⚠️ Skipped ${r.skippedBars} unreadable bar(s)`);
+
+  if (!r.samples) {
+    console.log("\n❌ No rows scored (need bars on/before the sample times and a previous close)");
+    return;
+  }
+
+  displayGroup("📊 By demandScore", r.byScore, r.horizons);
+  displayGroup("🚦 By signal icon", r.bySignal, r.horizons);
+  displayGroup("🏁 By gap/float rank", r.byRank, r.horizons);
+  console.log("");
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+async function main() {
+  const bars = flag("--bars") || flag("--db");
+  if (!bars) {
+    console.error("❌ --bars FILE is required (see header of backtest.js for usage)");
+    process.exit(1);
+  }
+
+  const data = await loadBacktestData({ bars, daily: flag("--daily"), floats: flag("--floats") });
+  const report = runBacktest(data, {
+    times: flag("--times"),
+    dates: flag("--dates"),
+    top: flag("--top"),
+    volAvgLen: VOL_AVG_LEN_5M,
+    volSpikeMult: VOL_SPIKE_MULT,
+    vwapAnchor: normalizeVwapAnchor(flag("--vwap-anchor"), VWAP_ANCHOR),
+    includeRows: args.includes("--rows"),
+  });
+
+  if (args.includes("--json")) console.log(JSON.stringify(report, null, 2));
+  else displayReport(report);
+}
+
+main().catch((e) => {
+  console.error("❌ Error:", e.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,159 @@
+// ============================================================================
+// 🔥 ALGTP™ — Billing (Stripe Checkout subscription → users.premium)
+// Usage (server.js):  const s = await createCheckoutSession(user); res.redirect(303, s.url);
+//                     const event = constructWebhookEvent(req.rawBody, req.get("stripe-signature"));
+//                     applyBillingEvent(event);
+// ----------------------------------------------------------------------------
+// ENV:
+//   STRIPE_SECRET_KEY      sk_live_... / sk_test_...
+//   STRIPE_WEBHOOK_SECRET  whsec_... (signing secret of the /stripe/webhook endpoint)
+//   STRIPE_PRICE_ID        price_... (recurring price of the PRO plan)
+//   STRIPE_API_BASE        optional, e.g. http://127.0.0.1:12111 (stripe-mock / tests)
+//   PUBLIC_BASE_URL        success / cancel / portal return URLs (auth.js)
+// Premium is only ever flipped by signed webhook events, never by the success redirect:
+//   checkout.session.completed                -> premium = 1 (+ customer / subscription ids stored)
+//     payment_status "unpaid" (bank debits, …) -> ids stored, premium waits for the payment to settle:
+//   checkout.session.async_payment_succeeded  -> premium = 1
+//   checkout.session.async_payment_failed     -> premium = 0 (that checkout's subscription only)
+//   customer.subscription.deleted             -> premium = 0
+// ============================================================================
+import "dotenv/config";
+import Stripe from "stripe";
+import {
+  db,
+  getUserById,
+  getUserByEmail,
+  getUserByStripeCustomer,
+  getUserByStripeSubscription,
+  setUserBilling,
+  insertBillingEvent,
+} from "./db.js";
+import { PUBLIC_BASE_URL } from "./auth.js";
+
+const STRIPE_SECRET_KEY = String(process.env.STRIPE_SECRET_KEY || "").trim();
+const STRIPE_WEBHOOK_SECRET = String(process.env.STRIPE_WEBHOOK_SECRET || "").trim();
+const STRIPE_PRICE_ID = String(process.env.STRIPE_PRICE_ID || "").trim();
+const STRIPE_API_BASE = String(process.env.STRIPE_API_BASE || "").trim();
+
+function billingEnvMissing() {
+  const miss = [];
+  if (!STRIPE_SECRET_KEY) miss.push("STRIPE_SECRET_KEY");
+  if (!STRIPE_WEBHOOK_SECRET) miss.push("STRIPE_WEBHOOK_SECRET");
+  if (!STRIPE_PRICE_ID) miss.push("STRIPE_PRICE_ID");
+  return miss;
+}
+
+let stripeClient = null;
+function stripe() {
+  if (stripeClient) return stripeClient;
+  const cfg = { maxNetworkRetries: 2, timeout: 15000 };
+  if (STRIPE_API_BASE) {
+    const u = new URL(STRIPE_API_BASE);
+    cfg.protocol = u.protocol.replace(":", "");
+    cfg.host = u.hostname;
+    cfg.port = Number(u.port || (cfg.protocol === "https" ? 443 : 80));
+  }
+  stripeClient = new Stripe(STRIPE_SECRET_KEY, cfg);
+  return stripeClient;
+}
+
+// Stripe ids may arrive expanded ({ id, ... }) or as plain strings
+function idOf(x) {
+  if (!x) return null;
+  return typeof x === "string" ? x : x.id || null;
+}
+
+// ----------------------------------------------------------------------------
+// Checkout + customer portal
+// ----------------------------------------------------------------------------
+async function createCheckoutSession(user) {
+  return stripe().checkout.sessions.create({
+    mode: "subscription",
+    line_items: [{ price: STRIPE_PRICE_ID, quantity: 1 }],
+    client_reference_id: String(user.id),
+    ...(user.stripe_customer_id ? { customer: user.stripe_customer_id } : { customer_email: user.email }),
+    success_url: `${PUBLIC_BASE_URL}/subscribe/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${PUBLIC_BASE_URL}/ui`,
+    metadata: { userId: String(user.id) },
+  });
+}
+
+async function createPortalSession(user) {
+  return stripe().billingPortal.sessions.create({
+    customer: user.stripe_customer_id,
+    return_url: `${PUBLIC_BASE_URL}/ui`,
+  });
+}
+
+// Throws (Stripe signature error) when the payload / signature / timestamp do not match
+function constructWebhookEvent(rawBody, signature) {
+  return stripe().webhooks.constructEvent(rawBody, signature || "", STRIPE_WEBHOOK_SECRET);
+}
+
+// ----------------------------------------------------------------------------
+// Webhook events -> users
+// ----------------------------------------------------------------------------
+function userForCheckout(obj) {
+  const byRef = Number(obj.client_reference_id);
+  const email = String(obj.customer_details?.email || obj.customer_email || "").trim().toLowerCase();
+  return (
+    (Number.isInteger(byRef) && byRef > 0 ? getUserById.get(byRef) : null) ||
+    (idOf(obj.customer) ? getUserByStripeCustomer.get(idOf(obj.customer)) : null) ||
+    (email ? getUserByEmail.get(email) : null) ||
+    null
+  );
+}
+
+function userForSubscription(obj) {
+  return getUserByStripeSubscription.get(obj.id) || (idOf(obj.customer) ? getUserByStripeCustomer.get(idOf(obj.customer)) : null) || null;
+}
+
+const CHECKOUT_EVENTS = ["checkout.session.completed", "checkout.session.async_payment_succeeded", "checkout.session.async_payment_failed"];
+
+// -> { handled, duplicate, userId, premium }; handled=false for types we ignore / unknown users
+const applyBillingEvent = db.transaction((event) => {
+  const obj = event?.data?.object || {};
+  let user = null;
+  let update = null;
+
+  if (CHECKOUT_EVENTS.includes(event?.type)) {
+    if (obj.mode !== "subscription") return { handled: false, duplicate: false, userId: null, premium: null };
+    user = userForCheckout(obj);
+    const ids = { stripe_customer_id: idOf(obj.customer), stripe_subscription_id: idOf(obj.subscription) };
+
+    if (event.type === "checkout.session.async_payment_failed") {
+      // only the checkout the user is waiting on: an older one failing must not end the current plan
+      if (!ids.stripe_subscription_id || user?.stripe_subscription_id !== ids.stripe_subscription_id) user = null;
+      update = { premium: 0, stripe_customer_id: ids.stripe_customer_id, stripe_subscription_id: null };
+    } else if (obj.payment_status === "unpaid") {
+      // async payment methods complete "unpaid" and settle later (async_payment_succeeded / _failed);
+      // a subscriber paying for another checkout keeps the subscription they have
+      if (user?.premium) user = null;
+      update = { premium: 0, ...ids };
+    } else {
+      update = { premium: 1, ...ids };
+    }
+  } else if (event?.type === "customer.subscription.deleted") {
+    user = userForSubscription(obj);
+    // an older subscription ending must not cancel the one the user has now
+    if (user?.stripe_subscription_id && user.stripe_subscription_id !== obj.id) user = null;
+    update = { premium: 0, stripe_customer_id: null, stripe_subscription_id: null };
+  }
+  if (!user || !update) return { handled: false, duplicate: false, userId: user?.id ?? null, premium: null };
+
+  const now = Date.now();
+  const fresh = insertBillingEvent.run({ id: String(event.id), type: event.type, user_id: user.id, now }).changes > 0;
+  if (!fresh) return { handled: true, duplicate: true, userId: user.id, premium: Boolean(user.premium) };
+
+  setUserBilling.run({ id: user.id, now, ...update });
+  return { handled: true, duplicate: false, userId: user.id, premium: Boolean(update.premium) };
+});
+
+export {
+  STRIPE_PRICE_ID,
+  billingEnvMissing,
+  createCheckoutSession,
+  createPortalSession,
+  constructWebhookEvent,
+  applyBillingEvent,
+};
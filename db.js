@@ -0,0 +1,606 @@
+// ============================================================================
+// 🔥 ALGTP™ — SQLite store (better-sqlite3)
+// Single file DB, synchronous prepared statements.
+// Usage: import { listAlertRules } from "./db.js"; listAlertRules.all();
+// ----------------------------------------------------------------------------
+// ENV:
+//   DB_PATH   (default: algtp.db, use ":memory:" for throwaway runs)
+// Tables:
+//   alert_rules         server-side alert rules per user (conditions stored as JSON)
+//   alert_events        triggered alerts (also used for cooldown per rule + symbol)
+//   webhooks            outbound alert delivery targets per user (Discord/Slack/Telegram/generic JSON)
+//   webhook_deliveries  delivery log (one row per event per webhook, attempts + last status)
+//   (user_id 0 on these = the shared set when ENABLE_AUTH=false, as for watchlists)
+//   users               accounts (Google sign-in) + premium flag
+//   sessions            express-session store (auth.js SqliteSessionStore)
+//   billing_events      Stripe webhook events already applied (dedupe: Stripe retries deliveries)
+//   api_tokens          issued API tokens (metadata only, the signed token itself is never stored)
+//   token_denylist      revoked token ids (checked on every token request)
+//   luld_events         every LULD message (HALT / RESUME / band update) with band prices, once per symbol + kind + exchange time
+//   halts               one row per HALT, closed by the next RESUME (duration_ms)
+//   watchlists          named symbol lists per user (user_id 0 = the shared list set when ENABLE_AUTH=false)
+//   watchlist_symbols   ordered symbols of a watchlist (position 0..n-1)
+//   layouts             named dashboard layouts per user (boxes stored as JSON, see scanner/layout.js)
+//   screens             saved screener definitions per user, global slug (definition JSON, see scanner/screen.js)
+// ============================================================================
+
+import "dotenv/config";
+import Database from "better-sqlite3";
+
+const DB_PATH = String(process.env.DB_PATH || "algtp.db").trim();
+
+const db = new Database(DB_PATH);
+db.pragma("journal_mode = WAL");
+db.pragma("foreign_keys = ON");
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  name          TEXT    NOT NULL,
+  enabled       INTEGER NOT NULL DEFAULT 1,
+  match         TEXT    NOT NULL DEFAULT 'all',
+  conditions    TEXT    NOT NULL,
+  cooldown_sec  INTEGER NOT NULL DEFAULT 900,
+  created_at    INTEGER NOT NULL,
+  updated_at    INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS alert_events (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  rule_id    INTEGER NOT NULL,
+  rule_name  TEXT    NOT NULL,
+  symbol     TEXT    NOT NULL,
+  ts         INTEGER NOT NULL,
+  message    TEXT,
+  row        TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_rule_symbol_ts ON alert_events (rule_id, symbol, ts);
+CREATE INDEX IF NOT EXISTS idx_alert_events_ts ON alert_events (ts);
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  name        TEXT    NOT NULL,
+  url         TEXT    NOT NULL,
+  format      TEXT    NOT NULL DEFAULT 'json',
+  events      TEXT    NOT NULL,
+  template    TEXT,
+  chat_id     TEXT,
+  enabled     INTEGER NOT NULL DEFAULT 1,
+  created_at  INTEGER NOT NULL,
+  updated_at  INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id    INTEGER NOT NULL,
+  event_type    TEXT    NOT NULL,
+  symbol        TEXT,
+  payload       TEXT    NOT NULL,
+  status        TEXT    NOT NULL DEFAULT 'pending',
+  attempts      INTEGER NOT NULL DEFAULT 0,
+  http_status   INTEGER,
+  error         TEXT,
+  created_at    INTEGER NOT NULL,
+  updated_at    INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_ts ON webhook_deliveries (webhook_id, created_at);
+
+CREATE TABLE IF NOT EXISTS users (
+  id             INTEGER PRIMARY KEY AUTOINCREMENT,
+  email          TEXT    NOT NULL UNIQUE,
+  name           TEXT,
+  avatar_url     TEXT,
+  google_id      TEXT    UNIQUE,
+  premium        INTEGER NOT NULL DEFAULT 0,
+  created_at     INTEGER NOT NULL,
+  updated_at     INTEGER NOT NULL,
+  last_login_at  INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  sid      TEXT    PRIMARY KEY,
+  sess     TEXT    NOT NULL,
+  expires  INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions (expires);
+
+CREATE TABLE IF NOT EXISTS billing_events (
+  id          TEXT    PRIMARY KEY,
+  type        TEXT    NOT NULL,
+  user_id     INTEGER,
+  created_at  INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  jti           TEXT    PRIMARY KEY,
+  user_id       INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name          TEXT    NOT NULL,
+  scopes        TEXT    NOT NULL,             -- JSON array
+  created_at    INTEGER NOT NULL,
+  expires_at    INTEGER NOT NULL,
+  last_used_at  INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens (user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS token_denylist (
+  jti         TEXT    PRIMARY KEY,
+  revoked_at  INTEGER NOT NULL,
+  reason      TEXT
+);
+
+CREATE TABLE IF NOT EXISTS luld_events (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  symbol       TEXT    NOT NULL,
+  ts           INTEGER NOT NULL,              -- receive time (replay: recorded receive time)
+  exchange_ts  INTEGER,                       -- message timestamp, ms
+  day          TEXT    NOT NULL,              -- NY trading day YYYY-MM-DD
+  kind         TEXT    NOT NULL,              -- HALT | RESUME | BAND
+  indicators   TEXT    NOT NULL,              -- JSON array
+  limit_up     REAL,
+  limit_down   REAL,
+  reason       TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_luld_events_symbol_ts ON luld_events (symbol, ts);
+CREATE INDEX IF NOT EXISTS idx_luld_events_ts ON luld_events (ts);
+
+CREATE TABLE IF NOT EXISTS halts (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  symbol       TEXT    NOT NULL,
+  day          TEXT    NOT NULL,
+  halted_at    INTEGER NOT NULL,
+  resumed_at   INTEGER,
+  duration_ms  INTEGER,
+  reason       TEXT,
+  limit_up     REAL,
+  limit_down   REAL
+);
+
+CREATE INDEX IF NOT EXISTS idx_halts_symbol_ts ON halts (symbol, halted_at);
+CREATE INDEX IF NOT EXISTS idx_halts_ts ON halts (halted_at);
+
+CREATE TABLE IF NOT EXISTS watchlists (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id     INTEGER NOT NULL,               -- users.id, 0 = no accounts (ENABLE_AUTH=false)
+  name        TEXT    NOT NULL,
+  position    INTEGER NOT NULL DEFAULT 0,
+  created_at  INTEGER NOT NULL,
+  updated_at  INTEGER NOT NULL,
+  UNIQUE (user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS watchlist_symbols (
+  watchlist_id  INTEGER NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+  symbol        TEXT    NOT NULL,
+  position      INTEGER NOT NULL,
+  added_at      INTEGER NOT NULL,
+  PRIMARY KEY (watchlist_id, symbol)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlist_symbols_position ON watchlist_symbols (watchlist_id, position);
+
+CREATE TABLE IF NOT EXISTS layouts (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id     INTEGER NOT NULL,               -- users.id, 0 = no accounts (ENABLE_AUTH=false)
+  name        TEXT    NOT NULL,               -- /ui?layout=<name>
+  boxes       TEXT    NOT NULL,               -- JSON array
+  created_at  INTEGER NOT NULL,
+  updated_at  INTEGER NOT NULL,
+  UNIQUE (user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS screens (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id     INTEGER NOT NULL,               -- owner: users.id, 0 = no accounts (ENABLE_AUTH=false)
+  slug        TEXT    NOT NULL UNIQUE,        -- /screens/<slug>, /ui/s/<slug> (one namespace: links are shared)
+  name        TEXT    NOT NULL,
+  definition  TEXT    NOT NULL,               -- JSON { universe, watchlist, symbols, cap, q, columns, limit, pool, refreshSec }
+  shared      INTEGER NOT NULL DEFAULT 0,     -- 1 = any signed-in user with the link can view (read-only)
+  created_at  INTEGER NOT NULL,
+  updated_at  INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_screens_user ON screens (user_id);
+`);
+
+// Columns added after a table first shipped (CREATE TABLE IF NOT EXISTS leaves old files alone)
+function addColumnIfMissing(table, column, decl) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!cols.some((c) => c.name === column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${decl}`);
+}
+
+addColumnIfMissing("users", "stripe_customer_id", "TEXT");
+addColumnIfMissing("users", "stripe_subscription_id", "TEXT");
+db.exec(`CREATE INDEX IF NOT EXISTS idx_users_stripe_customer ON users (stripe_customer_id)`);
+// owner of rules / hooks and of what they produced (rows from before accounts stay with user 0)
+for (const table of ["alert_rules", "alert_events", "webhooks", "webhook_deliveries"]) addColumnIfMissing(table, "user_id", "INTEGER NOT NULL DEFAULT 0");
+db.exec(`
+CREATE INDEX IF NOT EXISTS idx_alert_rules_user ON alert_rules (user_id);
+CREATE INDEX IF NOT EXISTS idx_alert_events_user_ts ON alert_events (user_id, ts);
+CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks (user_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_user_ts ON webhook_deliveries (user_id, created_at);
+`);
+// one row per LULD message (symbol + kind + exchange time): a replayed or re-sent message is ignored.
+// Files from before the key can hold copies from earlier replays: keep the first one.
+if (!db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'index' AND name = 'idx_luld_events_message'`).get()) {
+  db.transaction(() =>
+    db.exec(`
+DELETE FROM luld_events WHERE id NOT IN (SELECT MIN(id) FROM luld_events GROUP BY symbol, kind, COALESCE(exchange_ts, ts));
+DELETE FROM halts WHERE id NOT IN (SELECT MIN(id) FROM halts GROUP BY symbol, halted_at);
+CREATE UNIQUE INDEX idx_luld_events_message ON luld_events (symbol, kind, COALESCE(exchange_ts, ts));
+`)
+  )();
+}
+
+// ----------------------------------------------------------------------------
+// Alert rules
+// ----------------------------------------------------------------------------
+const listAlertRules = db.prepare(`SELECT * FROM alert_rules WHERE user_id = ? ORDER BY id`);
+// every user's enabled rules: the scan loop evaluates them all, events carry the rule's user_id
+const listEnabledAlertRules = db.prepare(`SELECT * FROM alert_rules WHERE enabled = 1 ORDER BY id`);
+const getAlertRule = db.prepare(`SELECT * FROM alert_rules WHERE id = @id AND user_id = @user_id`);
+
+const insertAlertRule = db.prepare(`
+  INSERT INTO alert_rules (user_id, name, enabled, match, conditions, cooldown_sec, created_at, updated_at)
+  VALUES (@user_id, @name, @enabled, @match, @conditions, @cooldown_sec, @now, @now)
+`);
+
+const updateAlertRule = db.prepare(`
+  UPDATE alert_rules
+     SET name = @name, enabled = @enabled, match = @match, conditions = @conditions,
+         cooldown_sec = @cooldown_sec, updated_at = @now
+   WHERE id = @id AND user_id = @user_id
+`);
+
+const deleteAlertRule = db.prepare(`DELETE FROM alert_rules WHERE id = @id AND user_id = @user_id`);
+
+// ----------------------------------------------------------------------------
+// Alert events
+// ----------------------------------------------------------------------------
+const insertAlertEvent = db.prepare(`
+  INSERT INTO alert_events (user_id, rule_id, rule_name, symbol, ts, message, row)
+  VALUES (@user_id, @rule_id, @rule_name, @symbol, @ts, @message, @row)
+`);
+
+const lastAlertEventFor = db.prepare(`
+  SELECT ts FROM alert_events WHERE rule_id = ? AND symbol = ? ORDER BY ts DESC LIMIT 1
+`);
+
+const listAlertEvents = db.prepare(`
+  SELECT * FROM alert_events
+   WHERE user_id = @user_id
+     AND (@symbol IS NULL OR symbol = @symbol)
+     AND (@rule_id IS NULL OR rule_id = @rule_id)
+     AND (@since IS NULL OR ts >= @since)
+   ORDER BY ts DESC, id DESC
+   LIMIT @limit
+`);
+
+// ----------------------------------------------------------------------------
+// Webhooks
+// ----------------------------------------------------------------------------
+const listWebhooks = db.prepare(`SELECT * FROM webhooks WHERE user_id = ? ORDER BY id`);
+// @user_id NULL = every user's hooks (market events: halts, rockets, …), else that user's (their alert rules)
+const listEnabledWebhooks = db.prepare(`SELECT * FROM webhooks WHERE enabled = 1 AND (@user_id IS NULL OR user_id = @user_id) ORDER BY id`);
+const getWebhook = db.prepare(`SELECT * FROM webhooks WHERE id = @id AND user_id = @user_id`);
+
+const insertWebhook = db.prepare(`
+  INSERT INTO webhooks (user_id, name, url, format, events, template, chat_id, enabled, created_at, updated_at)
+  VALUES (@user_id, @name, @url, @format, @events, @template, @chat_id, @enabled, @now, @now)
+`);
+
+const updateWebhook = db.prepare(`
+  UPDATE webhooks
+     SET name = @name, url = @url, format = @format, events = @events, template = @template,
+         chat_id = @chat_id, enabled = @enabled, updated_at = @now
+   WHERE id = @id AND user_id = @user_id
+`);
+
+const deleteWebhook = db.prepare(`DELETE FROM webhooks WHERE id = @id AND user_id = @user_id`);
+
+// ----------------------------------------------------------------------------
+// Webhook deliveries
+// ----------------------------------------------------------------------------
+const insertWebhookDelivery = db.prepare(`
+  INSERT INTO webhook_deliveries (user_id, webhook_id, event_type, symbol, payload, status, attempts, created_at, updated_at)
+  VALUES (@user_id, @webhook_id, @event_type, @symbol, @payload, 'pending', 0, @now, @now)
+`);
+
+const updateWebhookDelivery = db.prepare(`
+  UPDATE webhook_deliveries
+     SET status = @status, attempts = @attempts, http_status = @http_status, error = @error, updated_at = @now
+   WHERE id = @id
+`);
+
+const getWebhookDelivery = db.prepare(`SELECT * FROM webhook_deliveries WHERE id = ?`);
+
+const listWebhookDeliveries = db.prepare(`
+  SELECT * FROM webhook_deliveries
+   WHERE user_id = @user_id
+     AND (@webhook_id IS NULL OR webhook_id = @webhook_id)
+     AND (@status IS NULL OR status = @status)
+   ORDER BY created_at DESC, id DESC
+   LIMIT @limit
+`);
+
+// ----------------------------------------------------------------------------
+// Users
+// ----------------------------------------------------------------------------
+const getUserById = db.prepare(`SELECT * FROM users WHERE id = ?`);
+const getUserByEmail = db.prepare(`SELECT * FROM users WHERE email = ?`);
+
+// Google sign-in: create on first login, refresh profile fields after that.
+// premium only ever goes 0 -> 1 here (PREMIUM_EMAILS); billing owns turning it off.
+const upsertGoogleUser = db.prepare(`
+  INSERT INTO users (email, name, avatar_url, google_id, premium, created_at, updated_at, last_login_at)
+  VALUES (@email, @name, @avatar_url, @google_id, @premium, @now, @now, @now)
+  ON CONFLICT(email) DO UPDATE
+     SET name = excluded.name, avatar_url = excluded.avatar_url, google_id = excluded.google_id,
+         premium = MAX(users.premium, excluded.premium), updated_at = @now, last_login_at = @now
+`);
+
+const setUserPremium = db.prepare(`UPDATE users SET premium = @premium, updated_at = @now WHERE id = @id`);
+
+// ----------------------------------------------------------------------------
+// Billing (Stripe)
+// ----------------------------------------------------------------------------
+const getUserByStripeCustomer = db.prepare(`SELECT * FROM users WHERE stripe_customer_id = ?`);
+const getUserByStripeSubscription = db.prepare(`SELECT * FROM users WHERE stripe_subscription_id = ?`);
+
+// NULL ids keep what is stored (subscription.deleted carries no new customer)
+const setUserBilling = db.prepare(`
+  UPDATE users
+     SET premium = @premium,
+         stripe_customer_id = COALESCE(@stripe_customer_id, stripe_customer_id),
+         stripe_subscription_id = COALESCE(@stripe_subscription_id, stripe_subscription_id),
+         updated_at = @now
+   WHERE id = @id
+`);
+
+// changes = 0 -> event already applied
+const insertBillingEvent = db.prepare(`
+  INSERT OR IGNORE INTO billing_events (id, type, user_id, created_at) VALUES (@id, @type, @user_id, @now)
+`);
+
+// ----------------------------------------------------------------------------
+// Sessions (express-session store)
+// ----------------------------------------------------------------------------
+const getSession = db.prepare(`SELECT sess FROM sessions WHERE sid = ? AND expires > ?`);
+
+const upsertSession = db.prepare(`
+  INSERT INTO sessions (sid, sess, expires) VALUES (@sid, @sess, @expires)
+  ON CONFLICT(sid) DO UPDATE SET sess = excluded.sess, expires = excluded.expires
+`);
+
+const touchSession = db.prepare(`UPDATE sessions SET expires = @expires WHERE sid = @sid`);
+const deleteSession = db.prepare(`DELETE FROM sessions WHERE sid = ?`);
+const deleteExpiredSessions = db.prepare(`DELETE FROM sessions WHERE expires <= ?`);
+
+// ----------------------------------------------------------------------------
+// API tokens + denylist
+// ----------------------------------------------------------------------------
+const insertApiToken = db.prepare(`
+  INSERT INTO api_tokens (jti, user_id, name, scopes, created_at, expires_at)
+  VALUES (@jti, @user_id, @name, @scopes, @now, @expires_at)
+`);
+
+const listApiTokensForUser = db.prepare(`
+  SELECT t.*, d.revoked_at
+    FROM api_tokens t LEFT JOIN token_denylist d ON d.jti = t.jti
+   WHERE t.user_id = ?
+   ORDER BY t.created_at DESC
+`);
+
+const getApiToken = db.prepare(`
+  SELECT t.*, d.revoked_at
+    FROM api_tokens t LEFT JOIN token_denylist d ON d.jti = t.jti
+   WHERE t.jti = ?
+`);
+
+// at most one write per token per minute, bots poll a lot
+const touchApiToken = db.prepare(`
+  UPDATE api_tokens SET last_used_at = @now
+   WHERE jti = @jti AND (last_used_at IS NULL OR last_used_at < @now - 60000)
+`);
+
+const denyToken = db.prepare(`INSERT OR IGNORE INTO token_denylist (jti, revoked_at, reason) VALUES (@jti, @now, @reason)`);
+const getDeniedToken = db.prepare(`SELECT * FROM token_denylist WHERE jti = ?`);
+
+// ----------------------------------------------------------------------------
+// LULD events + halt history
+// ----------------------------------------------------------------------------
+const insertLuldEvent = db.prepare(`
+  INSERT OR IGNORE INTO luld_events (symbol, ts, exchange_ts, day, kind, indicators, limit_up, limit_down, reason)
+  VALUES (@symbol, @ts, @exchange_ts, @day, @kind, @indicators, @limit_up, @limit_down, @reason)
+`);
+
+const listLuldEvents = db.prepare(`
+  SELECT * FROM luld_events
+   WHERE (@symbol IS NULL OR symbol = @symbol) AND ts >= @from AND ts < @to
+   ORDER BY ts DESC, id DESC
+   LIMIT @limit
+`);
+
+const insertHalt = db.prepare(`
+  INSERT INTO halts (symbol, day, halted_at, reason, limit_up, limit_down)
+  VALUES (@symbol, @day, @halted_at, @reason, @limit_up, @limit_down)
+`);
+
+const getOpenHalt = db.prepare(`
+  SELECT * FROM halts WHERE symbol = ? AND resumed_at IS NULL ORDER BY halted_at DESC, id DESC LIMIT 1
+`);
+
+const closeHalt = db.prepare(`
+  UPDATE halts SET resumed_at = @ts, duration_ms = MAX(0, @ts - halted_at) WHERE id = @id
+`);
+
+const listHaltHistory = db.prepare(`
+  SELECT * FROM halts
+   WHERE (@symbol IS NULL OR symbol = @symbol) AND halted_at >= @from AND halted_at < @to
+   ORDER BY halted_at DESC, id DESC
+   LIMIT @limit
+`);
+
+// per symbol per NY day; AVG / MAX skip halts that have not resumed yet
+const haltStatsByDay = db.prepare(`
+  SELECT symbol, day, COUNT(*) AS halts, SUM(resumed_at IS NULL) AS open_halts,
+         AVG(duration_ms) AS avg_duration_ms, MAX(duration_ms) AS max_duration_ms
+    FROM halts
+   WHERE (@symbol IS NULL OR symbol = @symbol) AND halted_at >= @from AND halted_at < @to
+   GROUP BY symbol, day
+   ORDER BY day DESC, halts DESC, symbol
+   LIMIT @limit
+`);
+
+// latest halt of every symbol halted since ? (rebuilds the in-memory /halts state on boot)
+const latestHaltPerSymbol = db.prepare(`
+  SELECT h.* FROM halts h
+   WHERE h.halted_at >= ?
+     AND h.id = (SELECT id FROM halts WHERE symbol = h.symbol ORDER BY halted_at DESC, id DESC LIMIT 1)
+`);
+
+const deleteLuldEventsBefore = db.prepare(`DELETE FROM luld_events WHERE ts < ?`);
+const deleteHaltsBefore = db.prepare(`DELETE FROM halts WHERE halted_at < ?`);
+
+// ----------------------------------------------------------------------------
+// Watchlists (every statement is scoped by user_id: a list id alone never reaches another user's list)
+// ----------------------------------------------------------------------------
+const listWatchlistsForUser = db.prepare(`
+  SELECT w.*, (SELECT COUNT(*) FROM watchlist_symbols s WHERE s.watchlist_id = w.id) AS symbol_count
+    FROM watchlists w
+   WHERE w.user_id = ?
+   ORDER BY w.position, w.id
+`);
+
+const getWatchlist = db.prepare(`SELECT * FROM watchlists WHERE id = @id AND user_id = @user_id`);
+const getWatchlistByName = db.prepare(`SELECT * FROM watchlists WHERE user_id = @user_id AND name = @name`);
+
+const insertWatchlist = db.prepare(`
+  INSERT INTO watchlists (user_id, name, position, created_at, updated_at)
+  VALUES (@user_id, @name, @position, @now, @now)
+`);
+
+const renameWatchlist = db.prepare(`UPDATE watchlists SET name = @name, updated_at = @now WHERE id = @id AND user_id = @user_id`);
+const setWatchlistPosition = db.prepare(`UPDATE watchlists SET position = @position WHERE id = @id AND user_id = @user_id`);
+const touchWatchlist = db.prepare(`UPDATE watchlists SET updated_at = @now WHERE id = @id`);
+const deleteWatchlist = db.prepare(`DELETE FROM watchlists WHERE id = @id AND user_id = @user_id`);
+
+const listWatchlistSymbols = db.prepare(`
+  SELECT symbol, position, added_at FROM watchlist_symbols WHERE watchlist_id = ? ORDER BY position
+`);
+
+const insertWatchlistSymbol = db.prepare(`
+  INSERT INTO watchlist_symbols (watchlist_id, symbol, position, added_at)
+  VALUES (@watchlist_id, @symbol, @position, @added_at)
+`);
+
+const clearWatchlistSymbols = db.prepare(`DELETE FROM watchlist_symbols WHERE watchlist_id = ?`);
+
+// ----------------------------------------------------------------------------
+// Dashboard layouts
+// ----------------------------------------------------------------------------
+const listLayoutsForUser = db.prepare(`SELECT * FROM layouts WHERE user_id = ? ORDER BY name`);
+const getLayoutByName = db.prepare(`SELECT * FROM layouts WHERE user_id = @user_id AND name = @name`);
+
+const upsertLayout = db.prepare(`
+  INSERT INTO layouts (user_id, name, boxes, created_at, updated_at)
+  VALUES (@user_id, @name, @boxes, @now, @now)
+  ON CONFLICT(user_id, name) DO UPDATE SET boxes = excluded.boxes, updated_at = @now
+`);
+
+const deleteLayout = db.prepare(`DELETE FROM layouts WHERE user_id = @user_id AND name = @name`);
+
+// ----------------------------------------------------------------------------
+// Saved screens (slug lookups are global: a shared link opens another user's screen)
+// ----------------------------------------------------------------------------
+const listScreensForUser = db.prepare(`SELECT * FROM screens WHERE user_id = ? ORDER BY name, id`);
+const getScreenBySlug = db.prepare(`SELECT * FROM screens WHERE slug = ?`);
+
+const insertScreen = db.prepare(`
+  INSERT INTO screens (user_id, slug, name, definition, shared, created_at, updated_at)
+  VALUES (@user_id, @slug, @name, @definition, @shared, @now, @now)
+`);
+
+const updateScreen = db.prepare(`
+  UPDATE screens SET slug = @new_slug, name = @name, definition = @definition, shared = @shared, updated_at = @now
+   WHERE slug = @slug AND user_id = @user_id
+`);
+
+const deleteScreen = db.prepare(`DELETE FROM screens WHERE slug = @slug AND user_id = @user_id`);
+
+export {
+  db,
+  DB_PATH,
+  listAlertRules,
+  listEnabledAlertRules,
+  getAlertRule,
+  insertAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  insertAlertEvent,
+  lastAlertEventFor,
+  listAlertEvents,
+  listWebhooks,
+  listEnabledWebhooks,
+  getWebhook,
+  insertWebhook,
+  updateWebhook,
+  deleteWebhook,
+  insertWebhookDelivery,
+  updateWebhookDelivery,
+  getWebhookDelivery,
+  listWebhookDeliveries,
+  getUserById,
+  getUserByEmail,
+  upsertGoogleUser,
+  setUserPremium,
+  getUserByStripeCustomer,
+  getUserByStripeSubscription,
+  setUserBilling,
+  insertBillingEvent,
+  insertApiToken,
+  listApiTokensForUser,
+  getApiToken,
+  touchApiToken,
+  denyToken,
+  getDeniedToken,
+  getSession,
+  upsertSession,
+  touchSession,
+  deleteSession,
+  deleteExpiredSessions,
+  insertLuldEvent,
+  listLuldEvents,
+  insertHalt,
+  getOpenHalt,
+  closeHalt,
+  listHaltHistory,
+  haltStatsByDay,
+  latestHaltPerSymbol,
+  deleteLuldEventsBefore,
+  deleteHaltsBefore,
+  listWatchlistsForUser,
+  getWatchlist,
+  getWatchlistByName,
+  insertWatchlist,
+  renameWatchlist,
+  setWatchlistPosition,
+  touchWatchlist,
+  deleteWatchlist,
+  listWatchlistSymbols,
+  insertWatchlistSymbol,
+  clearWatchlistSymbols,
+  listLayoutsForUser,
+  getLayoutByName,
+  upsertLayout,
+  deleteLayout,
+  listScreensForUser,
+  getScreenBySlug,
+  insertScreen,
+  updateScreen,
+  deleteScreen,
+};
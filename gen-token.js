@@ -1,43 +1,40 @@
 // gen-token.js
-require("dotenv").config();
-const crypto = require("crypto");
+// Issue an API token for an existing account (same as the /tokens page, for headless setups):
+//   node gen-token.js you@example.com --scopes scan,pro --days 30 --name discord-bot
+// Needs APP_ACCESS_SECRET + the server's DB_PATH in .env; the user must have signed in once.
+import "dotenv/config";
+import { getUserByEmail } from "./db.js";
+import { apiTokensEnvMissing, issueApiToken, TOKEN_DEFAULT_DAYS } from "./apitokens.js";
 
-// ===== copy y hệt từ server.js =====
-const ACCESS_SECRET = process.env.APP_ACCESS_SECRET;
-
-if (!ACCESS_SECRET) {
-  console.error("❌ Missing APP_ACCESS_SECRET in .env");
-  process.exit(1);
-}
-
-function b64url(input) {
-  return Buffer.from(input)
-    .toString("base64")
-    .replace(/=/g, "")
-    .replace(/\+/g, "-")
-    .replace(/\//g, "_");
+function arg(name, def) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 && process.argv[i + 1] ? process.argv[i + 1] : def;
 }
 
-function sign(data) {
-  return b64url(
-    crypto.createHmac("sha256", ACCESS_SECRET).update(data).digest()
-  );
+const missing = apiTokensEnvMissing();
+if (missing.length) {
+  console.error(`❌ Missing ${missing.join(", ")} in .env`);
+  process.exit(1);
 }
 
-function makeToken(payload) {
-  const body = b64url(JSON.stringify(payload));
-  const sig = sign(body);
-  return `${body}.${sig}`;
+const email = String(process.argv[2] || "").trim().toLowerCase();
+const user = email && !email.startsWith("--") ? getUserByEmail.get(email) : null;
+if (!user) {
+  console.error("Usage: node gen-token.js <email> [--scopes scan,pro,halts] [--days N] [--name label]");
+  if (email) console.error(`❌ No account for ${email} (sign in once at /login first)`);
+  process.exit(1);
 }
-// ===================================
 
-// 🔐 payload cho CHÍNH BẠN (owner)
-const token = makeToken({
-  uid: "admin",
-  role: "owner",
-  exp: Math.floor(Date.now() / 1000) + 86400 // 24h
+const out = issueApiToken(user, {
+  name: arg("name", "cli"),
+  scopes: arg("scopes", "scan").split(","),
+  days: Number(arg("days", TOKEN_DEFAULT_DAYS)),
 });
+if (!out.ok) {
+  console.error(`❌ ${out.body.error}: ${out.body.detail.join(" • ")}`);
+  process.exit(1);
+}
 
-console.log("\n🔑 ADMIN TOKEN:\n");
-console.log(token);
-console.log("\n➡️ Open:\nhttps://YOUR-APP.onrender.com/ui?token=" + token);
+console.log(`\n🔑 API TOKEN (${out.body.meta.scopes.join(", ")}, expires ${new Date(out.body.meta.expiresAt).toISOString()}):\n`);
+console.log(out.body.token);
+console.log(`\n➡️ curl -H "Authorization: Bearer ${out.body.token}" https://YOUR-APP.onrender.com/list`);
@@ -0,0 +1,186 @@
+// ============================================================================
+// 🔥 ALGTP™ — Halt history (LULD messages → SQLite)
+// Usage (server.js):  recordLuldEvent({ symbol, ts, kind, indicators, limitUp, limitDown })  from handleLULD
+//                     haltHistory(req.query) / haltStats(req.query)  -> { ok, status, body }
+// ----------------------------------------------------------------------------
+// ENV:
+//   HALT_HISTORY_DAYS  keep LULD events / halts this many days (default 90, 0 = forever)
+// Every LULD message is one luld_events row (kind HALT | RESUME | BAND). A HALT opens
+// a halts row (a repeated HALT while open is only logged); the next RESUME closes it
+// with resumed_at + duration_ms. A message already stored (same symbol, kind and
+// exchange time: a REPLAY_FILE run over a recorded day, a REPLAY_LOOP pass) is
+// skipped, halts rows included. Range queries: from / to = YYYY-MM-DD (NY day,
+// inclusive) or epoch ms; default the last 7 days.
+// ============================================================================
+import "dotenv/config";
+import {
+  db,
+  insertLuldEvent,
+  listLuldEvents,
+  insertHalt,
+  getOpenHalt,
+  closeHalt,
+  listHaltHistory,
+  haltStatsByDay,
+  latestHaltPerSymbol,
+  deleteLuldEventsBefore,
+  deleteHaltsBefore,
+} from "./db.js";
+import { nyYMD, nyWallTimeToMs } from "./scanner/session.js";
+
+const HALT_HISTORY_DAYS = Math.max(0, Math.min(3650, Number(process.env.HALT_HISTORY_DAYS ?? 90) || 0));
+const DEFAULT_RANGE_DAYS = 7;
+const DAY_MS = 86_400_000;
+
+// -> { event, halt } (halt = the opened / closed halts row, null for band updates); event null = already stored
+const recordLuldEvent = db.transaction((e) => {
+  const day = nyYMD(e.ts);
+  const reason = e.reason ?? "LimitUpLimitDown";
+  const info = insertLuldEvent.run({
+    symbol: e.symbol,
+    ts: e.ts,
+    exchange_ts: e.exchangeTs ?? null,
+    day,
+    kind: e.kind,
+    indicators: JSON.stringify(e.indicators || []),
+    limit_up: e.limitUp ?? null,
+    limit_down: e.limitDown ?? null,
+    reason,
+  });
+  if (!info.changes) return { event: null, halt: null };
+
+  let halt = null;
+  const open = getOpenHalt.get(e.symbol);
+  if (e.kind === "HALT" && !open) {
+    const h = insertHalt.run({ symbol: e.symbol, day, halted_at: e.ts, reason, limit_up: e.limitUp ?? null, limit_down: e.limitDown ?? null });
+    halt = { id: Number(h.lastInsertRowid), opened: true };
+  } else if (e.kind === "RESUME" && open) {
+    closeHalt.run({ id: open.id, ts: e.ts });
+    halt = { id: open.id, closed: true, durationMs: Math.max(0, e.ts - open.halted_at) };
+  }
+  return { event: Number(info.lastInsertRowid), halt };
+});
+
+function haltFromDb(h) {
+  if (!h) return null;
+  return {
+    id: h.id,
+    symbol: h.symbol,
+    day: h.day,
+    halted: h.resumed_at === null,
+    haltedAt: h.halted_at,
+    resumedAt: h.resumed_at,
+    durationMs: h.duration_ms,
+    durationSec: h.duration_ms === null ? null : Math.round(h.duration_ms / 1000),
+    reason: h.reason,
+    limitUp: h.limit_up,
+    limitDown: h.limit_down,
+  };
+}
+
+function luldEventFromDb(e) {
+  if (!e) return null;
+  let indicators = [];
+  try {
+    indicators = JSON.parse(e.indicators);
+  } catch {}
+  return {
+    id: e.id,
+    symbol: e.symbol,
+    day: e.day,
+    kind: e.kind,
+    ts: e.ts,
+    exchangeTs: e.exchange_ts,
+    indicators,
+    limitUp: e.limit_up,
+    limitDown: e.limit_down,
+    reason: e.reason,
+  };
+}
+
+// YYYY-MM-DD (NY day) or epoch ms; endOfDay: a day means "through the end of that day"
+function parseTime(v, { endOfDay = false } = {}) {
+  const s = String(v ?? "").trim();
+  if (!s) return undefined;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return nyWallTimeToMs(s, endOfDay ? "24:00" : "00:00");
+  const x = Number(s);
+  return Number.isFinite(x) && x > 0 ? Math.floor(x) : null;
+}
+
+// -> { ok, symbol, from, to, limit } | { ok: false, errors }
+function parseHistoryQuery(q = {}, now = Date.now()) {
+  const errors = [];
+  const symbol = String(q.symbol || "").trim().toUpperCase() || null;
+
+  const to = parseTime(q.to, { endOfDay: true });
+  const from = parseTime(q.from);
+  if (to === null) errors.push("to must be YYYY-MM-DD or epoch ms");
+  if (from === null) errors.push("from must be YYYY-MM-DD or epoch ms");
+
+  const toMs = to ?? now + 1;
+  const fromMs = from ?? toMs - DEFAULT_RANGE_DAYS * DAY_MS;
+  if (!errors.length && fromMs >= toMs) errors.push("from must be before to");
+
+  const limit = Math.max(1, Math.min(5000, Math.floor(Number(q.limit || 500)) || 500));
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, symbol, from: fromMs, to: toMs, limit };
+}
+
+// /halts/history: halts (default) or the raw LULD events (type=events)
+function haltHistory(q = {}, now = Date.now()) {
+  const p = parseHistoryQuery(q, now);
+  if (!p.ok) return { ok: false, status: 400, body: { ok: false, error: "Invalid query", detail: p.errors } };
+
+  const type = String(q.type || "halts").toLowerCase();
+  if (type !== "halts" && type !== "events") {
+    return { ok: false, status: 400, body: { ok: false, error: "Invalid query", detail: ["type must be halts or events"] } };
+  }
+
+  const args = { symbol: p.symbol, from: p.from, to: p.to, limit: p.limit };
+  const results = type === "events" ? listLuldEvents.all(args).map(luldEventFromDb) : listHaltHistory.all(args).map(haltFromDb);
+  return { ok: true, status: 200, body: { ok: true, type, symbol: p.symbol, from: p.from, to: p.to, count: results.length, results } };
+}
+
+// /halts/stats: halts per symbol per NY day + average / longest halt
+function haltStats(q = {}, now = Date.now()) {
+  const p = parseHistoryQuery(q, now);
+  if (!p.ok) return { ok: false, status: 400, body: { ok: false, error: "Invalid query", detail: p.errors } };
+
+  const results = haltStatsByDay.all({ symbol: p.symbol, from: p.from, to: p.to, limit: p.limit }).map((r) => ({
+    symbol: r.symbol,
+    day: r.day,
+    halts: r.halts,
+    openHalts: r.open_halts,
+    avgDurationMs: r.avg_duration_ms === null ? null : Math.round(r.avg_duration_ms),
+    avgDurationSec: r.avg_duration_ms === null ? null : Math.round(r.avg_duration_ms / 1000),
+    maxDurationMs: r.max_duration_ms,
+  }));
+  return { ok: true, status: 200, body: { ok: true, symbol: p.symbol, from: p.from, to: p.to, count: results.length, results } };
+}
+
+// Latest halt state per symbol since sinceMs, shaped like server.js haltedMap values
+function restoreHaltState(sinceMs) {
+  return latestHaltPerSymbol.all(sinceMs).map((h) => ({
+    symbol: h.symbol,
+    halted: h.resumed_at === null,
+    lastEvent: h.resumed_at === null ? "HALT" : "RESUME",
+    tsMs: h.resumed_at ?? h.halted_at,
+    reason: h.reason,
+  }));
+}
+
+function pruneHaltHistory(now = Date.now()) {
+  if (!HALT_HISTORY_DAYS) return { events: 0, halts: 0 };
+  const cutoff = now - HALT_HISTORY_DAYS * DAY_MS;
+  return { events: deleteLuldEventsBefore.run(cutoff).changes, halts: deleteHaltsBefore.run(cutoff).changes };
+}
+
+export {
+  HALT_HISTORY_DAYS,
+  recordLuldEvent,
+  parseHistoryQuery,
+  haltHistory,
+  haltStats,
+  restoreHaltState,
+  pruneHaltHistory,
+};
@@ -0,0 +1,89 @@
+// ============================================================================
+// 🔥 ALGTP™ — Dashboard layouts (named box sets per user → SQLite)
+// Usage (server.js):  listLayouts(userId) / getLayout(userId, name) / saveLayout(userId, name, body)
+//                     deleteLayout(userId, name)  -> { ok, status, body }
+// ----------------------------------------------------------------------------
+// ENV:
+//   LAYOUT_MAX_PER_USER  saved layouts per user (default 20)
+//   LAYOUT_MAX_BOXES     boxes per layout (default 24)
+// Names are URL-safe (a-z 0-9 _ -, /ui?layout=<name>). "default" is the built-in
+// dashboard (scanner/layout.js DEFAULT_LAYOUT_SECTIONS) until a user saves their
+// own "default"; deleting it brings the built-in one back.
+// ============================================================================
+import "dotenv/config";
+import { listLayoutsForUser, getLayoutByName, upsertLayout, deleteLayout as deleteLayoutRow } from "./db.js";
+import { normalizeLayoutName, validateLayout, defaultLayoutBoxes } from "./scanner/layout.js";
+
+const LAYOUT_MAX_PER_USER = Math.max(1, Math.min(500, Number(process.env.LAYOUT_MAX_PER_USER || 20)));
+const LAYOUT_MAX_BOXES = Math.max(1, Math.min(100, Number(process.env.LAYOUT_MAX_BOXES || 24)));
+const BUILTIN_LAYOUT = "default";
+
+const badName = (raw) => ({
+  ok: false,
+  status: 400,
+  body: { ok: false, error: "Invalid layout", detail: [`name "${String(raw ?? "").slice(0, 40)}" must be 1-40 of a-z 0-9 _ - (starting with a letter or digit)`] },
+});
+const notFound = (name) => ({ ok: false, status: 404, body: { ok: false, error: "Layout not found", detail: name } });
+
+function layoutFromDb(l) {
+  let boxes = [];
+  try {
+    boxes = JSON.parse(l.boxes);
+  } catch {}
+  return { name: l.name, builtin: false, boxes, createdAt: l.created_at, updatedAt: l.updated_at };
+}
+
+function builtinLayout() {
+  return { name: BUILTIN_LAYOUT, builtin: true, boxes: defaultLayoutBoxes(), createdAt: null, updatedAt: null };
+}
+
+function listLayouts(userId) {
+  const saved = listLayoutsForUser.all(userId).map(layoutFromDb);
+  const results = saved.some((l) => l.name === BUILTIN_LAYOUT) ? saved : [builtinLayout(), ...saved];
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      ok: true,
+      count: results.length,
+      maxLayouts: LAYOUT_MAX_PER_USER,
+      maxBoxes: LAYOUT_MAX_BOXES,
+      results: results.map(({ boxes, ...l }) => ({ ...l, boxCount: boxes.length })),
+    },
+  };
+}
+
+function getLayout(userId, rawName) {
+  const name = normalizeLayoutName(rawName);
+  if (!name) return notFound(String(rawName ?? ""));
+  const row = getLayoutByName.get({ user_id: userId, name });
+  if (row) return { ok: true, status: 200, body: { ok: true, layout: layoutFromDb(row) } };
+  if (name === BUILTIN_LAYOUT) return { ok: true, status: 200, body: { ok: true, layout: builtinLayout() } };
+  return notFound(name);
+}
+
+// PUT /layouts/:name — body { boxes } creates (201) or replaces (200) the user's layout
+function saveLayout(userId, rawName, body = {}, now = Date.now()) {
+  const name = normalizeLayoutName(rawName);
+  if (!name) return badName(rawName);
+
+  const v = validateLayout(body, { maxBoxes: LAYOUT_MAX_BOXES });
+  if (!v.ok) return { ok: false, status: 400, body: { ok: false, error: "Invalid layout", detail: v.errors } };
+
+  const exists = Boolean(getLayoutByName.get({ user_id: userId, name }));
+  if (!exists && listLayoutsForUser.all(userId).length >= LAYOUT_MAX_PER_USER) {
+    return { ok: false, status: 400, body: { ok: false, error: "Invalid layout", detail: [`at most ${LAYOUT_MAX_PER_USER} layouts per user`] } };
+  }
+
+  upsertLayout.run({ user_id: userId, name, boxes: JSON.stringify(v.boxes), now });
+  return { ok: true, status: exists ? 200 : 201, body: { ok: true, layout: layoutFromDb(getLayoutByName.get({ user_id: userId, name })) } };
+}
+
+function deleteLayout(userId, rawName) {
+  const name = normalizeLayoutName(rawName);
+  const info = name ? deleteLayoutRow.run({ user_id: userId, name }) : { changes: 0 };
+  if (!info.changes) return notFound(name ?? String(rawName ?? ""));
+  return { ok: true, status: 200, body: { ok: true, deleted: name } };
+}
+
+export { LAYOUT_MAX_PER_USER, LAYOUT_MAX_BOXES, BUILTIN_LAYOUT, listLayouts, getLayout, saveLayout, deleteLayout };
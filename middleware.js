@@ -1,12 +1,26 @@
 import { getUserByEmail } from "./db.js";
+import { tokenFromRequest, verifyApiToken, tokenHasScope } from "./apitokens.js";
+
+// Browsers get redirects / an HTML page, API clients (curl, fetch, bots) get JSON
+function wantsHtml(req) {
+  return req.method === "GET" && req.accepts(["json", "html"]) === "html";
+}
+
+function requireLogin(req, res, next) {
+  if (req.user?.email) return next();
+  if (wantsHtml(req)) return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  return res.status(401).json({ ok: false, error: "Login required", detail: "/login" });
+}
 
 function requirePremium(req, res, next) {
   const email = req.user?.email;
-  if (!email) return res.redirect("/login");
+  if (!email) return requireLogin(req, res, next);
 
+  // Re-read: premium can flip (billing) while the session is open
   const u = getUserByEmail.get(email);
   if (!u || !u.premium) {
-    return res.type("html").send(`
+    if (!wantsHtml(req)) return res.status(403).json({ ok: false, error: "Premium required", detail: "/subscribe" });
+    return res.status(403).type("html").send(`
       <h2>Premium required</h2>
       <p>Please subscribe to access ALGTP™ Scanner.</p>
       <a href="/subscribe">Subscribe</a>
@@ -15,4 +29,24 @@ function requirePremium(req, res, next) {
   next();
 }
 
-export { requirePremium };
+// API tokens: a token that is present must be valid (no silent fallback to anonymous).
+// Sets req.apiToken { jti, scopes } + req.apiUser; req.user stays the browser session.
+function tokenAuth(req, res, next) {
+  const raw = tokenFromRequest(req);
+  if (!raw) return next();
+  const v = verifyApiToken(raw);
+  if (!v.ok) return res.status(401).json({ ok: false, error: "Invalid token", detail: v.reason });
+  req.apiToken = v.token;
+  req.apiUser = v.user;
+  next();
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    // apiUser is read per request: premium scopes die with the subscription
+    if (tokenHasScope(req.apiToken, req.apiUser, scope)) return next();
+    return res.status(403).json({ ok: false, error: "Token scope required", detail: scope });
+  };
+}
+
+export { wantsHtml, requireLogin, requirePremium, tokenAuth, requireScope };
@@ -0,0 +1,386 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/backtest.js
+// Replays the scanner pipeline on stored bars and scores it against what
+// happened next (+5m / +30m / EOD forward returns).
+//
+// Inputs (CSV or SQLite):
+//   minute bars   symbol,t,o,h,l,c,v      (t = ms / s / ns epoch, or "YYYY-MM-DD HH:MM" NY time)
+//   daily bars    symbol,date,o,c         (optional; prevClose falls back to last RTH minute close)
+//   floats        symbol,floatShares      (optional; enables Float Turnover%)
+//   SQLite        tables bars_1m(symbol,t,o,h,l,c,v), bars_1d(symbol,date,o,c), floats(symbol,float_shares)
+//
+// At every (date, NY time) sample point only bars that have CLOSED by then are
+// used (no look-ahead). Rows go through the same code as live scans:
+//   5m aggs -> indicatorsFromAggs5m -> attach5mSignals -> Ext% / Float Turnover% -> demandScore / signalIcon
+// and are ranked with sortForPrepick("gapFloatRank") (= sortGapFloatVolume order).
+// ============================================================================
+import fs from "node:fs/promises";
+import path from "node:path";
+import Database from "better-sqlite3";
+import { n, round2 } from "./util.js";
+import { toMs, nyHM, nyParts, nyYMD, nyWallTimeToMs } from "./session.js";
+import { indicatorsFromAggs5m, computeAwesomeOscillatorFrom5mBars } from "./indicators.js";
+import { demandScore, signalIcon, attach5mSignals, sortForPrepick } from "./scoring.js";
+import { addExtPctFromPrevClose, addFloatTurnoverPct } from "./normalize.js";
+
+const MINUTE_MS = 60_000;
+const BAR5_MS = 5 * MINUTE_MS;
+const HISTORY_1M = 600 * 5; // enough minute bars for the 600 x 5m window indicatorsFromAggs5m keeps
+const RTH_OPEN = 9 * 60 + 30;
+const RTH_CLOSE = 16 * 60;
+
+const HORIZONS = ["5m", "30m", "eod"];
+const RANK_BUCKETS = [
+  { key: "top5", max: 5 },
+  { key: "top10", max: 10 },
+  { key: "rest", max: Infinity },
+];
+
+// ----------------------------------------------------------------------------
+// Loading
+// ----------------------------------------------------------------------------
+function parseCsv(text) {
+  const lines = String(text || "").split(/\r?\n/).filter((l) => l.trim() && !l.startsWith("#"));
+  if (!lines.length) return [];
+  const split = (l) => l.split(",").map((x) => x.trim().replace(/^"(.*)"$/, "$1"));
+  const header = split(lines[0]).map((h) => h.toLowerCase());
+  return lines.slice(1).map((l) => {
+    const cells = split(l);
+    const rec = {};
+    header.forEach((h, i) => (rec[h] = cells[i]));
+    return rec;
+  });
+}
+
+// Bar timestamp -> ms. Strings without a zone are New York wall time.
+function barTimeToMs(t) {
+  const num = toMs(t);
+  if (num !== null) return num;
+  const s = String(t ?? "").trim();
+  const m = s.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}:\d{2}(?::\d{2})?)$/);
+  if (m) return nyWallTimeToMs(m[1], m[2]);
+  const parsed = Date.parse(s);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function pushBar(bySym, rec) {
+  const symbol = String(rec.symbol ?? rec.ticker ?? rec.sym ?? "").trim().toUpperCase();
+  const t = barTimeToMs(rec.t ?? rec.timestamp ?? rec.time);
+  const c = n(rec.c ?? rec.close);
+  if (!symbol || t === null || c === null) return false;
+  const bar = {
+    t,
+    o: n(rec.o ?? rec.open) ?? c,
+    h: n(rec.h ?? rec.high) ?? c,
+    l: n(rec.l ?? rec.low) ?? c,
+    c,
+    v: n(rec.v ?? rec.volume) ?? 0,
+  };
+  if (!bySym.has(symbol)) bySym.set(symbol, []);
+  bySym.get(symbol).push(bar);
+  return true;
+}
+
+function pushDaily(daily, rec) {
+  const symbol = String(rec.symbol ?? rec.ticker ?? "").trim().toUpperCase();
+  const date = String(rec.date ?? rec.day ?? "").trim().slice(0, 10);
+  if (!symbol || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return;
+  if (!daily.has(symbol)) daily.set(symbol, new Map());
+  daily.get(symbol).set(date, { o: n(rec.o ?? rec.open), c: n(rec.c ?? rec.close) });
+}
+
+function pushFloat(floats, rec) {
+  const symbol = String(rec.symbol ?? rec.ticker ?? "").trim().toUpperCase();
+  const floatShares = n(rec.floatshares ?? rec.float_shares ?? rec.float);
+  if (symbol && floatShares !== null && floatShares > 0) floats.set(symbol, floatShares);
+}
+
+function isSqliteFile(file) {
+  return /\.(db|sqlite3?)$/i.test(String(file || ""));
+}
+
+function loadSqlite(file, data) {
+  const sdb = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    const has = (t) => Boolean(sdb.prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name=?`).get(t));
+    if (!has("bars_1m")) throw new Error(`${path.basename(file)}: missing table bars_1m`);
+    for (const rec of sdb.prepare(`SELECT symbol, t, o, h, l, c, v FROM bars_1m`).iterate()) {
+      if (!pushBar(data.bars, rec)) data.skipped++;
+    }
+    if (has("bars_1d")) for (const rec of sdb.prepare(`SELECT symbol, date, o, c FROM bars_1d`).iterate()) pushDaily(data.daily, rec);
+    if (has("floats")) for (const rec of sdb.prepare(`SELECT symbol, float_shares FROM floats`).iterate()) pushFloat(data.floats, rec);
+  } finally {
+    sdb.close();
+  }
+}
+
+// { bars, daily?, floats? } file paths -> in-memory data set
+async function loadBacktestData({ bars, daily = null, floats = null } = {}) {
+  if (!bars) throw new Error("bars source is required (CSV or SQLite file)");
+  const data = { source: path.basename(bars), bars: new Map(), daily: new Map(), floats: new Map(), skipped: 0 };
+
+  if (isSqliteFile(bars)) loadSqlite(bars, data);
+  else {
+    for (const rec of parseCsv(await fs.readFile(bars, "utf8"))) {
+      if (!pushBar(data.bars, rec)) data.skipped++;
+    }
+  }
+  if (daily) for (const rec of parseCsv(await fs.readFile(daily, "utf8"))) pushDaily(data.daily, rec);
+  if (floats) for (const rec of parseCsv(await fs.readFile(floats, "utf8"))) pushFloat(data.floats, rec);
+
+  // NY day + minute-of-day are looked up constantly below; resolve them once
+  for (const list of data.bars.values()) {
+    list.sort((a, b) => a.t - b.t);
+    for (const b of list) {
+      const p = nyParts(b.t);
+      b.d = `${p.y}-${String(p.mo).padStart(2, "0")}-${String(p.d).padStart(2, "0")}`;
+      b.mins = p.h * 60 + p.mi;
+    }
+  }
+  return data;
+}
+
+// ----------------------------------------------------------------------------
+// Point-in-time snapshot (only bars closed by asOfMs)
+// ----------------------------------------------------------------------------
+// index of the last bar that has closed by asOfMs (-1 if none)
+function lastClosedIndex(bars, asOfMs) {
+  let lo = 0, hi = bars.length - 1, ans = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (bars[mid].t + MINUTE_MS <= asOfMs) {
+      ans = mid;
+      lo = mid + 1;
+    } else hi = mid - 1;
+  }
+  return ans;
+}
+
+function aggregate5m(bars1m) {
+  const out = [];
+  for (const b of bars1m) {
+    const bucket = Math.floor(b.t / BAR5_MS) * BAR5_MS;
+    const last = out[out.length - 1];
+    if (last && last.t === bucket) {
+      last.h = Math.max(last.h, b.h);
+      last.l = Math.min(last.l, b.l);
+      last.c = b.c;
+      last.v += b.v;
+    } else out.push({ t: bucket, o: b.o, h: b.h, l: b.l, c: b.c, v: b.v });
+  }
+  return out;
+}
+
+function prevCloseFor(data, symbol, bars, firstTodayIdx, ymd) {
+  const days = data.daily.get(symbol);
+  if (days) {
+    const prev = [...days.keys()].filter((d) => d < ymd).sort().pop();
+    if (prev && n(days.get(prev).c) !== null) return days.get(prev).c;
+  }
+  // Fallback: last regular-session minute close of the latest earlier day
+  for (let i = firstTodayIdx - 1; i >= 0; i--) {
+    const b = bars[i];
+    if (b.mins >= RTH_OPEN && b.mins < RTH_CLOSE) return b.c;
+  }
+  return null;
+}
+
+function snapshotAt(data, symbol, asOfMs, { volAvgLen = 20, volSpikeMult = 1.5, vwapAnchor = "rth" } = {}) {
+  const bars = data.bars.get(symbol) || [];
+  const idx = lastClosedIndex(bars, asOfMs);
+  if (idx < 0) return null;
+
+  const ymd = nyYMD(asOfMs);
+  let first = idx + 1;
+  while (first > 0 && bars[first - 1].d === ymd) first--;
+  const todayBars = bars.slice(first, idx + 1);
+  if (!todayBars.length) return null;
+
+  const prevClose = prevCloseFor(data, symbol, bars, first, ymd);
+  const price = todayBars[todayBars.length - 1].c;
+  const volume = todayBars.reduce((s, b) => s + b.v, 0);
+
+  // Open: regular session open once the bell has rung, otherwise the first premarket print
+  const { h, m } = nyHM(asOfMs);
+  const asOfMins = h * 60 + m;
+  const rthBar = asOfMins >= RTH_OPEN ? todayBars.find((b) => b.mins >= RTH_OPEN) : null;
+  const dailyOpen = asOfMins >= RTH_OPEN ? n(data.daily.get(symbol)?.get(ymd)?.o) : null;
+  const open = rthBar?.o ?? dailyOpen ?? todayBars[0].o;
+
+  const pct = (a) => (a !== null && prevClose !== null && prevClose > 0 ? round2(((a - prevClose) / prevClose) * 100) : null);
+  const floatShares = data.floats.get(symbol) ?? null;
+
+  let row = {
+    symbol,
+    price: round2(price),
+    open: round2(open),
+    prevClose: prevClose !== null ? round2(prevClose) : null,
+    pricePct: pct(price),
+    gapPct: pct(open),
+    volume: Math.round(volume),
+    floatShares: floatShares !== null ? Math.round(floatShares) : null,
+    floatM: floatShares !== null ? round2(floatShares / 1_000_000) : null,
+  };
+
+  const bars5mDesc = aggregate5m(bars.slice(Math.max(0, idx + 1 - HISTORY_1M), idx + 1)).reverse();
+  const ind = indicatorsFromAggs5m(bars5mDesc, { volAvgLen });
+  const { _bars5m_forAwesomeOscillator: bars5m, ...indicators } = ind;
+  row = { ...row, ...indicators, ...computeAwesomeOscillatorFrom5mBars(bars5m) };
+  row = attach5mSignals(row, { volSpikeMult, vwapAnchor });
+  row = addExtPctFromPrevClose(row);
+  row = addFloatTurnoverPct(row);
+
+  const d = demandScore(row);
+  return { ...row, demandScore: d, signalIcon: signalIcon(d) };
+}
+
+// Close of the last bar closed by targetMs, same NY day as the entry
+function priceAt(bars, targetMs, ymd) {
+  const idx = lastClosedIndex(bars, targetMs);
+  if (idx < 0 || bars[idx].d !== ymd) return null;
+  return bars[idx].c;
+}
+
+function forwardReturns(data, symbol, asOfMs, entry) {
+  const bars = data.bars.get(symbol) || [];
+  const ymd = nyYMD(asOfMs);
+  const eodMs = nyWallTimeToMs(ymd, "16:00");
+  const targets = { "5m": asOfMs + 5 * MINUTE_MS, "30m": asOfMs + 30 * MINUTE_MS, eod: Math.max(eodMs, asOfMs) };
+
+  const out = {};
+  for (const h of HORIZONS) {
+    const px = targets[h] <= eodMs || h === "eod" ? priceAt(bars, targets[h], ymd) : null;
+    out[h] = px !== null && entry > 0 && targets[h] > asOfMs ? round2(((px - entry) / entry) * 100) : null;
+  }
+  return out;
+}
+
+// ----------------------------------------------------------------------------
+// Stats
+// ----------------------------------------------------------------------------
+function summarize(values) {
+  const v = values.filter((x) => x !== null).sort((a, b) => a - b);
+  if (!v.length) return { n: 0, avg: null, median: null, winRate: null };
+  const mid = v.length >> 1;
+  const median = v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+  return {
+    n: v.length,
+    avg: round2(v.reduce((s, x) => s + x, 0) / v.length),
+    median: round2(median),
+    winRate: round2((v.filter((x) => x > 0).length / v.length) * 100),
+  };
+}
+
+function groupStats(samples, keyFn, order = null) {
+  const groups = new Map();
+  for (const s of samples) {
+    const k = String(keyFn(s));
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(s);
+  }
+  const keys = order ? order.filter((k) => groups.has(k)) : [...groups.keys()].sort();
+  const out = {};
+  for (const k of keys) {
+    const list = groups.get(k);
+    out[k] = { count: list.length };
+    for (const h of HORIZONS) out[k][h] = summarize(list.map((s) => s.fwd[h]));
+  }
+  return out;
+}
+
+// ----------------------------------------------------------------------------
+// Run
+// ----------------------------------------------------------------------------
+function parseTimes(input) {
+  const list = String(input || "09:45")
+    .split(",")
+    .map((s) => s.trim())
+    .filter((s) => /^\d{1,2}:\d{2}$/.test(s));
+  return list.length ? list : ["09:45"];
+}
+
+function parseDates(input) {
+  return String(input || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter((s) => /^\d{4}-\d{2}-\d{2}$/.test(s));
+}
+
+function datesInData(data) {
+  const set = new Set();
+  for (const bars of data.bars.values()) for (const b of bars) set.add(b.d);
+  return [...set].sort();
+}
+
+function runBacktest(
+  data,
+  { times = "09:45", dates = "", top = 0, volAvgLen = 20, volSpikeMult = 1.5, vwapAnchor = "rth", includeRows = false } = {}
+) {
+  const timeList = parseTimes(times);
+  const allDates = datesInData(data);
+  const dateList = parseDates(dates).length ? parseDates(dates) : allDates;
+  const topN = Math.max(0, Math.floor(n(top) ?? 0));
+
+  const samples = [];
+  const points = [];
+  for (const ymd of dateList) {
+    for (const hm of timeList) {
+      const asOfMs = nyWallTimeToMs(ymd, hm);
+      if (asOfMs === null) continue;
+
+      let rows = [];
+      for (const symbol of data.bars.keys()) {
+        const row = snapshotAt(data, symbol, asOfMs, { volAvgLen, volSpikeMult, vwapAnchor });
+        if (row && row.prevClose !== null && row.price > 0) rows.push(row);
+      }
+      rows = sortForPrepick(rows, "gapFloatRank");
+      if (topN) rows = rows.slice(0, topN);
+      points.push({ date: ymd, time: hm, rows: rows.length });
+
+      rows.forEach((row, i) => {
+        samples.push({ date: ymd, time: hm, rank: i + 1, row, fwd: forwardReturns(data, row.symbol, asOfMs, row.price) });
+      });
+    }
+  }
+
+  const rankBucket = (s) => RANK_BUCKETS.find((b) => s.rank <= b.max).key;
+
+  const report = {
+    ok: true,
+    source: data.source,
+    symbols: data.bars.size,
+    skippedBars: data.skipped,
+    times: timeList,
+    dates: dateList,
+    top: topN || null,
+    vwapAnchor,
+    horizons: HORIZONS,
+    points,
+    samples: samples.length,
+    overall: groupStats(samples, () => "all").all || null,
+    byScore: groupStats(samples, (s) => s.row.demandScore, ["5", "4", "3", "2", "1", "0"]),
+    bySignal: groupStats(samples, (s) => s.row.signalIcon, ["🚀", "🔥", "👀", "⛔"]),
+    byRank: groupStats(samples, rankBucket, RANK_BUCKETS.map((b) => b.key)),
+  };
+
+  if (includeRows) {
+    report.rows = samples.map((s) => ({
+      date: s.date,
+      time: s.time,
+      rank: s.rank,
+      symbol: s.row.symbol,
+      price: s.row.price,
+      gapPct: s.row.gapPct,
+      pricePct: s.row.pricePct,
+      floatTurnoverPct: s.row.floatTurnoverPct ?? null,
+      volume: s.row.volume,
+      demandScore: s.row.demandScore,
+      signalIcon: s.row.signalIcon,
+      paIcon: s.row.paIcon,
+      fwd: s.fwd,
+    }));
+  }
+  return report;
+}
+
+export { HORIZONS, parseCsv, barTimeToMs, isSqliteFile, loadBacktestData, snapshotAt, forwardReturns, runBacktest };
@@ -0,0 +1,106 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/cache.js
+// One cache implementation for every cache in the scanner:
+//   - TTL per entry, LRU eviction past maxEntries (memory bound)
+//   - wrap(key, fn): in-flight coalescing — identical concurrent loads share one promise
+//   - hit / miss / coalesced / eviction counters (per label) for /api
+// Cached values are shared between callers: treat them as read-only.
+// Pure (clock passed in or Date.now), no env / network.
+// ============================================================================
+
+function createLruCache({ name = "cache", maxEntries = 1000, defaultTtlMs = 0 } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt } (Map order = least recently used first)
+  const inflight = new Map(); // key -> Promise
+  const totals = { hits: 0, misses: 0, coalesced: 0, evictions: 0 };
+  const byLabel = new Map(); // label -> { hits, misses, coalesced }
+
+  function bump(label, field) {
+    totals[field]++;
+    if (!label) return;
+    if (!byLabel.has(label)) byLabel.set(label, { hits: 0, misses: 0, coalesced: 0 });
+    byLabel.get(label)[field]++;
+  }
+
+  function get(key, now = Date.now()) {
+    const e = entries.get(key);
+    if (!e) return undefined;
+    entries.delete(key);
+    if (e.expiresAt <= now) return undefined;
+    entries.set(key, e); // most recently used
+    return e.value;
+  }
+
+  function set(key, value, ttlMs = defaultTtlMs, now = Date.now()) {
+    if (!(ttlMs > 0)) return;
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      totals.evictions++;
+    }
+  }
+
+  // fn() runs at most once per key at a time; its result is cached when cacheIf(result)
+  async function wrap(key, fn, { ttlMs = defaultTtlMs, cacheIf = () => true, label = null } = {}) {
+    const hit = get(key);
+    if (hit !== undefined) {
+      bump(label, "hits");
+      return { value: hit, cached: true };
+    }
+    if (inflight.has(key)) {
+      bump(label, "coalesced");
+      return { value: await inflight.get(key), cached: false, coalesced: true };
+    }
+
+    bump(label, "misses");
+    const p = (async () => {
+      try {
+        const value = await fn();
+        if (cacheIf(value)) set(key, value, ttlMs);
+        return value;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+    inflight.set(key, p);
+    return { value: await p, cached: false };
+  }
+
+  function stats() {
+    const lookups = totals.hits + totals.misses + totals.coalesced;
+    return {
+      name,
+      entries: entries.size,
+      maxEntries,
+      inflight: inflight.size,
+      ...totals,
+      hitRate: lookups ? Math.round(((totals.hits + totals.coalesced) / lookups) * 1000) / 1000 : null,
+      byLabel: Object.fromEntries(byLabel),
+    };
+  }
+
+  return {
+    name,
+    get,
+    set,
+    wrap,
+    has: (key, now = Date.now()) => get(key, now) !== undefined,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    size: () => entries.size,
+    stats,
+  };
+}
+
+// Stable cache key for a GET: url + sorted params, credentials left out
+const SECRET_PARAMS = new Set(["apikey", "api_key", "token", "access_token"]);
+function requestKey(url, params = {}) {
+  const q = Object.keys(params || {})
+    .filter((k) => !SECRET_PARAMS.has(k.toLowerCase()) && params[k] !== undefined)
+    .sort()
+    .map((k) => `${encodeURIComponent(k)}=${encodeURIComponent(String(params[k]))}`)
+    .join("&");
+  return q ? `${url}?${q}` : url;
+}
+
+export { createLruCache, requestKey };
@@ -0,0 +1,207 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/calendar.js
+// NYSE trading calendar (bundled): full-day holidays + 13:00 early closes.
+//   premarket 04:00 – 09:30 • regular 09:30 – 16:00 (13:00 on half days)
+//   after-hours until 20:00 (17:00 on half days)
+// Days are NY "YYYY-MM-DD" strings. Outside CALENDAR_YEARS only weekends are
+// known closed (calendarCovers() tells callers when that is the case).
+// Pure, no env / network. Update the tables once a year from the NYSE site.
+// ============================================================================
+
+const NYSE_HOLIDAYS = {
+  "2024-01-01": "New Year's Day",
+  "2024-01-15": "Martin Luther King Jr. Day",
+  "2024-02-19": "Washington's Birthday",
+  "2024-03-29": "Good Friday",
+  "2024-05-27": "Memorial Day",
+  "2024-06-19": "Juneteenth",
+  "2024-07-04": "Independence Day",
+  "2024-09-02": "Labor Day",
+  "2024-11-28": "Thanksgiving Day",
+  "2024-12-25": "Christmas Day",
+
+  "2025-01-01": "New Year's Day",
+  "2025-01-09": "National Day of Mourning (President Carter)",
+  "2025-01-20": "Martin Luther King Jr. Day",
+  "2025-02-17": "Washington's Birthday",
+  "2025-04-18": "Good Friday",
+  "2025-05-26": "Memorial Day",
+  "2025-06-19": "Juneteenth",
+  "2025-07-04": "Independence Day",
+  "2025-09-01": "Labor Day",
+  "2025-11-27": "Thanksgiving Day",
+  "2025-12-25": "Christmas Day",
+
+  "2026-01-01": "New Year's Day",
+  "2026-01-19": "Martin Luther King Jr. Day",
+  "2026-02-16": "Washington's Birthday",
+  "2026-04-03": "Good Friday",
+  "2026-05-25": "Memorial Day",
+  "2026-06-19": "Juneteenth",
+  "2026-07-03": "Independence Day (observed)",
+  "2026-09-07": "Labor Day",
+  "2026-11-26": "Thanksgiving Day",
+  "2026-12-25": "Christmas Day",
+
+  "2027-01-01": "New Year's Day",
+  "2027-01-18": "Martin Luther King Jr. Day",
+  "2027-02-15": "Washington's Birthday",
+  "2027-03-26": "Good Friday",
+  "2027-05-31": "Memorial Day",
+  "2027-06-18": "Juneteenth (observed)",
+  "2027-07-05": "Independence Day (observed)",
+  "2027-09-06": "Labor Day",
+  "2027-11-25": "Thanksgiving Day",
+  "2027-12-24": "Christmas Day (observed)",
+
+  // 2028-01-01 is a Saturday: NYSE does not observe it on Friday 2027-12-31
+  "2028-01-17": "Martin Luther King Jr. Day",
+  "2028-02-21": "Washington's Birthday",
+  "2028-04-14": "Good Friday",
+  "2028-05-29": "Memorial Day",
+  "2028-06-19": "Juneteenth",
+  "2028-07-04": "Independence Day",
+  "2028-09-04": "Labor Day",
+  "2028-11-23": "Thanksgiving Day",
+  "2028-12-25": "Christmas Day",
+};
+
+// Regular session ends 13:00 (after-hours 17:00)
+const NYSE_HALF_DAYS = {
+  "2024-07-03": "Independence Day eve",
+  "2024-11-29": "Day after Thanksgiving",
+  "2024-12-24": "Christmas Eve",
+  "2025-07-03": "Independence Day eve",
+  "2025-11-28": "Day after Thanksgiving",
+  "2025-12-24": "Christmas Eve",
+  "2026-11-27": "Day after Thanksgiving",
+  "2026-12-24": "Christmas Eve",
+  "2027-11-26": "Day after Thanksgiving",
+  "2028-07-03": "Independence Day eve",
+  "2028-11-24": "Day after Thanksgiving",
+};
+
+const CALENDAR_YEARS = { from: 2024, to: 2028 };
+
+// Minutes of the NY day
+const PRE_OPEN_MIN = 4 * 60;
+const RTH_OPEN_MIN = 9 * 60 + 30;
+const RTH_CLOSE_MIN = 16 * 60;
+const HALF_DAY_CLOSE_MIN = 13 * 60;
+const AFTER_HOURS_MIN = 4 * 60; // after-hours length after the close
+
+const minutesToHHMM = (m) => `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+const isYmd = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s || ""));
+
+function addDaysYMD(ymdStr, days) {
+  const [y, mo, d] = String(ymdStr).split("-").map(Number);
+  return new Date(Date.UTC(y, mo - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(ymdStr) {
+  const [y, mo, d] = String(ymdStr).split("-").map(Number);
+  return new Date(Date.UTC(y, mo - 1, d)).getUTCDay(); // 0 = Sunday
+}
+
+function calendarCovers(ymdStr) {
+  const y = Number(String(ymdStr).slice(0, 4));
+  return y >= CALENDAR_YEARS.from && y <= CALENDAR_YEARS.to;
+}
+
+const isWeekend = (ymdStr) => [0, 6].includes(weekdayOf(ymdStr));
+const holidayName = (ymdStr) => NYSE_HOLIDAYS[ymdStr] || null;
+const halfDayName = (ymdStr) => NYSE_HALF_DAYS[ymdStr] || null;
+const isHalfDay = (ymdStr) => Boolean(NYSE_HALF_DAYS[ymdStr]);
+
+function isTradingDay(ymdStr) {
+  if (!isYmd(ymdStr)) return false;
+  return !isWeekend(ymdStr) && !NYSE_HOLIDAYS[ymdStr];
+}
+
+// -> null (closed) | { preOpen, open, close, afterClose, halfDay } in minutes of the NY day
+function sessionMinutes(ymdStr) {
+  if (!isTradingDay(ymdStr)) return null;
+  const close = isHalfDay(ymdStr) ? HALF_DAY_CLOSE_MIN : RTH_CLOSE_MIN;
+  return { preOpen: PRE_OPEN_MIN, open: RTH_OPEN_MIN, close, afterClose: close + AFTER_HOURS_MIN, halfDay: isHalfDay(ymdStr) };
+}
+
+// pre | rth | after | off for a NY day + minute of that day
+function sessionAt(ymdStr, minuteOfDay) {
+  const s = sessionMinutes(ymdStr);
+  if (!s) return "off";
+  if (minuteOfDay >= s.preOpen && minuteOfDay < s.open) return "pre";
+  if (minuteOfDay >= s.open && minuteOfDay < s.close) return "rth";
+  if (minuteOfDay >= s.close && minuteOfDay < s.afterClose) return "after";
+  return "off";
+}
+
+// Trading day strictly before / after (a holiday run never spans more than a few days)
+function previousTradingDay(ymdStr) {
+  let d = addDaysYMD(ymdStr, -1);
+  for (let i = 0; i < 14 && !isTradingDay(d); i++) d = addDaysYMD(d, -1);
+  return d;
+}
+function nextTradingDay(ymdStr) {
+  let d = addDaysYMD(ymdStr, 1);
+  for (let i = 0; i < 14 && !isTradingDay(d); i++) d = addDaysYMD(d, 1);
+  return d;
+}
+
+// The session a day's data belongs to: the day itself, or the last trading day before it
+function tradingDayOnOrBefore(ymdStr) {
+  return isTradingDay(ymdStr) ? ymdStr : previousTradingDay(ymdStr);
+}
+
+// The trading day `count` sessions before ymdStr (bar lookback windows)
+function tradingDaysBack(ymdStr, count) {
+  let d = ymdStr;
+  for (let i = 0; i < count; i++) d = previousTradingDay(d);
+  return d;
+}
+
+// Holidays and half days from fromYmd on, soonest first
+function upcomingMarketDays(fromYmd, limit = 5) {
+  const out = [];
+  for (const [date, name] of Object.entries(NYSE_HOLIDAYS)) if (date >= fromYmd) out.push({ date, name, type: "holiday" });
+  for (const [date, name] of Object.entries(NYSE_HALF_DAYS)) if (date >= fromYmd) out.push({ date, name, type: "half_day" });
+  return out.sort((a, b) => a.date.localeCompare(b.date)).slice(0, limit);
+}
+
+// Day summary for /market-status?date=
+function tradingDayInfo(ymdStr) {
+  const s = sessionMinutes(ymdStr);
+  const hm = minutesToHHMM;
+  return {
+    date: ymdStr,
+    tradingDay: Boolean(s),
+    weekend: isWeekend(ymdStr),
+    holiday: holidayName(ymdStr),
+    halfDay: halfDayName(ymdStr),
+    hours: s ? { premarket: hm(s.preOpen), open: hm(s.open), close: hm(s.close), afterHoursEnd: hm(s.afterClose) } : null,
+    previousTradingDay: previousTradingDay(ymdStr),
+    nextTradingDay: nextTradingDay(ymdStr),
+    calendarCovered: calendarCovers(ymdStr),
+  };
+}
+
+export {
+  NYSE_HOLIDAYS,
+  NYSE_HALF_DAYS,
+  CALENDAR_YEARS,
+  addDaysYMD,
+  minutesToHHMM,
+  calendarCovers,
+  isWeekend,
+  holidayName,
+  halfDayName,
+  isHalfDay,
+  isTradingDay,
+  sessionMinutes,
+  sessionAt,
+  previousTradingDay,
+  nextTradingDay,
+  tradingDayOnOrBefore,
+  tradingDaysBack,
+  upcomingMarketDays,
+  tradingDayInfo,
+};
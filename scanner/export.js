@@ -0,0 +1,134 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/export.js
+// Row exports for spreadsheets and notebooks (?format=csv|tsv|ndjson on the row routes):
+//   csv     RFC 4180 (CRLF, quoted when needed) + UTF-8 BOM so Excel keeps the icons
+//   tsv     tab-separated (tabs / newlines inside a value become spaces) + BOM
+//   ndjson  one JSON object per row, same keys as the csv header
+// Every export has a fixed column list (the route's default or ?columns=) and a
+// header, whatever the rows carry: a missing field is an empty cell / null, so
+// files from different runs line up. Text that a spreadsheet would run as a
+// formula (= + - @) gets a leading '. Pure, no env / network.
+// ============================================================================
+
+const EXPORT_FORMATS = {
+  csv: { type: "text/csv; charset=utf-8", ext: "csv", sep: ",", eol: "\r\n", bom: true },
+  tsv: { type: "text/tab-separated-values; charset=utf-8", ext: "tsv", sep: "\t", eol: "\r\n", bom: true },
+  ndjson: { type: "application/x-ndjson; charset=utf-8", ext: "ndjson" },
+};
+
+// Scanner rows (/list, /scan, /snapshot-all, movers, most-*, unusual-volume, top-movers, /screen)
+const ROW_EXPORT_COLUMNS = [
+  "symbol",
+  "price",
+  "open",
+  "prevClose",
+  "pricePct",
+  "gapPct",
+  "extPct",
+  "volume",
+  "rvol",
+  "floatM",
+  "floatTurnoverPct",
+  "marketCapB",
+  "cap",
+  "vwap_5m",
+  "aboveVWAP_5m",
+  "ema9_5m",
+  "ema34_5m",
+  "rsi14_5m",
+  "macdHist_5m",
+  "atrPct_5m",
+  "demandScore",
+  "signalIcon",
+  "halted",
+];
+const HALT_EXPORT_COLUMNS = ["symbol", "halted", "lastEvent", "reason", "tsMs"];
+const HALT_HISTORY_EXPORT_COLUMNS = ["id", "symbol", "day", "halted", "haltedAt", "resumedAt", "durationSec", "reason", "limitUp", "limitDown"];
+const LULD_EVENT_EXPORT_COLUMNS = ["id", "symbol", "day", "kind", "ts", "exchangeTs", "indicators", "limitUp", "limitDown", "reason"];
+const HALT_STATS_EXPORT_COLUMNS = ["symbol", "day", "halts", "openHalts", "avgDurationSec", "maxDurationMs"];
+const LULD_EXPORT_COLUMNS = ["symbol", "price", "luldUpper", "luldLower", "pctToLimitUp", "pctToLimitDown", "pctToBand", "luldSide", "halted", "luldTsMs"];
+
+const EXPORT_MAX_COLUMNS = 60;
+const COLUMN_RE = /^[A-Za-z_][A-Za-z0-9_]{0,59}$/;
+
+// ?format= -> { ok, format: null (JSON) | "csv" | "tsv" | "ndjson" } | { ok: false, errors }
+function parseExportFormat(x) {
+  const format = String(x ?? "").trim().toLowerCase();
+  if (!format || format === "json") return { ok: true, format: null };
+  if (EXPORT_FORMATS[format]) return { ok: true, format };
+  return { ok: false, errors: [`format must be one of: json, ${Object.keys(EXPORT_FORMATS).join(", ")}`] };
+}
+
+// ?columns=symbol,price,rsi14_15m -> { ok, columns } (empty -> the route's defaults)
+function parseExportColumns(x, defaults) {
+  const list = String(x ?? "")
+    .split(",")
+    .map((c) => c.trim())
+    .filter(Boolean);
+  if (!list.length) return { ok: true, columns: [...defaults] };
+
+  const errors = list.filter((c) => !COLUMN_RE.test(c)).map((c) => `columns: invalid field name "${c.slice(0, 40)}"`);
+  const columns = [...new Set(list)];
+  if (columns.length > EXPORT_MAX_COLUMNS) errors.push(`at most ${EXPORT_MAX_COLUMNS} columns`);
+  return errors.length ? { ok: false, errors } : { ok: true, columns };
+}
+
+function cellText(v) {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "number") return Number.isFinite(v) ? String(v) : "";
+  if (typeof v === "boolean") return v ? "true" : "false";
+  if (typeof v === "object") return JSON.stringify(v);
+  const s = String(v);
+  return /^[=+\-@]/.test(s) ? `'${s}` : s;
+}
+
+function csvCell(v) {
+  const s = cellText(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function tsvCell(v) {
+  return cellText(v).replace(/[\t\r\n]+/g, " ");
+}
+
+function ndjsonValue(v) {
+  if (v === undefined) return null;
+  if (typeof v === "number" && !Number.isFinite(v)) return null;
+  return v;
+}
+
+// rows + fixed columns -> the file body
+function exportRows(rows, columns, format) {
+  const f = EXPORT_FORMATS[format];
+  if (!f) throw new Error(`unknown export format "${format}"`);
+  const list = Array.isArray(rows) ? rows : [];
+
+  if (format === "ndjson") {
+    return list.map((r) => JSON.stringify(Object.fromEntries(columns.map((c) => [c, ndjsonValue(r?.[c])])))).join("\n") + (list.length ? "\n" : "");
+  }
+
+  const cell = format === "csv" ? csvCell : tsvCell;
+  const lines = [columns.map(cell).join(f.sep), ...list.map((r) => columns.map((c) => cell(r?.[c])).join(f.sep))];
+  return (f.bom ? "\uFEFF" : "") + lines.join(f.eol) + f.eol;
+}
+
+// "/movers-premarket" -> "algtp-movers-premarket-20261019-1430.csv" (UTC)
+function exportFileName(path, format, now = Date.now()) {
+  const base = String(path ?? "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60) || "rows";
+  const stamp = new Date(now).toISOString().slice(0, 16).replace(/[-:]/g, "").replace("T", "-");
+  return `algtp-${base}-${stamp}.${EXPORT_FORMATS[format]?.ext || format}`;
+}
+
+export {
+  EXPORT_FORMATS,
+  ROW_EXPORT_COLUMNS,
+  HALT_EXPORT_COLUMNS,
+  HALT_HISTORY_EXPORT_COLUMNS,
+  LULD_EVENT_EXPORT_COLUMNS,
+  HALT_STATS_EXPORT_COLUMNS,
+  LULD_EXPORT_COLUMNS,
+  parseExportFormat,
+  parseExportColumns,
+  exportRows,
+  exportFileName,
+};
@@ -0,0 +1,107 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/filters.js
+// Row filters shared by every route: cap bucket, smart filters (query string),
+// ?sort= re-ranking and the Awesome Oscillator / RSI / MACD / Bollinger gates
+// (5m fields from indicatorsFromAggs5m; rows without the field never pass).
+// ============================================================================
+import { n } from "./util.js";
+
+function capPass(row, cap) {
+  const want = String(cap || "all").toLowerCase();
+  if (want === "all" || want === "") return true;
+  return String(row?.cap || "").toLowerCase() === want;
+}
+
+// n() without the n(null) === 0 trap: a missing indicator is "unknown", not 0
+const num = (x) => (x === null || x === undefined ? null : n(x));
+
+function toNumQ(v) {
+  const s = String(v ?? "").trim();
+  if (!s) return null;
+  const x = Number(s);
+  return Number.isFinite(x) ? x : null;
+}
+
+// ?minPrice=&maxPrice=&minVol=&minRVOL= (all optional, null-safe)
+// + ?rsiMin=&rsiMax= • ?macdCross=bull|bear (or ?macd=bull|bear|above|below) • ?bb=above|below|inside
+function applySmartFilters(rows, q = {}) {
+  const minPrice = toNumQ(q.minPrice);
+  const maxPrice = toNumQ(q.maxPrice);
+  const minVol = toNumQ(q.minVol);
+  const minRVOL = toNumQ(q.minRVOL);
+  const rsiMin = toNumQ(q.rsiMin);
+  const rsiMax = toNumQ(q.rsiMax);
+  const macdMode = String(q.macdCross || q.macd || "").trim().toLowerCase();
+  const bbMode = String(q.bb || "").trim().toLowerCase();
+  if (rsiMin !== null || rsiMax !== null) rows = rows.filter((r) => rsiPass(r, { min: rsiMin, max: rsiMax }));
+  if (macdMode) rows = rows.filter((r) => macdPass(r, macdMode));
+  if (bbMode) rows = rows.filter((r) => bbPass(r, bbMode));
+  if (minPrice === null && maxPrice === null && minVol === null && minRVOL === null) return rows;
+
+  return rows.filter((r) => {
+    const price = n(r?.price);
+    const vol = n(r?.volume);
+    const rvol = n(r?.rvol); // time-of-day RVOL (server.js SECTION 09.6)
+    if (minPrice !== null && (price === null || price < minPrice)) return false;
+    if (maxPrice !== null && (price === null || price > maxPrice)) return false;
+    if (minVol !== null && (vol === null || vol < minVol)) return false;
+    if (minRVOL !== null && (rvol === null || rvol < minRVOL)) return false;
+    return true;
+  });
+}
+
+// ?sort=<key> re-ranks a route's rows (highest first, rows without the value last).
+// Unknown / empty keys keep the route's own order.
+const SORT_KEYS = {
+  rvol: (r) => n(r?.rvol),
+  rsi: (r) => num(r?.rsi14_5m),
+  atrpct: (r) => num(r?.atrPct_5m),
+};
+
+function applySortParam(rows, q = {}) {
+  const get = SORT_KEYS[String(q.sort || "").trim().toLowerCase()];
+  if (!get) return rows;
+  return [...rows].sort((a, b) => (get(b) ?? -Infinity) - (get(a) ?? -Infinity) || (n(b?.volume) ?? 0) - (n(a?.volume) ?? 0));
+}
+
+// AO_MODE: above_zero | rising
+function aoPass(row, mode = "above_zero") {
+  const ao = n(row?.ao);
+  const aoPrev = n(row?.aoPrev);
+  if (ao === null) return false;
+  if (mode === "above_zero") return ao > 0;
+  if (mode === "rising") return aoPrev !== null && ao > aoPrev;
+  return true;
+}
+
+// RSI_MIN / RSI_MAX or ?rsiMin=&rsiMax= on rsi14_5m (null bound = open)
+function rsiPass(row, { min = null, max = null } = {}) {
+  const rsi = num(row?.rsi14_5m);
+  if (rsi === null) return false;
+  return (min === null || rsi >= min) && (max === null || rsi <= max);
+}
+
+// MACD_MODE: bull | bear (crossed its signal within MACD_CROSS_BARS) | above | below (MACD vs signal now)
+function macdPass(row, mode = "bull") {
+  if (mode === "bull" || mode === "bear") return row?.macdCross_5m === mode;
+  const macd = num(row?.macd_5m);
+  const signal = num(row?.macdSignal_5m);
+  if (macd === null || signal === null) return false;
+  if (mode === "above") return macd > signal;
+  if (mode === "below") return macd < signal;
+  return true;
+}
+
+// bb: above (price over the upper band) | below (under the lower band) | inside
+function bbPass(row, mode = "inside") {
+  const price = num(row?.price);
+  const upper = num(row?.bbUpper_5m);
+  const lower = num(row?.bbLower_5m);
+  if (price === null || upper === null || lower === null) return false;
+  if (mode === "above") return price > upper;
+  if (mode === "below") return price < lower;
+  if (mode === "inside") return price >= lower && price <= upper;
+  return true;
+}
+
+export { capPass, applySmartFilters, SORT_KEYS, applySortParam, aoPass, rsiPass, macdPass, bbPass };
@@ -0,0 +1,48 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/fmp.js
+// Financial Modeling Prep shares-float (Float / Float Turnover% enrichment).
+// ----------------------------------------------------------------------------
+// ENV:
+//   FMP_API_KEY
+//   FLOAT_TTL_MS (cache per symbol, default 1 day — kept by safeGet's shared cache)
+// ============================================================================
+import "dotenv/config";
+import { n } from "./util.js";
+import { CACHE_TTLS_MS, safeGet } from "./http.js";
+
+const FMP_API_KEY = String(process.env.FMP_API_KEY || "").trim();
+const FLOAT_TTL_MS = CACHE_TTLS_MS.float;
+
+async function fetchFloatSharesFMP(sym) {
+  const ticker = String(sym || "").trim().toUpperCase();
+  if (!ticker) return { ok: false, floatShares: null, reason: "no_symbol" };
+  if (!FMP_API_KEY) return { ok: false, floatShares: null, reason: "missing_FMP_API_KEY" };
+
+  const url = "https://financialmodelingprep.com/stable/shares-float";
+  const r = await safeGet(url, {
+    params: { symbol: ticker, apikey: FMP_API_KEY },
+    headers: { "user-agent": "ALGTP" },
+    endpoint: "float",
+    cacheIf: (x) => floatFrom(x.data) !== null, // misses are retried, not pinned for a day
+  });
+
+  const fs = floatFrom(r.data);
+  if (!r.ok || fs === null) return { ok: false, floatShares: null, detail: r.errorDetail || r.data };
+
+  return { ok: true, floatShares: Math.round(fs), cached: Boolean(r.cached) };
+}
+
+function floatFrom(data) {
+  const arr = Array.isArray(data) ? data : Array.isArray(data?.data) ? data.data : [];
+  const row = arr && arr.length ? arr[0] : null;
+
+  return (
+    n(row?.floatShares) ??
+    n(row?.float) ??
+    n(row?.sharesFloat) ??
+    n(row?.freeFloat) ??
+    null
+  );
+}
+
+export { FMP_API_KEY, FLOAT_TTL_MS, fetchFloatSharesFMP };
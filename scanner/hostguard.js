@@ -0,0 +1,97 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/hostguard.js
+// Outbound URLs that users type in (webhooks) may only reach public hosts:
+// loopback, private (RFC 1918 / ULA), CGNAT, link-local (cloud metadata
+// 169.254.169.254, fd00:ec2::254), multicast and reserved addresses are refused,
+// whether written as an IP or behind a name that resolves there.
+//   checkPublicUrl(url, { allowHosts })  save time + send time, IP literals included
+//   guardedLookup(allowHosts)            dns.lookup drop-in for http(s).Agent: the same
+//                                        check at connect time (no DNS re-pointing later)
+// allowHosts: exact host names / IPs that skip the check (a local receiver).
+// No env: the caller passes its allowlist.
+// ============================================================================
+import dns from "node:dns";
+import net from "node:net";
+
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 3], // multicast + reserved + broadcast
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  const type = net.isIP(String(address ?? ""));
+  if (!type) return true;
+  return BLOCKED.check(address, type === 4 ? "ipv4" : "ipv6");
+}
+
+function hostOf(u) {
+  return u.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+}
+
+// -> { ok: true } | { ok: false, error }
+async function checkPublicUrl(url, { allowHosts = [], lookup = dns.promises.lookup } = {}) {
+  let u;
+  try {
+    u = new URL(String(url ?? ""));
+  } catch {
+    return { ok: false, error: "url must be an http(s) URL" };
+  }
+  if (u.protocol !== "http:" && u.protocol !== "https:") return { ok: false, error: "url must be an http(s) URL" };
+
+  const host = hostOf(u);
+  if (allowHosts.includes(host)) return { ok: true };
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true, verbatim: true });
+  } catch {
+    return { ok: false, error: `url host ${host} does not resolve` };
+  }
+  if (!addresses.length || addresses.some((a) => isBlockedAddress(a.address))) {
+    return { ok: false, error: `url host ${host} is a loopback, private or link-local address` };
+  }
+  return { ok: true };
+}
+
+function guardedLookup(allowHosts = []) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, options, (err, address, family) => {
+      if (err || allowHosts.includes(String(hostname).toLowerCase())) return callback(err, address, family);
+      const list = Array.isArray(address) ? address : [{ address }];
+      if (list.some((a) => isBlockedAddress(a.address))) {
+        const e = new Error(`${hostname} resolves to a blocked address`);
+        e.code = "EBLOCKEDHOST";
+        return callback(e);
+      }
+      callback(null, address, family);
+    });
+  };
+}
+
+export { isBlockedAddress, checkPublicUrl, guardedLookup };
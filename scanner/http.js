@@ -0,0 +1,85 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/http.js
+// Axios guard: upstream calls never throw, they return { ok, status, data, url, errorDetail }.
+// Every call first takes one token from the global upstream budget; when it is
+// empty the call is NOT sent and comes back as status 429 (errorDetail.kind "budget").
+// Shared response cache (scanner/cache.js) in front of both: ok responses are kept
+// for the endpoint's TTL, and identical concurrent GETs share one upstream call.
+// ----------------------------------------------------------------------------
+// ENV:
+//   UPSTREAM_BUDGET_PER_MIN  sustained upstream calls / minute, all providers (default 1200, 0 = unlimited)
+//   UPSTREAM_BUDGET_BURST    bucket size (default = UPSTREAM_BUDGET_PER_MIN)
+//   UPSTREAM_CACHE_MAX       cached responses kept (LRU, default 5000)
+//   CACHE_TTL_<ENDPOINT>_MS  per endpoint (0 = no cache, still coalesced):
+//     MOVERS 5000 • SNAPSHOT 5000 • SNAPSHOT_ALL 10000 • AGGS 15000 • AGGS_RANGE 10 min • DAILY 6h
+//     float: FLOAT_TTL_MS (default 1 day)
+// ============================================================================
+import "dotenv/config";
+import axios from "axios";
+import { createUpstreamBudget } from "./ratelimit.js";
+import { createLruCache, requestKey } from "./cache.js";
+
+const UPSTREAM_BUDGET_PER_MIN = Math.max(0, Math.min(1_000_000, Number(process.env.UPSTREAM_BUDGET_PER_MIN ?? 1200) || 0));
+const UPSTREAM_BUDGET_BURST = Math.max(1, Math.min(1_000_000, Number(process.env.UPSTREAM_BUDGET_BURST || UPSTREAM_BUDGET_PER_MIN || 1)));
+
+const upstreamBudget = createUpstreamBudget({ perMin: UPSTREAM_BUDGET_PER_MIN, burst: UPSTREAM_BUDGET_BURST });
+
+const ttlEnv = (key, def) => Math.max(0, Math.min(7 * 86_400_000, Number(process.env[key] ?? def) || 0));
+const CACHE_TTLS_MS = {
+  movers: ttlEnv("CACHE_TTL_MOVERS_MS", 5000),
+  snapshot: ttlEnv("CACHE_TTL_SNAPSHOT_MS", 5000),
+  snapshotAll: ttlEnv("CACHE_TTL_SNAPSHOT_ALL_MS", 10000),
+  aggs: ttlEnv("CACHE_TTL_AGGS_MS", 15000),
+  aggsRange: ttlEnv("CACHE_TTL_AGGS_RANGE_MS", 10 * 60 * 1000), // past sessions only (RVOL baselines)
+  daily: ttlEnv("CACHE_TTL_DAILY_MS", 6 * 60 * 60 * 1000),
+  float: Math.max(60_000, ttlEnv("FLOAT_TTL_MS", 86_400_000)),
+};
+const UPSTREAM_CACHE_MAX = Math.max(100, Math.min(200_000, Number(process.env.UPSTREAM_CACHE_MAX || 5000)));
+
+const upstreamCache = createLruCache({ name: "upstream", maxEntries: UPSTREAM_CACHE_MAX });
+
+function axiosFail(e) {
+  if (!e || !e.isAxiosError) return { kind: "unknown", message: String(e?.message || e) };
+  const code = e.code || null;
+  const msg = e.message || "axios error";
+  const url = e.config?.url || null;
+  if (!e.response) return { kind: "network", code, message: msg, url };
+
+  const status = e.response.status;
+  const data = e.response.data;
+  const bodyPreview = typeof data === "string" ? data.slice(0, 800) : JSON.stringify(data).slice(0, 800);
+  return { kind: "http", status, message: msg, url, bodyPreview };
+}
+
+async function fetchOnce(url, params, headers) {
+  const b = upstreamBudget.take();
+  if (!b.ok) {
+    return {
+      ok: false,
+      status: 429,
+      data: null,
+      url,
+      errorDetail: { kind: "budget", message: "Upstream budget exhausted", url, retryAfterSec: b.retryAfterSec },
+    };
+  }
+  try {
+    const r = await axios.get(url, { params, headers, timeout: 25000, validateStatus: () => true });
+    return { ok: r.status < 400, status: r.status, data: r.data, url };
+  } catch (e) {
+    return { ok: false, status: null, data: null, url, errorDetail: axiosFail(e) };
+  }
+}
+
+// endpoint: key of CACHE_TTLS_MS (TTL + stats label); ttlMs overrides the endpoint TTL.
+// cacheIf(result): keep only results the caller can use (e.g. a float was found).
+async function safeGet(url, { params, headers, endpoint = null, ttlMs, cacheIf } = {}) {
+  const ttl = ttlMs ?? CACHE_TTLS_MS[endpoint] ?? 0;
+  const r = await upstreamCache.wrap(requestKey(url, params), () => fetchOnce(url, params, headers), {
+    ttlMs: ttl,
+    label: endpoint || "other",
+    cacheIf: (x) => x.ok && (!cacheIf || cacheIf(x)),
+  });
+  return r.cached || r.coalesced ? { ...r.value, cached: true } : r.value;
+}
+
+export { CACHE_TTLS_MS, axiosFail, safeGet, upstreamBudget, upstreamCache };
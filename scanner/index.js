@@ -0,0 +1,53 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/ (importable scanner library)
+// import { normalizeSnapshotAuto, demandScore, fetchMovers } from "./scanner/index.js";
+// ----------------------------------------------------------------------------
+//   util.js        n / round2 / clamp / mapPool / ymd
+//   session.js     NY time + pre / rth / after sessions + market status
+//   calendar.js    bundled NYSE calendar (holidays, half days, trading days)
+//   http.js        safeGet (axios guard) + global upstream budget + shared response cache
+//   cache.js       LRU + TTL cache with in-flight coalescing and hit / miss stats
+//   ratelimit.js   token buckets (per-caller route limits, upstream budget)
+//   massive.js     Massive REST data source (movers, snapshots, aggs)
+//   polygon.js     Polygon REST data source + daily open / prevClose (Gap%)
+//   fmp.js         Financial Modeling Prep float
+//   mock.js        file-backed offline data source (fixtures/mock)
+//   providers.js   DATA_PROVIDER selection (massive | polygon | mock)
+//   normalize.js   snapshot -> row, cap / float buckets, Ext%, Float Turnover%
+//   indicators.js  EMA / SMA / VWAP / AO (+ series for charts: RSI / MACD / ATR / AO)
+//   mtf.js         multi-timeframe indicator engine (1m / 5m / 15m / 1h / 1d, ?tf= + ?ind=)
+//   vwap.js        session-anchored VWAP (09:30 rth | 04:00 pre, HLC3) + σ bands
+//   rvol.js        time-of-day RVOL baselines (cumulative volume by NY minute)
+//   luld.js        LULD message parsing + distance to the Limit Up / Limit Down bands
+//   scoring.js     demandScore, icons, 5m signals, Volume/Float tiers, ranking
+//   filters.js     cap filter, smart filters, AO gate
+//   layout.js      dashboard layouts: sections registry, box validation, box URLs
+//   screen.js      screener expression language (/screen?q=): parser, field catalog, evaluator
+//   export.js      csv / tsv / ndjson row exports (?format=) with fixed column sets
+//   profiles.js    core / daytrade / pro / platform feature flags
+//   backtest.js    replay stored bars through the pipeline
+// ============================================================================
+export * from "./util.js";
+export * from "./session.js";
+export * from "./calendar.js";
+export * from "./http.js";
+export * from "./cache.js";
+export * from "./ratelimit.js";
+export * from "./massive.js";
+export * from "./polygon.js";
+export * from "./fmp.js";
+export * from "./mock.js";
+export * from "./providers.js";
+export * from "./normalize.js";
+export * from "./indicators.js";
+export * from "./mtf.js";
+export * from "./vwap.js";
+export * from "./rvol.js";
+export * from "./luld.js";
+export * from "./scoring.js";
+export * from "./filters.js";
+export * from "./layout.js";
+export * from "./screen.js";
+export * from "./export.js";
+export * from "./profiles.js";
+export * from "./backtest.js";
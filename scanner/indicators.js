@@ -0,0 +1,321 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/indicators.js
+// Indicator math (EMA/SMA/VWAP/RSI/MACD/ATR/Bollinger) + Awesome Oscillator + series
+// (one value per bar: mini-chart overlays and the multi-timeframe engine, scanner/mtf.js).
+//   RSI / ATR: Wilder smoothing • MACD: EMA(fast) - EMA(slow), signal = EMA of MACD
+//   Bollinger: SMA(20) ± 2 population σ • macdCross: MACD crossed its signal within the last N bars
+// Pure functions: bars in, numbers out (no env, no network).
+// Session-anchored VWAP + bands: scanner/vwap.js
+// ============================================================================
+import { n, round2 } from "./util.js";
+import { anchoredVWAP } from "./vwap.js";
+
+const round4 = (x) => (x === null ? null : Number(x.toFixed(4)));
+
+function computeSMA(arr, len) {
+  if (!Array.isArray(arr) || arr.length < len) return null;
+  let sum = 0;
+  for (let i = arr.length - len; i < arr.length; i++) sum += arr[i];
+  return sum / len;
+}
+function computeEMA(arr, len) {
+  if (!Array.isArray(arr) || arr.length < len) return null;
+  const k = 2 / (len + 1);
+  let ema = computeSMA(arr.slice(0, len), len);
+  if (ema === null) return null;
+  for (let i = len; i < arr.length; i++) ema = arr[i] * k + ema * (1 - k);
+  return ema;
+}
+function computeVWAP(closes, volumes) {
+  if (!Array.isArray(closes) || !Array.isArray(volumes) || closes.length === 0 || closes.length !== volumes.length) return null;
+  let pv = 0, vv = 0;
+  for (let i = 0; i < closes.length; i++) {
+    const c = n(closes[i]);
+    const v = n(volumes[i]);
+    if (c === null || v === null || v <= 0) continue;
+    pv += c * v;
+    vv += v;
+  }
+  if (vv <= 0) return null;
+  return pv / vv;
+}
+function computeAvg(arr) {
+  if (!Array.isArray(arr) || arr.length === 0) return null;
+  let s = 0, c = 0;
+  for (const x of arr) {
+    const v = n(x);
+    if (v === null) continue;
+    s += v;
+    c++;
+  }
+  if (c === 0) return null;
+  return s / c;
+}
+const EMPTY_OSCILLATORS_5M = {
+  rsi14_5m: null,
+  macd_5m: null,
+  macdSignal_5m: null,
+  macdHist_5m: null,
+  macdCross_5m: null,
+  atr14_5m: null,
+  atrPct_5m: null,
+  bbUpper_5m: null,
+  bbMid_5m: null,
+  bbLower_5m: null,
+  bbPctB_5m: null,
+};
+
+// "bull" | "bear" when MACD crossed its signal within the last `bars` bars (and is still on that side)
+function macdCrossOf(hist, bars = 3) {
+  const i = hist.length - 1;
+  if (i < 1 || hist[i] === null || hist[i] === 0) return null;
+  const side = Math.sign(hist[i]);
+  for (let k = i - 1; k >= Math.max(0, i - bars); k--) {
+    if (hist[k] === null) return null;
+    if (Math.sign(hist[k]) !== side) return side > 0 ? "bull" : "bear";
+  }
+  return null;
+}
+
+// RSI(14) / MACD(12,26,9) / ATR(14) / Bollinger(20,2) on 5m bars (oldest first) -> row fields
+function oscillatorsFromBars(barsChrono, { macdCrossBars = 3 } = {}) {
+  const closes = barsChrono.map((x) => x.c);
+  const hl = barsChrono.filter((x) => x.h !== null && x.l !== null);
+  const lastOf = (arr) => (arr.length ? arr[arr.length - 1] : null);
+  const r2 = (x) => (x === null ? null : round2(x));
+
+  const macd = macdSeries(closes);
+  const bb = bollingerSeries(closes, 20, 2);
+  const close = lastOf(closes);
+  const atr = lastOf(atrSeries(hl, 14));
+  const [up, mid, low] = [lastOf(bb.upper), lastOf(bb.mid), lastOf(bb.lower)];
+
+  return {
+    rsi14_5m: r2(lastOf(rsiSeries(closes, 14))),
+    macd_5m: round4(lastOf(macd.macd)),
+    macdSignal_5m: round4(lastOf(macd.signal)),
+    macdHist_5m: round4(lastOf(macd.hist)),
+    macdCross_5m: macdCrossOf(macd.hist, macdCrossBars),
+    atr14_5m: round4(atr),
+    atrPct_5m: atr !== null && close > 0 ? round2((atr / close) * 100) : null,
+    bbUpper_5m: r2(up),
+    bbMid_5m: r2(mid),
+    bbLower_5m: r2(low),
+    bbPctB_5m: up !== null && up > low ? round2((close - low) / (up - low)) : null,
+  };
+}
+
+function indicatorsFromAggs5m(barsDesc, { volAvgLen = 20, macdCrossBars = 3 } = {}) {
+  if (!Array.isArray(barsDesc) || barsDesc.length === 0) {
+    return {
+      sma26_5m: null,
+      ema9_5m: null,
+      ema34_5m: null,
+      vwap_5m: null,
+      vwapRth_5m: null,
+      vwapRthSd_5m: null,
+      vwapPre_5m: null,
+      vwapPreSd_5m: null,
+      lastVol_5m: null,
+      avgVol_5m: null,
+      ...EMPTY_OSCILLATORS_5M,
+    };
+  }
+  const bars = barsDesc
+    .map((b) => ({
+      t: n(b?.t ?? b?.timestamp),
+      c: n(b?.c ?? b?.close),
+      v: n(b?.v ?? b?.volume),
+      h: n(b?.h ?? b?.high),
+      l: n(b?.l ?? b?.low),
+    }))
+    .filter((x) => x.c !== null)
+    .slice(0, 600);
+
+  const barsChrono = [...bars].reverse();
+  const closes = barsChrono.map((x) => x.c);
+  const vols = barsChrono.map((x) => x.v ?? 0);
+
+  const sma26 = closes.length >= 26 ? computeSMA(closes, 26) : null;
+  const ema9 = computeEMA(closes, 9);
+  const ema34 = computeEMA(closes, 34);
+  // VWAP only counts the current session (HLC3 from the anchor); attach5mSignals picks the anchor
+  const rth = anchoredVWAP(barsChrono, { anchor: "rth" });
+  const pre = anchoredVWAP(barsChrono, { anchor: "pre" });
+
+  const osc = oscillatorsFromBars(barsChrono, { macdCrossBars });
+
+  const lastBar = barsChrono[barsChrono.length - 1] || null;
+  const lastVol = lastBar?.v ?? null;
+  const avgVol = computeAvg(vols.slice(-volAvgLen));
+
+  return {
+    sma26_5m: sma26 !== null ? round2(sma26) : null,
+    ema9_5m: ema9 !== null ? round2(ema9) : null,
+    ema34_5m: ema34 !== null ? round2(ema34) : null,
+    vwap_5m: rth.vwap !== null ? round2(rth.vwap) : null,
+    vwapRth_5m: rth.vwap !== null ? round2(rth.vwap) : null,
+    vwapRthSd_5m: round4(rth.sd),
+    vwapPre_5m: pre.vwap !== null ? round2(pre.vwap) : null,
+    vwapPreSd_5m: round4(pre.sd),
+    lastVol_5m: lastVol !== null ? Math.round(lastVol) : null,
+    avgVol_5m: avgVol !== null ? Math.round(avgVol) : null,
+    ...osc,
+    _bars5m_forAwesomeOscillator: bars,
+  };
+}
+function computeAwesomeOscillatorFrom5mBars(bars) {
+  // Awesome Oscillator = SimpleMovingAverage(5, median) - SimpleMovingAverage(34, median)
+  // bars: newest first (fetchAggs5m sort=desc), so index 0 is the current bar
+  if (!Array.isArray(bars) || bars.length < 34) return { ao: null, aoPrev: null };
+
+  const medianPriceSeries = bars
+    .filter((b) => n(b?.h) !== null && n(b?.l) !== null)
+    .map((b) => (Number(b.h) + Number(b.l)) / 2);
+
+  if (medianPriceSeries.length < 35) return { ao: null, aoPrev: null };
+
+  const simpleMovingAverageAt = (arr, len, idx) => {
+    if (idx + len > arr.length) return null;
+    let s = 0;
+    for (let i = idx; i < idx + len; i++) s += arr[i];
+    return s / len;
+  };
+
+  const aoNow = simpleMovingAverageAt(medianPriceSeries, 5, 0) - simpleMovingAverageAt(medianPriceSeries, 34, 0);
+  const aoPrev = simpleMovingAverageAt(medianPriceSeries, 5, 1) - simpleMovingAverageAt(medianPriceSeries, 34, 1);
+
+  return { ao: aoNow !== null ? round2(aoNow) : null, aoPrev: aoPrev !== null ? round2(aoPrev) : null };
+}
+
+// ----------------------------------------------------------------------------
+// Series versions (one value per bar, null until warmed up): /mini-chart + scanner/mtf.js
+// ----------------------------------------------------------------------------
+function smaSeries(values, len) {
+  const out = Array(values.length).fill(null);
+  if (values.length < len) return out;
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= len) sum -= values[i - len];
+    if (i >= len - 1) out[i] = sum / len;
+  }
+  return out;
+}
+function emaSeries(values, len) {
+  const out = Array(values.length).fill(null);
+  if (values.length < len) return out;
+  const k = 2 / (len + 1);
+  let seed = 0;
+  for (let i = 0; i < len; i++) seed += values[i];
+  let e = seed / len;
+  out[len - 1] = e;
+  for (let i = len; i < values.length; i++) {
+    e = values[i] * k + e * (1 - k);
+    out[i] = e;
+  }
+  return out;
+}
+function vwapSeries(closes, vols) {
+  const out = Array(closes.length).fill(null);
+  let pv = 0, vv = 0;
+  for (let i = 0; i < closes.length; i++) {
+    const c = closes[i];
+    const v = vols[i] || 0;
+    pv += c * v;
+    vv += v;
+    out[i] = vv > 0 ? pv / vv : null;
+  }
+  return out;
+}
+
+function rsiSeries(values, len = 14) {
+  const out = Array(values.length).fill(null);
+  if (values.length <= len) return out;
+  const rsiOf = (g, l) => (l === 0 ? (g === 0 ? 50 : 100) : 100 - 100 / (1 + g / l));
+  let gain = 0, loss = 0;
+  for (let i = 1; i <= len; i++) {
+    const d = values[i] - values[i - 1];
+    if (d > 0) gain += d;
+    else loss -= d;
+  }
+  gain /= len;
+  loss /= len;
+  out[len] = rsiOf(gain, loss);
+  for (let i = len + 1; i < values.length; i++) {
+    const d = values[i] - values[i - 1];
+    gain = (gain * (len - 1) + Math.max(d, 0)) / len;
+    loss = (loss * (len - 1) + Math.max(-d, 0)) / len;
+    out[i] = rsiOf(gain, loss);
+  }
+  return out;
+}
+function macdSeries(values, fast = 12, slow = 26, signal = 9) {
+  const f = emaSeries(values, fast);
+  const s = emaSeries(values, slow);
+  const macd = values.map((_, i) => (f[i] === null || s[i] === null ? null : f[i] - s[i]));
+  const sig = Array(values.length).fill(null);
+  const start = macd.findIndex((x) => x !== null);
+  if (start >= 0) emaSeries(macd.slice(start), signal).forEach((x, i) => (sig[start + i] = x));
+  const hist = macd.map((m, i) => (m === null || sig[i] === null ? null : m - sig[i]));
+  return { macd, signal: sig, hist };
+}
+// bars: oldest first { h, l, c }; true range uses the previous close
+function atrSeries(bars, len = 14) {
+  const out = Array(bars.length).fill(null);
+  if (bars.length < len) return out;
+  const tr = bars.map((b, i) => {
+    const pc = i > 0 ? bars[i - 1].c : null;
+    return pc === null ? b.h - b.l : Math.max(b.h - b.l, Math.abs(b.h - pc), Math.abs(b.l - pc));
+  });
+  let atr = 0;
+  for (let i = 0; i < len; i++) atr += tr[i];
+  atr /= len;
+  out[len - 1] = atr;
+  for (let i = len; i < bars.length; i++) {
+    atr = (atr * (len - 1) + tr[i]) / len;
+    out[i] = atr;
+  }
+  return out;
+}
+// Bollinger Bands: SMA(len) ± mult × population standard deviation of the same window
+function bollingerSeries(values, len = 20, mult = 2) {
+  const mid = smaSeries(values, len);
+  const upper = Array(values.length).fill(null);
+  const lower = Array(values.length).fill(null);
+  for (let i = len - 1; i < values.length; i++) {
+    if (mid[i] === null) continue;
+    let ss = 0;
+    for (let k = i - len + 1; k <= i; k++) ss += (values[k] - mid[i]) ** 2;
+    const sd = Math.sqrt(ss / len);
+    upper[i] = mid[i] + mult * sd;
+    lower[i] = mid[i] - mult * sd;
+  }
+  return { mid, upper, lower };
+}
+// Awesome Oscillator per bar: SMA(5) - SMA(34) of the median price (bars oldest first { h, l })
+function aoSeries(bars) {
+  const med = bars.map((b) => (b.h + b.l) / 2);
+  const fast = smaSeries(med, 5);
+  const slow = smaSeries(med, 34);
+  return med.map((_, i) => (fast[i] === null || slow[i] === null ? null : fast[i] - slow[i]));
+}
+
+export {
+  computeSMA,
+  computeEMA,
+  computeVWAP,
+  computeAvg,
+  indicatorsFromAggs5m,
+  computeAwesomeOscillatorFrom5mBars,
+  smaSeries,
+  emaSeries,
+  vwapSeries,
+  rsiSeries,
+  macdSeries,
+  atrSeries,
+  aoSeries,
+  bollingerSeries,
+  macdCrossOf,
+  oscillatorsFromBars,
+};
@@ -0,0 +1,178 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/layout.js
+// Dashboard layouts: an ordered list of boxes, each one built from a SECTIONS
+// registry entry and optionally re-pointed / re-filtered:
+//   { section: "gappers", source: "/list", params: { group: "topGappers", minGap: 8, cap: "small" },
+//     cols: 4, limit: 30, sort: "gapDesc", title: "SMALL CAP GAPPERS" }
+// cols = box width (2 → ¼, 3 → ⅓, 4 → ½, 6 → full row) • limit = rows shown •
+// sort = client-side ranking (BOX_SORTS). A box that keeps its section's source
+// and params stays on the /stream feed; any change turns it into a polled box.
+// Pure, no env / DB (layouts.js stores them).
+// ============================================================================
+
+// The stock dashboard, in order. stream: true = the id is also a /stream section.
+const DASHBOARD_SECTIONS = {
+  pm_movers: { title: "PREMARKET MOVERS (Gap% + Float Turnover %)", source: "/movers-premarket", params: { limit: 200 }, cols: 3, limit: 40, sort: "gapFloatRank", stream: true },
+  ah_movers: { title: "AFTER HOURS MOVERS (Gap% + Float Turnover %)", source: "/movers-afterhours", params: { limit: 200 }, cols: 3, limit: 40, sort: "gapFloatRank", stream: true },
+  gappers: { title: "GAPPERS", source: "/list", params: { group: "topGappers", cap: "all", limit: 200, minGap: 5 }, cols: 3, limit: 20, sort: "gapDesc", stream: true },
+  unusual: { title: "UNUSUAL VOLUME", source: "/unusual-volume", params: { cap: "all", limit: 200 }, cols: 3, limit: 20, sort: "uv", stream: true },
+  most_active: { title: "MOST ACTIVE", source: "/most-active", params: { cap: "all", limit: 200 }, cols: 3, limit: 20, sort: "active", stream: true },
+  most_volatile: { title: "MOST VOLATILE", source: "/most-volatile", params: { cap: "all", limit: 200 }, cols: 3, limit: 20, sort: "volatile", stream: true },
+  // IMPORTANT (big) — driven by the symbols bar / watchlist picker, symbol text hidden
+  important: { title: "IMPORTANT_STOCKS", source: "/scan", params: {}, cols: 6, limit: 200, sort: "gapDesc", hideSymbol: true },
+  halts: { title: "HALT (Limit Up / Limit Down)", source: "/halts", params: { only: "all" }, cols: 6, limit: 120, sort: "none", type: "halts", stream: true },
+  // not on the stock dashboard, available to custom layouts
+  gainers: { title: "TOP GAINERS", source: "/list", params: { group: "topGainers", cap: "all", limit: 200 }, cols: 3, limit: 20, sort: "none" },
+  losers: { title: "TOP LOSERS", source: "/list", params: { group: "topLosers", cap: "all", limit: 200 }, cols: 3, limit: 20, sort: "none" },
+  top_movers: { title: "TOP MOVERS (Gainers + Losers)", source: "/top-movers", params: { direction: "all", limit: 200 }, cols: 4, limit: 40, sort: "none" },
+  most_lately: { title: "MOST LATELY", source: "/most-lately", params: { limit: 200 }, cols: 3, limit: 20, sort: "none" },
+  premarket: { title: "PREMARKET", source: "/premarket", params: { cap: "all", limit: 200 }, cols: 3, limit: 40, sort: "gapDesc" },
+  aftermarket: { title: "AFTER HOURS", source: "/aftermarket", params: { cap: "all", limit: 200 }, cols: 3, limit: 40, sort: "gapDesc" },
+  snapshot_all: { title: "SNAPSHOT-ALL", source: "/snapshot-all", params: { cap: "all", limit: 200 }, cols: 6, limit: 200, sort: "none" },
+  luld: { title: "NEAR LULD BAND", source: "/luld", params: { within: 2 }, cols: 3, limit: 40, sort: "none" },
+};
+const DEFAULT_LAYOUT_SECTIONS = ["pm_movers", "ah_movers", "gappers", "unusual", "most_active", "most_volatile", "important", "halts"];
+
+const LAYOUT_SOURCES = [
+  "/list",
+  "/scan",
+  "/top-movers",
+  "/movers-premarket",
+  "/movers-afterhours",
+  "/most-active",
+  "/most-volatile",
+  "/most-lately",
+  "/unusual-volume",
+  "/premarket",
+  "/aftermarket",
+  "/snapshot-all",
+  "/halts",
+  "/luld",
+];
+// query params a box may carry (route options + smart filters + timeframe indicators)
+const LAYOUT_PARAMS = [
+  "group", "cap", "limit", "minGap", "minGapAbs", "direction", "only", "within", "symbols", "watchlist", "max",
+  "minPrice", "maxPrice", "minVol", "minRVOL", "rsiMin", "rsiMax", "macdCross", "bb", "sort", "tf", "ind",
+];
+const BOX_SORTS = ["none", "gapDesc", "gapFloatRank", "active", "volatile", "uv"];
+const BOX_COLS = [2, 3, 4, 6];
+const LAYOUT_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const TITLE_MAX = 80;
+const PARAM_MAX = 200;
+
+// "group=topGainers&cap=small" | { group: "topGainers" } -> [[key, value], …]
+function paramEntries(p) {
+  if (p === undefined || p === null || p === "") return [];
+  if (typeof p === "string") return Array.from(new URLSearchParams(p.replace(/^\?/, "")).entries());
+  if (typeof p === "object" && !Array.isArray(p)) return Object.entries(p);
+  return null;
+}
+
+function sameParams(a, b) {
+  const ka = Object.keys(a);
+  return ka.length === Object.keys(b).length && ka.every((k) => String(a[k]) === String(b[k]));
+}
+
+function boxUrl(box) {
+  const qs = new URLSearchParams(Object.entries(box.params).map(([k, v]) => [k, String(v)])).toString();
+  return qs ? `${box.source}?${qs}` : box.source;
+}
+
+function normalizeLayoutName(x) {
+  const name = String(x ?? "").trim().toLowerCase();
+  return LAYOUT_NAME_RE.test(name) ? name : null;
+}
+
+// one box -> { box } | { errors } (errors prefixed with boxes[i])
+function validateBox(x, i) {
+  const at = `boxes[${i}]`;
+  const errors = [];
+  const sectionId = String(x?.section ?? "").trim();
+  const section = Object.hasOwn(DASHBOARD_SECTIONS, sectionId) ? DASHBOARD_SECTIONS[sectionId] : null;
+  if (!section) return { errors: [`${at}.section "${sectionId}" is not one of: ${Object.keys(DASHBOARD_SECTIONS).join(", ")}`] };
+
+  const source = x.source == null ? section.source : String(x.source).trim();
+  if (!LAYOUT_SOURCES.includes(source)) errors.push(`${at}.source must be one of: ${LAYOUT_SOURCES.join(", ")}`);
+
+  const entries = x.params === undefined ? Object.entries(section.params) : paramEntries(x.params);
+  const params = {};
+  if (!entries) errors.push(`${at}.params must be an object or a query string`);
+  for (const [k, v] of entries || []) {
+    const value = String(v ?? "").trim();
+    if (!LAYOUT_PARAMS.includes(k)) errors.push(`${at}.params.${k} is not one of: ${LAYOUT_PARAMS.join(", ")}`);
+    else if (value.length > PARAM_MAX) errors.push(`${at}.params.${k} is longer than ${PARAM_MAX} characters`);
+    else if (value) params[k] = value;
+  }
+
+  const cols = x.cols == null ? section.cols : Number(x.cols);
+  if (!BOX_COLS.includes(cols)) errors.push(`${at}.cols must be one of: ${BOX_COLS.join(", ")}`);
+
+  const limit = x.limit == null ? section.limit : Number(x.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) errors.push(`${at}.limit must be an integer 1-1000`);
+
+  const sort = x.sort == null ? section.sort : String(x.sort);
+  if (!BOX_SORTS.includes(sort)) errors.push(`${at}.sort must be one of: ${BOX_SORTS.join(", ")}`);
+
+  const title = x.title == null ? section.title : String(x.title).trim().slice(0, TITLE_MAX);
+  if (!title) errors.push(`${at}.title must not be empty`);
+
+  if (errors.length) return { errors };
+
+  const box = { section: sectionId, title, source, params, cols, limit, sort };
+  if (section.type) box.type = section.type;
+  box.hideSymbol = x.hideSymbol == null ? Boolean(section.hideSymbol) : Boolean(x.hideSymbol);
+  return { box };
+}
+
+// { boxes: [...] } -> { ok, boxes } | { ok: false, errors }
+function validateLayout(input, { maxBoxes = 24 } = {}) {
+  const raw = Array.isArray(input?.boxes) ? input.boxes : null;
+  if (!raw) return { ok: false, errors: ["boxes must be an array"] };
+  if (!raw.length) return { ok: false, errors: ["boxes must not be empty"] };
+  if (raw.length > maxBoxes) return { ok: false, errors: [`at most ${maxBoxes} boxes per layout`] };
+
+  const errors = [];
+  const boxes = [];
+  raw.forEach((x, i) => {
+    const v = validateBox(x && typeof x === "object" ? x : {}, i);
+    if (v.errors) errors.push(...v.errors);
+    else boxes.push(v.box);
+  });
+  return errors.length ? { ok: false, errors } : { ok: true, boxes };
+}
+
+// Stored boxes -> what the dashboard renders: unique ids, url, stream section (or false)
+function layoutSections(boxes) {
+  const seen = new Map();
+  return boxes.map((b) => {
+    const k = (seen.get(b.section) || 0) + 1;
+    seen.set(b.section, k);
+    const section = DASHBOARD_SECTIONS[b.section];
+    const live = Boolean(section?.stream) && b.source === section.source && sameParams(b.params, section.params);
+    return { ...b, id: k === 1 ? b.section : `${b.section}_${k}`, url: boxUrl(b), stream: live ? b.section : false };
+  });
+}
+
+function defaultLayoutBoxes() {
+  return DEFAULT_LAYOUT_SECTIONS.map((id, i) => validateBox({ section: id }, i).box);
+}
+
+// /layouts/catalog: everything the layout editor offers
+function layoutCatalog() {
+  return { sections: DASHBOARD_SECTIONS, sources: LAYOUT_SOURCES, params: LAYOUT_PARAMS, sorts: BOX_SORTS, cols: BOX_COLS };
+}
+
+export {
+  DASHBOARD_SECTIONS,
+  DEFAULT_LAYOUT_SECTIONS,
+  LAYOUT_SOURCES,
+  LAYOUT_PARAMS,
+  BOX_SORTS,
+  BOX_COLS,
+  boxUrl,
+  normalizeLayoutName,
+  validateLayout,
+  layoutSections,
+  defaultLayoutBoxes,
+  layoutCatalog,
+};
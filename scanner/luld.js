@@ -0,0 +1,59 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/luld.js
+// Limit Up / Limit Down: LULD message parsing (band prices + halt indicators)
+// and distance from the last price to each band.
+//   indicator 17 = trading pause (HALT), 18 = resume
+//   pctToLimitUp   = (luldUpper - price) / price * 100
+//   pctToLimitDown = (price - luldLower) / price * 100   (negative = price beyond the band)
+// Pure, no env / network.
+// ============================================================================
+import { n, round2 } from "./util.js";
+import { toMs } from "./session.js";
+
+const bandPrice = (x) => (n(x) > 0 ? n(x) : null);
+
+// -> { symbol, kind: HALT | RESUME | BAND, indicators, limitUp, limitDown, exchangeTs } | null
+function parseLuldMessage(m) {
+  if (!m || typeof m !== "object") return null;
+  const ev = String(m.ev || m.event || "").toUpperCase();
+  if (ev !== "LULD") return null;
+
+  const symbol = String(m.T || m.ticker || m.sym || "").trim().toUpperCase();
+  if (!symbol) return null;
+
+  const indicators = Array.isArray(m.i) ? m.i : Array.isArray(m.indicators) ? m.indicators : [];
+  const kind = indicators.includes(18) ? "RESUME" : indicators.includes(17) ? "HALT" : "BAND";
+  return {
+    symbol,
+    kind,
+    indicators,
+    limitUp: bandPrice(m.h ?? m.limitUp),
+    limitDown: bandPrice(m.l ?? m.limitDown),
+    exchangeTs: toMs(m.t),
+  };
+}
+
+// band = { limitUp, limitDown } -> row fields; nearPct sets nearLuldBand
+function luldDistance(price, band, nearPct = 2) {
+  const p = n(price);
+  const up = bandPrice(band?.limitUp);
+  const down = bandPrice(band?.limitDown);
+  const pctToLimitUp = p !== null && p > 0 && up !== null ? round2(((up - p) / p) * 100) : null;
+  const pctToLimitDown = p !== null && p > 0 && down !== null ? round2(((p - down) / p) * 100) : null;
+
+  const dists = [pctToLimitUp, pctToLimitDown].filter((x) => x !== null);
+  const pctToBand = dists.length ? Math.max(0, Math.min(...dists)) : null;
+  const luldSide = pctToBand === null ? null : pctToLimitUp !== null && pctToLimitUp <= (pctToLimitDown ?? Infinity) ? "up" : "down";
+
+  return {
+    luldUpper: up,
+    luldLower: down,
+    pctToLimitUp,
+    pctToLimitDown,
+    pctToBand,
+    luldSide,
+    nearLuldBand: pctToBand !== null && pctToBand <= nearPct,
+  };
+}
+
+export { parseLuldMessage, luldDistance };
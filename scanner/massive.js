@@ -0,0 +1,212 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/massive.js
+// Massive REST data source: movers, ticker snapshot, snapshot-all, minute aggs
+// (recent window + date range) + bars on any engine timeframe (scanner/mtf.js).
+// createSnapshotClient() is reused by polygon.js (same v2 API, other URLs / key).
+// Reads its own ENV on import (same as db.js), so every server / CLI that
+// imports it talks to Massive the same way.
+// ----------------------------------------------------------------------------
+// ENV:
+//   MASSIVE_API_KEY, MASSIVE_AUTH_TYPE (query | xapi | bearer), MASSIVE_QUERY_KEYNAME
+//   MASSIVE_MOVER_URL, MASSIVE_TICKER_SNAPSHOT_URL, MASSIVE_SNAPSHOT_ALL_URL, MASSIVE_AGGS_URL
+//   INCLUDE_OTC, AGGS_INCLUDE_PREPOST, AGGS_5M_LIMIT
+// ============================================================================
+import "dotenv/config";
+import { ymd } from "./util.js";
+import { safeGet } from "./http.js";
+import { nyYMD } from "./session.js";
+import { previousTradingDay, tradingDayOnOrBefore } from "./calendar.js";
+import { TIMEFRAMES, barWindow } from "./mtf.js";
+
+const MASSIVE_API_KEY = String(process.env.MASSIVE_API_KEY || "").trim();
+const MASSIVE_AUTH_TYPE = String(process.env.MASSIVE_AUTH_TYPE || "query").trim(); // query | xapi | bearer
+const MASSIVE_QUERY_KEYNAME = String(process.env.MASSIVE_QUERY_KEYNAME || "apiKey").trim();
+const MASSIVE_MOVER_URL = String(process.env.MASSIVE_MOVER_URL || "https://api.massive.com/v2/snapshot/locale/us/markets/stocks").trim();
+const MASSIVE_TICKER_SNAPSHOT_URL = String(process.env.MASSIVE_TICKER_SNAPSHOT_URL || "https://api.massive.com/v2/snapshot/locale/us/markets/stocks/tickers").trim();
+const MASSIVE_SNAPSHOT_ALL_URL = String(process.env.MASSIVE_SNAPSHOT_ALL_URL || "https://api.massive.com/v2/snapshot/locale/us/markets/stocks/tickers").trim();
+const MASSIVE_AGGS_URL = String(process.env.MASSIVE_AGGS_URL || "https://api.massive.com/v2/aggs/ticker").trim();
+
+const INCLUDE_OTC = String(process.env.INCLUDE_OTC || "false").toLowerCase() === "true";
+const AGGS_INCLUDE_PREPOST = String(process.env.AGGS_INCLUDE_PREPOST || "true").toLowerCase() === "true";
+const AGGS_5M_LIMIT = Math.max(40, Math.min(5000, Number(process.env.AGGS_5M_LIMIT || 120)));
+
+// ----------------------------------------------------------------------------
+// Snapshot REST client. Massive and Polygon share the same v2 snapshot / aggs
+// API, so polygon.js builds its client from this factory with its own URLs.
+// ----------------------------------------------------------------------------
+function createSnapshotClient({
+  name = "massive",
+  apiKey,
+  authType = "query",
+  queryKeyName = "apiKey",
+  moverUrl,
+  tickerSnapshotUrl,
+  snapshotAllUrl,
+  aggsUrl,
+} = {}) {
+  const KEY_ENV = `${name.toUpperCase()}_API_KEY`;
+
+  function envMissingFor({ needSnapshotAll = false, needAggs = false } = {}) {
+    const miss = [];
+    if (!apiKey) miss.push(KEY_ENV);
+    if (!moverUrl) miss.push(`${name.toUpperCase()}_MOVER_URL`);
+    if (!tickerSnapshotUrl) miss.push(`${name.toUpperCase()}_TICKER_SNAPSHOT_URL`);
+    if (needSnapshotAll && !snapshotAllUrl) miss.push(`${name.toUpperCase()}_SNAPSHOT_ALL_URL`);
+    if (needAggs && !aggsUrl) miss.push(`${name.toUpperCase()}_AGGS_URL`);
+    return miss;
+  }
+
+  function auth(params = {}, headers = {}) {
+    const t = String(authType).toLowerCase();
+    if (t === "query") params[queryKeyName || "apiKey"] = apiKey;
+    else if (t === "xapi") headers["x-api-key"] = apiKey;
+    else if (t === "bearer") headers["authorization"] = `Bearer ${apiKey}`;
+    else params[queryKeyName || "apiKey"] = apiKey;
+
+    headers["user-agent"] =
+      headers["user-agent"] ||
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X) AppleWebKit/537.36 (KHTML, like Gecko) Chrome Safari/537.36";
+
+    return { params, headers };
+  }
+
+  async function fetchMovers(direction = "gainers") {
+    const d = String(direction || "gainers").toLowerCase().trim();
+    const directionSafe = d === "losers" ? "losers" : "gainers";
+    const base = moverUrl.replace(/\/+$/, "");
+    const url = `${base}/${directionSafe}`;
+
+    const params = {};
+    if (INCLUDE_OTC) params.include_otc = "true";
+
+    const a = auth(params, {});
+    const r = await safeGet(url, { params: a.params, headers: a.headers, endpoint: "movers" });
+
+    const rows = readRowsFromAnySnapshotShape(r.data);
+    return { ok: r.ok && Array.isArray(rows), url, status: r.status, rows, errorDetail: r.errorDetail };
+  }
+
+  async function fetchTickerSnapshot(ticker) {
+    const base = tickerSnapshotUrl.replace(/\/+$/, "");
+    const url = `${base}/${encodeURIComponent(String(ticker || "").trim().toUpperCase())}`;
+    const a = auth({}, {});
+    const r = await safeGet(url, { params: a.params, headers: a.headers, endpoint: "snapshot" });
+    return { ok: r.ok, url, status: r.status, data: r.data, errorDetail: r.errorDetail };
+  }
+
+  async function fetchSnapshotAll() {
+    const url = snapshotAllUrl.replace(/\/+$/, "");
+    const a = auth({}, {});
+    const r = await safeGet(url, { params: a.params, headers: a.headers, endpoint: "snapshotAll" });
+    const rows = readRowsFromAnySnapshotShape(r.data);
+    return { ok: r.ok && Array.isArray(rows), url, status: r.status, rows, errorDetail: r.errorDetail };
+  }
+
+  // Recent minute bars (cached by safeGet, CACHE_TTL_AGGS_MS; empty answers are not kept)
+  async function fetchAggs(sym, tf = "1", limit = 300, sort = "asc") {
+    const ticker = String(sym || "").trim().toUpperCase();
+    const base = aggsUrl.replace(/\/+$/, "");
+    const to = ymd(new Date());
+    // two calendar days back, or further so the last full session is in range (weekends / holidays)
+    const twoDaysBack = ymd(new Date(Date.now() - 2 * 24 * 60 * 60 * 1000));
+    const lastSession = previousTradingDay(tradingDayOnOrBefore(to));
+    const from = lastSession < twoDaysBack ? lastSession : twoDaysBack;
+    const url = `${base}/${encodeURIComponent(ticker)}/range/${encodeURIComponent(tf)}/minute/${from}/${to}`;
+
+    const params = { adjusted: "true", sort: String(sort), limit: String(limit) };
+    if (AGGS_INCLUDE_PREPOST) params.includePrePost = "true";
+
+    const a = auth(params, {});
+    const r = await safeGet(url, { params: a.params, headers: a.headers, endpoint: "aggs", cacheIf: hasResults });
+    const bars = Array.isArray(r.data?.results) ? r.data.results : [];
+    const ok = r.ok && bars.length > 0;
+
+    return { ok, cached: Boolean(r.cached), url, status: r.status, bars, errorDetail: r.errorDetail };
+  }
+  async function fetchAggs5m(sym) {
+    return fetchAggs(sym, "5", AGGS_5M_LIMIT, "desc");
+  }
+
+  // Newest `limit` bars of an engine timeframe (1m / 5m / 15m / 1h / 1d), newest first — /scan?tf=
+  async function fetchBars(sym, tf = "5m", { limit = 200 } = {}) {
+    const ticker = String(sym || "").trim().toUpperCase();
+    const frame = TIMEFRAMES[tf];
+    if (!frame) return { ok: false, status: 400, bars: [], errorDetail: `unknown timeframe ${tf}` };
+
+    const { from, to } = barWindow(tf, limit, nyYMD(Date.now()));
+    const base = aggsUrl.replace(/\/+$/, "");
+    const url = `${base}/${encodeURIComponent(ticker)}/range/${frame.multiplier}/${frame.timespan}/${from}/${to}`;
+
+    const params = { adjusted: "true", sort: "desc", limit: String(limit) };
+    if (AGGS_INCLUDE_PREPOST && frame.timespan === "minute") params.includePrePost = "true";
+
+    const a = auth(params, {});
+    const r = await safeGet(url, { params: a.params, headers: a.headers, endpoint: "aggs", cacheIf: hasResults });
+    const bars = Array.isArray(r.data?.results) ? r.data.results : [];
+    return { ok: r.ok && bars.length > 0, cached: Boolean(r.cached), url, status: r.status, bars, errorDetail: r.errorDetail };
+  }
+
+  // Minute bars over a date range (YYYY-MM-DD, inclusive), oldest first — RVOL baselines.
+  // Coalesced but not cached by default (CACHE_TTL_AGGS_RANGE_MS): callers cache what they derive from it.
+  async function fetchAggsRange(sym, { tf = "5", from, to, limit = 50000 } = {}) {
+    const ticker = String(sym || "").trim().toUpperCase();
+    const base = aggsUrl.replace(/\/+$/, "");
+    const url = `${base}/${encodeURIComponent(ticker)}/range/${encodeURIComponent(tf)}/minute/${from}/${to}`;
+
+    const params = { adjusted: "true", sort: "asc", limit: String(limit) };
+    if (AGGS_INCLUDE_PREPOST) params.includePrePost = "true";
+
+    const a = auth(params, {});
+    const r = await safeGet(url, { params: a.params, headers: a.headers, endpoint: "aggsRange", cacheIf: hasResults });
+    const bars = Array.isArray(r.data?.results) ? r.data.results : [];
+    return { ok: r.ok && bars.length > 0, url, status: r.status, bars, errorDetail: r.errorDetail };
+  }
+
+  return { name, envMissingFor, auth, fetchMovers, fetchTickerSnapshot, fetchSnapshotAll, fetchAggs, fetchAggs5m, fetchBars, fetchAggsRange };
+}
+
+const hasResults = (r) => Array.isArray(r.data?.results) && r.data.results.length > 0;
+
+function readRowsFromAnySnapshotShape(data) {
+  if (Array.isArray(data?.tickers)) return data.tickers;
+  if (Array.isArray(data?.results)) return data.results;
+  if (Array.isArray(data?.data)) return data.data;
+  return [];
+}
+
+const massive = createSnapshotClient({
+  name: "massive",
+  apiKey: MASSIVE_API_KEY,
+  authType: MASSIVE_AUTH_TYPE,
+  queryKeyName: MASSIVE_QUERY_KEYNAME,
+  moverUrl: MASSIVE_MOVER_URL,
+  tickerSnapshotUrl: MASSIVE_TICKER_SNAPSHOT_URL,
+  snapshotAllUrl: MASSIVE_SNAPSHOT_ALL_URL,
+  aggsUrl: MASSIVE_AGGS_URL,
+});
+
+const { envMissingFor, auth, fetchMovers, fetchTickerSnapshot, fetchSnapshotAll, fetchAggs, fetchAggs5m, fetchBars, fetchAggsRange } = massive;
+
+export {
+  MASSIVE_API_KEY,
+  MASSIVE_AUTH_TYPE,
+  MASSIVE_MOVER_URL,
+  MASSIVE_TICKER_SNAPSHOT_URL,
+  MASSIVE_SNAPSHOT_ALL_URL,
+  MASSIVE_AGGS_URL,
+  INCLUDE_OTC,
+  AGGS_INCLUDE_PREPOST,
+  AGGS_5M_LIMIT,
+  createSnapshotClient,
+  massive,
+  envMissingFor,
+  auth,
+  readRowsFromAnySnapshotShape,
+  fetchMovers,
+  fetchTickerSnapshot,
+  fetchSnapshotAll,
+  fetchAggs,
+  fetchAggs5m,
+  fetchBars,
+  fetchAggsRange,
+};
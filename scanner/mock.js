@@ -0,0 +1,267 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/mock.js
+// Deterministic file-backed data source (DATA_PROVIDER=mock): the whole scanner
+// + UI run offline on fixture data, for development and automated tests.
+// ----------------------------------------------------------------------------
+// ENV:
+//   MOCK_DATA_DIR (default fixtures/mock)
+// Files in MOCK_DATA_DIR:
+//   snapshot.json      { tickers: [ Polygon-style ticker snapshot, ... ] }
+//                      (+ optional floatShares / marketCap per ticker)
+//   aggs/<SYM>_<tf>.json  optional { results: [{t,o,h,l,c,v}, ...] } bars, oldest first
+//                      (e.g. aggs/NVDA_1.json, aggs/NVDA_5.json, daily bars aggs/NVDA_1440.json);
+//                      also used for date-range requests (bars outside the range are dropped)
+// Everything else is derived from snapshot.json:
+//   movers        top 20 by todaysChangePerc (gainers > 0, losers < 0)
+//   daily         day.o / prevDay.c
+//   float         floatShares
+//   aggs          when aggs/<SYM>_<tf>.json is missing: seeded random walk from
+//                 day.o to the last price, ending at the current minute (same
+//                 prices on every run, timestamps follow the clock)
+//   aggs range    when aggs/<SYM>_<tf>.json is missing: one 04:00-20:00 session per
+//                 NYSE trading day, U-shaped intraday volume around prevDay.v (seeded per day)
+// ============================================================================
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import { n, round2 } from "./util.js";
+import { nyParts, nyWallTimeToMs } from "./session.js";
+import { isTradingDay } from "./calendar.js";
+import { AGGS_5M_LIMIT } from "./massive.js";
+import { TIMEFRAMES } from "./mtf.js";
+
+const MOCK_DATA_DIR = String(process.env.MOCK_DATA_DIR || "fixtures/mock").trim();
+
+const MOVERS_LIMIT = 20;
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(MOCK_DATA_DIR, file), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function snapshotTickers() {
+  const data = readJson("snapshot.json");
+  return Array.isArray(data?.tickers) ? data.tickers : [];
+}
+
+function findTicker(sym) {
+  const ticker = String(sym || "").trim().toUpperCase();
+  return snapshotTickers().find((t) => String(t?.ticker || "").toUpperCase() === ticker) || null;
+}
+
+function mockUrl(what) {
+  return `mock://${MOCK_DATA_DIR}/${what}`;
+}
+
+function envMissingFor() {
+  return fs.existsSync(path.join(MOCK_DATA_DIR, "snapshot.json")) ? [] : ["MOCK_DATA_DIR"];
+}
+
+// ----------------------------------------------------------------------------
+// Snapshots / movers
+// ----------------------------------------------------------------------------
+async function fetchMovers(direction = "gainers") {
+  const directionSafe = String(direction || "gainers").toLowerCase().trim() === "losers" ? "losers" : "gainers";
+  const sign = directionSafe === "losers" ? -1 : 1;
+
+  const rows = snapshotTickers()
+    .filter((t) => (n(t?.todaysChangePerc) ?? 0) * sign > 0)
+    .sort((a, b) => (n(b.todaysChangePerc) - n(a.todaysChangePerc)) * sign)
+    .slice(0, MOVERS_LIMIT);
+
+  return { ok: true, url: mockUrl(`movers/${directionSafe}`), status: 200, rows };
+}
+
+async function fetchTickerSnapshot(sym) {
+  const url = mockUrl(`tickers/${String(sym || "").trim().toUpperCase()}`);
+  const t = findTicker(sym);
+  if (!t) return { ok: false, url, status: 404, data: { status: "NOT_FOUND" } };
+  return { ok: true, url, status: 200, data: { status: "OK", results: t } };
+}
+
+async function fetchSnapshotAll() {
+  const rows = snapshotTickers();
+  return { ok: rows.length > 0, url: mockUrl("snapshot.json"), status: rows.length ? 200 : 404, rows };
+}
+
+// ----------------------------------------------------------------------------
+// Aggs (fixture file or seeded random walk)
+// ----------------------------------------------------------------------------
+function seedOf(str) {
+  let h = 2166136261;
+  for (const ch of String(str)) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+  return h >>> 0;
+}
+
+// mulberry32
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function synthBars(t, tfMin, count) {
+  const last = n(t?.lastTrade?.p) ?? n(t?.day?.c) ?? n(t?.prevDay?.c);
+  if (last === null || last <= 0) return [];
+  const first = n(t?.day?.o) ?? n(t?.prevDay?.c) ?? last;
+  const dayVol = n(t?.day?.v) ?? 1_000_000;
+
+  const rand = rng(seedOf(`${t.ticker}|${tfMin}|${count}`));
+  const walk = [0];
+  for (let i = 1; i < count; i++) walk.push(walk[i - 1] + (rand() - 0.5));
+  const drift = walk[count - 1];
+
+  // close[i] runs from `first` to `last`; the walk only adds bumps in between
+  const span = Math.abs(last - first) || last * 0.02;
+  const stepMs = tfMin * 60_000;
+  const endMs = Math.floor(Date.now() / stepMs) * stepMs;
+  const volPerBar = tfMin >= 1440 ? dayVol : (dayVol / 390) * tfMin;
+
+  const bars = [];
+  let prevClose = first;
+  for (let i = 0; i < count; i++) {
+    const k = count > 1 ? i / (count - 1) : 1;
+    const bump = ((walk[i] - drift * k) / Math.sqrt(count)) * span * 0.5;
+    const c = Math.max(0.01, first + (last - first) * k + bump);
+    const o = prevClose;
+    const wick = span * 0.02 * rand();
+    bars.push({
+      t: endMs - (count - 1 - i) * stepMs,
+      o: round2(o),
+      h: round2(Math.max(o, c) + wick),
+      l: round2(Math.max(0.01, Math.min(o, c) - wick)),
+      c: round2(c),
+      v: Math.round(volPerBar * (0.5 + rand())),
+    });
+    prevClose = c;
+  }
+  return bars;
+}
+
+async function fetchAggs(sym, tf = "1", limit = 300, sort = "asc") {
+  const ticker = String(sym || "").trim().toUpperCase();
+  const url = mockUrl(`aggs/${ticker}/${tf}`);
+  const tfMin = Math.max(1, Number(tf) || 1);
+  const count = Math.max(1, Math.min(5000, Number(limit) || 300));
+
+  const file = readJson(`aggs/${ticker}_${tfMin}.json`);
+  let bars;
+  if (Array.isArray(file?.results)) {
+    bars = file.results.slice(-count);
+  } else {
+    const t = findTicker(ticker);
+    bars = t ? synthBars(t, tfMin, count) : [];
+  }
+
+  if (String(sort).toLowerCase() === "desc") bars = bars.slice().reverse();
+  return { ok: bars.length > 0, url, status: bars.length ? 200 : 404, bars };
+}
+
+async function fetchAggs5m(sym) {
+  return fetchAggs(sym, "5", AGGS_5M_LIMIT, "desc");
+}
+
+// Engine timeframes (scanner/mtf.js): the same files / walk with the timeframe in minutes (1d = 1440)
+async function fetchBars(sym, tf = "5m", { limit = 200 } = {}) {
+  const frame = TIMEFRAMES[tf];
+  if (!frame) return { ok: false, status: 400, bars: [], errorDetail: `unknown timeframe ${tf}` };
+  return fetchAggs(sym, String(frame.minutes), limit, "desc");
+}
+
+// Weight of one bar in the day's volume: light pre / after hours, U-shape in the regular session
+function volumeWeight(mins) {
+  if (mins < 9 * 60 + 30) return 0.15;
+  if (mins >= 16 * 60) return 0.1;
+  const x = (mins - (9 * 60 + 30)) / 390; // 0..1 through the regular session
+  return 0.4 + 2.4 * (x - 0.5) ** 2;
+}
+
+function synthSession(t, day, tfMin, untilMs) {
+  const dayVol = n(t?.prevDay?.v) ?? n(t?.day?.v) ?? 1_000_000;
+  const price = n(t?.prevDay?.c) ?? n(t?.day?.c) ?? 1;
+  const rand = rng(seedOf(`${t.ticker}|${day}|${tfMin}`));
+  const scale = 0.7 + 0.6 * rand(); // this day's volume vs prevDay.v
+
+  const slots = [];
+  for (let mins = 4 * 60; mins < 20 * 60; mins += tfMin) slots.push(mins);
+  const totalW = slots.reduce((s, m) => s + volumeWeight(m), 0);
+
+  const bars = [];
+  for (const mins of slots) {
+    const hhmm = `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+    const ts = nyWallTimeToMs(day, hhmm);
+    if (ts + tfMin * 60_000 > untilMs) break;
+    const p = round2(price * (1 + (rand() - 0.5) * 0.02));
+    const v = Math.round(((dayVol * scale * volumeWeight(mins)) / totalW) * (0.6 + 0.8 * rand()));
+    bars.push({ t: ts, o: p, h: p, l: p, c: p, v });
+  }
+  return bars;
+}
+
+async function fetchAggsRange(sym, { tf = "5", from, to } = {}) {
+  const ticker = String(sym || "").trim().toUpperCase();
+  const url = mockUrl(`aggs/${ticker}/${tf}/${from}/${to}`);
+  const tfMin = Math.max(1, Number(tf) || 1);
+  const fromMs = nyWallTimeToMs(from, "00:00");
+  const toMs = nyWallTimeToMs(to, "23:59:59");
+  if (fromMs === null || toMs === null) return { ok: false, url, status: 400, bars: [] };
+
+  let bars = [];
+  const file = readJson(`aggs/${ticker}_${tfMin}.json`);
+  if (Array.isArray(file?.results)) {
+    bars = file.results.filter((b) => n(b?.t) !== null && b.t >= fromMs && b.t <= toMs);
+  } else {
+    const t = findTicker(ticker);
+    const untilMs = Math.min(toMs, Date.now());
+    // one session per NYSE trading day (noon steps stay on the right NY date across DST)
+    for (let ms = nyWallTimeToMs(from, "12:00"); t && ms <= toMs; ms += 86_400_000) {
+      const p = nyParts(ms);
+      const day = `${p.y}-${String(p.mo).padStart(2, "0")}-${String(p.d).padStart(2, "0")}`;
+      if (!isTradingDay(day)) continue;
+      bars.push(...synthSession(t, day, tfMin, untilMs));
+    }
+  }
+  return { ok: bars.length > 0, url, status: bars.length ? 200 : 404, bars };
+}
+
+// ----------------------------------------------------------------------------
+// Daily open / previous close + float
+// ----------------------------------------------------------------------------
+async function fetchDailyOpenPrevClose(sym) {
+  const t = findTicker(sym);
+  const open = n(t?.day?.o);
+  const prevClose = n(t?.prevDay?.c);
+  if (!t || (open === null && prevClose === null)) return { ok: false, open: null, prevClose: null };
+  return { ok: true, open, prevClose, cached: false };
+}
+
+async function fetchFloatShares(sym) {
+  const floatShares = n(findTicker(sym)?.floatShares);
+  if (floatShares === null) return { ok: false, floatShares: null, reason: "not_in_fixture" };
+  return { ok: true, floatShares: Math.round(floatShares), cached: false };
+}
+
+const mock = {
+  name: "mock",
+  live: false,
+  envMissingFor,
+  fetchMovers,
+  fetchTickerSnapshot,
+  fetchSnapshotAll,
+  fetchAggs,
+  fetchAggs5m,
+  fetchBars,
+  fetchAggsRange,
+  fetchDailyOpenPrevClose,
+  fetchFloatShares,
+};
+
+export { MOCK_DATA_DIR, mock };
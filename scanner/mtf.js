@@ -0,0 +1,172 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/mtf.js
+// Multi-timeframe indicator engine: one indicator registry computed over
+// 1m / 5m / 15m / 1h / daily bars, field names namespaced by timeframe:
+//   tf=15m,1h  ind=ema9,rsi14,macd
+//     -> ema9_15m, rsi14_15m, macd_15m, macdSignal_15m, macdHist_15m, ema9_1h, …
+// Indicators (length optional: ema20, sma200, rsi7, atr10):
+//   emaN (9) • smaN (26) • rsiN (14) • atrN (14) • macd (12,26,9) • bb (Bollinger 20, 2σ)
+//   vwap (session-anchored, intraday only) • ao (+ aoPrev)
+// Series math is shared with /mini-chart (scanner/indicators.js). Pure, no env / network.
+// ============================================================================
+import { n, round2 } from "./util.js";
+import { emaSeries, smaSeries, rsiSeries, macdSeries, atrSeries, aoSeries, bollingerSeries } from "./indicators.js";
+import { anchoredVWAP } from "./vwap.js";
+import { tradingDayOnOrBefore, tradingDaysBack } from "./calendar.js";
+
+// multiplier / timespan = the aggs URL (/range/<multiplier>/<timespan>/<from>/<to>)
+const TIMEFRAMES = {
+  "1m": { multiplier: 1, timespan: "minute", minutes: 1 },
+  "5m": { multiplier: 5, timespan: "minute", minutes: 5 },
+  "15m": { multiplier: 15, timespan: "minute", minutes: 15 },
+  "1h": { multiplier: 60, timespan: "minute", minutes: 60 },
+  "1d": { multiplier: 1, timespan: "day", minutes: 1440 },
+};
+const TF_ALIASES = { 1: "1m", 5: "5m", 15: "15m", 60: "1h", "60m": "1h", h: "1h", d: "1d", day: "1d", daily: "1d" };
+
+const MIN_LEN = 2;
+const MAX_LEN = 400;
+const RTH_MINUTES = 390;
+
+// defaultLen: the indicator takes a length (ema9 / ema); fields: output names before the _<tf> suffix
+const INDICATORS = {
+  ema: { defaultLen: 9, fields: (id) => [id], warmup: (len) => len * 3 },
+  sma: { defaultLen: 26, fields: (id) => [id], warmup: (len) => len },
+  rsi: { defaultLen: 14, fields: (id) => [id], warmup: (len) => len * 3 },
+  atr: { defaultLen: 14, fields: (id) => [id], warmup: (len) => len * 3 },
+  macd: { fields: () => ["macd", "macdSignal", "macdHist"], warmup: () => 26 + 9 * 3 },
+  bb: { fields: () => ["bbUpper", "bbMid", "bbLower"], warmup: () => 20 },
+  vwap: { fields: () => ["vwap"], warmup: () => 0 },
+  ao: { fields: () => ["ao", "aoPrev"], warmup: () => 35 },
+};
+
+const round2Or = (x) => (x === null ? null : round2(x)); // round2(null) is 0 (n(null) === 0)
+const round4 = (x) => (x === null ? null : Number(x.toFixed(4)));
+const last = (arr, back = 0) => (arr.length > back ? arr[arr.length - 1 - back] : null) ?? null;
+
+function parseTimeframe(x) {
+  const s = String(x ?? "").trim().toLowerCase();
+  if (Object.hasOwn(TIMEFRAMES, s)) return s;
+  return Object.hasOwn(TF_ALIASES, s) ? TF_ALIASES[s] : null;
+}
+
+// "15m,1h" | ["15m","1h"] -> { tfs, errors }
+function parseTimeframes(list) {
+  const tokens = (Array.isArray(list) ? list : String(list ?? "").split(",")).map((s) => String(s).trim()).filter(Boolean);
+  const tfs = [];
+  const errors = [];
+  for (const t of tokens) {
+    const tf = parseTimeframe(t);
+    if (!tf) errors.push(`unknown timeframe "${t}" (use ${Object.keys(TIMEFRAMES).join(", ")})`);
+    else if (!tfs.includes(tf)) tfs.push(tf);
+  }
+  return { tfs, errors };
+}
+
+// "ema9,ema34,rsi,macd" -> { specs: [{ id, kind, len }], errors }
+function parseIndicators(list) {
+  const tokens = (Array.isArray(list) ? list : String(list ?? "").split(",")).map((s) => String(s).trim().toLowerCase()).filter(Boolean);
+  const specs = [];
+  const errors = [];
+  for (const t of tokens) {
+    const m = t.match(/^([a-z]+)(\d{1,3})?$/);
+    const def = m && Object.hasOwn(INDICATORS, m[1]) ? INDICATORS[m[1]] : null;
+    if (!def) {
+      errors.push(`unknown indicator "${t}" (use ${Object.keys(INDICATORS).join(", ")})`);
+      continue;
+    }
+    const kind = m[1];
+    let len = null;
+    if (def.defaultLen) {
+      len = m[2] ? Number(m[2]) : def.defaultLen;
+      if (len < MIN_LEN || len > MAX_LEN) {
+        errors.push(`${kind} length must be ${MIN_LEN}-${MAX_LEN}`);
+        continue;
+      }
+    } else if (m[2]) {
+      errors.push(`${kind} takes no length`);
+      continue;
+    }
+    const id = len === null ? kind : `${kind}${len}`;
+    if (!specs.some((s) => s.id === id)) specs.push({ id, kind, len });
+  }
+  return { specs, errors };
+}
+
+// Row field names a spec set produces on one timeframe (ema9 + 1h -> ema9_1h)
+function timeframeFieldNames(specs, tf) {
+  return specs.flatMap((s) => INDICATORS[s.kind].fields(s.id)).map((f) => `${f}_${tf}`);
+}
+
+// Bars the spec set needs before the last value is trustworthy (EMA / RSI / ATR warm up over ~3x length)
+function barsNeeded(specs) {
+  return Math.max(0, ...specs.map((s) => INDICATORS[s.kind].warmup(s.len)));
+}
+
+// NY date range (inclusive) that holds `limit` bars of tf, counted in regular sessions back from today
+function barWindow(tf, limit, todayYmd) {
+  const frame = TIMEFRAMES[tf];
+  const sessions = frame.timespan === "day" ? limit : Math.ceil((limit * frame.minutes) / RTH_MINUTES);
+  return { from: tradingDaysBack(tradingDayOnOrBefore(todayYmd), Math.max(1, sessions)), to: todayYmd };
+}
+
+// bars: any order, { t, o, h, l, c, v } (or long names) -> oldest first, closes present
+function normalizeBars(bars) {
+  return (Array.isArray(bars) ? bars : [])
+    .map((b) => ({
+      t: n(b?.t ?? b?.timestamp),
+      h: n(b?.h ?? b?.high),
+      l: n(b?.l ?? b?.low),
+      c: n(b?.c ?? b?.close),
+      v: n(b?.v ?? b?.volume),
+    }))
+    .filter((x) => x.c !== null)
+    .sort((a, b) => (a.t ?? 0) - (b.t ?? 0));
+}
+
+// -> { ema9_1h: …, rsi14_1h: …, … } (null when there are too few bars)
+function computeTimeframeIndicators(rawBars, tf, specs, { vwapAnchor = "rth" } = {}) {
+  const bars = normalizeBars(rawBars);
+  const closes = bars.map((b) => b.c);
+  const hl = bars.filter((b) => b.h !== null && b.l !== null);
+  const out = {};
+  const put = (field, value) => (out[`${field}_${tf}`] = value ?? null);
+
+  for (const s of specs) {
+    if (s.kind === "ema") put(s.id, round2Or(last(emaSeries(closes, s.len))));
+    else if (s.kind === "sma") put(s.id, round2Or(last(smaSeries(closes, s.len))));
+    else if (s.kind === "rsi") put(s.id, round2Or(last(rsiSeries(closes, s.len))));
+    else if (s.kind === "atr") put(s.id, round4(last(atrSeries(hl, s.len))));
+    else if (s.kind === "macd") {
+      const m = macdSeries(closes);
+      put("macd", round4(last(m.macd)));
+      put("macdSignal", round4(last(m.signal)));
+      put("macdHist", round4(last(m.hist)));
+    } else if (s.kind === "bb") {
+      const bb = bollingerSeries(closes, 20, 2);
+      put("bbUpper", round2Or(last(bb.upper)));
+      put("bbMid", round2Or(last(bb.mid)));
+      put("bbLower", round2Or(last(bb.lower)));
+    } else if (s.kind === "vwap") {
+      const v = TIMEFRAMES[tf]?.timespan === "day" ? null : anchoredVWAP(bars, { anchor: vwapAnchor }).vwap;
+      put("vwap", round2Or(v));
+    } else if (s.kind === "ao") {
+      const ao = aoSeries(hl);
+      put("ao", round2Or(last(ao)));
+      put("aoPrev", round2Or(last(ao, 1)));
+    }
+  }
+  return out;
+}
+
+export {
+  TIMEFRAMES,
+  INDICATORS,
+  parseTimeframe,
+  parseTimeframes,
+  parseIndicators,
+  timeframeFieldNames,
+  barsNeeded,
+  barWindow,
+  computeTimeframeIndicators,
+};
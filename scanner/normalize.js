@@ -0,0 +1,231 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/normalize.js
+// Snapshot normalizer (any Massive / Polygon snapshot shape -> one flat row) +
+// AM minute row + AM/snapshot merge + row categories + derived percentages
+// (cap / float buckets, Ext%, Float Turnover%).
+// ============================================================================
+import { n, round2 } from "./util.js";
+import { toMs } from "./session.js";
+
+function capCategory(marketCap) {
+  const mc = n(marketCap);
+  if (mc === null) return null;
+  if (mc < 2_000_000_000) return "small";
+  if (mc < 10_000_000_000) return "mid";
+  return "big";
+}
+function floatCategory(floatShares) {
+  const fs = n(floatShares);
+  if (fs === null) return null;
+  if (fs < 10_000_000) return "nano";
+  if (fs < 20_000_000) return "low";
+  if (fs < 50_000_000) return "mid";
+  return "high";
+}
+function addExtPctFromPrevClose(row) {
+  const price = n(row?.price);
+  const prevClose = n(row?.prevClose);
+  const extPct = price !== null && prevClose !== null && prevClose > 0 ? ((price - prevClose) / prevClose) * 100 : null;
+  return { ...row, extPct: extPct !== null ? round2(extPct) : null };
+}
+function addFloatTurnoverPct(row) {
+  const volume = n(row?.volume);
+  const floatShares = n(row?.floatShares);
+  const floatTurnoverPct =
+    volume !== null && floatShares !== null && floatShares > 0
+      ? (volume / floatShares) * 100
+      : null;
+  return { ...row, floatTurnoverPct: floatTurnoverPct !== null ? round2(floatTurnoverPct) : null };
+}
+
+// ----------------------------------------------------------------------------
+// Snapshot -> row
+// ----------------------------------------------------------------------------
+function findFirstNumberByKeys(obj, candidateKeys, maxNodes = 6000) {
+  if (!obj || typeof obj !== "object") return { value: null };
+  const wanted = new Set(candidateKeys.map((k) => String(k).toLowerCase()));
+  const q = [{ v: obj }];
+  let visited = 0;
+
+  while (q.length && visited < maxNodes) {
+    const { v } = q.shift();
+    visited++;
+    if (!v || typeof v !== "object") continue;
+
+    if (Array.isArray(v)) {
+      for (const item of v) if (item && typeof item === "object") q.push({ v: item });
+      continue;
+    }
+
+    for (const k of Object.keys(v)) {
+      const keyLower = String(k).toLowerCase();
+      const val = v[k];
+      if (wanted.has(keyLower)) {
+        const num = n(val);
+        if (num !== null) return { value: num };
+      }
+      if (val && typeof val === "object") q.push({ v: val });
+    }
+  }
+  return { value: null };
+}
+
+function normalizeSnapshotAuto(ticker, snap) {
+  const root = snap?.results ?? snap ?? {};
+  const day = root?.day ?? root?.todays ?? root?.today ?? null;
+  const prev = root?.prevDay ?? root?.previousDay ?? root?.prev ?? null;
+
+  const lastTradePrice =
+    n(root?.lastTrade?.p) ??
+    n(root?.lastTrade?.price) ??
+    n(root?.last?.p) ??
+    n(root?.last) ??
+    n(root?.price) ??
+    null;
+
+  const dayClose = n(day?.c ?? day?.close ?? root?.close ?? root?.dayClose) ?? null;
+  const prevClose0 = n(prev?.c ?? prev?.close ?? root?.prevClose ?? root?.previousClose) ?? null;
+
+  let price = lastTradePrice ?? dayClose ?? null;
+  let open = n(day?.o ?? day?.open ?? root?.open) ?? null;
+  let volume = n(day?.v ?? day?.volume ?? root?.volume ?? root?.dayVolume) ?? null;
+
+  let pricePct =
+    n(root?.todaysChangePerc) ??
+    n(root?.todaysChangePercent) ??
+    n(root?.changePerc) ??
+    n(root?.changePercent) ??
+    null;
+
+  if (price === null) price = findFirstNumberByKeys(root, ["price", "last", "p", "c", "close"]).value;
+  if (open === null) open = findFirstNumberByKeys(root, ["open", "o", "dayopen", "openprice"]).value;
+
+  let prevClose = prevClose0;
+  if (prevClose === null) prevClose = findFirstNumberByKeys(root, ["prevclose", "previousclose", "pc", "prevc"]).value;
+  if (volume === null) volume = findFirstNumberByKeys(root, ["volume", "v", "dayvolume"]).value;
+
+  if (pricePct === null && price !== null && prevClose !== null && prevClose > 0) {
+    pricePct = ((price - prevClose) / prevClose) * 100;
+  }
+
+  // Gap% here is best-effort; final correct Regular Trading Hours gap is overwritten later by Polygon.
+  const gapPct = open !== null && prevClose !== null && prevClose > 0 ? ((open - prevClose) / prevClose) * 100 : null;
+
+  let floatShares =
+    n(root?.float) ??
+    n(root?.freeFloat) ??
+    n(root?.sharesFloat) ??
+    n(root?.floatShares) ??
+    null;
+  if (floatShares === null) floatShares = findFirstNumberByKeys(root, ["float", "freefloat", "sharesfloat", "floatshares"]).value;
+
+  let marketCap =
+    n(root?.marketCap) ??
+    n(root?.marketcap) ??
+    n(root?.mktcap) ??
+    n(root?.market_cap) ??
+    n(root?.marketCapitalization) ??
+    null;
+  if (marketCap === null) marketCap = findFirstNumberByKeys(root, ["marketcap", "mktcap", "market_cap", "capitalization"]).value;
+
+  // Market capitalization estimation if missing:
+  // MarketCapitalization = LastPrice * FloatShares
+  const marketCapEst = marketCap === null && price !== null && floatShares !== null ? price * floatShares : null;
+  const marketCapFinal = marketCap ?? marketCapEst;
+
+  return {
+    symbol: String(ticker || "").trim().toUpperCase(),
+    price: price !== null ? round2(price) : null,
+    open: open !== null ? round2(open) : null,
+    prevClose: prevClose !== null ? round2(prevClose) : null,
+    pricePct: pricePct !== null ? round2(pricePct) : null,
+    gapPct: gapPct !== null ? round2(gapPct) : null,
+    volume: volume !== null ? Math.round(volume) : null,
+    floatShares: floatShares !== null ? Math.round(floatShares) : null,
+    floatM: floatShares !== null ? round2(floatShares / 1_000_000) : null,
+    floatCat: floatCategory(floatShares),
+    marketCap: marketCapFinal !== null ? Math.round(marketCapFinal) : null,
+    marketCapB: marketCapFinal !== null ? round2(marketCapFinal / 1_000_000_000) : null,
+    cap: capCategory(marketCapFinal),
+  };
+}
+
+// ----------------------------------------------------------------------------
+// AM (minute aggregate WebSocket) -> row, and AM + snapshot merge
+// ----------------------------------------------------------------------------
+function normalizeFromAMOnly(sym, am) {
+  const price = n(am?.c) ?? null;
+  const openMinute = n(am?.op) ?? null; // AM minute "open"
+  const extPct = price !== null && openMinute !== null && openMinute > 0 ? ((price - openMinute) / openMinute) * 100 : null;
+  const vol = n(am?.av) ?? n(am?.v) ?? null;
+  const ms = toMs(am?.e) || toMs(am?.s);
+
+  return {
+    symbol: sym,
+    price: price !== null ? round2(price) : null,
+    open: openMinute !== null ? round2(openMinute) : null,
+    pricePct: null,
+    gapPct: null,
+    extPct: extPct !== null ? round2(extPct) : null,
+    volume: vol !== null ? Math.round(vol) : null,
+    floatShares: null,
+    floatM: null,
+    marketCap: null,
+    marketCapB: null,
+    cap: null,
+    source: "AM_WebSocket",
+    am_ts: ms,
+  };
+}
+
+function mergeAMWithSnapshot(amRow, snapRow) {
+  const price = n(amRow?.price) ?? n(snapRow?.price);
+  const prevClose = n(snapRow?.prevClose);
+
+  // open: snapshot first, fallback to AM openMinute
+  let open = n(snapRow?.open);
+  if (open === null) open = n(amRow?.open);
+
+  const pricePct =
+    price !== null && prevClose !== null && prevClose > 0
+      ? ((price - prevClose) / prevClose) * 100
+      : n(snapRow?.pricePct);
+
+  const gapPct =
+    open !== null && prevClose !== null && prevClose > 0
+      ? ((open - prevClose) / prevClose) * 100
+      : n(snapRow?.gapPct);
+
+  const extPct =
+    price !== null && prevClose !== null && prevClose > 0
+      ? ((price - prevClose) / prevClose) * 100
+      : n(amRow?.extPct);
+
+  const volA = n(amRow?.volume);
+  const volS = n(snapRow?.volume);
+  const volume = volA !== null && volS !== null ? Math.max(volA, volS) : volA ?? volS ?? null;
+
+  return {
+    ...snapRow,
+    price: price !== null ? round2(price) : null,
+    open: open !== null ? round2(open) : snapRow?.open ?? null,
+    prevClose: prevClose !== null ? round2(prevClose) : snapRow?.prevClose ?? null,
+    pricePct: pricePct !== null ? round2(pricePct) : null,
+    gapPct: gapPct !== null ? round2(gapPct) : null,
+    extPct: extPct !== null ? round2(extPct) : null,
+    volume: volume !== null ? Math.round(volume) : null,
+    source: "AM_WebSocket_plus_Snapshot",
+    am_ts: amRow?.am_ts ?? null,
+  };
+}
+
+export {
+  capCategory,
+  floatCategory,
+  addExtPctFromPrevClose,
+  addFloatTurnoverPct,
+  findFirstNumberByKeys,
+  normalizeSnapshotAuto,
+  normalizeFromAMOnly,
+  mergeAMWithSnapshot,
+};
@@ -0,0 +1,88 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/polygon.js
+// Polygon REST data source: same v2 snapshot / aggs client as Massive
+// (createSnapshotClient) + daily aggregates for Regular Trading Hours open /
+// previous close (Gap%), which every provider except mock uses. "Previous close"
+// is the close of the previous NYSE trading day (scanner/calendar.js), so a
+// holiday or a premarket without today's bar never shifts the gap by a day.
+// ----------------------------------------------------------------------------
+// ENV:
+//   POLYGON_BASE_URL (default https://api.polygon.io)
+//   POLYGON_API_KEY  (falls back to MASSIVE_API_KEY)
+// ============================================================================
+import "dotenv/config";
+import { n } from "./util.js";
+import { nyYMD } from "./session.js";
+import { addDaysYMD, previousTradingDay, tradingDayOnOrBefore } from "./calendar.js";
+import { safeGet } from "./http.js";
+import { createSnapshotClient } from "./massive.js";
+
+const POLYGON_BASE_URL = String(process.env.POLYGON_BASE_URL || "https://api.polygon.io").trim();
+const POLYGON_API_KEY = String(process.env.POLYGON_API_KEY || process.env.MASSIVE_API_KEY || "").trim();
+
+const POLYGON_BASE = POLYGON_BASE_URL.replace(/\/+$/, "");
+
+const polygon = createSnapshotClient({
+  name: "polygon",
+  apiKey: POLYGON_API_KEY,
+  authType: "query",
+  queryKeyName: "apiKey",
+  moverUrl: `${POLYGON_BASE}/v2/snapshot/locale/us/markets/stocks`,
+  tickerSnapshotUrl: `${POLYGON_BASE}/v2/snapshot/locale/us/markets/stocks/tickers`,
+  snapshotAllUrl: `${POLYGON_BASE}/v2/snapshot/locale/us/markets/stocks/tickers`,
+  aggsUrl: `${POLYGON_BASE}/v2/aggs/ticker`,
+});
+
+// ----------------------------------------------------------------------------
+// Daily aggregates (Regular Trading Hours open / previous close)
+// Cached by safeGet (CACHE_TTL_DAILY_MS); the URL carries the NY date, so a new
+// session never reuses yesterday's answer.
+// ----------------------------------------------------------------------------
+
+// Daily bars (t = start of the NY day) -> open of sessionDay + close of the trading day
+// before it (else the latest earlier bar). Undated bars fall back to position: last / one before.
+function openPrevCloseFromDailyBars(bars, sessionDay) {
+  const list = Array.isArray(bars) ? bars : [];
+  if (!list.length) return { open: null, prevClose: null };
+
+  if (list.some((b) => n(b?.t) === null)) {
+    const last = list[list.length - 1];
+    const prev = list.length >= 2 ? list[list.length - 2] : null;
+    return { open: n(last?.o), prevClose: n(prev?.c) ?? n(last?.c) ?? null };
+  }
+
+  const byDay = new Map(list.map((b) => [nyYMD(n(b.t)), b]));
+  const prevDay = previousTradingDay(sessionDay);
+  const earlier = [...byDay.keys()].filter((d) => d < sessionDay).sort();
+  const prevBar = byDay.get(prevDay) ?? (earlier.length ? byDay.get(earlier[earlier.length - 1]) : null);
+  return { open: n(byDay.get(sessionDay)?.o), prevClose: n(prevBar?.c) };
+}
+
+async function fetchDailyOpenPrevClose(sym) {
+  const ticker = String(sym || "").trim().toUpperCase();
+  if (!ticker) return { ok: false, open: null, prevClose: null };
+
+  const sessionDay = tradingDayOnOrBefore(nyYMD(Date.now())); // weekend / holiday -> the last session
+  if (!POLYGON_API_KEY) return { ok: false, open: null, prevClose: null, error: "missing_POLYGON_API_KEY" };
+
+  const to = sessionDay;
+  const from = addDaysYMD(sessionDay, -7); // buffer for long weekends / data gaps
+  const url = `${POLYGON_BASE}/v2/aggs/ticker/${encodeURIComponent(ticker)}/range/1/day/${from}/${to}`;
+
+  const r = await safeGet(url, {
+    params: { adjusted: "true", sort: "asc", limit: "10", apiKey: POLYGON_API_KEY },
+    headers: { "user-agent": "ALGTP" },
+    endpoint: "daily",
+    cacheIf: (x) => Array.isArray(x.data?.results) && x.data.results.length > 0,
+  });
+
+  const bars = Array.isArray(r.data?.results) ? r.data.results : [];
+  if (!r.ok || bars.length < 1) return { ok: false, open: null, prevClose: null, detail: r.errorDetail || r.data };
+
+  const { open, prevClose } = openPrevCloseFromDailyBars(bars, sessionDay);
+  if (open === null && prevClose === null) return { ok: false, open: null, prevClose: null, detail: "no_session_bars" };
+
+  return { ok: true, open, prevClose, cached: Boolean(r.cached) };
+}
+
+export { POLYGON_BASE_URL, POLYGON_API_KEY, polygon, fetchDailyOpenPrevClose, openPrevCloseFromDailyBars };
@@ -0,0 +1,53 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/profiles.js
+// Feature profiles: one codebase (server.js), several server flavours.
+// A profile only fills in ENV flags that are NOT already set, so anything in
+// .env or the shell still wins.
+//
+//   core      /list + /scan only (no indicators / RVOL, no WebSockets, no UI, no alerts)
+//   daytrade  light movers scanner: no 5m indicators, no AM feed, no Snapshot-All
+//   pro       everything server.js enables by default (default profile)
+//   platform  pro + Snapshot-All / Premarket / After-hours pages
+//
+// Usage: SCANNER_PROFILE=daytrade node server.js   (or node server-daytrade.js)
+// ============================================================================
+
+const PROFILES = {
+  core: {
+    ENABLE_UI: "false",
+    ENABLE_5M_INDICATORS: "false",
+    ENABLE_SNAPSHOT_ALL: "false",
+    ENABLE_HALT_WS: "false",
+    ENABLE_AM_WS: "false",
+    ENABLE_STREAM: "false",
+    ENABLE_ALERTS: "false",
+    ENABLE_WEBHOOKS: "false",
+    ENABLE_FLOAT_ENRICH: "false",
+    ENABLE_RVOL: "false",
+  },
+  daytrade: {
+    ENABLE_5M_INDICATORS: "false",
+    ENABLE_SNAPSHOT_ALL: "false",
+    ENABLE_AM_WS: "false",
+  },
+  pro: {},
+  platform: {
+    ENABLE_SNAPSHOT_ALL: "true",
+  },
+};
+
+const DEFAULT_PROFILE = "pro";
+
+// Returns the profile name actually applied
+function applyProfile(name, env = process.env) {
+  const want = String(name || DEFAULT_PROFILE).trim().toLowerCase();
+  const profile = Object.hasOwn(PROFILES, want) ? want : DEFAULT_PROFILE;
+  if (profile !== want) console.warn(`⚠️ Unknown SCANNER_PROFILE "${name}", using "${DEFAULT_PROFILE}"`);
+
+  for (const [k, v] of Object.entries(PROFILES[profile])) {
+    if (env[k] === undefined || env[k] === "") env[k] = v;
+  }
+  return profile;
+}
+
+export { PROFILES, DEFAULT_PROFILE, applyProfile };
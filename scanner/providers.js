@@ -0,0 +1,36 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/providers.js
+// Market-data provider selection. Every provider has the same shape:
+//   { name, live, envMissingFor, fetchMovers, fetchTickerSnapshot, fetchSnapshotAll,
+//     fetchAggs, fetchAggs5m, fetchBars, fetchAggsRange, fetchDailyOpenPrevClose, fetchFloatShares }
+// live=false means no real-time WebSocket feeds (HALT / AM) go with it.
+// ----------------------------------------------------------------------------
+// ENV:
+//   DATA_PROVIDER  massive (default) | polygon | mock
+//
+//   massive   Massive snapshots / aggs + Polygon daily (Gap%) + FMP float
+//   polygon   Polygon snapshots / aggs + Polygon daily (Gap%) + FMP float
+//   mock      fixture files in MOCK_DATA_DIR (see mock.js), fully offline
+// ============================================================================
+import "dotenv/config";
+import { massive } from "./massive.js";
+import { polygon, fetchDailyOpenPrevClose } from "./polygon.js";
+import { fetchFloatSharesFMP } from "./fmp.js";
+import { mock } from "./mock.js";
+
+const DEFAULT_PROVIDER = "massive";
+
+const PROVIDERS = {
+  massive: { ...massive, live: true, fetchDailyOpenPrevClose, fetchFloatShares: fetchFloatSharesFMP },
+  polygon: { ...polygon, live: true, fetchDailyOpenPrevClose, fetchFloatShares: fetchFloatSharesFMP },
+  mock,
+};
+
+function selectProvider(name = process.env.DATA_PROVIDER) {
+  const want = String(name || DEFAULT_PROVIDER).trim().toLowerCase();
+  if (Object.hasOwn(PROVIDERS, want)) return PROVIDERS[want];
+  console.warn(`⚠️ Unknown DATA_PROVIDER "${name}", using "${DEFAULT_PROVIDER}"`);
+  return PROVIDERS[DEFAULT_PROVIDER];
+}
+
+export { PROVIDERS, selectProvider };
@@ -0,0 +1,127 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/ratelimit.js
+// Token buckets: per caller (user / API key / IP) on our routes, and one global
+// upstream budget that safeGet (scanner/http.js) takes from before every call.
+// Pure (clock passed in or Date.now), no env / network.
+// ============================================================================
+
+// capacity = burst, refillPerSec = sustained rate. take() -> { ok, remaining, retryAfterSec }
+function createTokenBucket({ capacity, refillPerSec }, nowMs = Date.now()) {
+  let tokens = capacity;
+  let last = nowMs;
+
+  function refill(now) {
+    if (now > last) tokens = Math.min(capacity, tokens + ((now - last) / 1000) * refillPerSec);
+    last = Math.max(last, now);
+  }
+
+  return {
+    take(cost = 1, now = Date.now()) {
+      refill(now);
+      const want = Math.min(cost, capacity); // more than the burst could never be paid: it costs the whole bucket
+      if (tokens >= want) {
+        tokens -= want;
+        return { ok: true, remaining: Math.floor(tokens), retryAfterSec: 0 };
+      }
+      const need = want - tokens;
+      return { ok: false, remaining: Math.floor(tokens), retryAfterSec: Math.max(1, Math.ceil(need / refillPerSec)) };
+    },
+    available(now = Date.now()) {
+      refill(now);
+      return tokens;
+    },
+    isFull(now = Date.now()) {
+      refill(now);
+      return tokens >= capacity;
+    },
+  };
+}
+
+// One bucket per key; idle (full) buckets are dropped once maxKeys is reached
+function createKeyedLimiter({ capacity, refillPerSec, maxKeys = 10000 }) {
+  const buckets = new Map(); // key -> bucket (Map order = least recently used first)
+
+  function evict(now) {
+    for (const [k, b] of buckets) {
+      if (buckets.size < maxKeys) return;
+      if (b.isFull(now)) buckets.delete(k);
+    }
+    // everyone is mid-burst: drop the least recently used
+    while (buckets.size >= maxKeys) buckets.delete(buckets.keys().next().value);
+  }
+
+  return {
+    capacity,
+    refillPerSec,
+    take(key, cost = 1, now = Date.now()) {
+      let b = buckets.get(key);
+      if (b) buckets.delete(key);
+      else {
+        evict(now);
+        b = createTokenBucket({ capacity, refillPerSec }, now);
+      }
+      buckets.set(key, b);
+      return b.take(cost, now);
+    },
+    size: () => buckets.size,
+  };
+}
+
+// perMin <= 0 = unlimited. Counts calls per second over the last minute for /api.
+function createUpstreamBudget({ perMin, burst = perMin }, nowMs = Date.now()) {
+  const enabled = perMin > 0;
+  const bucket = enabled ? createTokenBucket({ capacity: Math.max(1, burst), refillPerSec: perMin / 60 }, nowMs) : null;
+  const perSec = new Array(60).fill(0); // ring: calls in second (t % 60)
+  const secOf = new Array(60).fill(-1);
+  let allowed = 0;
+  let rejected = 0;
+
+  function count(now) {
+    const sec = Math.floor(now / 1000);
+    const i = sec % 60;
+    if (secOf[i] !== sec) {
+      secOf[i] = sec;
+      perSec[i] = 0;
+    }
+    perSec[i]++;
+  }
+
+  return {
+    enabled,
+    take(now = Date.now()) {
+      const r = enabled ? bucket.take(1, now) : { ok: true, remaining: Infinity, retryAfterSec: 0 };
+      if (r.ok) {
+        allowed++;
+        count(now);
+      } else rejected++;
+      return r;
+    },
+    // route guard: can this request start at all?
+    check(now = Date.now()) {
+      if (!enabled || bucket.available(now) >= 1) return { ok: true, retryAfterSec: 0 };
+      return { ok: false, retryAfterSec: Math.max(1, Math.ceil((1 - bucket.available(now)) / (perMin / 60))) };
+    },
+    stats(now = Date.now()) {
+      const sec = Math.floor(now / 1000);
+      let usedLastMin = 0;
+      for (let i = 0; i < 60; i++) if (sec - secOf[i] < 60) usedLastMin += perSec[i];
+      return {
+        enabled,
+        perMin: enabled ? perMin : null,
+        burst: enabled ? Math.max(1, burst) : null,
+        available: enabled ? Math.floor(bucket.available(now)) : null,
+        usedLastMin,
+        allowed,
+        rejected,
+      };
+    },
+  };
+}
+
+// Route cost in bucket tokens: 1 per started 100 symbols the request fans out to
+function fanoutCost(symbolCount, per = 100) {
+  const k = Number(symbolCount);
+  return Number.isFinite(k) && k > 0 ? Math.max(1, Math.ceil(k / per)) : 1;
+}
+
+export { createTokenBucket, createKeyedLimiter, createUpstreamBudget, fanoutCost };
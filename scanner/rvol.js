@@ -0,0 +1,75 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/rvol.js
+// Time-of-day relative volume:
+//   RVOL = volume so far today ÷ average cumulative volume at the same NY minute
+//          over the last N sessions
+// The baseline is one cumulative-volume curve per symbol (built once per day
+// from intraday bars of the previous sessions); pure functions, no env / network.
+// ============================================================================
+import { n, round2 } from "./util.js";
+import { nyHM, nyYMD, nyWallTimeToMs } from "./session.js";
+
+const MINUTES_PER_DAY = 24 * 60;
+
+function nyMinuteOfDay(ms) {
+  const { h, m } = nyHM(ms);
+  return h * 60 + m;
+}
+
+// Date range (NY, inclusive) that covers `days` sessions before `todayYmd` (weekends + holidays padded)
+function rvolLookbackRange(todayYmd, days = 10) {
+  const noon = nyWallTimeToMs(todayYmd, "12:00");
+  const calendarDays = Math.ceil(days * 1.5) + 5;
+  return { from: nyYMD(noon - calendarDays * 86_400_000), to: nyYMD(noon - 86_400_000) };
+}
+
+// bars: intraday {t, v} (any order) -> average cumulative volume curve.
+// cum[i] = average volume traded before the end of bucket i (bucket = bucketMin minutes of the NY day)
+function buildRvolBaseline(bars, { days = 10, excludeYmd = null, bucketMin = 5 } = {}) {
+  const buckets = Math.ceil(MINUTES_PER_DAY / bucketMin);
+  const bySession = new Map(); // ymd -> per-bucket volume
+
+  for (const b of Array.isArray(bars) ? bars : []) {
+    const t = n(b?.t);
+    const v = n(b?.v);
+    if (t === null || v === null || v <= 0) continue;
+    const day = nyYMD(t);
+    if (day === excludeYmd) continue;
+    if (!bySession.has(day)) bySession.set(day, new Array(buckets).fill(0));
+    bySession.get(day)[Math.floor(nyMinuteOfDay(t) / bucketMin)] += v;
+  }
+
+  const sessions = [...bySession.keys()].sort().slice(-days);
+  if (!sessions.length) return null;
+
+  const cum = new Array(buckets).fill(0);
+  for (const day of sessions) {
+    let run = 0;
+    const vols = bySession.get(day);
+    for (let i = 0; i < buckets; i++) {
+      run += vols[i];
+      cum[i] += run / sessions.length;
+    }
+  }
+  return { sessions, bucketMin, cum };
+}
+
+// Average cumulative volume at NY minute `mins` (linear inside the current bucket)
+function rvolBaselineAt(baseline, mins) {
+  if (!baseline?.cum?.length) return null;
+  const m = Math.max(0, Math.min(MINUTES_PER_DAY, n(mins) ?? 0));
+  const i = Math.min(baseline.cum.length - 1, Math.floor(m / baseline.bucketMin));
+  const prev = i > 0 ? baseline.cum[i - 1] : 0;
+  const frac = Math.min(1, (m - i * baseline.bucketMin) / baseline.bucketMin);
+  return prev + (baseline.cum[i] - prev) * frac;
+}
+
+// minBaseline: below this many shares "normal so far" the ratio is noise (e.g. 04:01)
+function computeRVOL(volumeToday, baseline, mins, { minBaseline = 1000 } = {}) {
+  const vol = volumeToday == null ? null : n(volumeToday); // n(null) is 0, not "unknown"
+  const base = rvolBaselineAt(baseline, mins);
+  if (vol === null || base === null || base < minBaseline) return { rvol: null, rvolBaseline: base === null ? null : Math.round(base) };
+  return { rvol: round2(vol / base), rvolBaseline: Math.round(base) };
+}
+
+export { nyMinuteOfDay, rvolLookbackRange, buildRvolBaseline, rvolBaselineAt, computeRVOL };
@@ -0,0 +1,182 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/scoring.js
+// Signals (demand score + icons), 5m VWAP / volume-spike flags and ranking.
+// Same code path for live scans (server.js) and the backtest harness.
+// ============================================================================
+import { n, round2, clamp } from "./util.js";
+import { normalizeVwapAnchor } from "./vwap.js";
+
+function demandScore(row) {
+  const gap = Math.abs(n(row?.gapPct) ?? 0);
+  const pc = Math.abs(n(row?.pricePct ?? row?.extPct) ?? 0);
+
+  let s = 0;
+  if (gap >= 20) s += 1;
+  if (gap >= 40) s += 1;
+  if (gap >= 60) s += 1;
+  if (pc >= 10) s += 1;
+  if (pc >= 20) s += 1;
+  if (row?.aboveVWAP_5m && row?.volSpike_5m) s += 1;
+
+  return clamp(s, 0, 5);
+}
+function signalIcon(d) {
+  if (d >= 5) return "🚀";
+  if (d >= 4) return "🔥";
+  if (d >= 3) return "👀";
+  return "⛔";
+}
+function paSignalIcon(row) {
+  const above = Boolean(row?.aboveVWAP_5m);
+  const volSpike = Boolean(row?.volSpike_5m);
+  if (above && volSpike) return "🚨";
+  if (above) return "✅";
+  if (volSpike) return "🔊";
+  return "";
+}
+
+// vwapAnchor: rth | pre — which session VWAP (indicatorsFromAggs5m emits both) drives
+// vwap_5m, the ±1σ / ±2σ bands and aboveVWAP_5m. Rows without per-anchor fields keep vwap_5m.
+function attach5mSignals(row, { volSpikeMult = 1.5, vwapAnchor = "rth" } = {}) {
+  const anchor = normalizeVwapAnchor(vwapAnchor);
+  const key = anchor === "pre" ? "Pre" : "Rth";
+  const hasAnchored = row && `vwap${key}_5m` in row;
+
+  const price = n(row?.price);
+  const vwap = n(hasAnchored ? row[`vwap${key}_5m`] : row?.vwap_5m);
+  const sd = hasAnchored ? n(row[`vwap${key}Sd_5m`]) : null;
+  const lastVol = n(row?.lastVol_5m);
+  const avgVol = n(row?.avgVol_5m);
+
+  const aboveVWAP = price !== null && vwap !== null ? price > vwap : false;
+  const volSpike = lastVol !== null && avgVol !== null && avgVol > 0 ? lastVol >= avgVol * volSpikeMult : false;
+
+  const volRatio = lastVol !== null && avgVol !== null && avgVol > 0 ? lastVol / avgVol : null;
+
+  // Distance from VWAP in σ (e.g. 2.3 = above the +2σ band)
+  const band = (mult) => (vwap !== null && sd !== null ? round2(vwap + mult * sd) : null);
+  const vwapDev = price !== null && vwap !== null && sd !== null && sd > 0 ? round2((price - vwap) / sd) : null;
+
+  return {
+    ...row,
+    vwap_5m: vwap,
+    vwapAnchor_5m: anchor,
+    vwapUpper1_5m: band(1),
+    vwapLower1_5m: band(-1),
+    vwapUpper2_5m: band(2),
+    vwapLower2_5m: band(-2),
+    vwapDev_5m: vwapDev,
+    aboveVWAP_5m: aboveVWAP,
+    volSpike_5m: volSpike,
+    volRatio_5m: volRatio !== null ? Number(volRatio.toFixed(2)) : null,
+    paIcon: paSignalIcon({ aboveVWAP_5m: aboveVWAP, volSpike_5m: volSpike }),
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Volume / Float multiple (Volume ÷ FloatShares) tiers — icon only from 1.5x
+// ----------------------------------------------------------------------------
+function volFloatTier(x) {
+  const v = n(x);
+  if (v === null || v < 1.5) return { icon: "", label: null };
+  if (v >= 15) return { icon: "💣💣", label: "15x+" };
+  if (v >= 10) return { icon: "🚀🚀", label: "10x" };
+  if (v >= 5) return { icon: "🚀", label: "5x" };
+  if (v >= 4) return { icon: "🔥🔥", label: "4x" };
+  if (v >= 3) return { icon: "🔥", label: "3x" };
+  if (v >= 2) return { icon: "⚡", label: "2x" };
+  return { icon: "👀", label: "1.5x+" };
+}
+function attachVolFloat(row) {
+  const vol = n(row?.volume);
+  const flt = n(row?.floatShares);
+  if (vol === null || flt === null || flt <= 0) return { ...row, volFloatX: null, volFloatIcon: "", volFloatLabel: null };
+  const x = vol / flt;
+  const tier = volFloatTier(x);
+  return { ...row, volFloatX: round2(x), volFloatIcon: tier.icon, volFloatLabel: tier.label };
+}
+
+// ----------------------------------------------------------------------------
+// Ranking
+// ----------------------------------------------------------------------------
+function prelimScoreVolatile(row) {
+  // Volatility score uses the largest absolute move among:
+  // - GapPercent
+  // - PricePercent
+  // - ExtendedHoursPercent
+  const gapAbs = Math.abs(n(row?.gapPct) ?? 0);
+  const priceAbs = Math.abs(n(row?.pricePct) ?? 0);
+  const extAbs = Math.abs(n(row?.extPct) ?? 0);
+  return Math.max(gapAbs, priceAbs, extAbs);
+}
+function sortForPrepick(rows, mode) {
+  // Used to reduce universe size BEFORE indicators to save API calls
+  const safeN = (x) => (Number.isFinite(Number(x)) ? Number(x) : 0);
+
+  if (mode === "active") {
+    return [...rows].sort((a, b) => safeN(b.volume) - safeN(a.volume));
+  }
+
+  if (mode === "volatile") {
+    return [...rows].sort(
+      (a, b) => prelimScoreVolatile(b) - prelimScoreVolatile(a) || safeN(b.volume) - safeN(a.volume)
+    );
+  }
+
+  if (mode === "gap") {
+    return [...rows].sort(
+      (a, b) => Math.abs(safeN(b.gapPct)) - Math.abs(safeN(a.gapPct)) || safeN(b.volume) - safeN(a.volume)
+    );
+  }
+
+  if (mode === "gapFloatRank") {
+    // Movers special rank: Gap% (abs) desc -> FloatTurnoverPercent desc -> Volume desc
+    return [...rows].sort((a, b) => {
+      const aGap = Math.abs(safeN(a.gapPct));
+      const bGap = Math.abs(safeN(b.gapPct));
+
+      const aFloatTurn = safeN(a.floatTurnoverPct);
+      const bFloatTurn = safeN(b.floatTurnoverPct);
+
+      const aVol = safeN(a.volume);
+      const bVol = safeN(b.volume);
+
+      return bGap - aGap || bFloatTurn - aFloatTurn || bVol - aVol;
+    });
+  }
+
+  // default: active
+  return [...rows].sort((a, b) => safeN(b.volume) - safeN(a.volume));
+}
+function sortGapFloatVolume(rows) {
+  // Movers ranking rule (most important for "mover"):
+  // 1) Highest absolute GapPercent first (GapPercent is Regular Trading Hours gap after Polygon overwrite)
+  //    GapPercent = ((RegularTradingHoursOpen - PreviousClose) / PreviousClose) * 100
+  // 2) Highest FloatTurnoverPercent next
+  //    FloatTurnoverPercent = (Volume / FloatShares) * 100
+  // 3) Highest Volume last
+  rows.sort((a, b) => {
+    const gapA = Math.abs(n(a?.gapPct) ?? 0);
+    const gapB = Math.abs(n(b?.gapPct) ?? 0);
+
+    const floatTurnA = n(a?.floatTurnoverPct) ?? 0;
+    const floatTurnB = n(b?.floatTurnoverPct) ?? 0;
+
+    const volA = n(a?.volume) ?? 0;
+    const volB = n(b?.volume) ?? 0;
+
+    return gapB - gapA || floatTurnB - floatTurnA || volB - volA;
+  });
+}
+
+export {
+  demandScore,
+  signalIcon,
+  paSignalIcon,
+  attach5mSignals,
+  volFloatTier,
+  attachVolFloat,
+  prelimScoreVolatile,
+  sortForPrepick,
+  sortGapFloatVolume,
+};
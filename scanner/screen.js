@@ -0,0 +1,669 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/screen.js
+// Screener expression language (/screen?q=): one filter + sort over any row universe.
+//   gapPct > 10 and floatM < 20 and aboveVWAP_5m and price between 1 and 20 sort floatTurnoverPct desc
+// Grammar (keywords are case-insensitive, field names are not):
+//   query := [expr] [sort field [asc|desc] {, field [asc|desc]}]
+//   expr  := and {or and}        and   := not {and not}      not  := not not | test
+//   test  := value [(> >= < <= = == != <>) value | [not] between value and value | [not] in (lit, …)]
+//   value := term {(+ | -) term}  term  := unary {(* | /) unary}  unary := -unary | atom
+//   atom  := number[k|m|b] | "text" | 'text' | true | false | field | abs(value) | (expr)
+// Fields: SCREEN_FIELDS (the row catalog) + timeframe indicator fields <indicator>_<tf>
+// (ema20_1h, rsi14_15m, macdHist_1d, … — scanner/mtf.js), computed by the route on demand.
+// A missing value (null) never passes a test; `not` flips the result. Sorts put nulls last.
+// Text compares case-insensitively. Saved screens (a universe + q + columns + refresh,
+// stored by screens.js) are checked by validateScreenDefinition. Pure, no env / network.
+// ============================================================================
+import { TIMEFRAMES, INDICATORS, parseIndicators } from "./mtf.js";
+
+// Row fields after the standard pipeline (normalize -> 5m indicators -> finalizeRows)
+const SCREEN_FIELDS = {
+  symbol: "string",
+  price: "number",
+  open: "number",
+  prevClose: "number",
+  pricePct: "number",
+  gapPct: "number",
+  extPct: "number",
+  volume: "number",
+  floatShares: "number",
+  floatM: "number",
+  floatCat: "string",
+  floatTurnoverPct: "number",
+  volFloatX: "number",
+  marketCap: "number",
+  marketCapB: "number",
+  cap: "string",
+  demandScore: "number",
+  signalIcon: "string",
+  paIcon: "string",
+  rvol: "number",
+  sma26_5m: "number",
+  ema9_5m: "number",
+  ema34_5m: "number",
+  vwap_5m: "number",
+  vwapDev_5m: "number",
+  aboveVWAP_5m: "boolean",
+  volSpike_5m: "boolean",
+  volRatio_5m: "number",
+  lastVol_5m: "number",
+  avgVol_5m: "number",
+  ao: "number",
+  aoPrev: "number",
+  rsi14_5m: "number",
+  macd_5m: "number",
+  macdSignal_5m: "number",
+  macdHist_5m: "number",
+  macdCross_5m: "string",
+  atr14_5m: "number",
+  atrPct_5m: "number",
+  bbUpper_5m: "number",
+  bbMid_5m: "number",
+  bbLower_5m: "number",
+  bbPctB_5m: "number",
+  halted: "boolean",
+  luldUpper: "number",
+  luldLower: "number",
+  pctToLimitUp: "number",
+  pctToLimitDown: "number",
+  pctToBand: "number",
+  luldSide: "string",
+  nearLuldBand: "boolean",
+};
+
+const KEYWORDS = ["and", "or", "not", "between", "in", "sort", "asc", "desc", "true", "false", "abs"];
+const CMP_OPS = [">", ">=", "<", "<=", "=", "==", "!=", "<>"];
+const ORDER_OPS = [">", ">=", "<", "<="];
+const NUMBER_SUFFIX = { k: 1e3, m: 1e6, b: 1e9 };
+const SCREEN_MAX_LENGTH = 1000;
+const SCREEN_MAX_NODES = 200;
+
+// Length-free timeframe fields: macdSignal -> macd, bbUpper -> bb, aoPrev -> ao, …
+const FIXED_TF_FIELDS = Object.fromEntries(
+  Object.entries(INDICATORS)
+    .filter(([, def]) => !def.defaultLen)
+    .flatMap(([kind, def]) => def.fields(kind).map((f) => [f, kind]))
+);
+
+class ScreenError extends Error {
+  constructor(message, pos) {
+    super(pos === undefined ? message : `${message} at column ${pos + 1}`);
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Tokens: { k: "num" | "str" | "id" | "op" | "end", v, pos }
+// ----------------------------------------------------------------------------
+function tokenize(src) {
+  const out = [];
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    const pos = i;
+    const rest = src.slice(i);
+
+    const num = rest.match(/^(\d+(?:\.\d+)?|\.\d+)([kmb])?(?![A-Za-z0-9_])/i);
+    if (num) {
+      out.push({ k: "num", v: Number(num[1]) * (num[2] ? NUMBER_SUFFIX[num[2].toLowerCase()] : 1), pos });
+      i += num[0].length;
+      continue;
+    }
+    const id = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (id) {
+      out.push({ k: "id", v: id[0], pos });
+      i += id[0].length;
+      continue;
+    }
+    if (c === '"' || c === "'") {
+      const end = src.indexOf(c, i + 1);
+      if (end < 0) throw new ScreenError("unterminated text", pos);
+      out.push({ k: "str", v: src.slice(i + 1, end), pos });
+      i = end + 1;
+      continue;
+    }
+    const op = rest.match(/^(>=|<=|==|!=|<>|[><=+\-*/(),])/);
+    if (!op) throw new ScreenError(`unexpected "${c}"`, pos);
+    out.push({ k: "op", v: op[0], pos });
+    i += op[0].length;
+  }
+  out.push({ k: "end", v: "", pos: src.length });
+  return out;
+}
+
+// ----------------------------------------------------------------------------
+// Parser -> AST
+//   { type: "or" | "and", args } • { type: "not", arg } • { type: "cmp", op, left, right }
+//   { type: "between", value, low, high, negate } • { type: "in", value, list, negate }
+//   { type: "math", op, left, right } • { type: "neg" | "abs", arg }
+//   { type: "field", name, pos } • { type: "num" | "str" | "bool", value }
+// ----------------------------------------------------------------------------
+function parseScreen(src) {
+  const toks = tokenize(src);
+  let i = 0;
+  let nodes = 0;
+
+  const peek = () => toks[i];
+  const isKw = (t, kw) => t.k === "id" && t.v.toLowerCase() === kw;
+  const isOp = (t, op) => t.k === "op" && t.v === op;
+  const show = (t) => (t.k === "end" ? "end of query" : `"${t.v}"`);
+  const node = (x) => {
+    if (++nodes > SCREEN_MAX_NODES) throw new ScreenError(`query is too long (at most ${SCREEN_MAX_NODES} terms)`);
+    return x;
+  };
+  const expectKw = (kw) => {
+    if (!isKw(peek(), kw)) throw new ScreenError(`expected "${kw}", got ${show(peek())}`, peek().pos);
+    i++;
+  };
+  const expectOp = (op) => {
+    if (!isOp(peek(), op)) throw new ScreenError(`expected "${op}", got ${show(peek())}`, peek().pos);
+    i++;
+  };
+
+  function parseOr() {
+    const args = [parseAnd()];
+    while (isKw(peek(), "or")) {
+      i++;
+      args.push(parseAnd());
+    }
+    return args.length === 1 ? args[0] : node({ type: "or", args });
+  }
+
+  function parseAnd() {
+    const args = [parseNot()];
+    while (isKw(peek(), "and")) {
+      i++;
+      args.push(parseNot());
+    }
+    return args.length === 1 ? args[0] : node({ type: "and", args });
+  }
+
+  function parseNot() {
+    if (isKw(peek(), "not")) {
+      i++;
+      return node({ type: "not", arg: parseNot() });
+    }
+    return parseTest();
+  }
+
+  function parseTest() {
+    const value = parseValue();
+    const t = peek();
+    if (t.k === "op" && CMP_OPS.includes(t.v)) {
+      i++;
+      return node({ type: "cmp", op: t.v === "=" ? "==" : t.v === "<>" ? "!=" : t.v, left: value, right: parseValue(), pos: t.pos });
+    }
+
+    const negate = isKw(t, "not") && (isKw(toks[i + 1], "between") || isKw(toks[i + 1], "in"));
+    if (negate) i++;
+    if (isKw(peek(), "between")) {
+      i++;
+      const low = parseValue();
+      expectKw("and");
+      return node({ type: "between", value, low, high: parseValue(), negate, pos: t.pos });
+    }
+    if (isKw(peek(), "in")) {
+      i++;
+      expectOp("(");
+      const list = [parseLiteral()];
+      while (isOp(peek(), ",")) {
+        i++;
+        list.push(parseLiteral());
+      }
+      expectOp(")");
+      return node({ type: "in", value, list, negate, pos: t.pos });
+    }
+    return value;
+  }
+
+  function parseLiteral() {
+    const t = peek();
+    const neg = isOp(t, "-") && toks[i + 1].k === "num";
+    if (neg) i++;
+    const v = peek();
+    if (v.k === "num") {
+      i++;
+      return node({ type: "num", value: neg ? -v.v : v.v });
+    }
+    if (v.k === "str") {
+      i++;
+      return node({ type: "str", value: v.v });
+    }
+    throw new ScreenError(`expected a number or text, got ${show(v)}`, v.pos);
+  }
+
+  function parseValue() {
+    let left = parseTerm();
+    while (isOp(peek(), "+") || isOp(peek(), "-")) {
+      const op = toks[i++];
+      left = node({ type: "math", op: op.v, left, right: parseTerm(), pos: op.pos });
+    }
+    return left;
+  }
+
+  function parseTerm() {
+    let left = parseUnary();
+    while (isOp(peek(), "*") || isOp(peek(), "/")) {
+      const op = toks[i++];
+      left = node({ type: "math", op: op.v, left, right: parseUnary(), pos: op.pos });
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOp(peek(), "-")) {
+      const pos = toks[i++].pos;
+      return node({ type: "neg", arg: parseUnary(), pos });
+    }
+    return parseAtom();
+  }
+
+  function parseAtom() {
+    const t = peek();
+    if (t.k === "num") {
+      i++;
+      return node({ type: "num", value: t.v });
+    }
+    if (t.k === "str") {
+      i++;
+      return node({ type: "str", value: t.v });
+    }
+    if (isOp(t, "(")) {
+      i++;
+      const inner = parseOr();
+      expectOp(")");
+      return inner;
+    }
+    if (t.k === "id") {
+      const kw = t.v.toLowerCase();
+      if (kw === "true" || kw === "false") {
+        i++;
+        return node({ type: "bool", value: kw === "true" });
+      }
+      if (kw === "abs" && isOp(toks[i + 1], "(")) {
+        i += 2;
+        const arg = parseValue();
+        expectOp(")");
+        return node({ type: "abs", arg, pos: t.pos });
+      }
+      if (!KEYWORDS.includes(kw)) {
+        i++;
+        return node({ type: "field", name: t.v, pos: t.pos });
+      }
+    }
+    throw new ScreenError(`expected a field or a value, got ${show(t)}`, t.pos);
+  }
+
+  function parseSort() {
+    const keys = [];
+    for (;;) {
+      const t = peek();
+      if (t.k !== "id" || KEYWORDS.includes(t.v.toLowerCase())) throw new ScreenError(`expected a field to sort by, got ${show(t)}`, t.pos);
+      i++;
+      let dir = "desc";
+      if (isKw(peek(), "asc") || isKw(peek(), "desc")) dir = toks[i++].v.toLowerCase();
+      keys.push({ field: t.v, dir, pos: t.pos });
+      if (!isOp(peek(), ",")) return keys;
+      i++;
+    }
+  }
+
+  const where = peek().k === "end" || isKw(peek(), "sort") ? null : parseOr();
+  let sort = [];
+  if (isKw(peek(), "sort")) {
+    i++;
+    sort = parseSort();
+  }
+  if (peek().k !== "end") throw new ScreenError(`unexpected ${show(peek())}`, peek().pos);
+  return { where, sort };
+}
+
+// ----------------------------------------------------------------------------
+// Field catalog + type check
+// ----------------------------------------------------------------------------
+// name -> { type, tf?, spec? } (tf / spec: a timeframe field the route has to compute) | null
+function resolveScreenField(name) {
+  if (Object.hasOwn(SCREEN_FIELDS, name)) return { type: SCREEN_FIELDS[name] };
+  const m = String(name).match(/^([A-Za-z]+\d*)_([0-9a-z]+)$/);
+  if (!m || !Object.hasOwn(TIMEFRAMES, m[2])) return null;
+
+  const base = m[1];
+  if (Object.hasOwn(FIXED_TF_FIELDS, base)) {
+    return { type: "number", tf: m[2], spec: parseIndicators(FIXED_TF_FIELDS[base]).specs[0] };
+  }
+  // ema20 / sma200 / rsi7 / atr10: the length is part of the field name
+  if (!/^[a-z]+\d+$/.test(base)) return null;
+  const { specs } = parseIndicators(base);
+  return specs[0]?.id === base ? { type: "number", tf: m[2], spec: specs[0] } : null;
+}
+
+function unknownField(name, pos) {
+  const lower = name.toLowerCase();
+  const near = Object.keys(SCREEN_FIELDS).find((f) => f.toLowerCase() === lower);
+  return new ScreenError(`unknown field "${name}"${near ? ` (did you mean ${near}?)` : ""}`, pos);
+}
+
+// -> "number" | "string" | "boolean" (throws on a mismatch)
+function typeCheck(node, fields) {
+  const want = (x, type, what) => {
+    const got = typeCheck(x, fields);
+    if (got !== type) throw new ScreenError(`${what} needs a ${type}, got a ${got}`, x.pos ?? node.pos);
+  };
+
+  switch (node.type) {
+    case "num":
+      return "number";
+    case "str":
+      return "string";
+    case "bool":
+      return "boolean";
+    case "field": {
+      const f = resolveScreenField(node.name);
+      if (!f) throw unknownField(node.name, node.pos);
+      fields.set(node.name, f);
+      return f.type;
+    }
+    case "neg":
+    case "abs":
+      want(node.arg, "number", node.type === "abs" ? "abs()" : '"-"');
+      return "number";
+    case "math":
+      want(node.left, "number", `"${node.op}"`);
+      want(node.right, "number", `"${node.op}"`);
+      return "number";
+    case "cmp": {
+      const left = typeCheck(node.left, fields);
+      const right = typeCheck(node.right, fields);
+      if (left !== right) throw new ScreenError(`"${node.op}" compares a ${left} with a ${right}`, node.pos);
+      if (ORDER_OPS.includes(node.op) && left !== "number") throw new ScreenError(`"${node.op}" needs numbers, got a ${left}`, node.pos);
+      return "boolean";
+    }
+    case "between":
+      want(node.value, "number", '"between"');
+      want(node.low, "number", '"between"');
+      want(node.high, "number", '"between"');
+      return "boolean";
+    case "in": {
+      const type = typeCheck(node.value, fields);
+      if (type === "boolean") throw new ScreenError('"in" needs a number or text', node.pos);
+      node.list.forEach((x) => want(x, type, '"in"'));
+      return "boolean";
+    }
+    case "not":
+      want(node.arg, "boolean", '"not"');
+      return "boolean";
+    default:
+      node.args.forEach((x) => want(x, "boolean", `"${node.type}"`));
+      return "boolean";
+  }
+}
+
+// field names -> { tfs, specs } the route computes for their <indicator>_<tf> fields
+function screenTimeframes(names) {
+  const tfs = [];
+  const specs = [];
+  for (const name of names) {
+    const f = resolveScreenField(name);
+    if (!f?.tf) continue;
+    if (!tfs.includes(f.tf)) tfs.push(f.tf);
+    if (!specs.some((s) => s.id === f.spec.id)) specs.push(f.spec);
+  }
+  return { tfs, specs };
+}
+
+// q -> { ok, query, where, sort, fields, tf: { tfs, specs } } | { ok: false, errors }
+// tf: the timeframes / indicator specs behind the <indicator>_<tf> fields the query uses
+function compileScreen(q) {
+  const query = String(q ?? "").trim();
+  if (query.length > SCREEN_MAX_LENGTH) return { ok: false, errors: [`q is longer than ${SCREEN_MAX_LENGTH} characters`] };
+
+  try {
+    const { where, sort } = parseScreen(query);
+    const fields = new Map();
+    if (where && typeCheck(where, fields) !== "boolean") {
+      throw new ScreenError("the filter must be a test (e.g. gapPct > 5), not a plain value");
+    }
+    for (const s of sort) {
+      const f = resolveScreenField(s.field);
+      if (!f) throw unknownField(s.field, s.pos);
+      fields.set(s.field, f);
+    }
+
+    const names = [...fields.keys()];
+    return { ok: true, query, where, sort: sort.map(({ field, dir }) => ({ field, dir })), fields: names, tf: screenTimeframes(names) };
+  } catch (e) {
+    if (e instanceof ScreenError) return { ok: false, errors: [e.message] };
+    throw e;
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Evaluation
+// ----------------------------------------------------------------------------
+function fieldValue(row, name) {
+  const v = row?.[name];
+  if (v === null || v === undefined) return null;
+  if (typeof v === "boolean" || typeof v === "string") return v;
+  const x = Number(v);
+  return Number.isFinite(x) ? x : null;
+}
+
+const textKey = (v) => (typeof v === "string" ? v.toLowerCase() : v);
+
+function evalNode(node, row) {
+  switch (node.type) {
+    case "num":
+    case "str":
+    case "bool":
+      return node.value;
+    case "field":
+      return fieldValue(row, node.name);
+    case "neg": {
+      const x = evalNode(node.arg, row);
+      return x === null ? null : -x;
+    }
+    case "abs": {
+      const x = evalNode(node.arg, row);
+      return x === null ? null : Math.abs(x);
+    }
+    case "math": {
+      const a = evalNode(node.left, row);
+      const b = evalNode(node.right, row);
+      if (a === null || b === null) return null;
+      if (node.op === "+") return a + b;
+      if (node.op === "-") return a - b;
+      if (node.op === "*") return a * b;
+      return b === 0 ? null : a / b;
+    }
+    case "cmp": {
+      const a = textKey(evalNode(node.left, row));
+      const b = textKey(evalNode(node.right, row));
+      if (a === null || b === null) return false;
+      if (node.op === ">") return a > b;
+      if (node.op === ">=") return a >= b;
+      if (node.op === "<") return a < b;
+      if (node.op === "<=") return a <= b;
+      if (node.op === "==") return a === b;
+      return a !== b;
+    }
+    case "between": {
+      const [x, lo, hi] = [evalNode(node.value, row), evalNode(node.low, row), evalNode(node.high, row)];
+      if (x === null || lo === null || hi === null) return false;
+      return (x >= lo && x <= hi) !== node.negate;
+    }
+    case "in": {
+      const x = textKey(evalNode(node.value, row));
+      if (x === null) return false;
+      return node.list.some((l) => textKey(l.value) === x) !== node.negate;
+    }
+    case "not":
+      return !evalNode(node.arg, row);
+    case "and":
+      return node.args.every((x) => evalNode(x, row) === true);
+    case "or":
+      return node.args.some((x) => evalNode(x, row) === true);
+    default:
+      return false;
+  }
+}
+
+function screenMatches(screen, row) {
+  return !screen.where || evalNode(screen.where, row) === true;
+}
+
+// Filter + sort (nulls last, ties keep the universe order) + limit
+function runScreen(rows, screen, { limit = Infinity } = {}) {
+  const hit = (Array.isArray(rows) ? rows : []).filter((r) => screenMatches(screen, r));
+  if (screen.sort.length) {
+    const keyed = hit.map((row, idx) => ({ row, idx }));
+    keyed.sort((a, b) => {
+      for (const { field, dir } of screen.sort) {
+        const x = textKey(fieldValue(a.row, field));
+        const y = textKey(fieldValue(b.row, field));
+        if (x === y) continue;
+        if (x === null) return 1;
+        if (y === null) return -1;
+        return (x < y ? -1 : 1) * (dir === "asc" ? 1 : -1);
+      }
+      return a.idx - b.idx;
+    });
+    return keyed.map((k) => k.row).slice(0, limit);
+  }
+  return hit.slice(0, limit);
+}
+
+// ----------------------------------------------------------------------------
+// Saved screens (screens.js stores them, /screens/:slug runs them, /ui/s/:slug shows them)
+//   { name, universe, watchlist, symbols, cap, q, columns, limit, pool, refreshSec, shared }
+// ----------------------------------------------------------------------------
+const SCREEN_UNIVERSES = ["movers", "snapshot", "am", "watchlist", "symbols"];
+const SCREEN_CAPS = ["all", "small", "mid", "big"];
+const DEFAULT_SCREEN_COLUMNS = ["price", "pricePct", "gapPct", "volume", "rvol", "floatM", "floatTurnoverPct", "vwap_5m"];
+const SCREEN_MAX_COLUMNS = 30;
+const SCREEN_MAX_SYMBOLS = 500;
+const SCREEN_NAME_MAX = 80;
+const SCREEN_SYMBOL_RE = /^[A-Z][A-Z0-9.\-]{0,11}$/;
+const SCREEN_SLUG_RE = /^[a-z0-9][a-z0-9-]{0,59}$/;
+
+function normalizeScreenSlug(x) {
+  const slug = String(x ?? "").trim().toLowerCase();
+  return SCREEN_SLUG_RE.test(slug) ? slug : null;
+}
+
+// "Small caps > 10%!" -> "small-caps-10"
+function slugifyScreenName(name) {
+  const slug = String(name ?? "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 50).replace(/-+$/, "");
+  return slug || "screen";
+}
+
+// "NVDA, tsla" | ["NVDA"] -> upper-cased, de-duplicated list (null = not a list)
+function listOf(x) {
+  if (Array.isArray(x)) return x.map((v) => String(v ?? "").trim()).filter(Boolean);
+  if (x === undefined || x === null) return [];
+  if (typeof x === "string") return x.split(/[\s,;]+/).filter(Boolean);
+  return null;
+}
+
+function intIn(x, lo, hi) {
+  const v = Number(x);
+  return Number.isInteger(v) && v >= lo && v <= hi ? v : null;
+}
+
+// body (+ the stored definition a PATCH starts from) -> { ok, screen } | { ok: false, errors }
+function validateScreenDefinition(input, base = null) {
+  const x = { ...(base || {}), ...(input && typeof input === "object" ? input : {}) };
+  const errors = [];
+
+  const name = String(x.name ?? "").trim();
+  if (!name) errors.push("name is required");
+  else if (name.length > SCREEN_NAME_MAX) errors.push(`name must be at most ${SCREEN_NAME_MAX} characters`);
+
+  const universe = String(x.universe ?? "movers").trim().toLowerCase().replace(/^snapshot-all$/, "snapshot");
+  if (!SCREEN_UNIVERSES.includes(universe)) errors.push(`universe must be one of: ${SCREEN_UNIVERSES.join(", ")}`);
+
+  let watchlist = null;
+  if (universe === "watchlist") {
+    watchlist = intIn(x.watchlist, 1, Number.MAX_SAFE_INTEGER);
+    if (watchlist === null) errors.push("watchlist must be a watchlist id (universe=watchlist)");
+  }
+
+  let symbols = null;
+  if (universe === "symbols") {
+    const list = listOf(x.symbols);
+    if (!list) errors.push("symbols must be a list or a comma-separated string");
+    symbols = [];
+    for (const raw of list || []) {
+      const sym = raw.toUpperCase();
+      if (!SCREEN_SYMBOL_RE.test(sym)) errors.push(`invalid symbol "${raw.slice(0, 20)}"`);
+      else if (!symbols.includes(sym)) symbols.push(sym);
+    }
+    if (symbols.length > SCREEN_MAX_SYMBOLS) errors.push(`at most ${SCREEN_MAX_SYMBOLS} symbols`);
+    if (!symbols.length) symbols = null; // IMPORTANT_SYMBOLS
+  }
+
+  const cap = String(x.cap ?? "all").trim().toLowerCase();
+  if (!SCREEN_CAPS.includes(cap)) errors.push(`cap must be one of: ${SCREEN_CAPS.join(", ")}`);
+
+  const compiled = compileScreen(x.q);
+  if (!compiled.ok) errors.push(...compiled.errors.map((e) => `q: ${e}`));
+
+  let columns = listOf(x.columns);
+  if (!columns) errors.push("columns must be a list or a comma-separated string");
+  else if (!columns.length) {
+    const fromQ = compiled.ok ? compiled.fields.filter((f) => f !== "symbol" && !DEFAULT_SCREEN_COLUMNS.includes(f)) : [];
+    columns = [...DEFAULT_SCREEN_COLUMNS, ...fromQ].slice(0, SCREEN_MAX_COLUMNS);
+  } else {
+    columns = [...new Set(columns)];
+    for (const c of columns) if (!resolveScreenField(c)) errors.push(`columns: unknown field "${c.slice(0, 40)}"`);
+    if (columns.length > SCREEN_MAX_COLUMNS) errors.push(`at most ${SCREEN_MAX_COLUMNS} columns`);
+  }
+
+  const limit = x.limit == null ? 100 : intIn(x.limit, 1, 500);
+  if (limit === null) errors.push("limit must be an integer 1-500");
+  const pool = x.pool == null ? 200 : intIn(x.pool, 10, 500);
+  if (pool === null) errors.push("pool must be an integer 10-500");
+
+  // null = the dashboard's UI_AUTO_REFRESH_MS, 0 = manual
+  const refreshSec = x.refreshSec == null ? null : intIn(x.refreshSec, 0, 3600);
+  if (x.refreshSec != null && (refreshSec === null || (refreshSec > 0 && refreshSec < 5))) errors.push("refreshSec must be 0 (manual) or 5-3600");
+
+  if (errors.length) return { ok: false, errors };
+  return {
+    ok: true,
+    screen: { name, universe, watchlist, symbols, cap, q: compiled.query, columns, limit, pool, refreshSec, shared: [true, 1, "true", "1", "on"].includes(x.shared) },
+  };
+}
+
+// /screen/fields: what a query may use
+function screenCatalog() {
+  return {
+    fields: SCREEN_FIELDS,
+    timeframeFields: {
+      pattern: "<indicator>_<tf>",
+      timeframes: Object.keys(TIMEFRAMES),
+      indicators: Object.keys(INDICATORS).map((k) => (INDICATORS[k].defaultLen ? `${k}<len>` : INDICATORS[k].fields(k).join(" / "))),
+      examples: ["ema20_1h", "rsi14_15m", "macdHist_1d", "vwap_1m"],
+    },
+    operators: [...CMP_OPS, "between … and …", "in (…)", "and", "or", "not", "+ - * /", "abs()"],
+    sort: "sort <field> [asc|desc] {, <field> [asc|desc]}",
+  };
+}
+
+export {
+  SCREEN_FIELDS,
+  SCREEN_UNIVERSES,
+  DEFAULT_SCREEN_COLUMNS,
+  parseScreen,
+  resolveScreenField,
+  screenTimeframes,
+  compileScreen,
+  screenMatches,
+  runScreen,
+  normalizeScreenSlug,
+  slugifyScreenName,
+  validateScreenDefinition,
+  screenCatalog,
+};
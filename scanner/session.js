@@ -0,0 +1,95 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/session.js
+// Session time (New York): timestamp units, NY wall clock, pre / rth / after
+// (holidays and 13:00 early closes from the NYSE calendar, scanner/calendar.js).
+// ============================================================================
+import { n } from "./util.js";
+import { minutesToHHMM, sessionAt, sessionMinutes, nextTradingDay, tradingDayOnOrBefore, tradingDayInfo } from "./calendar.js";
+
+function toMs(ts) {
+  const x = n(ts);
+  if (x === null) return null;
+  if (x > 1e14) return Math.floor(x / 1e6); // nanoseconds -> milliseconds
+  if (x > 1e12) return Math.floor(x); // milliseconds
+  if (x > 1e9) return Math.floor(x * 1000); // seconds -> milliseconds
+  return null;
+}
+function nyHM(ms) {
+  try {
+    const p = nyParts(ms); // hour % 24: midnight is 0, not 24
+    return { h: p.h, m: p.mi };
+  } catch {
+    return { h: 0, m: 0 };
+  }
+}
+function sessionOfMs(ms) {
+  // Premarket: 04:00–09:29
+  // Regular trading hours: 09:30–15:59 (12:59 on half days)
+  // After-hours: 16:00–19:59 (13:00–16:59 on half days)
+  // Weekends + NYSE holidays: off all day
+  const { h, m } = nyHM(ms);
+  return sessionAt(nyYMD(ms), h * 60 + m);
+}
+
+const NY_PARTS_FMT = new Intl.DateTimeFormat("en-US", {
+  timeZone: "America/New_York",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hour12: false,
+});
+
+function nyParts(ms) {
+  const parts = NY_PARTS_FMT.formatToParts(new Date(ms));
+  const get = (t) => Number(parts.find((p) => p.type === t)?.value ?? "0");
+  return { y: get("year"), mo: get("month"), d: get("day"), h: get("hour") % 24, mi: get("minute"), s: get("second") };
+}
+
+// "YYYY-MM-DD" of a timestamp, in New York
+function nyYMD(ms) {
+  const p = nyParts(ms);
+  return `${p.y}-${String(p.mo).padStart(2, "0")}-${String(p.d).padStart(2, "0")}`;
+}
+
+// New York wall time ("2026-01-27", "09:45") -> epoch milliseconds (DST aware)
+function nyWallTimeToMs(ymdStr, hhmm = "00:00") {
+  const [y, mo, d] = String(ymdStr).split("-").map(Number);
+  const [h, mi, s] = String(hhmm).split(":").map(Number);
+  const wall = Date.UTC(y, (mo || 1) - 1, d || 1, h || 0, mi || 0, s || 0);
+  if (!Number.isFinite(wall)) return null;
+
+  // Two passes converge across the DST switch (offset is -4h or -5h)
+  let ms = wall;
+  for (let i = 0; i < 2; i++) {
+    const p = nyParts(ms);
+    ms += wall - Date.UTC(p.y, p.mo - 1, p.d, p.h, p.mi, p.s);
+  }
+  return ms;
+}
+
+// Market clock (/market-status, UI pill): session now + next regular open / close (epoch ms)
+function marketStatus(ms = Date.now()) {
+  const day = nyYMD(ms);
+  const { h, m } = nyHM(ms);
+  const mins = h * 60 + m;
+  const today = sessionMinutes(day);
+
+  const openDay = today && mins < today.open ? day : nextTradingDay(day);
+  const closeDay = today && mins < today.close ? day : openDay;
+  const session = sessionAt(day, mins);
+
+  return {
+    ...tradingDayInfo(day),
+    nowMs: ms,
+    session,
+    marketOpen: session === "rth",
+    sessionDay: tradingDayOnOrBefore(day),
+    nextOpenMs: nyWallTimeToMs(openDay, minutesToHHMM(sessionMinutes(openDay).open)),
+    nextCloseMs: nyWallTimeToMs(closeDay, minutesToHHMM(sessionMinutes(closeDay).close)),
+  };
+}
+
+export { toMs, nyHM, sessionOfMs, nyParts, nyYMD, nyWallTimeToMs, marketStatus };
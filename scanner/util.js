@@ -0,0 +1,40 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/util.js
+// Number / date / concurrency helpers shared by the server, the backtest harness and the CLIs.
+// ============================================================================
+
+function n(x) {
+  const v = Number(x);
+  return Number.isFinite(v) ? v : null;
+}
+function round2(x) {
+  const v = n(x);
+  return v === null ? null : Number(v.toFixed(2));
+}
+function clamp(x, a, b) {
+  return Math.max(a, Math.min(b, x));
+}
+
+async function mapPool(items, concurrency, fn) {
+  const out = new Array(items.length);
+  let i = 0;
+  async function worker() {
+    while (true) {
+      const idx = i++;
+      if (idx >= items.length) return;
+      out[idx] = await fn(items[idx], idx);
+    }
+  }
+  await Promise.all(Array.from({ length: concurrency }, () => worker()));
+  return out;
+}
+
+function ymd(d) {
+  const x = new Date(d);
+  const yyyy = x.getFullYear();
+  const mm = String(x.getMonth() + 1).padStart(2, "0");
+  const dd = String(x.getDate()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+export { n, round2, clamp, mapPool, ymd };
@@ -0,0 +1,107 @@
+// ============================================================================
+// 🔥 ALGTP™ — scanner/vwap.js
+// Session-anchored VWAP: typical price (HLC3) × volume, summed from the anchor,
+// with volume-weighted standard-deviation bands.
+// Anchors (New York wall clock, same trading day as the bar):
+//   rth   09:30 regular-session open; before 09:30 there is no regular session
+//         yet, so premarket bars fall back to the 04:00 anchor
+//   pre   04:00 premarket open
+// Bars before 04:00 anchor at NY midnight. Pure functions (no env, no network).
+// ============================================================================
+import { n } from "./util.js";
+import { nyYMD, nyWallTimeToMs } from "./session.js";
+
+const VWAP_ANCHORS = ["rth", "pre"];
+const VWAP_BAND_MULTS = [1, 2];
+
+function normalizeVwapAnchor(x, fallback = "rth") {
+  const a = String(x || "").trim().toLowerCase();
+  return VWAP_ANCHORS.includes(a) ? a : fallback;
+}
+
+// Anchor (epoch ms) that a bar at `ms` belongs to
+function vwapAnchorMs(ms, anchor = "rth") {
+  const day = nyYMD(ms);
+  const rth = nyWallTimeToMs(day, "09:30");
+  const pre = nyWallTimeToMs(day, "04:00");
+  if (normalizeVwapAnchor(anchor) === "rth" && ms >= rth) return rth;
+  if (ms >= pre) return pre;
+  return nyWallTimeToMs(day, "00:00");
+}
+
+function typicalPrice(b) {
+  const c = n(b?.c);
+  const h = n(b?.h);
+  const l = n(b?.l);
+  if (c === null) return null;
+  if (h === null || l === null) return c;
+  return (h + l + c) / 3;
+}
+
+// bars: oldest first, { t, h, l, c, v }. Only bars from the anchor of the LAST bar count.
+function anchoredVWAP(bars, { anchor = "rth" } = {}) {
+  const empty = { vwap: null, sd: null, anchorMs: null, bars: 0 };
+  if (!Array.isArray(bars) || bars.length === 0) return empty;
+
+  const lastT = n(bars[bars.length - 1]?.t);
+  if (lastT === null) return empty;
+  const anchorMs = vwapAnchorMs(lastT, anchor);
+
+  let pv = 0, pv2 = 0, vv = 0, count = 0;
+  for (let i = bars.length - 1; i >= 0; i--) {
+    const b = bars[i];
+    const t = n(b?.t);
+    if (t === null || t < anchorMs) break;
+    const tp = typicalPrice(b);
+    const v = n(b?.v);
+    if (tp === null || v === null || v <= 0) continue;
+    pv += tp * v;
+    pv2 += tp * tp * v;
+    vv += v;
+    count++;
+  }
+  if (vv <= 0) return { ...empty, anchorMs };
+
+  const vwap = pv / vv;
+  const sd = Math.sqrt(Math.max(0, pv2 / vv - vwap * vwap));
+  return { vwap, sd, anchorMs, bars: count };
+}
+
+// One value per bar (oldest first); sums reset whenever the bar's anchor changes
+function anchoredVWAPSeries(bars, { anchor = "rth", mults = VWAP_BAND_MULTS } = {}) {
+  const len = Array.isArray(bars) ? bars.length : 0;
+  const vwap = Array(len).fill(null);
+  const bands = mults.map((mult) => ({ mult, upper: Array(len).fill(null), lower: Array(len).fill(null) }));
+
+  let cur = null, pv = 0, pv2 = 0, vv = 0;
+  for (let i = 0; i < len; i++) {
+    const t = n(bars[i]?.t);
+    if (t === null) continue;
+    const a = vwapAnchorMs(t, anchor);
+    if (a !== cur) {
+      cur = a;
+      pv = 0;
+      pv2 = 0;
+      vv = 0;
+    }
+    const tp = typicalPrice(bars[i]);
+    const v = n(bars[i]?.v) ?? 0;
+    if (tp !== null && v > 0) {
+      pv += tp * v;
+      pv2 += tp * tp * v;
+      vv += v;
+    }
+    if (vv <= 0) continue;
+
+    const w = pv / vv;
+    const sd = Math.sqrt(Math.max(0, pv2 / vv - w * w));
+    vwap[i] = w;
+    for (const b of bands) {
+      b.upper[i] = w + b.mult * sd;
+      b.lower[i] = w - b.mult * sd;
+    }
+  }
+  return { vwap, bands };
+}
+
+export { VWAP_ANCHORS, VWAP_BAND_MULTS, normalizeVwapAnchor, vwapAnchorMs, typicalPrice, anchoredVWAP, anchoredVWAPSeries };
@@ -0,0 +1,140 @@
+// ============================================================================
+// 🔥 ALGTP™ — Saved screens (screener definitions per user → SQLite, shareable by slug)
+// Usage (server.js):  listScreens(userId) / getScreen(userId, slug) / createScreen(userId, body)
+//                     updateScreen(userId, slug, body) / deleteScreen(userId, slug)  -> { ok, status, body }
+// ----------------------------------------------------------------------------
+// ENV:
+//   SCREEN_MAX_PER_USER  saved screens per user (default 50)
+// A screen = universe + q (filters + sort, scanner/screen.js) + columns + rows + refresh rate.
+// Slugs are one namespace for everyone (a-z 0-9 -; from the name unless given, a taken
+// derived slug gets -2, -3, …). shared=true: any signed-in user with the link can open
+// /screens/<slug> and /ui/s/<slug>; only the owner changes or deletes it.
+// ============================================================================
+import "dotenv/config";
+import {
+  listScreensForUser,
+  getScreenBySlug,
+  insertScreen,
+  updateScreen as updateScreenRow,
+  deleteScreen as deleteScreenRow,
+} from "./db.js";
+import { watchlistSymbols } from "./watchlists.js";
+import { normalizeScreenSlug, slugifyScreenName, validateScreenDefinition } from "./scanner/screen.js";
+
+const SCREEN_MAX_PER_USER = Math.max(1, Math.min(1000, Number(process.env.SCREEN_MAX_PER_USER || 50)));
+
+const notFound = (slug) => ({ ok: false, status: 404, body: { ok: false, error: "Screen not found", detail: slug } });
+const invalid = (detail) => ({ ok: false, status: 400, body: { ok: false, error: "Invalid screen", detail } });
+const readOnly = (slug) => ({ ok: false, status: 403, body: { ok: false, error: "Screen is read-only", detail: `${slug} belongs to another user` } });
+const slugTaken = (slug) => ({ ok: false, status: 409, body: { ok: false, error: "Screen slug taken", detail: slug } });
+
+function definitionOf(row) {
+  let def = {};
+  try {
+    def = JSON.parse(row.definition);
+  } catch {}
+  return { name: row.name, ...def, shared: Boolean(row.shared) };
+}
+
+function screenFromDb(row, userId) {
+  return {
+    slug: row.slug,
+    ...definitionOf(row),
+    readOnly: row.user_id !== userId,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// the row if userId may see it (own, or shared by its owner), else null
+function visibleRow(userId, rawSlug) {
+  const slug = normalizeScreenSlug(rawSlug);
+  const row = slug ? getScreenBySlug.get(slug) : null;
+  return row && (row.user_id === userId || row.shared) ? row : null;
+}
+
+function uniqueSlug(name) {
+  const base = slugifyScreenName(name);
+  let slug = base;
+  for (let k = 2; getScreenBySlug.get(slug); k++) slug = `${base}-${k}`;
+  return slug;
+}
+
+// explicit slug -> { slug } | { error } (unchanged own slug is fine)
+function requestedSlug(raw, current = null) {
+  const slug = normalizeScreenSlug(raw);
+  if (!slug) return { error: invalid([`slug "${String(raw ?? "").slice(0, 60)}" must be 1-60 of a-z 0-9 - (starting with a letter or digit)`]) };
+  if (slug !== current && getScreenBySlug.get(slug)) return { error: slugTaken(slug) };
+  return { slug };
+}
+
+// validateScreenDefinition + the watchlist must be one of the owner's lists
+function checkDefinition(userId, body, base) {
+  const v = validateScreenDefinition(body, base);
+  if (!v.ok) return { error: invalid(v.errors) };
+  if (v.screen.watchlist && !watchlistSymbols(userId, v.screen.watchlist)) return { error: invalid([`watchlist ${v.screen.watchlist} not found`]) };
+  return { screen: v.screen };
+}
+
+function rowFields({ name, shared, ...definition }) {
+  return { name, shared: shared ? 1 : 0, definition: JSON.stringify(definition) };
+}
+
+function listScreens(userId) {
+  const results = listScreensForUser.all(userId).map((r) => screenFromDb(r, userId));
+  return { ok: true, status: 200, body: { ok: true, count: results.length, maxScreens: SCREEN_MAX_PER_USER, results } };
+}
+
+// -> also { ownerId } (a watchlist universe reads the owner's list, whoever opens the link)
+function getScreen(userId, rawSlug) {
+  const row = visibleRow(userId, rawSlug);
+  if (!row) return notFound(String(rawSlug ?? ""));
+  return { ok: true, status: 200, body: { ok: true, screen: screenFromDb(row, userId) }, ownerId: row.user_id };
+}
+
+// POST /screens — { name, slug?, universe?, watchlist?, symbols?, cap?, q?, columns?, limit?, pool?, refreshSec?, shared? }
+function createScreen(userId, body = {}, now = Date.now()) {
+  const d = checkDefinition(userId, body);
+  if (d.error) return d.error;
+  if (listScreensForUser.all(userId).length >= SCREEN_MAX_PER_USER) return invalid([`at most ${SCREEN_MAX_PER_USER} screens per user`]);
+
+  let slug = uniqueSlug(d.screen.name);
+  if (body?.slug != null && body.slug !== "") {
+    const s = requestedSlug(body.slug);
+    if (s.error) return s.error;
+    slug = s.slug;
+  }
+
+  insertScreen.run({ user_id: userId, slug, ...rowFields(d.screen), now });
+  return { ok: true, status: 201, body: { ok: true, screen: screenFromDb(getScreenBySlug.get(slug), userId) } };
+}
+
+// PATCH /screens/:slug — any of the POST fields (slug renames the link)
+function updateScreen(userId, rawSlug, body = {}, now = Date.now()) {
+  const row = visibleRow(userId, rawSlug);
+  if (!row) return notFound(String(rawSlug ?? ""));
+  if (row.user_id !== userId) return readOnly(row.slug);
+
+  const d = checkDefinition(userId, body, definitionOf(row));
+  if (d.error) return d.error;
+
+  let newSlug = row.slug;
+  if (body?.slug != null && body.slug !== "") {
+    const s = requestedSlug(body.slug, row.slug);
+    if (s.error) return s.error;
+    newSlug = s.slug;
+  }
+
+  updateScreenRow.run({ user_id: userId, slug: row.slug, new_slug: newSlug, ...rowFields(d.screen), now });
+  return { ok: true, status: 200, body: { ok: true, screen: screenFromDb(getScreenBySlug.get(newSlug), userId) } };
+}
+
+function deleteScreen(userId, rawSlug) {
+  const row = visibleRow(userId, rawSlug);
+  if (!row) return notFound(String(rawSlug ?? ""));
+  if (row.user_id !== userId) return readOnly(row.slug);
+  deleteScreenRow.run({ user_id: userId, slug: row.slug });
+  return { ok: true, status: 200, body: { ok: true, deleted: row.slug } };
+}
+
+export { SCREEN_MAX_PER_USER, listScreens, getScreen, createScreen, updateScreen, deleteScreen };
@@ -1,8 +1,13 @@
 // ============================================================================
 // 🔥 ALGTP™ — Massive Scanner (REST + WS HALT + WS AM fallback + Mini Chart Hover)
-// Single-file Node.js (ESM)
+// Node.js (ESM). Routes live here; data source / normalizer / indicators /
+// scoring / filters are the scanner/ library. Feature profiles (core | daytrade |
+// pro | platform, see scanner/profiles.js) pick which modules run:
+//   SCANNER_PROFILE=daytrade node server.js   ==   node server-daytrade.js
 // ----------------------------------------------------------------------------
 // UI:  /ui   (Dashboard: Symbols + Max Stepper + Roller + Box matrix)
+//      /ui?layout=<name>  (saved layout: boxes added / removed / reordered / resized, own source + filters + rows + sort)
+//      /ui/<preset>  (one box full width: gainers, losers, gappers, smallcap, premarket, halts, scan, … see /help)
 // API:
 //   /list
 //   /scan
@@ -16,9 +21,45 @@
 //   /most-volatile
 //   /most-lately
 //   /halts
+//   /halts/history           (SQLite: every HALT → RESUME with duration and band prices, or raw LULD events)
+//   /halts/stats             (halts per symbol per NY day, average / longest halt)
+//   /luld                    (symbols within ?within=% of their Limit Up / Limit Down band)
+//   /top-movers              (gainers / losers / all merged, no indicators)
+//   /market-status           (NYSE calendar: session now, next open / close, holidays + half days; ?date=YYYY-MM-DD)
+//   /help
 //   /api
+//   /stream                  (SSE: server-side section refresh -> row diffs pushed to every open /ui)
+//   /alerts/rules            (CRUD, SQLite, per user) + /alerts/events + /alerts/fields
+//   /webhooks                (CRUD, SQLite, per user) + /webhooks/:id/test + /webhooks/deliveries
+//   /watchlists              (CRUD, SQLite, per user) + /watchlists/:id/symbols (add / replace / reorder / remove)
+//   /layouts                 (dashboard layouts, SQLite, per user) + /layouts/:name (GET / PUT / DELETE) + /layouts/catalog
+//   /screen?q=               (screener expression: filter + sort over movers / snapshot-all / AM cache / watchlist) + /screen/fields
+//   /screens                 (saved screens, SQLite, per user, shareable) + /screens/:slug (run / PATCH / DELETE) + /ui/s/:slug
+//   /replay                  (status of REPLAY_FILE mode: recorded AM/LULD day fed back through the handlers)
+//   /backtest                (stored bars -> scanner pipeline at chosen NY times -> +5m/+30m/EOD returns per score/icon/rank)
+// Accounts (ENABLE_AUTH=true, auth.js):
+//   /login  /auth/google  /auth/google/callback  /logout  /me
+//   PRO (premium account): /snapshot-all /premarket /aftermarket /halts /halts/history /halts/stats /luld + /ui/<pro preset>
+// Billing (ENABLE_BILLING=true, billing.js):
+//   /subscribe (Stripe Checkout)  /billing/portal  /stripe/webhook (premium on / off)
+// API tokens (ENABLE_API_TOKENS=true, apitokens.js):
+//   /tokens (page) + /tokens/keys (CRUD)   bots: Authorization: Bearer <token> | ?token=<token>
+//   scopes: scan (free row routes, /stream, /mini-chart) • pro (/snapshot-all /premarket /aftermarket, /screen?universe=snapshot|am) • halts (/halts, /halts/history, /halts/stats, /luld)
 // Extra:
-//   /mini-chart?symbol=AAPL&tf=1   (hover mini chart)
+//   /mini-chart?symbol=AAPL&tf=1&anchor=rth   (hover mini chart; VWAP ±1σ/±2σ anchored at 09:30 rth | 04:00 pre)
+//   ?minPrice=&maxPrice=&minVol=&minRVOL=   (smart filters on every row route)
+//   ?sort=rvol|rsi|atrPct                   (re-rank any row route by time-of-day RVOL / RSI(14) / ATR% on 5m)
+//   ?rsiMin=&rsiMax=&macdCross=bull|bear&bb=above|below|inside   (5m RSI / MACD / Bollinger filters)
+//   /scan|/list ?tf=15m,1h&ind=ema9,rsi14   (indicators per timeframe 1m/5m/15m/1h/1d → ema9_1h, rsi14_15m, …)
+//   /scan?watchlist=<id>                    (scan one of your saved watchlists instead of ?symbols=)
+//   ?format=csv|tsv|ndjson&columns=         (every row route + /halts*, /luld, /screen, /screens/:slug as a download; fixed columns + header)
+// Limits: data routes answer 429 + Retry-After when the caller's bucket (RATE_LIMIT_PER_MIN / _BURST,
+//   per API key / user / IP) or the global upstream budget (UPSTREAM_BUDGET_PER_MIN) runs dry; usage on /api
+// Cache: every upstream GET goes through one LRU cache in safeGet (per-endpoint CACHE_TTL_*_MS,
+//   identical concurrent calls coalesced); hit / miss counters on /api (config.cache)
+// ----------------------------------------------------------------------------
+// Data provider: DATA_PROVIDER=massive (default) | polygon | mock (scanner/providers.js)
+//   mock = fixture files in MOCK_DATA_DIR (default fixtures/mock), fully offline, no WebSockets
 // ----------------------------------------------------------------------------
 // Data priority (most important parts):
 // - Gap% (Regular Trading Hours gap) is computed from Polygon daily aggregates:
@@ -35,9 +76,131 @@
 // ============================================================================
 
 import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
 import express from "express";
+import http from "node:http";
+import https from "node:https";
 import axios from "axios";
 import WebSocket from "ws";
+import { applyProfile } from "./scanner/profiles.js";
+import {
+  DB_PATH,
+  listAlertRules,
+  listEnabledAlertRules,
+  getAlertRule,
+  insertAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  insertAlertEvent,
+  lastAlertEventFor,
+  listAlertEvents,
+  listWebhooks,
+  listEnabledWebhooks,
+  getWebhook,
+  insertWebhook,
+  updateWebhook,
+  deleteWebhook,
+  insertWebhookDelivery,
+  updateWebhookDelivery,
+  getWebhookDelivery,
+  listWebhookDeliveries,
+  getUserByEmail,
+  getUserById,
+} from "./db.js";
+import { AUTH_PROVIDER, authEnvMissing, authMiddleware, publicUser, passport } from "./auth.js";
+import { HALT_HISTORY_DAYS, recordLuldEvent, haltHistory, haltStats, restoreHaltState, pruneHaltHistory } from "./halts.js";
+import { billingEnvMissing, createCheckoutSession, createPortalSession, constructWebhookEvent, applyBillingEvent } from "./billing.js";
+import {
+  API_TOKEN_SCOPES,
+  TOKEN_DEFAULT_DAYS,
+  TOKEN_MAX_DAYS,
+  apiTokensEnvMissing,
+  issueApiToken,
+  listApiTokens,
+  revokeApiToken,
+  tokenHasScope,
+} from "./apitokens.js";
+import {
+  WATCHLIST_MAX_LISTS,
+  WATCHLIST_MAX_SYMBOLS,
+  listWatchlists,
+  ensureDefaultWatchlist,
+  createWatchlist,
+  getWatchlistFor,
+  updateWatchlist,
+  deleteWatchlistFor,
+  setWatchlistSymbols,
+  addWatchlistSymbols,
+  moveWatchlistSymbol,
+  removeWatchlistSymbol,
+  watchlistSymbols,
+} from "./watchlists.js";
+import { LAYOUT_MAX_PER_USER, LAYOUT_MAX_BOXES, BUILTIN_LAYOUT, listLayouts, getLayout, saveLayout, deleteLayout } from "./layouts.js";
+import { SCREEN_MAX_PER_USER, listScreens, getScreen, createScreen, updateScreen, deleteScreen } from "./screens.js";
+import { requireLogin, requirePremium, tokenAuth, requireScope } from "./middleware.js";
+import { n, round2, clamp, mapPool } from "./scanner/util.js";
+import { toMs, sessionOfMs, nyYMD, nyWallTimeToMs, marketStatus } from "./scanner/session.js";
+import { tradingDayInfo, upcomingMarketDays } from "./scanner/calendar.js";
+import { axiosFail, upstreamBudget, upstreamCache } from "./scanner/http.js";
+import { createLruCache } from "./scanner/cache.js";
+import { createKeyedLimiter, fanoutCost } from "./scanner/ratelimit.js";
+import { checkPublicUrl, guardedLookup } from "./scanner/hostguard.js";
+import { MASSIVE_API_KEY } from "./scanner/massive.js";
+import { POLYGON_API_KEY } from "./scanner/polygon.js";
+import { FMP_API_KEY } from "./scanner/fmp.js";
+import { MOCK_DATA_DIR } from "./scanner/mock.js";
+import { selectProvider } from "./scanner/providers.js";
+import {
+  indicatorsFromAggs5m,
+  computeAwesomeOscillatorFrom5mBars,
+  smaSeries,
+  emaSeries,
+  rsiSeries,
+  macdSeries,
+  atrSeries,
+  bollingerSeries,
+} from "./scanner/indicators.js";
+import { normalizeVwapAnchor, anchoredVWAPSeries } from "./scanner/vwap.js";
+import { TIMEFRAMES, parseTimeframe, parseTimeframes, parseIndicators, timeframeFieldNames, barsNeeded, computeTimeframeIndicators } from "./scanner/mtf.js";
+import { parseLuldMessage, luldDistance } from "./scanner/luld.js";
+import { nyMinuteOfDay, rvolLookbackRange, buildRvolBaseline, computeRVOL } from "./scanner/rvol.js";
+import {
+  demandScore,
+  signalIcon,
+  attach5mSignals,
+  attachVolFloat,
+  prelimScoreVolatile,
+  sortForPrepick,
+  sortGapFloatVolume,
+} from "./scanner/scoring.js";
+import {
+  capCategory,
+  floatCategory,
+  addExtPctFromPrevClose,
+  addFloatTurnoverPct,
+  normalizeSnapshotAuto,
+  normalizeFromAMOnly,
+  mergeAMWithSnapshot,
+} from "./scanner/normalize.js";
+import { capPass, applySmartFilters, applySortParam, aoPass, rsiPass, macdPass } from "./scanner/filters.js";
+import { loadBacktestData, runBacktest } from "./scanner/backtest.js";
+import { layoutSections, layoutCatalog, defaultLayoutBoxes } from "./scanner/layout.js";
+import { SCREEN_UNIVERSES, compileScreen, runScreen, screenTimeframes, screenCatalog } from "./scanner/screen.js";
+import {
+  EXPORT_FORMATS,
+  ROW_EXPORT_COLUMNS,
+  HALT_EXPORT_COLUMNS,
+  HALT_HISTORY_EXPORT_COLUMNS,
+  LULD_EVENT_EXPORT_COLUMNS,
+  HALT_STATS_EXPORT_COLUMNS,
+  LULD_EXPORT_COLUMNS,
+  parseExportFormat,
+  parseExportColumns,
+  exportRows,
+  exportFileName,
+} from "./scanner/export.js";
 
 // ============================================================================
 // SECTION 00 — Brand
@@ -53,69 +216,170 @@ const BRAND = {
 // ============================================================================
 // SECTION 01 — ENV / CONFIG
 // ============================================================================
+// Profile first: it only fills in ENABLE_* flags that .env / the shell left unset
+const SCANNER_PROFILE = applyProfile(process.env.SCANNER_PROFILE);
+
 const PORT = Number(process.env.PORT || 3000);
 const DEBUG = String(process.env.DEBUG || "true").toLowerCase() === "true";
 
-// Massive REST
-const MASSIVE_API_KEY = String(process.env.MASSIVE_API_KEY || "").trim();
-const MASSIVE_AUTH_TYPE = String(process.env.MASSIVE_AUTH_TYPE || "query").trim(); // query | xapi | bearer
-const MASSIVE_QUERY_KEYNAME = String(process.env.MASSIVE_QUERY_KEYNAME || "apiKey").trim();
-const MASSIVE_MOVER_URL = String(process.env.MASSIVE_MOVER_URL || "https://api.massive.com/v2/snapshot/locale/us/markets/stocks").trim();
-const MASSIVE_TICKER_SNAPSHOT_URL = String(process.env.MASSIVE_TICKER_SNAPSHOT_URL || "https://api.massive.com/v2/snapshot/locale/us/markets/stocks/tickers").trim();
-const MASSIVE_SNAPSHOT_ALL_URL = String(process.env.MASSIVE_SNAPSHOT_ALL_URL || "https://api.massive.com/v2/snapshot/locale/us/markets/stocks/tickers").trim();
-const MASSIVE_AGGS_URL = String(process.env.MASSIVE_AGGS_URL || "https://api.massive.com/v2/aggs/ticker").trim();
+// Market data provider (DATA_PROVIDER=massive|polygon|mock) → scanner/providers.js
+// MASSIVE_* / POLYGON_* / FMP_* / MOCK_DATA_DIR / INCLUDE_OTC / AGGS_* are read by the provider modules
+const provider = selectProvider(process.env.DATA_PROVIDER);
+const {
+  envMissingFor,
+  fetchMovers,
+  fetchTickerSnapshot,
+  fetchSnapshotAll,
+  fetchAggs,
+  fetchAggs5m,
+  fetchBars,
+  fetchAggsRange,
+  fetchDailyOpenPrevClose,
+  fetchFloatShares,
+} = provider;
 
 // Massive WS
 const MASSIVE_WS_URL = String(process.env.MASSIVE_WS_URL || "wss://socket.massive.com/stocks").trim();
 const ENABLE_HALT_WS = String(process.env.ENABLE_HALT_WS || "true").toLowerCase() === "true";
 const ENABLE_AM_WS = String(process.env.ENABLE_AM_WS || "true").toLowerCase() === "true";
 const AM_WS_SUBS = String(process.env.AM_WS_SUBS || "AM.*").trim();
+// Halt history: every LULD message + HALT → RESUME durations in SQLite (halts.js, HALT_HISTORY_DAYS)
+const ENABLE_HALT_HISTORY = String(process.env.ENABLE_HALT_HISTORY || "true").toLowerCase() === "true";
+// LULD bands: rows within LULD_NEAR_PCT % of a band get nearLuldBand (alerts, /luld default)
+const LULD_NEAR_PCT = Math.max(0.1, Math.min(50, Number(process.env.LULD_NEAR_PCT || 2)));
+
+// Feed recorder / replay (NDJSON per trading day: FEED_DIR/YYYY-MM-DD.ndjson)
+const RECORD_FEED = String(process.env.RECORD_FEED || "false").toLowerCase() === "true";
+const FEED_DIR = String(process.env.FEED_DIR || "data/feed").trim();
+const REPLAY_FILE = String(process.env.REPLAY_FILE || "").trim(); // set => live WebSockets are NOT started
+const REPLAY_SPEED = String(process.env.REPLAY_SPEED || "1").trim().toLowerCase(); // 1 | 10 | max (any number works)
+const REPLAY_LOOP = String(process.env.REPLAY_LOOP || "false").toLowerCase() === "true";
+
+// Backtest (/backtest only reads files inside BACKTEST_DIR)
+const BACKTEST_DIR = String(process.env.BACKTEST_DIR || "data/backtest").trim();
 
 // UI / Limits
+const ENABLE_UI = String(process.env.ENABLE_UI || "true").toLowerCase() === "true"; // /ui + /ui/<preset> pages
 const UI_AUTO_REFRESH_MS = Math.max(0, Math.min(600000, Number(process.env.UI_AUTO_REFRESH_MS || 15000)));
 const IMPORTANT_SYMBOLS = String(process.env.IMPORTANT_SYMBOLS || "NVDA,TSLA,AAPL,AMD,META").trim();
 const SYMBOL_DOT_TO_DASH = String(process.env.SYMBOL_DOT_TO_DASH || "false").toLowerCase() === "true";
 const SCAN_MAX_SYMBOLS = Math.max(20, Math.min(10000, Number(process.env.SCAN_MAX_SYMBOLS || 200)));
 const SCAN_HARD_MAX = Math.max(50, Math.min(10000, Number(process.env.SCAN_HARD_MAX || 1000)));
 
+// Watchlists (SQLite, per user → watchlists.js): /watchlists CRUD, /scan?watchlist=<id>, dashboard picker.
+// A user's first GET /watchlists seeds a "Default" list from IMPORTANT_SYMBOLS.
+const ENABLE_WATCHLISTS = String(process.env.ENABLE_WATCHLISTS || "true").toLowerCase() === "true";
+
+// Dashboard layouts (SQLite, per user → layouts.js + scanner/layout.js): /layouts CRUD, /ui?layout=<name>
+const ENABLE_LAYOUTS = String(process.env.ENABLE_LAYOUTS || "true").toLowerCase() === "true";
+
+// Screener expression language (/screen?q= → scanner/screen.js) over movers / snapshot-all / AM cache / watchlists,
+// + saved, shareable screens (SQLite → screens.js): /screens CRUD, /screens/<slug> JSON, /ui/s/<slug> page
+const ENABLE_SCREEN = String(process.env.ENABLE_SCREEN || "true").toLowerCase() === "true";
+
 // Snapshot-all mode (optional)
 const ENABLE_SNAPSHOT_ALL = String(process.env.ENABLE_SNAPSHOT_ALL || "false").toLowerCase() === "true";
 
 // Aggs / Indicators
-const AGGS_INCLUDE_PREPOST = String(process.env.AGGS_INCLUDE_PREPOST || "true").toLowerCase() === "true";
 const ENABLE_5M_INDICATORS = String(process.env.ENABLE_5M_INDICATORS || "true").toLowerCase() === "true";
-const AGGS_5M_LIMIT = Math.max(40, Math.min(5000, Number(process.env.AGGS_5M_LIMIT || 120)));
 const VOL_SPIKE_MULT = Math.max(1.1, Math.min(10, Number(process.env.VOL_SPIKE_MULT || 1.5)));
 const VOL_AVG_LEN_5M = Math.max(5, Math.min(200, Number(process.env.VOL_AVG_LEN_5M || 20)));
+const VWAP_ANCHOR = normalizeVwapAnchor(process.env.VWAP_ANCHOR); // rth (09:30) | pre (04:00) session VWAP
 const SNAP_CONCURRENCY = Math.max(1, Math.min(10, Number(process.env.SNAP_CONCURRENCY || 4)));
-const INCLUDE_OTC = String(process.env.INCLUDE_OTC || "false").toLowerCase() === "true";
+
+// Multi-timeframe indicators (?tf=15m,1h&ind=ema9,rsi14 on /scan + /list → scanner/mtf.js)
+const MTF_INDICATORS = String(process.env.MTF_INDICATORS || "ema9,ema34,sma26,vwap,rsi14,macd,atr14,bb,ao").trim(); // default ?ind=
+const MTF_MAX_TIMEFRAMES = Math.max(1, Math.min(5, Number(process.env.MTF_MAX_TIMEFRAMES || 3)));
+const MTF_BARS = Math.max(50, Math.min(1000, Number(process.env.MTF_BARS || 200))); // bars fetched per symbol + timeframe
 
 // AO Filter
 const ENABLE_AO_FILTER = String(process.env.ENABLE_AO_FILTER || "false").toLowerCase() === "true";
 const AO_MODE = String(process.env.AO_MODE || "above_zero").toLowerCase(); // above_zero | rising
 
+// RSI / MACD filters on the 5m pipeline (per request: ?rsiMin=&rsiMax=&macdCross=bull|bear&bb=above|below|inside)
+const ENABLE_RSI_FILTER = String(process.env.ENABLE_RSI_FILTER || "false").toLowerCase() === "true";
+const RSI_MIN = Math.max(0, Math.min(100, Number(process.env.RSI_MIN ?? 50) || 0));
+const RSI_MAX = Math.max(0, Math.min(100, Number(process.env.RSI_MAX ?? 100) || 100));
+const ENABLE_MACD_FILTER = String(process.env.ENABLE_MACD_FILTER || "false").toLowerCase() === "true";
+const MACD_MODE = String(process.env.MACD_MODE || "bull").toLowerCase(); // bull | bear (cross) | above | below (vs signal)
+const MACD_CROSS_BARS = Math.max(1, Math.min(20, Number(process.env.MACD_CROSS_BARS || 3))); // macdCross_5m lookback
+
 // AM cache / enrich
 const AM_CACHE_MAX = Math.max(200, Math.min(20000, Number(process.env.AM_CACHE_MAX || 8000)));
 const AM_ENRICH_LIMIT = Math.max(50, Math.min(1000, Number(process.env.AM_ENRICH_LIMIT || 200)));
 const AM_ENRICH_TTL_MS = Math.max(5000, Math.min(300000, Number(process.env.AM_ENRICH_TTL_MS || 60000)));
 
+// Live stream (/stream SSE): sections are recomputed once server-side and pushed as row diffs
+const ENABLE_STREAM = String(process.env.ENABLE_STREAM || "true").toLowerCase() === "true";
+const STREAM_REFRESH_MS = Math.max(2000, Math.min(600000, Number(process.env.STREAM_REFRESH_MS || UI_AUTO_REFRESH_MS || 15000)));
+const STREAM_HEARTBEAT_MS = 25000;
+
+// Alert rules engine (SQLite, evaluated on every scan refresh)
+const ENABLE_ALERTS = String(process.env.ENABLE_ALERTS || "true").toLowerCase() === "true";
+const ALERT_DEFAULT_COOLDOWN_SEC = Math.max(0, Math.min(86400, Number(process.env.ALERT_DEFAULT_COOLDOWN_SEC || 900)));
+
+// Outbound webhooks (HALT / 🚀 / volume spike / alert rules -> Discord, Slack, Telegram, JSON)
+const ENABLE_WEBHOOKS = String(process.env.ENABLE_WEBHOOKS || "true").toLowerCase() === "true";
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Math.min(10, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 4)));
+const WEBHOOK_BACKOFF_MS = Math.max(100, Math.min(60000, Number(process.env.WEBHOOK_BACKOFF_MS || 1000)));
+const WEBHOOK_TIMEOUT_MS = Math.max(1000, Math.min(60000, Number(process.env.WEBHOOK_TIMEOUT_MS || 8000)));
+// Webhook URLs must reach public hosts; these names / IPs may be loopback or private (a local receiver)
+const WEBHOOK_ALLOW_HOSTS = String(process.env.WEBHOOK_ALLOW_HOSTS || "")
+  .split(",")
+  .map((h) => h.trim().replace(/^\[|\]$/g, "").toLowerCase())
+  .filter(Boolean);
+
 // Mini chart cache
 const MINI_CACHE_TTL_MS = Math.max(2000, Math.min(120000, Number(process.env.MINI_CACHE_TTL_MS || 15000)));
+const MINI_CACHE_MAX = Math.max(50, Math.min(20000, Number(process.env.MINI_CACHE_MAX || 2000)));
 
-// Polygon daily open/prevClose for Regular Trading Hours Gap%
-const POLYGON_BASE_URL = String(process.env.POLYGON_BASE_URL || "https://api.polygon.io").trim();
-const POLYGON_API_KEY = String(process.env.POLYGON_API_KEY || process.env.MASSIVE_API_KEY || "").trim();
-
-// Float enrich (Financial Modeling Prep)
+// Float enrich (provider float: FMP shares-float, or the mock fixture)
 const ENABLE_FLOAT_ENRICH = String(process.env.ENABLE_FLOAT_ENRICH || "false").toLowerCase() === "true";
-const FMP_API_KEY = String(process.env.FMP_API_KEY || "").trim();
-const FLOAT_TTL_MS = Math.max(60_000, Math.min(7 * 86400000, Number(process.env.FLOAT_TTL_MS || 86400000)));
-
-if (!MASSIVE_API_KEY || !MASSIVE_MOVER_URL || !MASSIVE_TICKER_SNAPSHOT_URL) {
-  console.error("❌ Missing ENV. Required:");
-  console.error(" - MASSIVE_API_KEY");
-  console.error(" - MASSIVE_MOVER_URL");
-  console.error(" - MASSIVE_TICKER_SNAPSHOT_URL");
+
+// Time-of-day RVOL (volume so far today ÷ average volume by this NY minute over the last N sessions)
+const ENABLE_RVOL = String(process.env.ENABLE_RVOL || "true").toLowerCase() === "true";
+const RVOL_LOOKBACK_DAYS = Math.max(1, Math.min(30, Number(process.env.RVOL_LOOKBACK_DAYS || 10)));
+const RVOL_UNUSUAL_MIN = Math.max(1, Math.min(50, Number(process.env.RVOL_UNUSUAL_MIN || 2))); // /unusual-volume threshold
+const RVOL_CACHE_MAX = Math.max(100, Math.min(20000, Number(process.env.RVOL_CACHE_MAX || 3000))); // baselines kept (LRU)
+const RVOL_CACHE_TTL_MS = Math.max(60_000, Math.min(86_400_000, Number(process.env.RVOL_CACHE_TTL_MS || 6 * 60 * 60_000)));
+
+// Accounts (Google sign-in, SQLite users + sessions → auth.js). OFF = every route is open.
+// ON: /snapshot-all, /premarket, /aftermarket, /halts and the PRO /ui pages need a premium account
+const ENABLE_AUTH = String(process.env.ENABLE_AUTH || "false").toLowerCase() === "true";
+// Stripe subscription (/subscribe, /billing/portal, /stripe/webhook → billing.js). Needs ENABLE_AUTH.
+const ENABLE_BILLING = String(process.env.ENABLE_BILLING || "false").toLowerCase() === "true";
+// API tokens for bots (Bearer / ?token=, scoped, revocable → apitokens.js). Needs ENABLE_AUTH.
+const ENABLE_API_TOKENS = String(process.env.ENABLE_API_TOKENS || "false").toLowerCase() === "true";
+// false = /list, /scan and the other free row routes need a login or a `scan` token too
+const SCAN_ROUTES_PUBLIC = String(process.env.SCAN_ROUTES_PUBLIC || "true").toLowerCase() === "true";
+
+// Rate limits: token bucket per API key / signed-in user / IP on the data routes (429 + Retry-After).
+// A request costs 1 token per started 100 symbols it fans out to after the route's own clamps
+// (/scan?max=1000 = 10, /list?limit=5000 = 2), at most RATE_LIMIT_BURST.
+// The global upstream budget (UPSTREAM_BUDGET_PER_MIN) lives in scanner/http.js.
+const ENABLE_RATE_LIMIT = String(process.env.ENABLE_RATE_LIMIT || "true").toLowerCase() === "true";
+const RATE_LIMIT_PER_MIN = Math.max(1, Math.min(100000, Number(process.env.RATE_LIMIT_PER_MIN || 60)));
+const RATE_LIMIT_BURST = Math.max(1, Math.min(100000, Number(process.env.RATE_LIMIT_BURST || 30)));
+const TRUST_PROXY = String(process.env.TRUST_PROXY || "").trim(); // e.g. 1 behind Render / nginx: req.ip = client
+
+const PROVIDER_MISSING = envMissingFor();
+if (PROVIDER_MISSING.length) {
+  console.error(`❌ Missing ENV for DATA_PROVIDER=${provider.name}. Required:`);
+  for (const k of PROVIDER_MISSING) console.error(` - ${k}`);
+  process.exit(1);
+}
+
+const AUTH_MISSING = [
+  ...(ENABLE_AUTH ? authEnvMissing() : []),
+  ...(ENABLE_BILLING ? billingEnvMissing() : []),
+  ...(ENABLE_BILLING && !ENABLE_AUTH ? ["ENABLE_AUTH=true (billing needs accounts)"] : []),
+  ...(ENABLE_API_TOKENS ? apiTokensEnvMissing() : []),
+  ...(ENABLE_API_TOKENS && !ENABLE_AUTH ? ["ENABLE_AUTH=true (API tokens belong to accounts)"] : []),
+  ...(!SCAN_ROUTES_PUBLIC && !ENABLE_AUTH ? ["ENABLE_AUTH=true (SCAN_ROUTES_PUBLIC=false needs accounts)"] : []),
+];
+if (AUTH_MISSING.length) {
+  console.error(`❌ Missing ENV for accounts / billing (AUTH_PROVIDER=${AUTH_PROVIDER}). Required:`);
+  for (const k of AUTH_MISSING) console.error(` - ${k}`);
   process.exit(1);
 }
 
@@ -123,48 +387,20 @@ if (!MASSIVE_API_KEY || !MASSIVE_MOVER_URL || !MASSIVE_TICKER_SNAPSHOT_URL) {
 // SECTION 02 — App + Helpers
 // ============================================================================
 const app = express();
-app.use(express.json());
+if (TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === "true" ? true : TRUST_PROXY);
+// rawBody: Stripe signs the exact bytes, /stripe/webhook verifies against them
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/stripe/webhook")) req.rawBody = buf;
+    },
+  })
+);
 
 function dlog(...args) {
   if (DEBUG) console.log(...args);
 }
 
-function envMissingFor({ needSnapshotAll = false, needAggs = false } = {}) {
-  const miss = [];
-  if (!MASSIVE_API_KEY) miss.push("MASSIVE_API_KEY");
-  if (!MASSIVE_MOVER_URL) miss.push("MASSIVE_MOVER_URL");
-  if (!MASSIVE_TICKER_SNAPSHOT_URL) miss.push("MASSIVE_TICKER_SNAPSHOT_URL");
-  if (needSnapshotAll && !MASSIVE_SNAPSHOT_ALL_URL) miss.push("MASSIVE_SNAPSHOT_ALL_URL");
-  if (needAggs && !MASSIVE_AGGS_URL) miss.push("MASSIVE_AGGS_URL");
-  return miss;
-}
-
-function auth(params = {}, headers = {}) {
-  const t = String(MASSIVE_AUTH_TYPE).toLowerCase();
-  if (t === "query") params[MASSIVE_QUERY_KEYNAME || "apiKey"] = MASSIVE_API_KEY;
-  else if (t === "xapi") headers["x-api-key"] = MASSIVE_API_KEY;
-  else if (t === "bearer") headers["authorization"] = `Bearer ${MASSIVE_API_KEY}`;
-  else params[MASSIVE_QUERY_KEYNAME || "apiKey"] = MASSIVE_API_KEY;
-
-  headers["user-agent"] =
-    headers["user-agent"] ||
-    "Mozilla/5.0 (Macintosh; Intel Mac OS X) AppleWebKit/537.36 (KHTML, like Gecko) Chrome Safari/537.36";
-
-  return { params, headers };
-}
-
-function n(x) {
-  const v = Number(x);
-  return Number.isFinite(v) ? v : null;
-}
-function round2(x) {
-  const v = n(x);
-  return v === null ? null : Number(v.toFixed(2));
-}
-function clamp(x, a, b) {
-  return Math.max(a, Math.min(b, x));
-}
-
 function normalizeSymbolForAPI(sym) {
   const s = String(sym || "").trim().toUpperCase();
   if (!s) return "";
@@ -180,67 +416,17 @@ function parseSymbols(input) {
     .filter(Boolean);
 }
 
-async function mapPool(items, concurrency, fn) {
-  const out = new Array(items.length);
-  let i = 0;
-  async function worker() {
-    while (true) {
-      const idx = i++;
-      if (idx >= items.length) return;
-      out[idx] = await fn(items[idx], idx);
-    }
-  }
-  await Promise.all(Array.from({ length: concurrency }, () => worker()));
-  return out;
-}
-
-function ymd(d) {
-  const x = new Date(d);
-  const yyyy = x.getFullYear();
-  const mm = String(x.getMonth() + 1).padStart(2, "0");
-  const dd = String(x.getDate()).padStart(2, "0");
-  return `${yyyy}-${mm}-${dd}`;
-}
-
 // ----------------------------------------------------------------------------
-// Session time (New York)
+// Session time (New York) → scanner/session.js (toMs / nyHM / sessionOfMs)
 // ----------------------------------------------------------------------------
-function toMs(ts) {
-  const x = n(ts);
-  if (x === null) return null;
-  if (x > 1e14) return Math.floor(x / 1e6); // nanoseconds -> milliseconds
-  if (x > 1e12) return Math.floor(x); // milliseconds
-  if (x > 1e9) return Math.floor(x * 1000); // seconds -> milliseconds
-  return null;
-}
-
-function nyHM(ms) {
-  try {
-    const d = new Date(ms);
-    const parts = new Intl.DateTimeFormat("en-US", {
-      timeZone: "America/New_York",
-      hour: "2-digit",
-      minute: "2-digit",
-      hour12: false,
-    }).formatToParts(d);
-    const h = Number(parts.find((p) => p.type === "hour")?.value ?? "0");
-    const m = Number(parts.find((p) => p.type === "minute")?.value ?? "0");
-    return { h, m };
-  } catch {
-    return { h: 0, m: 0 };
-  }
-}
-
-function sessionOfMs(ms) {
-  // Premarket: 04:00–09:29
-  // Regular trading hours: 09:30–15:59
-  // After-hours: 16:00–19:59
-  const { h, m } = nyHM(ms);
-  const mins = h * 60 + m;
-  if (mins >= 4 * 60 && mins < 9 * 60 + 30) return "pre";
-  if (mins >= 9 * 60 + 30 && mins < 16 * 60) return "rth";
-  if (mins >= 16 * 60 && mins < 20 * 60) return "after";
-  return "off";
+// Market clock text for the UI pill (holidays / half days → scanner/calendar.js)
+function marketStatusLabel(st) {
+  const half = st.halfDay ? " (½ day)" : "";
+  if (st.session === "rth") return `🟢 Open · closes ${st.hours.close}${half}`;
+  if (st.session === "pre") return `🌅 Premarket · opens ${st.hours.open}${half}`;
+  if (st.session === "after") return `🌙 After-hours · until ${st.hours.afterHoursEnd}${half}`;
+  const why = st.holiday ? ` — ${st.holiday}` : st.weekend ? " — weekend" : "";
+  return `⛔ Closed${why} · next open ${nyYMD(st.nextOpenMs)}`;
 }
 
 function extractSnapshotTimestampMs(snap) {
@@ -266,289 +452,393 @@ function sortRowsByGroup(rows, group) {
   if (group === "topGappers") rows.sort((a, b) => Math.abs(b.gapPct ?? 0) - Math.abs(a.gapPct ?? 0));
   else rows.sort((a, b) => Math.abs(b.pricePct ?? 0) - Math.abs(a.pricePct ?? 0));
 }
-function capPass(row, cap) {
-  const want = String(cap || "all").toLowerCase();
-  if (want === "all" || want === "") return true;
-  return String(row?.cap || "").toLowerCase() === want;
-}
-
-// ============================================================================
-// SECTION 03 — Axios Safe
-// ============================================================================
-function axiosFail(e) {
-  if (!e || !e.isAxiosError) return { kind: "unknown", message: String(e?.message || e) };
-  const code = e.code || null;
-  const msg = e.message || "axios error";
-  const url = e.config?.url || null;
-  if (!e.response) return { kind: "network", code, message: msg, url };
-
-  const status = e.response.status;
-  const data = e.response.data;
-  const bodyPreview = typeof data === "string" ? data.slice(0, 800) : JSON.stringify(data).slice(0, 800);
-  return { kind: "http", status, message: msg, url, bodyPreview };
-}
-
-async function safeGet(url, { params, headers }) {
-  try {
-    const r = await axios.get(url, { params, headers, timeout: 25000, validateStatus: () => true });
-    return { ok: r.status < 400, status: r.status, data: r.data, url };
-  } catch (e) {
-    return { ok: false, status: null, data: null, url, errorDetail: axiosFail(e) };
-  }
-}
 
 // ============================================================================
-// SECTION 04 — Massive REST
+// SECTION 02.5 — Auth (Google sign-in → auth.js) + premium gate (middleware.js)
+// - /login                  sign-in page (?next=/ui/premarket comes back there after)
+// - /auth/google            → Google consent (AUTH_PROVIDER=stub: ?email=you@x.com, no Google)
+// - /auth/google/callback   → users row upserted, session cookie set
+// - /logout                 GET or POST
+// - /me                     current account (401 when signed out)
 // ============================================================================
-function readRowsFromAnySnapshotShape(data) {
-  if (Array.isArray(data?.tickers)) return data.tickers;
-  if (Array.isArray(data?.results)) return data.results;
-  if (Array.isArray(data?.data)) return data.data;
-  return [];
-}
-
-async function fetchMovers(direction = "gainers") {
-  const d = String(direction || "gainers").toLowerCase().trim();
-  const directionSafe = d === "losers" ? "losers" : "gainers";
-  const base = MASSIVE_MOVER_URL.replace(/\/+$/, "");
-  const url = `${base}/${directionSafe}`;
-
-  const params = {};
-  if (INCLUDE_OTC) params.include_otc = "true";
-
-  const a = auth(params, {});
-  const r = await safeGet(url, { params: a.params, headers: a.headers });
-
-  const rows = readRowsFromAnySnapshotShape(r.data);
-  return { ok: r.ok && Array.isArray(rows), url, status: r.status, rows, errorDetail: r.errorDetail };
+// Only same-site paths: never bounce a fresh session to another origin
+function safeReturnTo(x) {
+  const s = String(x || "");
+  return s.startsWith("/") && !s.startsWith("//") && !s.startsWith("/\\") ? s : "/ui";
 }
 
-async function fetchTickerSnapshot(ticker) {
-  const base = MASSIVE_TICKER_SNAPSHOT_URL.replace(/\/+$/, "");
-  const url = `${base}/${encodeURIComponent(String(ticker || "").trim().toUpperCase())}`;
-  const a = auth({}, {});
-  const r = await safeGet(url, { params: a.params, headers: a.headers });
-  return { ok: r.ok, url, status: r.status, data: r.data, errorDetail: r.errorDetail };
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
 }
 
-async function fetchSnapshotAll() {
-  const url = MASSIVE_SNAPSHOT_ALL_URL.replace(/\/+$/, "");
-  const a = auth({}, {});
-  const r = await safeGet(url, { params: a.params, headers: a.headers });
-  const rows = readRowsFromAnySnapshotShape(r.data);
-  return { ok: r.ok && Array.isArray(rows), url, status: r.status, rows, errorDetail: r.errorDetail };
+function renderLogin({ next = "/ui", error = false } = {}) {
+  return `<!doctype html><html><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>Sign in | ${BRAND.legal}</title>
+<style>
+  :root{ color-scheme: dark; }
+  body{ margin:0; font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; background:#0b0d12; color:#e6e8ef; }
+  .wrap{ max-width:420px; margin:12vh auto 0 auto; padding:24px; background:#121622; border:1px solid #1f2536; border-radius:16px; }
+  h1{ margin:0 0 6px 0; font-size:18px; }
+  p{ color:#c1c7de; line-height:1.5; font-size:13px; }
+  .err{ color:#ff8a8a; }
+  a.btn{ display:block; text-align:center; margin-top:16px; padding:10px 14px; border-radius:10px; background:#e6e8ef; color:#0b0d12; font-weight:600; text-decoration:none; }
+</style></head><body><div class="wrap">
+  <h1>${BRAND.mark} ${BRAND.legal}</h1>
+  <p>${BRAND.subtitle} — sign in to use the PRO pages (Premarket, After Hours, Snapshot-All, Halts).</p>
+  ${error ? `<p class="err">Sign-in failed. Please try again.</p>` : ""}
+  <a class="btn" href="/auth/google?next=${encodeURIComponent(next)}">Continue with Google</a>
+  <p>${BRAND.watermark}</p>
+</div></body></html>`;
 }
 
-// Aggs cache
-const aggsCache = new Map(); // key -> {ts, bars}
-async function fetchAggs(sym, tf = "1", limit = 300, sort = "asc") {
-  const ticker = String(sym || "").trim().toUpperCase();
-  const cacheKey = `${ticker}|${tf}|${sort}|${limit}`;
-  const now = Date.now();
-  const hit = aggsCache.get(cacheKey);
-  if (hit && now - hit.ts < 15_000) return { ok: true, cached: true, bars: hit.bars };
-
-  const base = MASSIVE_AGGS_URL.replace(/\/+$/, "");
-  const to = ymd(new Date());
-  const from = ymd(new Date(Date.now() - 2 * 24 * 60 * 60 * 1000));
-  const url = `${base}/${encodeURIComponent(ticker)}/range/${encodeURIComponent(tf)}/minute/${from}/${to}`;
+if (ENABLE_AUTH) {
+  for (const mw of authMiddleware()) app.use(mw);
 
-  const params = { adjusted: "true", sort: String(sort), limit: String(limit) };
-  if (AGGS_INCLUDE_PREPOST) params.includePrePost = "true";
+  app.get("/login", (req, res) => {
+    if (req.user) return res.redirect(safeReturnTo(req.query.next));
+    res.type("html").send(renderLogin({ next: safeReturnTo(req.query.next), error: Boolean(req.query.error) }));
+  });
 
-  const a = auth(params, {});
-  const r = await safeGet(url, { params: a.params, headers: a.headers });
-  const bars = Array.isArray(r.data?.results) ? r.data.results : [];
-  const ok = r.ok && bars.length > 0;
-  if (ok) aggsCache.set(cacheKey, { ts: now, bars });
+  // keepSessionInfo: passport regenerates the session on login, returnTo must survive it
+  app.get(
+    "/auth/google",
+    (req, res, next) => {
+      if (req.query.next) req.session.returnTo = safeReturnTo(req.query.next);
+      next();
+    },
+    passport.authenticate("google", { scope: ["profile", "email"], keepSessionInfo: true })
+  );
+
+  app.get(
+    "/auth/google/callback",
+    passport.authenticate("google", { failureRedirect: "/login?error=1", keepSessionInfo: true }),
+    (req, res) => {
+      const to = safeReturnTo(req.session.returnTo);
+      delete req.session.returnTo;
+      res.redirect(to);
+    }
+  );
+
+  const logout = (req, res, next) => {
+    req.logout((err) => {
+      if (err) return next(err);
+      req.session.destroy(() => {
+        res.clearCookie("algtp.sid");
+        res.redirect("/login");
+      });
+    });
+  };
+  app.get("/logout", logout);
+  app.post("/logout", logout);
 
-  return { ok, url, status: r.status, bars, errorDetail: r.errorDetail };
-}
-async function fetchAggs5m(sym) {
-  return fetchAggs(sym, "5", AGGS_5M_LIMIT, "desc");
+  app.get("/me", (req, res) => {
+    if (!req.user) return res.status(401).json({ ok: false, error: "Login required", detail: "/login" });
+    res.json({ ok: true, user: publicUser(req.user) });
+  });
 }
 
 // ============================================================================
-// SECTION 05 — Normalize Snapshot (price/open/prevClose/gap/float/marketCap)
+// SECTION 02.6 — Billing (Stripe Checkout → billing.js)
+// - /subscribe           → Stripe Checkout (already premium → customer portal)
+// - /subscribe/success   landing page; premium itself arrives with the webhook
+// - /billing/portal      → Stripe customer portal (cancel, card, invoices)
+// - /stripe/webhook      signed events flip users.premium
 // ============================================================================
-function findFirstNumberByKeys(obj, candidateKeys, maxNodes = 6000) {
-  if (!obj || typeof obj !== "object") return { value: null };
-  const wanted = new Set(candidateKeys.map((k) => String(k).toLowerCase()));
-  const q = [{ v: obj }];
-  let visited = 0;
+if (ENABLE_BILLING) {
+  app.get("/subscribe", requireLogin, async (req, res) => {
+    try {
+      if (req.user.premium && req.user.stripe_customer_id) return res.redirect(303, "/billing/portal");
+      const s = await createCheckoutSession(req.user);
+      res.redirect(303, s.url);
+    } catch (e) {
+      res.status(502).json({ ok: false, error: "Stripe checkout failed", detail: String(e?.message || e) });
+    }
+  });
 
-  while (q.length && visited < maxNodes) {
-    const { v } = q.shift();
-    visited++;
-    if (!v || typeof v !== "object") continue;
+  app.get("/subscribe/success", requireLogin, (req, res) => {
+    res.type("html").send(`<!doctype html><html><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>Subscribed | ${BRAND.legal}</title>
+<style>
+  :root{ color-scheme: dark; }
+  body{ margin:0; font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; background:#0b0d12; color:#e6e8ef; }
+  .wrap{ max-width:420px; margin:12vh auto 0 auto; padding:24px; background:#121622; border:1px solid #1f2536; border-radius:16px; }
+  p{ color:#c1c7de; line-height:1.5; font-size:13px; }
+  a{ color:#c8cde0; }
+</style></head><body><div class="wrap">
+  <h1>${BRAND.mark} Thanks, ${escapeHtml(req.user.name || req.user.email)}!</h1>
+  <p>Your PRO access turns on as soon as Stripe confirms the payment (usually a few seconds).</p>
+  <p><a href="/ui">Open the dashboard</a> • <a href="/billing/portal">Manage billing</a></p>
+</div></body></html>`);
+  });
 
-    if (Array.isArray(v)) {
-      for (const item of v) if (item && typeof item === "object") q.push({ v: item });
-      continue;
+  app.get("/billing/portal", requireLogin, async (req, res) => {
+    if (!req.user.stripe_customer_id) return res.status(404).json({ ok: false, error: "No billing account", detail: "/subscribe" });
+    try {
+      const s = await createPortalSession(req.user);
+      res.redirect(303, s.url);
+    } catch (e) {
+      res.status(502).json({ ok: false, error: "Stripe portal failed", detail: String(e?.message || e) });
     }
+  });
 
-    for (const k of Object.keys(v)) {
-      const keyLower = String(k).toLowerCase();
-      const val = v[k];
-      if (wanted.has(keyLower)) {
-        const num = n(val);
-        if (num !== null) return { value: num };
-      }
-      if (val && typeof val === "object") q.push({ v: val });
+  app.post("/stripe/webhook", (req, res) => {
+    let event;
+    try {
+      event = constructWebhookEvent(req.rawBody, req.get("stripe-signature"));
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: "Invalid signature", detail: String(e?.message || e) });
     }
-  }
-  return { value: null };
+    try {
+      const r = applyBillingEvent(event);
+      dlog("💳 stripe", event.type, event.id, r);
+      res.json({ ok: true, type: event.type, ...r });
+    } catch (e) {
+      // 5xx: Stripe retries the delivery
+      res.status(500).json({ ok: false, error: "Billing update failed", detail: String(e?.message || e) });
+    }
+  });
 }
 
-function capCategory(marketCap) {
-  const mc = n(marketCap);
-  if (mc === null) return null;
-  if (mc < 2_000_000_000) return "small";
-  if (mc < 10_000_000_000) return "mid";
-  return "big";
+// ============================================================================
+// SECTION 02.7 — API tokens (apitokens.js): bots call the JSON routes without a browser session
+// - /tokens              management page (signed-in users)
+// - /tokens/keys         GET list • POST { name, scopes:["scan","pro","halts"], days } → token shown once
+// - /tokens/keys/:id     DELETE = revoke (denylist)
+// ============================================================================
+function renderTokensPage(user) {
+  const scopes = API_TOKEN_SCOPES.map(
+    (s) => `<label><input type="checkbox" name="scope" value="${s}" ${s === "scan" ? "checked" : ""}/> ${s}</label>`
+  ).join(" ");
+  return `<!doctype html><html><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>API tokens | ${BRAND.legal}</title>
+<style>
+  :root{ color-scheme: dark; }
+  body{ margin:0; font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; background:#0b0d12; color:#e6e8ef; }
+  .wrap{ max-width:980px; margin:0 auto; padding:18px; }
+  h1{ margin:0 0 8px 0; font-size:18px; }
+  p,label,td,th{ color:#c1c7de; font-size:13px; }
+  input{ background:#121622; color:#e6e8ef; border:1px solid #1f2536; border-radius:8px; padding:6px 8px; }
+  button{ background:#e6e8ef; color:#0b0d12; border:0; border-radius:8px; padding:6px 12px; font-weight:600; cursor:pointer; }
+  table{ width:100%; border-collapse:collapse; margin-top:12px; }
+  th,td{ text-align:left; padding:6px 8px; border-bottom:1px solid #1f2536; }
+  code{ font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace; background:#121622; padding:2px 6px; border-radius:8px; word-break:break-all; }
+  .new{ display:none; margin-top:12px; padding:12px; background:#121622; border:1px solid #2b7a4b; border-radius:12px; }
+  .err{ color:#ff8a8a; }
+</style></head><body><div class="wrap">
+  <h1>${BRAND.mark} API tokens — ${escapeHtml(user.email)}</h1>
+  <p>Use with <code>Authorization: Bearer &lt;token&gt;</code> or <code>?token=&lt;token&gt;</code>.
+     Scopes: <b>scan</b> = /list /scan and the free lists • <b>pro</b> = /snapshot-all /premarket /aftermarket • <b>halts</b> = /halts (pro + halts need premium).</p>
+  <form id="f">
+    <input name="name" placeholder="Token name (e.g. discord-bot)" required maxlength="80"/>
+    ${scopes}
+    <input name="days" type="number" min="1" max="${TOKEN_MAX_DAYS}" value="${TOKEN_DEFAULT_DAYS}" style="width:80px"/> days
+    <button>Create token</button>
+  </form>
+  <p id="err" class="err"></p>
+  <div id="new" class="new"><p>Copy it now — it is not shown again:</p><code id="tok"></code></div>
+  <table><thead><tr><th>Name</th><th>Scopes</th><th>Created</th><th>Expires</th><th>Last used</th><th>Status</th><th></th></tr></thead><tbody id="rows"></tbody></table>
+</div>
+<script>
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" })[c]);
+const when = (ms) => ms ? new Date(ms).toLocaleString() : "—";
+async function load(){
+  const r = await fetch("/tokens/keys", { headers:{ accept:"application/json" } }).then(x=>x.json());
+  document.getElementById("rows").innerHTML = (r.results||[]).map(t => "<tr><td>"+esc(t.name)+"</td><td>"+esc(t.scopes.join(", "))+"</td><td>"+when(t.createdAt)+"</td><td>"+when(t.expiresAt)+"</td><td>"+when(t.lastUsedAt)+"</td><td>"+t.status+"</td><td>"+(t.status==="active" ? '<button data-id="'+esc(t.id)+'">Revoke</button>' : "")+"</td></tr>").join("");
 }
-function floatCategory(floatShares) {
-  const fs = n(floatShares);
-  if (fs === null) return null;
-  if (fs < 10_000_000) return "nano";
-  if (fs < 20_000_000) return "low";
-  if (fs < 50_000_000) return "mid";
-  return "high";
+document.getElementById("rows").addEventListener("click", async (e) => {
+  const id = e.target?.dataset?.id;
+  if (!id || !confirm("Revoke this token? Bots using it stop working immediately.")) return;
+  await fetch("/tokens/keys/" + encodeURIComponent(id), { method:"DELETE" });
+  load();
+});
+document.getElementById("f").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const fd = new FormData(e.target);
+  const body = { name: fd.get("name"), scopes: fd.getAll("scope"), days: Number(fd.get("days")) };
+  const r = await fetch("/tokens/keys", { method:"POST", headers:{ "content-type":"application/json" }, body: JSON.stringify(body) }).then(x=>x.json());
+  document.getElementById("err").textContent = r.ok ? "" : (r.detail || [r.error]).join(" • ");
+  if (r.ok){ document.getElementById("tok").textContent = r.token; document.getElementById("new").style.display = "block"; e.target.reset(); }
+  load();
+});
+load();
+</script></body></html>`;
 }
 
-function normalizeSnapshotAuto(ticker, snap) {
-  const root = snap?.results ?? snap ?? {};
-  const day = root?.day ?? root?.todays ?? root?.today ?? null;
-  const prev = root?.prevDay ?? root?.previousDay ?? root?.prev ?? null;
-
-  const lastTradePrice =
-    n(root?.lastTrade?.p) ??
-    n(root?.lastTrade?.price) ??
-    n(root?.last?.p) ??
-    n(root?.last) ??
-    n(root?.price) ??
-    null;
-
-  const dayClose = n(day?.c ?? day?.close ?? root?.close ?? root?.dayClose) ?? null;
-  const prevClose0 = n(prev?.c ?? prev?.close ?? root?.prevClose ?? root?.previousClose) ?? null;
+// Managing tokens needs the browser session: a token cannot mint or revoke tokens
+function sessionOnly(req, res, next) {
+  if (req.apiToken) return res.status(403).json({ ok: false, error: "Browser session required", detail: "/tokens" });
+  requireLogin(req, res, next);
+}
 
-  let price = lastTradePrice ?? dayClose ?? null;
-  let open = n(day?.o ?? day?.open ?? root?.open) ?? null;
-  let volume = n(day?.v ?? day?.volume ?? root?.volume ?? root?.dayVolume) ?? null;
+if (ENABLE_API_TOKENS) {
+  app.use(tokenAuth);
 
-  let pricePct =
-    n(root?.todaysChangePerc) ??
-    n(root?.todaysChangePercent) ??
-    n(root?.changePerc) ??
-    n(root?.changePercent) ??
-    null;
+  app.get("/tokens", sessionOnly, (req, res) => res.type("html").send(renderTokensPage(req.user)));
 
-  if (price === null) price = findFirstNumberByKeys(root, ["price", "last", "p", "c", "close"]).value;
-  if (open === null) open = findFirstNumberByKeys(root, ["open", "o", "dayopen", "openprice"]).value;
+  app.get("/tokens/keys", sessionOnly, (req, res) => {
+    const results = listApiTokens(req.user);
+    res.json({ ok: true, count: results.length, scopes: API_TOKEN_SCOPES, results });
+  });
 
-  let prevClose = prevClose0;
-  if (prevClose === null) prevClose = findFirstNumberByKeys(root, ["prevclose", "previousclose", "pc", "prevc"]).value;
-  if (volume === null) volume = findFirstNumberByKeys(root, ["volume", "v", "dayvolume"]).value;
+  app.post("/tokens/keys", sessionOnly, (req, res) => {
+    const out = issueApiToken(req.user, req.body);
+    res.status(out.status).json(out.body);
+  });
 
-  if (pricePct === null && price !== null && prevClose !== null && prevClose > 0) {
-    pricePct = ((price - prevClose) / prevClose) * 100;
-  }
+  app.delete("/tokens/keys/:id", sessionOnly, (req, res) => {
+    const out = revokeApiToken(req.user, req.params.id);
+    res.status(out.status).json(out.body);
+  });
+}
 
-  // Gap% here is best-effort; final correct Regular Trading Hours gap is overwritten later by Polygon.
-  const gapPct = open !== null && prevClose !== null && prevClose > 0 ? ((open - prevClose) / prevClose) * 100 : null;
+// PRO routes: premium account when ENABLE_AUTH=true, open otherwise
+const premiumOnly = ENABLE_AUTH ? requirePremium : (req, res, next) => next();
 
-  let floatShares =
-    n(root?.float) ??
-    n(root?.freeFloat) ??
-    n(root?.sharesFloat) ??
-    n(root?.floatShares) ??
-    null;
-  if (floatShares === null) floatShares = findFirstNumberByKeys(root, ["float", "freefloat", "sharesfloat", "floatshares"]).value;
-
-  let marketCap =
-    n(root?.marketCap) ??
-    n(root?.marketcap) ??
-    n(root?.mktcap) ??
-    n(root?.market_cap) ??
-    n(root?.marketCapitalization) ??
-    null;
-  if (marketCap === null) marketCap = findFirstNumberByKeys(root, ["marketcap", "mktcap", "market_cap", "capitalization"]).value;
+// JSON PRO routes: premium session, or an API token carrying `scope`
+function proAccess(scope) {
+  if (!ENABLE_AUTH) return (req, res, next) => next();
+  return (req, res, next) => (req.apiToken ? requireScope(scope)(req, res, next) : requirePremium(req, res, next));
+}
 
-  // Market capitalization estimation if missing:
-  // MarketCapitalization = LastPrice * FloatShares
-  const marketCapEst = marketCap === null && price !== null && floatShares !== null ? price * floatShares : null;
-  const marketCapFinal = marketCap ?? marketCapEst;
+// Free row routes: open (SCAN_ROUTES_PUBLIC), or a session / `scan` token
+function scanAccess(req, res, next) {
+  if (req.apiToken) return requireScope("scan")(req, res, next);
+  if (SCAN_ROUTES_PUBLIC) return next();
+  requireLogin(req, res, next);
+}
 
-  return {
-    symbol: String(ticker || "").trim().toUpperCase(),
-    price: price !== null ? round2(price) : null,
-    open: open !== null ? round2(open) : null,
-    prevClose: prevClose !== null ? round2(prevClose) : null,
-    pricePct: pricePct !== null ? round2(pricePct) : null,
-    gapPct: gapPct !== null ? round2(gapPct) : null,
-    volume: volume !== null ? Math.round(volume) : null,
-    floatShares: floatShares !== null ? Math.round(floatShares) : null,
-    floatM: floatShares !== null ? round2(floatShares / 1_000_000) : null,
-    floatCat: floatCategory(floatShares),
-    marketCap: marketCapFinal !== null ? Math.round(marketCapFinal) : null,
-    marketCapB: marketCapFinal !== null ? round2(marketCapFinal / 1_000_000_000) : null,
-    cap: capCategory(marketCapFinal),
-  };
+// Watchlists / layouts belong to the session user / the token's owner; 0 = the shared set when accounts are off
+function ownerOf(req) {
+  if (!ENABLE_AUTH) return 0;
+  if (req.apiToken) return req.apiUser?.id ?? null;
+  return req.user?.id ?? null;
 }
 
-function addExtPctFromPrevClose(row) {
-  const price = n(row?.price);
-  const prevClose = n(row?.prevClose);
-  const extPct = price !== null && prevClose !== null && prevClose > 0 ? ((price - prevClose) / prevClose) * 100 : null;
-  return { ...row, extPct: extPct !== null ? round2(extPct) : null };
+// Watchlist / layout routes: signed in (or a `scan` token) when ENABLE_AUTH=true, open otherwise
+function ownerAccess(req, res, next) {
+  if (!ENABLE_AUTH) return next();
+  if (req.apiToken) return requireScope("scan")(req, res, next);
+  requireLogin(req, res, next);
 }
 
-// Float Turnover Percent: (Volume / FloatShares) * 100
-function addFloatTurnoverPct(row) {
-  const volume = n(row?.volume);
-  const floatShares = n(row?.floatShares);
-  const floatTurnoverPct =
-    volume !== null && floatShares !== null && floatShares > 0
-      ? (volume / floatShares) * 100
-      : null;
-  return { ...row, floatTurnoverPct: floatTurnoverPct !== null ? round2(floatTurnoverPct) : null };
+// /scan?watchlist=<id> -> { ok, id, symbols } ({ symbols: null } = no watchlist asked for)
+function resolveScanWatchlist(req) {
+  const raw = String(req.query.watchlist ?? "").trim();
+  if (!raw) return { ok: true, symbols: null };
+  if (!ENABLE_WATCHLISTS) return { ok: false, status: 400, body: { ok: false, error: "Watchlists are OFF", hint: "Set ENABLE_WATCHLISTS=true" } };
+
+  const owner = ownerOf(req);
+  if (owner === null) return { ok: false, status: 401, body: { ok: false, error: "Login required", detail: "/login" } };
+  const symbols = watchlistSymbols(owner, raw);
+  if (!symbols) return { ok: false, status: 404, body: { ok: false, error: "Watchlist not found", detail: raw } };
+  return { ok: true, id: Number(raw), symbols };
 }
 
 // ============================================================================
-// SECTION 05.5 — Float Enrich (Financial Modeling Prep shares-float)
+// SECTION 02.8 — Rate limits (per caller) + upstream budget guard
 // ============================================================================
-const floatCache = new Map(); // sym -> {ts, floatShares}
-async function fetchFloatSharesFMP(sym) {
-  if (!ENABLE_FLOAT_ENRICH) return { ok: false, floatShares: null, reason: "disabled" };
-  const ticker = String(sym || "").trim().toUpperCase();
-  if (!ticker) return { ok: false, floatShares: null, reason: "no_symbol" };
-  if (!FMP_API_KEY) return { ok: false, floatShares: null, reason: "missing_FMP_API_KEY" };
+const routeLimiter = createKeyedLimiter({ capacity: RATE_LIMIT_BURST, refillPerSec: RATE_LIMIT_PER_MIN / 60 });
 
-  const hit = floatCache.get(ticker);
-  if (hit && Date.now() - hit.ts < FLOAT_TTL_MS) return { ok: true, floatShares: hit.floatShares, cached: true };
+function rateLimitKey(req) {
+  if (req.apiToken) return `key:${req.apiToken.jti}`;
+  if (req.user?.id) return `user:${req.user.id}`;
+  return `ip:${req.ip}`;
+}
 
-  const url = "https://financialmodelingprep.com/stable/shares-float";
-  const r = await safeGet(url, {
-    params: { symbol: ticker, apikey: FMP_API_KEY },
-    headers: { "user-agent": "ALGTP" },
-  });
+// How many symbols a request fans out to (snapshots / aggs per symbol), from the same clamps its
+// handler applies: /list?limit=5000 enriches 200 rows, so it is charged for 200.
+const limitFanout = (def, lo, hi) => (req) => clamp(Number(req.query.limit || def), lo, hi);
+const rowsFanout = limitFanout(120, 10, 500); // buildRowsFrom* clamp their own limit the same way
+const widenedRowsFanout = (mult) => (req) => clamp(rowsFanout(req) * mult, 250, 500); // Math.max(250, limit * mult) candidates
+
+// /scan: ?max= bounded by SCAN_MAX_SYMBOLS (default) and SCAN_HARD_MAX
+function scanMaxSymbols(query) {
+  const fromUi = Number(query.max);
+  const base = Number.isFinite(fromUi) ? fromUi : Number(process.env.SCAN_MAX_SYMBOLS || SCAN_MAX_SYMBOLS);
+  return Math.max(20, Math.min(Number(process.env.SCAN_HARD_MAX || SCAN_HARD_MAX), Math.floor(base)));
+}
+function scanFanout(req) {
+  const maxN = scanMaxSymbols(req.query);
+  if (req.query.watchlist) return maxN;
+  return Math.min(maxN, parseSymbols(req.query.symbols || req.query.symbol || IMPORTANT_SYMBOLS).length);
+}
 
-  const arr = Array.isArray(r.data) ? r.data : Array.isArray(r.data?.data) ? r.data.data : [];
-  const row = arr && arr.length ? arr[0] : null;
+function tooMany(res, error, retryAfterSec, detail) {
+  res.set("retry-after", String(retryAfterSec));
+  return res.status(429).json({ ok: false, error, detail: { retryAfterSec, ...detail } });
+}
 
-  const fs =
-    n(row?.floatShares) ??
-    n(row?.float) ??
-    n(row?.sharesFloat) ??
-    n(row?.freeFloat) ??
-    null;
+// fanout(req) -> symbols; ?tf= adds bars per timeframe. A cost above the burst could never be
+// paid, so it is charged as a full bucket (and Retry-After is the time to refill it).
+function rateLimitBy(fanout = () => 0) {
+  return function rateLimit(req, res, next) {
+    if (ENABLE_RATE_LIMIT) {
+      const timeframes = String(req.query.tf || "").split(",").filter((x) => x.trim()).length;
+      const cost = Math.min(RATE_LIMIT_BURST, fanoutCost((Number(fanout(req)) || 0) * (1 + timeframes)));
+      const r = routeLimiter.take(rateLimitKey(req), cost);
+      res.set({ "x-ratelimit-limit": String(RATE_LIMIT_BURST), "x-ratelimit-remaining": String(r.remaining) });
+      if (!r.ok) return tooMany(res, "Rate limit exceeded", r.retryAfterSec, { cost, perMin: RATE_LIMIT_PER_MIN, burst: RATE_LIMIT_BURST });
+    }
+    // No point starting a fan-out whose upstream calls would all be refused
+    const b = upstreamBudget.check();
+    if (!b.ok) return tooMany(res, "Upstream budget exhausted", b.retryAfterSec, { upstream: upstreamBudget.stats() });
+    next();
+  };
+}
+const rateLimit = rateLimitBy(); // single-symbol / cached routes: cost 1
+
+// Would proAccess(scope) let this request through? (routes that trim their output instead of refusing)
+function hasProAccess(req, scope) {
+  if (!ENABLE_AUTH) return true;
+  if (req.apiToken) return tokenHasScope(req.apiToken, req.apiUser, scope);
+  if (!req.user?.email) return false;
+  return Boolean(getUserByEmail.get(req.user.email)?.premium);
+}
 
-  if (!r.ok || fs === null) return { ok: false, floatShares: null, detail: r.errorDetail || r.data };
+// Same question for an account that is not on the request (webhook / alert rule owners)
+function ownerHasPro(userId) {
+  if (!ENABLE_AUTH) return true;
+  return Boolean(getUserById.get(userId)?.premium);
+}
 
-  floatCache.set(ticker, { ts: Date.now(), floatShares: Math.round(fs) });
-  return { ok: true, floatShares: Math.round(fs), cached: false };
+// ============================================================================
+// SECTION 02.9 — Exports (?format=csv|tsv|ndjson&columns= on the row routes → scanner/export.js)
+// exportable(columns) goes in front of a row route's handler: a successful body's
+// results leave as a download with that fixed column set (or ?columns=); errors and
+// format=json (the default) stay JSON. columns may be a function of the body.
+// ============================================================================
+function exportable(columns = ROW_EXPORT_COLUMNS) {
+  return (req, res, next) => {
+    const f = parseExportFormat(req.query.format);
+    if (!f.ok) return res.status(400).json({ ok: false, error: "Invalid query", detail: f.errors });
+    if (!f.format) return next();
+    const picked = parseExportColumns(req.query.columns, []);
+    if (!picked.ok) return res.status(400).json({ ok: false, error: "Invalid query", detail: picked.errors });
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (!body?.ok || !Array.isArray(body.results)) return json(body);
+      const cols = picked.columns.length ? picked.columns : typeof columns === "function" ? columns(body) : columns;
+      res.attachment(exportFileName(req.path, f.format)); // before type(): attachment() guesses one from the extension
+      res.type(EXPORT_FORMATS[f.format].type);
+      return res.send(exportRows(body.results, cols, f.format));
+    };
+    next();
+  };
 }
 
+// ============================================================================
+// SECTION 03 — Axios Safe → scanner/http.js (safeGet / axiosFail)
+// SECTION 04 — Market data → scanner/providers.js (massive.js / polygon.js / fmp.js / mock.js)
+// ============================================================================
+
+// ============================================================================
+// SECTION 05 — Normalize Snapshot → scanner/normalize.js (normalizeSnapshotAuto / findFirstNumberByKeys)
+// ============================================================================
+
+// ============================================================================
+// SECTION 05.5 — Float Enrich (provider.fetchFloatShares)
+// ============================================================================
 async function enrichRowsWithFloat(rows, maxN = 200) {
   if (!ENABLE_FLOAT_ENRICH) return rows;
 
@@ -562,7 +852,7 @@ async function enrichRowsWithFloat(rows, maxN = 200) {
   if (!symbols.length) return rows;
 
   const fetched = await mapPool(symbols, Math.min(6, SNAP_CONCURRENCY), async (sym) => {
-    const x = await fetchFloatSharesFMP(sym);
+    const x = await fetchFloatShares(sym);
     return { sym, ...x };
   });
 
@@ -604,173 +894,16 @@ async function enrichRowsWithFloat(rows, maxN = 200) {
 }
 
 // ============================================================================
-// SECTION 06 — Signals (icons)
-// ============================================================================
-function demandScore(row) {
-  const gap = Math.abs(n(row?.gapPct) ?? 0);
-  const pc = Math.abs(n(row?.pricePct ?? row?.extPct) ?? 0);
-
-  let s = 0;
-  if (gap >= 20) s += 1;
-  if (gap >= 40) s += 1;
-  if (gap >= 60) s += 1;
-  if (pc >= 10) s += 1;
-  if (pc >= 20) s += 1;
-  if (row?.aboveVWAP_5m && row?.volSpike_5m) s += 1;
-
-  return clamp(s, 0, 5);
-}
-function signalIcon(d) {
-  if (d >= 5) return "🚀";
-  if (d >= 4) return "🔥";
-  if (d >= 3) return "👀";
-  return "⛔";
-}
-function paSignalIcon(row) {
-  const above = Boolean(row?.aboveVWAP_5m);
-  const volSpike = Boolean(row?.volSpike_5m);
-  if (above && volSpike) return "🚨";
-  if (above) return "✅";
-  if (volSpike) return "🔊";
-  return "";
-}
-
-// ============================================================================
-// SECTION 07 — Indicators (EMA/SMA/VWAP) + Awesome Oscillator
-// ============================================================================
-function computeSMA(arr, len) {
-  if (!Array.isArray(arr) || arr.length < len) return null;
-  let sum = 0;
-  for (let i = arr.length - len; i < arr.length; i++) sum += arr[i];
-  return sum / len;
-}
-function computeEMA(arr, len) {
-  if (!Array.isArray(arr) || arr.length < len) return null;
-  const k = 2 / (len + 1);
-  let ema = computeSMA(arr.slice(0, len), len);
-  if (ema === null) return null;
-  for (let i = len; i < arr.length; i++) ema = arr[i] * k + ema * (1 - k);
-  return ema;
-}
-function computeVWAP(closes, volumes) {
-  if (!Array.isArray(closes) || !Array.isArray(volumes) || closes.length === 0 || closes.length !== volumes.length) return null;
-  let pv = 0, vv = 0;
-  for (let i = 0; i < closes.length; i++) {
-    const c = n(closes[i]);
-    const v = n(volumes[i]);
-    if (c === null || v === null || v <= 0) continue;
-    pv += c * v;
-    vv += v;
-  }
-  if (vv <= 0) return null;
-  return pv / vv;
-}
-function computeAvg(arr) {
-  if (!Array.isArray(arr) || arr.length === 0) return null;
-  let s = 0, c = 0;
-  for (const x of arr) {
-    const v = n(x);
-    if (v === null) continue;
-    s += v;
-    c++;
-  }
-  if (c === 0) return null;
-  return s / c;
-}
-
-function indicatorsFromAggs5m(barsDesc) {
-  if (!Array.isArray(barsDesc) || barsDesc.length === 0) {
-    return { sma26_5m: null, ema9_5m: null, ema34_5m: null, vwap_5m: null, lastVol_5m: null, avgVol_5m: null };
-  }
-  const bars = barsDesc
-    .map((b) => ({
-      c: n(b?.c ?? b?.close),
-      v: n(b?.v ?? b?.volume),
-      h: n(b?.h ?? b?.high),
-      l: n(b?.l ?? b?.low),
-    }))
-    .filter((x) => x.c !== null)
-    .slice(0, 600);
-
-  const barsChrono = [...bars].reverse();
-  const closes = barsChrono.map((x) => x.c);
-  const vols = barsChrono.map((x) => x.v ?? 0);
-
-  const sma26 = closes.length >= 26 ? computeSMA(closes, 26) : null;
-  const ema9 = computeEMA(closes, 9);
-  const ema34 = computeEMA(closes, 34);
-  const vwap = computeVWAP(closes, vols);
-
-  const lastBar = barsChrono[barsChrono.length - 1] || null;
-  const lastVol = lastBar?.v ?? null;
-  const avgVol = computeAvg(vols.slice(-VOL_AVG_LEN_5M));
-
-  return {
-    sma26_5m: sma26 !== null ? round2(sma26) : null,
-    ema9_5m: ema9 !== null ? round2(ema9) : null,
-    ema34_5m: ema34 !== null ? round2(ema34) : null,
-    vwap_5m: vwap !== null ? round2(vwap) : null,
-    lastVol_5m: lastVol !== null ? Math.round(lastVol) : null,
-    avgVol_5m: avgVol !== null ? Math.round(avgVol) : null,
-    _bars5m_forAwesomeOscillator: bars,
-  };
-}
-
-function computeAwesomeOscillatorFrom5mBars(bars) {
-  // Awesome Oscillator = SimpleMovingAverage(5, median) - SimpleMovingAverage(34, median)
-  if (!Array.isArray(bars) || bars.length < 34) return { ao: null, aoPrev: null };
-
-  const medianPriceSeries = bars
-    .filter((b) => n(b?.h) !== null && n(b?.l) !== null)
-    .map((b) => (Number(b.h) + Number(b.l)) / 2)
-    .reverse();
-
-  if (medianPriceSeries.length < 35) return { ao: null, aoPrev: null };
-
-  const simpleMovingAverageAt = (arr, len, idx) => {
-    if (idx + len > arr.length) return null;
-    let s = 0;
-    for (let i = idx; i < idx + len; i++) s += arr[i];
-    return s / len;
-  };
-
-  const aoNow = simpleMovingAverageAt(medianPriceSeries, 5, 0) - simpleMovingAverageAt(medianPriceSeries, 34, 0);
-  const aoPrev = simpleMovingAverageAt(medianPriceSeries, 5, 1) - simpleMovingAverageAt(medianPriceSeries, 34, 1);
-
-  return { ao: aoNow !== null ? round2(aoNow) : null, aoPrev: aoPrev !== null ? round2(aoPrev) : null };
-}
-
-function attach5mSignals(row) {
-  const price = n(row?.price);
-  const vwap = n(row?.vwap_5m);
-  const lastVol = n(row?.lastVol_5m);
-  const avgVol = n(row?.avgVol_5m);
-
-  const aboveVWAP = price !== null && vwap !== null ? price > vwap : false;
-  const volSpike = lastVol !== null && avgVol !== null && avgVol > 0 ? lastVol >= avgVol * VOL_SPIKE_MULT : false;
-
-  const volRatio = lastVol !== null && avgVol !== null && avgVol > 0 ? lastVol / avgVol : null;
-
-  return {
-    ...row,
-    aboveVWAP_5m: aboveVWAP,
-    volSpike_5m: volSpike,
-    volRatio_5m: volRatio !== null ? Number(volRatio.toFixed(2)) : null,
-    paIcon: paSignalIcon({ aboveVWAP_5m: aboveVWAP, volSpike_5m: volSpike }),
-  };
-}
-
-function aoPass(row) {
-  if (!ENABLE_AO_FILTER) return true;
-  const ao = n(row?.ao);
-  const aoPrev = n(row?.aoPrev);
-  if (ao === null) return false;
-  if (AO_MODE === "above_zero") return ao > 0;
-  if (AO_MODE === "rising") return aoPrev !== null && ao > aoPrev;
-  return true;
-}
+// SECTION 06 — Signals (icons) → scanner/scoring.js
+// ============================================================================
 
+// ============================================================================
+// SECTION 07 — Indicators (EMA/SMA/VWAP/RSI/MACD/ATR/Bollinger) + Awesome Oscillator
+// Math lives in scanner/indicators.js; this section only fetches aggs + applies filters.
+// ============================================================================
 async function attachIndicatorsIfEnabled(rows) {
+  // RVOL rides along: same place in every builder (after the prepick cut), independent of the 5m flag
+  rows = await enrichRowsWithRVOL(rows);
   if (!ENABLE_5M_INDICATORS) return { rows, aggsErrors: [] };
 
   const aggsErrors = [];
@@ -780,7 +913,7 @@ async function attachIndicatorsIfEnabled(rows) {
       aggsErrors.push({ ticker: r.symbol, status: a.status, url: a.url, errorDetail: a.errorDetail });
       return { symbol: r.symbol };
     }
-    const base = indicatorsFromAggs5m(a.bars);
+    const base = indicatorsFromAggs5m(a.bars, { volAvgLen: VOL_AVG_LEN_5M, macdCrossBars: MACD_CROSS_BARS });
     const aoData = computeAwesomeOscillatorFrom5mBars(base._bars5m_forAwesomeOscillator || []);
     delete base._bars5m_forAwesomeOscillator;
     return { symbol: r.symbol, ...base, ...aoData };
@@ -788,44 +921,124 @@ async function attachIndicatorsIfEnabled(rows) {
 
   const mapInd = new Map(ind.map((x) => [x.symbol, x]));
   let out = rows.map((r) => ({ ...r, ...(mapInd.get(r.symbol) || {}) }));
-  out = out.map(attach5mSignals);
+  out = out.map((r) => attach5mSignals(r, { volSpikeMult: VOL_SPIKE_MULT, vwapAnchor: VWAP_ANCHOR }));
 
-  if (ENABLE_AO_FILTER) out = out.filter(aoPass);
+  if (ENABLE_AO_FILTER) out = out.filter((r) => aoPass(r, AO_MODE));
+  if (ENABLE_RSI_FILTER) out = out.filter((r) => rsiPass(r, { min: RSI_MIN, max: RSI_MAX }));
+  if (ENABLE_MACD_FILTER) out = out.filter((r) => macdPass(r, MACD_MODE));
 
   return { rows: out, aggsErrors };
 }
 
+// ?tf=15m,1h&ind=ema9,rsi14 -> { ok, tfs, specs } (no tf / ind = nothing to add; ind alone = 5m)
+function parseTimeframeQuery(q = {}) {
+  const tfRaw = String(q.tf || "").trim();
+  const indRaw = String(q.ind || "").trim();
+  if (!tfRaw && !indRaw) return { ok: true, tfs: [], specs: [] };
+
+  const { tfs, errors } = parseTimeframes(tfRaw || "5m");
+  const ind = parseIndicators(indRaw || MTF_INDICATORS);
+  errors.push(...ind.errors);
+  if (tfs.length > MTF_MAX_TIMEFRAMES) errors.push(`at most ${MTF_MAX_TIMEFRAMES} timeframes per request`);
+  if (!errors.length && (!tfs.length || !ind.specs.length)) errors.push("tf and ind must not be empty");
+  if (errors.length) return { ok: false, status: 400, body: { ok: false, error: "Invalid query", detail: errors } };
+  return { ok: true, tfs, specs: ind.specs };
+}
+
+// Indicator fields per timeframe (ema9_1h, rsi14_15m, …). 5m reuses the 5m pipeline's bars
+// (fetchAggs5m: same cache entry, so ema9_5m matches the row's standard 5m fields).
+async function attachTimeframeIndicators(rows, { tfs, specs }) {
+  if (!tfs.length) return { rows, aggsErrors: [] };
+
+  const limit = Math.min(5000, Math.max(MTF_BARS, barsNeeded(specs)));
+  const jobs = rows.filter((r) => r.price != null).flatMap((r) => tfs.map((tf) => ({ symbol: r.symbol, tf })));
+  const aggsErrors = [];
+  const done = await mapPool(jobs, SNAP_CONCURRENCY, async ({ symbol, tf }) => {
+    const a = tf === "5m" ? await fetchAggs5m(symbol) : await fetchBars(symbol, tf, { limit });
+    if (!a.ok) aggsErrors.push({ ticker: symbol, tf, status: a.status, url: a.url, errorDetail: a.errorDetail });
+    return { symbol, fields: computeTimeframeIndicators(a.ok ? a.bars : [], tf, specs) };
+  });
+
+  const bySym = new Map();
+  for (const d of done) bySym.set(d.symbol, { ...bySym.get(d.symbol), ...d.fields });
+  return { rows: rows.map((r) => ({ ...r, ...bySym.get(r.symbol) })), aggsErrors };
+}
+
+// Same on a builder result (/list): rows + the timeframe / field catalog in the body
+async function withTimeframeIndicators(out, mtf) {
+  if (!mtf.tfs.length || !out?.ok || !Array.isArray(out.body?.results)) return out;
+  const { rows, aggsErrors } = await attachTimeframeIndicators(out.body.results, mtf);
+  out.body.results = rows;
+  out.body.timeframes = timeframesInfo(mtf);
+  if (DEBUG && aggsErrors.length) out.body.timeframeErrors = aggsErrors.slice(0, 10);
+  return out;
+}
+
+function timeframesInfo({ tfs, specs }) {
+  return { tfs, indicators: specs.map((s) => s.id), fields: tfs.flatMap((tf) => timeframeFieldNames(specs, tf)) };
+}
+
 // ============================================================================
-// SECTION 08 — HALT WebSocket + /halts
+// SECTION 08 — HALT WebSocket + /halts (+ /halts/history, /halts/stats from SQLite) + LULD bands (/luld)
 // ============================================================================
 const haltedMap = new Map(); // sym -> { halted, lastEvent, tsMs, reason }
-
-function setHalt(sym) {
-  haltedMap.set(sym, { halted: true, lastEvent: "HALT", tsMs: Date.now(), reason: "LimitUpLimitDown" });
+const luldMap = new Map(); // sym -> { limitUp, limitDown, tsMs, day } (latest band per symbol)
+let luldFeedDay = null; // NY day of the last LULD message (replay: the recorded day)
+
+function setHalt(sym, tsMs = Date.now()) {
+  const wasHalted = Boolean(haltedMap.get(sym)?.halted);
+  const x = { halted: true, lastEvent: "HALT", tsMs, reason: "LimitUpLimitDown" };
+  haltedMap.set(sym, x);
+  if (!wasHalted) emitScannerEvent("halt", { symbol: sym, message: `⛔ ${sym} HALTED (Limit Up / Limit Down)`, data: x });
 }
-function setResume(sym) {
-  haltedMap.set(sym, { halted: false, lastEvent: "RESUME", tsMs: Date.now(), reason: "LimitUpLimitDown" });
+function setResume(sym, tsMs = Date.now()) {
+  const wasHalted = Boolean(haltedMap.get(sym)?.halted);
+  const x = { halted: false, lastEvent: "RESUME", tsMs, reason: "LimitUpLimitDown" };
+  haltedMap.set(sym, x);
+  if (wasHalted) emitScannerEvent("resume", { symbol: sym, message: `✅ ${sym} RESUMED trading`, data: x });
 }
 
-function handleLULD(payload) {
+// recvTs: receive time (live = now, replay = recorded receive time)
+function handleLULD(payload, recvTs = Date.now()) {
   const msgs = Array.isArray(payload) ? payload : [payload];
   for (const m of msgs) {
-    if (!m || typeof m !== "object") continue;
-    const ev = String(m.ev || m.event || "").toUpperCase();
-    if (ev !== "LULD") continue;
-
-    const sym = String(m.T || m.ticker || m.sym || "").trim().toUpperCase();
-    if (!sym) continue;
+    const x = parseLuldMessage(m);
+    if (!x) continue;
+    const sym = x.symbol;
 
-    const indicators = Array.isArray(m.i) ? m.i : Array.isArray(m.indicators) ? m.indicators : [];
-    if (indicators.includes(17)) setHalt(sym);
-    if (indicators.includes(18)) setResume(sym);
+    luldFeedDay = nyYMD(recvTs);
+    if (x.limitUp !== null || x.limitDown !== null) {
+      luldMap.set(sym, { limitUp: x.limitUp, limitDown: x.limitDown, tsMs: recvTs, day: luldFeedDay });
+    }
+    if (ENABLE_HALT_HISTORY) {
+      try {
+        recordLuldEvent({ ...x, ts: recvTs });
+      } catch (e) {
+        console.log("⚠️ Halt history write failed:", String(e?.message || e));
+      }
+    }
+    if (x.indicators.includes(17)) setHalt(sym, recvTs);
+    if (x.indicators.includes(18)) setResume(sym, recvTs);
   }
 }
 
+// Bands are per session: yesterday's never attach (replay: the recorded day is "today")
+function currentLuldBand(sym) {
+  const b = luldMap.get(sym);
+  if (!b) return null;
+  return b.day === (REPLAY_FILE ? luldFeedDay : nyYMD(Date.now())) ? b : null;
+}
+
+// After a restart /halts starts from today's stored halts instead of empty
+function restoreHaltedMap(now = Date.now()) {
+  if (!ENABLE_HALT_HISTORY) return;
+  for (const { symbol, ...x } of restoreHaltState(nyWallTimeToMs(nyYMD(now)))) haltedMap.set(symbol, x);
+}
+
 function startHaltWebSocket() {
   if (!ENABLE_HALT_WS) return;
   if (!WebSocket) return console.log("⚠️ HALT WebSocket disabled: npm i ws");
+  if (!provider.live) return console.log(`⚠️ HALT WebSocket disabled: DATA_PROVIDER=${provider.name}`);
   if (!MASSIVE_API_KEY) return console.log("⚠️ HALT WebSocket disabled: missing MASSIVE_API_KEY");
 
   const ws = new WebSocket(MASSIVE_WS_URL);
@@ -847,6 +1060,7 @@ function startHaltWebSocket() {
         ws.send(JSON.stringify({ action: "subscribe", params: "LULD.*" }));
         console.log("✅ HALT WebSocket auth_success → subscribed LULD.*");
       }
+      recordFeed(parsed);
       handleLULD(parsed);
     } catch {}
   });
@@ -871,17 +1085,75 @@ function attachHaltFlag(row) {
   };
 }
 
-app.get("/halts", (req, res) => {
-  const only = String(req.query.only || "all").toLowerCase(); // all | halted
+function attachLuldBand(row) {
+  const sym = String(row?.symbol || "").trim().toUpperCase();
+  const b = sym ? currentLuldBand(sym) : null;
+  return { ...row, ...luldDistance(row?.price, b, LULD_NEAR_PCT), luldTsMs: b?.tsMs ?? null };
+}
+
+function listHalts({ only = "all" } = {}) {
   const out = [];
   for (const [symbol, v] of haltedMap.entries()) {
     if (only === "halted" && !v.halted) continue;
     out.push({ symbol, ...v });
   }
   out.sort((a, b) => (b.tsMs ?? 0) - (a.tsMs ?? 0));
+  return out;
+}
+
+app.get("/halts", proAccess("halts"), exportable(HALT_EXPORT_COLUMNS), rateLimit, (req, res) => {
+  const only = String(req.query.only || "all").toLowerCase(); // all | halted
+  const out = listHalts({ only });
   res.json({ ok: true, count: out.length, results: out.slice(0, 500) });
 });
 
+// ?symbol=&from=&to= (YYYY-MM-DD NY day or epoch ms, default last 7 days) &type=halts|events &limit=
+const haltHistoryColumns = (body) => (body.type === "events" ? LULD_EVENT_EXPORT_COLUMNS : HALT_HISTORY_EXPORT_COLUMNS);
+app.get("/halts/history", proAccess("halts"), exportable(haltHistoryColumns), (req, res) => {
+  const out = haltHistory(req.query);
+  res.status(out.status).json(out.body);
+});
+
+// halts per symbol per NY day + average / longest halt (same range params)
+app.get("/halts/stats", proAccess("halts"), exportable(HALT_STATS_EXPORT_COLUMNS), (req, res) => {
+  const out = haltStats(req.query);
+  res.status(out.status).json(out.body);
+});
+
+// Last price: AM minute close from the live feed, else the ticker snapshot (shared upstream cache)
+async function lastPriceFor(sym) {
+  const am = amMap.get(sym);
+  if (n(am?.c) > 0) return n(am.c);
+  const s = await fetchTickerSnapshot(sym);
+  return s.ok ? normalizeSnapshotAuto(sym, s.data).price ?? null : null;
+}
+
+// ?within=2 (% to the nearest band, default LULD_NEAR_PCT) &side=any|up|down &limit=
+app.get("/luld", proAccess("halts"), exportable(LULD_EXPORT_COLUMNS), rateLimitBy(() => Math.min(luldMap.size, SCAN_HARD_MAX)), async (req, res) => {
+  try {
+    const within = clamp(n(req.query.within) ?? LULD_NEAR_PCT, 0, 100);
+    const side = ["up", "down"].includes(String(req.query.side || "").toLowerCase()) ? String(req.query.side).toLowerCase() : "any";
+    const limit = clamp(Number(req.query.limit || 200), 1, 1000);
+
+    const bands = [];
+    for (const sym of luldMap.keys()) {
+      const b = currentLuldBand(sym);
+      if (b) bands.push({ symbol: sym, ...b });
+    }
+    const priced = await mapPool(bands.slice(0, SCAN_HARD_MAX), SNAP_CONCURRENCY, async (b) => ({ ...b, price: await lastPriceFor(b.symbol) }));
+
+    const results = priced
+      .map((b) => ({ symbol: b.symbol, price: b.price, ...luldDistance(b.price, b, within), luldTsMs: b.tsMs, halted: Boolean(haltedMap.get(b.symbol)?.halted) }))
+      .filter((r) => r.nearLuldBand && (side === "any" || r.luldSide === side))
+      .sort((a, b) => a.pctToBand - b.pctToBand || a.symbol.localeCompare(b.symbol))
+      .slice(0, limit);
+
+    res.json({ ok: true, within, side, bands: bands.length, count: results.length, results });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "luld failed", detail: String(e?.message || e) });
+  }
+});
+
 // ============================================================================
 // SECTION 09 — AM WebSocket (minute aggregates) + enrich cache
 // ============================================================================
@@ -895,7 +1167,7 @@ function trimAMCache() {
   for (let i = 0; i < drop; i++) amMap.delete(arr[i][0]);
 }
 
-function handleAMPayload(payload) {
+function handleAMPayload(payload, recvTs = Date.now()) {
   const msgs = Array.isArray(payload) ? payload : [payload];
   for (const m of msgs) {
     if (!m || typeof m !== "object") continue;
@@ -905,7 +1177,7 @@ function handleAMPayload(payload) {
     const sym = String(m.sym || m.S || m.ticker || "").trim().toUpperCase();
     if (!sym) continue;
 
-    amMap.set(sym, { ...m, _recvTs: Date.now() });
+    amMap.set(sym, { ...m, _recvTs: recvTs });
     trimAMCache();
   }
 }
@@ -913,6 +1185,7 @@ function handleAMPayload(payload) {
 function startAMWebSocket() {
   if (!ENABLE_AM_WS) return;
   if (!WebSocket) return console.log("⚠️ AM WebSocket disabled: npm i ws");
+  if (!provider.live) return console.log(`⚠️ AM WebSocket disabled: DATA_PROVIDER=${provider.name}`);
   if (!MASSIVE_API_KEY) return console.log("⚠️ AM WebSocket disabled: missing MASSIVE_API_KEY");
 
   const ws = new WebSocket(MASSIVE_WS_URL);
@@ -935,6 +1208,7 @@ function startAMWebSocket() {
         console.log(`✅ AM WebSocket auth_success → subscribed: ${AM_WS_SUBS}`);
       }
 
+      recordFeed(parsed);
       handleAMPayload(parsed);
     } catch {}
   });
@@ -947,143 +1221,20 @@ function startAMWebSocket() {
   ws.on("error", (err) => console.log("⚠️ AM WebSocket error:", String(err?.message || err)));
 }
 
-// AM enrich snapshot cache
-const amSnapCache = new Map(); // sym -> {ts,row}
+// AM enrich snapshot cache (normalized rows; the raw snapshots sit in safeGet's upstream cache)
+const amSnapCache = createLruCache({ name: "amSnap", maxEntries: AM_CACHE_MAX, defaultTtlMs: AM_ENRICH_TTL_MS });
 function getSnapCached(sym) {
-  const hit = amSnapCache.get(sym);
-  if (!hit) return null;
-  if (Date.now() - hit.ts > AM_ENRICH_TTL_MS) return null;
-  return hit.row;
+  return amSnapCache.get(sym) ?? null;
 }
 function setSnapCached(sym, row) {
-  amSnapCache.set(sym, { ts: Date.now(), row });
-}
-
-function normalizeFromAMOnly(sym, am) {
-  const price = n(am?.c) ?? null;
-  const openMinute = n(am?.op) ?? null; // AM minute "open"
-  const extPct = price !== null && openMinute !== null && openMinute > 0 ? ((price - openMinute) / openMinute) * 100 : null;
-  const vol = n(am?.av) ?? n(am?.v) ?? null;
-  const ms = toMs(am?.e) || toMs(am?.s);
-
-  return {
-    symbol: sym,
-    price: price !== null ? round2(price) : null,
-    open: openMinute !== null ? round2(openMinute) : null,
-    pricePct: null,
-    gapPct: null,
-    extPct: extPct !== null ? round2(extPct) : null,
-    volume: vol !== null ? Math.round(vol) : null,
-    floatShares: null,
-    floatM: null,
-    marketCap: null,
-    marketCapB: null,
-    cap: null,
-    source: "AM_WebSocket",
-    am_ts: ms,
-  };
+  amSnapCache.set(sym, row);
 }
 
-function mergeAMWithSnapshot(amRow, snapRow) {
-  const price = n(amRow?.price) ?? n(snapRow?.price);
-  const prevClose = n(snapRow?.prevClose);
-
-  // open: snapshot first, fallback to AM openMinute
-  let open = n(snapRow?.open);
-  if (open === null) open = n(amRow?.open);
-
-  const pricePct =
-    price !== null && prevClose !== null && prevClose > 0
-      ? ((price - prevClose) / prevClose) * 100
-      : n(snapRow?.pricePct);
-
-  const gapPct =
-    open !== null && prevClose !== null && prevClose > 0
-      ? ((open - prevClose) / prevClose) * 100
-      : n(snapRow?.gapPct);
-
-  const extPct =
-    price !== null && prevClose !== null && prevClose > 0
-      ? ((price - prevClose) / prevClose) * 100
-      : n(amRow?.extPct);
-
-  const volA = n(amRow?.volume);
-  const volS = n(snapRow?.volume);
-  const volume = volA !== null && volS !== null ? Math.max(volA, volS) : volA ?? volS ?? null;
-
-  return {
-    ...snapRow,
-    price: price !== null ? round2(price) : null,
-    open: open !== null ? round2(open) : snapRow?.open ?? null,
-    prevClose: prevClose !== null ? round2(prevClose) : snapRow?.prevClose ?? null,
-    pricePct: pricePct !== null ? round2(pricePct) : null,
-    gapPct: gapPct !== null ? round2(gapPct) : null,
-    extPct: extPct !== null ? round2(extPct) : null,
-    volume: volume !== null ? Math.round(volume) : null,
-    source: "AM_WebSocket_plus_Snapshot",
-    am_ts: amRow?.am_ts ?? null,
-  };
-}
+// AM row / AM + snapshot merge → scanner/normalize.js (normalizeFromAMOnly / mergeAMWithSnapshot)
 
 // ============================================================================
-// SECTION 09.5 — Polygon daily aggregates (Regular Trading Hours open / previous close)
+// SECTION 09.5 — Daily open / previous close (provider.fetchDailyOpenPrevClose → Regular Trading Hours Gap%)
 // ============================================================================
-const dailyOpenCache = new Map(); // sym -> {ymd, open, prevClose, ts}
-
-function todayYMD_NY() {
-  try {
-    const now = new Date();
-    const parts = new Intl.DateTimeFormat("en-CA", {
-      timeZone: "America/New_York",
-      year: "numeric",
-      month: "2-digit",
-      day: "2-digit",
-    }).formatToParts(now);
-
-    const y = parts.find((p) => p.type === "year")?.value || "1970";
-    const m = parts.find((p) => p.type === "month")?.value || "01";
-    const d = parts.find((p) => p.type === "day")?.value || "01";
-    return `${y}-${m}-${d}`;
-  } catch {
-    return ymd(new Date());
-  }
-}
-
-async function fetchDailyOpenPrevClose(sym) {
-  const ticker = String(sym || "").trim().toUpperCase();
-  if (!ticker) return { ok: false, open: null, prevClose: null };
-
-  const ymdNY = todayYMD_NY();
-  const hit = dailyOpenCache.get(ticker);
-  if (hit && hit.ymd === ymdNY && Date.now() - hit.ts < 6 * 60 * 60 * 1000) {
-    return { ok: true, open: hit.open, prevClose: hit.prevClose, cached: true };
-  }
-
-  if (!POLYGON_API_KEY) return { ok: false, open: null, prevClose: null, error: "missing_POLYGON_API_KEY" };
-
-  const base = POLYGON_BASE_URL.replace(/\/+$/, "");
-  const to = ymdNY;
-  const from = ymd(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)); // buffer for weekends/holidays
-  const url = `${base}/v2/aggs/ticker/${encodeURIComponent(ticker)}/range/1/day/${from}/${to}`;
-
-  const r = await safeGet(url, {
-    params: { adjusted: "true", sort: "asc", limit: "10", apiKey: POLYGON_API_KEY },
-    headers: { "user-agent": "ALGTP" },
-  });
-
-  const bars = Array.isArray(r.data?.results) ? r.data.results : [];
-  if (!r.ok || bars.length < 1) return { ok: false, open: null, prevClose: null, detail: r.errorDetail || r.data };
-
-  const last = bars[bars.length - 1];
-  const prev = bars.length >= 2 ? bars[bars.length - 2] : null;
-
-  const open = n(last?.o);
-  const prevClose = n(prev?.c) ?? n(last?.c) ?? null;
-
-  dailyOpenCache.set(ticker, { ymd: ymdNY, open: open ?? null, prevClose, ts: Date.now() });
-  return { ok: true, open: open ?? null, prevClose, cached: false };
-}
-
 async function enrichRowsWithDailyOpen(rows, maxN = 200) {
   // GapPercent (Regular Trading Hours) = ((RegularTradingHoursOpen - PreviousClose) / PreviousClose) * 100
   // Always prefer Polygon daily aggregates because snapshot open or AM minute open can be NOT Regular Trading Hours open.
@@ -1128,105 +1279,227 @@ async function enrichRowsWithDailyOpen(rows, maxN = 200) {
 }
 
 // ============================================================================
-// SECTION 10 — Builders + Sorting
-// - Movers ranking uses Gap% (Regular Trading Hours) + Float Turnover Percent + Volume
-// - Gap% is overwritten later by Polygon daily aggregates (Regular Trading Hours open / previous close)
-// - Float is enriched later by Financial Modeling Prep shares-float
-// - Float Turnover Percent = (Volume / FloatShares) * 100
-// - IMPORTANT FIX: when snapshot timestamp is missing, we DO NOT drop the ticker
+// SECTION 09.6 — Time-of-day RVOL (provider.fetchAggsRange → scanner/rvol.js)
+// - Baseline: average cumulative volume curve of the last RVOL_LOOKBACK_DAYS sessions,
+//   built from 5m bars once per symbol per NY day (failed fetches retry after 5 min)
+// - rvol = row.volume (day volume so far) ÷ baseline at the current NY minute
 // ============================================================================
+const rvolBaselineCache = createLruCache({ name: "rvolBaseline", maxEntries: RVOL_CACHE_MAX, defaultTtlMs: RVOL_CACHE_TTL_MS }); // "SYM|ymd" -> baseline | null
+const RVOL_RETRY_MS = 5 * 60_000;
+
+async function getRvolBaseline(sym, today) {
+  const key = `${sym}|${today}`;
+  const { value, cached } = await rvolBaselineCache.wrap(
+    key,
+    async () => {
+      const { from, to } = rvolLookbackRange(today, RVOL_LOOKBACK_DAYS);
+      const r = await fetchAggsRange(sym, { tf: "5", from, to });
+      return r.ok ? buildRvolBaseline(r.bars, { days: RVOL_LOOKBACK_DAYS, excludeYmd: today }) : null;
+    },
+    { cacheIf: Boolean }
+  );
+  if (!value && !cached) rvolBaselineCache.set(key, null, RVOL_RETRY_MS); // failed: no refetch on every refresh
+  return value ?? null;
+}
 
-function finalizeRows(rows) {
-  // Attach score + icons + halt flag + float turnover percent
-  let out = rows.map((r) => {
-    const d = demandScore(r);
-    return {
-      ...r,
-      demandScore: d,
-      signalIcon: signalIcon(d),
-      paIcon: r.paIcon || "",
-    };
-  });
+async function enrichRowsWithRVOL(rows, maxN = 200) {
+  if (!ENABLE_RVOL) return rows;
 
-  out = out.map(attachHaltFlag);
-  out = out.map(addFloatTurnoverPct);
+  const nowMs = Date.now();
+  const today = nyYMD(nowMs);
+  const mins = nyMinuteOfDay(nowMs);
 
-  return out;
+  const symbols = Array.from(new Set(rows.slice(0, maxN).map((r) => r?.symbol).filter(Boolean)));
+  if (!symbols.length) return rows;
+
+  const fetched = await mapPool(symbols, SNAP_CONCURRENCY, async (sym) => ({ sym, baseline: await getRvolBaseline(sym, today) }));
+  const map = new Map(fetched.filter((x) => x.baseline).map((x) => [x.sym, x.baseline]));
+
+  return rows.map((r) => {
+    const baseline = map.get(r.symbol);
+    if (!baseline) return { ...r, rvol: null, rvolBaseline: null };
+    return { ...r, ...computeRVOL(r.volume, baseline, mins), rvolSessions: baseline.sessions.length };
+  });
 }
 
-function prelimScoreVolatile(row) {
-  // Volatility score uses the largest absolute move among:
-  // - GapPercent
-  // - PricePercent
-  // - ExtendedHoursPercent
-  const gapAbs = Math.abs(n(row?.gapPct) ?? 0);
-  const priceAbs = Math.abs(n(row?.pricePct) ?? 0);
-  const extAbs = Math.abs(n(row?.extPct) ?? 0);
-  return Math.max(gapAbs, priceAbs, extAbs);
+// ============================================================================
+// SECTION 09.7 — Feed Recorder (NDJSON per trading day) + Replay (REPLAY_FILE)
+// Record (RECORD_FEED=true):
+//   every raw AM / LULD message from the live sockets is appended to
+//   FEED_DIR/<YYYY-MM-DD NY>.ndjson as one line: {"t": receiveMs, "m": <raw message>}
+// Replay (REPLAY_FILE=data/feed/2026-01-27.ndjson REPLAY_SPEED=1|10|max):
+//   live sockets are not started; the file is fed back through handleAMPayload /
+//   handleLULD with the recorded receive times, so buildRowsFromAMCache, /halts,
+//   /most-lately and the dashboard behave like that day (weekends included).
+//   Halt history keeps each LULD message once (re-runs / REPLAY_LOOP add nothing)
+//   and no webhook fires while replaying.
+// ============================================================================
+let feedDay = null;
+let feedStream = null;
+
+function isFeedMessage(m) {
+  const ev = String(m?.ev || m?.event || "").toUpperCase();
+  return ev === "AM" || ev === "LULD";
 }
 
-function sortForPrepick(rows, mode) {
-  // Used to reduce universe size BEFORE indicators to save API calls
-  const safeN = (x) => (Number.isFinite(Number(x)) ? Number(x) : 0);
+function recordFeed(parsed, recvTs = Date.now()) {
+  if (!RECORD_FEED) return;
+  const msgs = (Array.isArray(parsed) ? parsed : [parsed]).filter(isFeedMessage);
+  if (!msgs.length) return;
 
-  if (mode === "active") {
-    return [...rows].sort((a, b) => safeN(b.volume) - safeN(a.volume));
-  }
+  try {
+    const day = nyYMD(Date.now());
+    if (!feedStream || day !== feedDay) {
+      if (feedStream) feedStream.end();
+      fs.mkdirSync(FEED_DIR, { recursive: true });
+      feedStream = fs.createWriteStream(path.join(FEED_DIR, `${day}.ndjson`), { flags: "a" });
+      feedStream.on("error", (e) => dlog("⚠️ feed recorder error:", String(e?.message || e)));
+      feedDay = day;
+    }
 
-  if (mode === "volatile") {
-    return [...rows].sort(
-      (a, b) => prelimScoreVolatile(b) - prelimScoreVolatile(a) || safeN(b.volume) - safeN(a.volume)
-    );
+    let out = "";
+    for (const m of msgs) out += JSON.stringify({ t: recvTs, m }) + "\n";
+    feedStream.write(out);
+  } catch (e) {
+    dlog("⚠️ feed recorder failed:", String(e?.message || e));
   }
+}
 
-  if (mode === "gap") {
-    return [...rows].sort(
-      (a, b) => Math.abs(safeN(b.gapPct)) - Math.abs(safeN(a.gapPct)) || safeN(b.volume) - safeN(a.volume)
-    );
-  }
+function parseReplaySpeed(s) {
+  if (s === "max") return Infinity;
+  const x = n(String(s).replace(/x$/, ""));
+  return x !== null && x > 0 ? clamp(x, 0.1, 10000) : 1;
+}
 
-  if (mode === "gapFloatRank") {
-    // Movers special rank: Gap% (abs) desc -> FloatTurnoverPercent desc -> Volume desc
-    return [...rows].sort((a, b) => {
-      const aGap = Math.abs(safeN(a.gapPct));
-      const bGap = Math.abs(safeN(b.gapPct));
+const REPLAY_MAX_WAIT_MS = 60_000; // dead air in the recording is shortened to this (after speed)
+
+const replayState = {
+  file: REPLAY_FILE || null,
+  speed: REPLAY_SPEED,
+  running: false,
+  done: false,
+  loops: 0,
+  lines: 0,
+  fed: 0,
+  badLines: 0,
+  recordedFromMs: null,
+  recordedToMs: null,
+  clockMs: null, // recorded time of the last fed message
+  startedAt: null,
+  error: null,
+};
 
-      const aFloatTurn = safeN(a.floatTurnoverPct);
-      const bFloatTurn = safeN(b.floatTurnoverPct);
+function replayStatus() {
+  return { ...replayState, clockNY: replayState.clockMs ? new Date(replayState.clockMs).toLocaleString("en-US", { timeZone: "America/New_York" }) : null };
+}
 
-      const aVol = safeN(a.volume);
-      const bVol = safeN(b.volume);
+async function replayFileOnce(file, speed) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file, { encoding: "utf8" }), crlfDelay: Infinity });
 
-      return bGap - aGap || bFloatTurn - aFloatTurn || bVol - aVol;
-    });
-  }
+  let prevT = null;
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    replayState.lines++;
+
+    let rec = null;
+    try {
+      rec = JSON.parse(line);
+    } catch {
+      replayState.badLines++;
+      continue;
+    }
+
+    const t = toMs(rec?.t) ?? toMs(rec?.m?.e) ?? toMs(rec?.m?.s) ?? prevT ?? Date.now();
+    if (replayState.recordedFromMs === null) replayState.recordedFromMs = t;
 
-  // default: active
-  return [...rows].sort((a, b) => safeN(b.volume) - safeN(a.volume));
+    if (prevT !== null && t > prevT) {
+      if (Number.isFinite(speed)) await sleep(Math.min(REPLAY_MAX_WAIT_MS, (t - prevT) / speed));
+    }
+    // "max" speed: still yield now and then so HTTP requests are served during the replay
+    if (!Number.isFinite(speed) && replayState.lines % 500 === 0) await new Promise((r) => setImmediate(r));
+    prevT = t;
+
+    const m = rec?.m ?? rec;
+    const ev = String(m?.ev || m?.event || "").toUpperCase();
+    if (ev === "AM") handleAMPayload(m, t);
+    else if (ev === "LULD") handleLULD(m, t);
+    else continue;
+
+    replayState.fed++;
+    replayState.clockMs = t;
+    replayState.recordedToMs = Math.max(replayState.recordedToMs ?? t, t);
+  }
 }
 
-function sortGapFloatVolume(rows) {
-  // Movers ranking rule (most important for "mover"):
-  // 1) Highest absolute GapPercent first (GapPercent is Regular Trading Hours gap after Polygon overwrite)
-  //    GapPercent = ((RegularTradingHoursOpen - PreviousClose) / PreviousClose) * 100
-  // 2) Highest FloatTurnoverPercent next
-  //    FloatTurnoverPercent = (Volume / FloatShares) * 100
-  // 3) Highest Volume last
-  rows.sort((a, b) => {
-    const gapA = Math.abs(n(a?.gapPct) ?? 0);
-    const gapB = Math.abs(n(b?.gapPct) ?? 0);
+async function startReplay() {
+  const file = REPLAY_FILE;
+  if (!fs.existsSync(file)) {
+    replayState.error = `REPLAY_FILE not found: ${file}`;
+    return console.log(`❌ ${replayState.error}`);
+  }
+
+  const speed = parseReplaySpeed(REPLAY_SPEED);
+  replayState.running = true;
+  replayState.startedAt = Date.now();
+  console.log(`⏪ Replay started: ${file} @ ${Number.isFinite(speed) ? speed + "x" : "max"} speed`);
+
+  try {
+    do {
+      replayState.loops++;
+      await replayFileOnce(file, speed);
+    } while (REPLAY_LOOP);
+    console.log(`✅ Replay finished: ${replayState.fed} messages`);
+  } catch (e) {
+    replayState.error = String(e?.message || e);
+    console.log("⚠️ Replay failed:", replayState.error);
+  } finally {
+    replayState.running = false;
+    replayState.done = !replayState.error;
+  }
+}
 
-    const floatTurnA = n(a?.floatTurnoverPct) ?? 0;
-    const floatTurnB = n(b?.floatTurnoverPct) ?? 0;
+app.get("/replay", (req, res) => {
+  if (!REPLAY_FILE) return res.json({ ok: true, enabled: false, hint: "Start with REPLAY_FILE=data/feed/YYYY-MM-DD.ndjson REPLAY_SPEED=1|10|max" });
+  res.json({ ok: true, enabled: true, ...replayStatus() });
+});
 
-    const volA = n(a?.volume) ?? 0;
-    const volB = n(b?.volume) ?? 0;
+// ============================================================================
+// SECTION 10 — Builders + Sorting
+// - Movers ranking uses Gap% (Regular Trading Hours) + Float Turnover Percent + Volume
+// - Gap% is overwritten later by Polygon daily aggregates (Regular Trading Hours open / previous close)
+// - Float is enriched later by Financial Modeling Prep shares-float
+// - Float Turnover Percent = (Volume / FloatShares) * 100
+// - IMPORTANT FIX: when snapshot timestamp is missing, we DO NOT drop the ticker
+// ============================================================================
 
-    return gapB - gapA || floatTurnB - floatTurnA || volB - volA;
+// pro: rows of a PRO-only build (/snapshot-all, /premarket, /aftermarket, snapshot / am screens)
+function finalizeRows(rows, { pro = false } = {}) {
+  // Attach score + icons + halt flag + float turnover percent + Volume/Float tier
+  let out = rows.map((r) => {
+    const d = demandScore(r);
+    return {
+      ...r,
+      demandScore: d,
+      signalIcon: signalIcon(d),
+      paIcon: r.paIcon || "",
+    };
   });
+
+  out = out.map(attachHaltFlag);
+  out = out.map(attachLuldBand);
+  out = out.map(addFloatTurnoverPct);
+  out = out.map(attachVolFloat);
+
+  // Server-side alert rules run on every scan refresh (never breaks the scan)
+  evaluateAlertRules(out, { pro });
+
+  // New 🚀 / new 5m volume spike -> webhooks
+  detectRowEvents(out);
+
+  return out;
 }
 
-async function buildRowsFromSnapshotAll({ cap = "all", limit = 120, session = null, sortMode = "gap" } = {}) {
+async function buildRowsFromSnapshotAll({ cap = "all", limit = 120, session = null, sortMode = "gap", pro = false } = {}) {
   if (!ENABLE_SNAPSHOT_ALL) {
     return {
       ok: false,
@@ -1289,7 +1562,7 @@ async function buildRowsFromSnapshotAll({ cap = "all", limit = 120, session = nu
 
   // Indicators
   const { rows: withInd, aggsErrors } = await attachIndicatorsIfEnabled(rows);
-  rows = finalizeRows(withInd);
+  rows = finalizeRows(withInd, { pro });
 
   // Final sort
   if (sortMode === "active") {
@@ -1324,7 +1597,7 @@ async function buildRowsFromSnapshotAll({ cap = "all", limit = 120, session = nu
   };
 }
 
-async function buildRowsFromAMCache({ cap = "all", limit = 120, session = null, sortMode = "gap" } = {}) {
+async function buildRowsFromAMCache({ cap = "all", limit = 120, session = null, sortMode = "gap", pro = false } = {}) {
   // Base from AM WebSocket cache
   let base = [];
   for (const [sym, am] of amMap.entries()) {
@@ -1374,7 +1647,7 @@ async function buildRowsFromAMCache({ cap = "all", limit = 120, session = null,
   rows = sortForPrepick(rows, sortMode).slice(0, Math.max(200, lim * 4));
 
   const { rows: withInd, aggsErrors } = await attachIndicatorsIfEnabled(rows);
-  rows = finalizeRows(withInd);
+  rows = finalizeRows(withInd, { pro });
 
   // Final sort
   if (sortMode === "active") {
@@ -1409,6 +1682,51 @@ async function buildRowsFromAMCache({ cap = "all", limit = 120, session = null,
   };
 }
 
+// /scan universe (and /screen?universe=watchlist|symbols): snapshot each symbol -> normalize -> enrich -> indicators.
+// Symbols whose snapshot failed stay in as ⚠️ rows.
+async function buildRowsFromSymbols(symbols) {
+  const snaps = await mapPool(symbols, SNAP_CONCURRENCY, async (t) => {
+    const r = await fetchTickerSnapshot(t);
+    return { ticker: t, ...r };
+  });
+
+  const good = snaps.filter((x) => x.ok);
+  const bad = snaps.filter((x) => !x.ok);
+
+  let rows = good.map((x) => normalizeSnapshotAuto(x.ticker, x.data)).map(addExtPctFromPrevClose);
+
+  // ✅ Gap% overwrite (Polygon RTH open/prevClose)
+  rows = await enrichRowsWithDailyOpen(rows, 200);
+
+  // ✅ Float enrich (FMP)
+  rows = await enrichRowsWithFloat(rows, 200);
+
+  const badRows = bad.map((x) => ({
+    symbol: x.ticker,
+    price: null,
+    open: null,
+    prevClose: null,
+    pricePct: null,
+    gapPct: null,
+    extPct: null,
+    volume: null,
+    floatShares: null,
+    floatM: null,
+    floatTurnoverPct: null,
+    marketCapB: null,
+    cap: null,
+    demandScore: 0,
+    signalIcon: "⚠️",
+    paIcon: "",
+    source: "SNAPSHOT_FAILED",
+  }));
+
+  rows = rows.concat(badRows);
+
+  const { rows: withInd, aggsErrors } = await attachIndicatorsIfEnabled(rows);
+  return { rows: finalizeRows(withInd), bad, aggsErrors };
+}
+
 async function buildRowsFromMoversUnion({ cap = "all", limit = 120, sortMode = "active" } = {}) {
   // Universe fallback when snapshot-all is OFF:
   // Use Massive movers list (gainers + losers) -> fetch snapshots -> normalize -> enrich -> rank
@@ -1517,106 +1835,275 @@ async function buildRowsFromMoversUnionBySession({ session, limit = 120 } = {})
   return rows.slice(0, lim);
 }
 
-// ============================================================================
-// SECTION 11 — Mini Chart endpoint (hover)
-// ============================================================================
-const miniCache = new Map(); // key -> {ts, payload}
+async function buildListRows({ group = "topGainers", cap = "all", limit = 50, minGap = null, minGapAbs = false } = {}) {
+  const miss = envMissingFor({ needAggs: ENABLE_5M_INDICATORS });
+  if (miss.length) return { ok: false, status: 400, body: { ok: false, error: "Missing env", miss } };
 
-function smaSeries(values, len) {
-  const out = Array(values.length).fill(null);
-  if (values.length < len) return out;
-  let sum = 0;
-  for (let i = 0; i < values.length; i++) {
-    sum += values[i];
-    if (i >= len) sum -= values[i - len];
-    if (i >= len - 1) out[i] = sum / len;
+  // Build ticker universe:
+  // - topGainers => gainers only
+  // - topLosers  => losers only
+  // - topGappers => union (gainers + losers) so you don't miss down-gappers
+  let universeTickers = [];
+
+  if (group === "topGappers") {
+    const g = await fetchMovers("gainers");
+    const l = await fetchMovers("losers");
+    if (!g.ok && !l.ok) return { ok: false, status: 500, body: { ok: false, error: "Movers failed", moverDebug: { g, l } } };
+
+    const pool = [...(g.ok ? g.rows : []), ...(l.ok ? l.rows : [])]
+      .map((x) => String(x?.ticker ?? x?.symbol ?? x?.sym ?? "").trim().toUpperCase())
+      .filter(Boolean);
+
+    universeTickers = Array.from(new Set(pool)).slice(0, limit * 6);
+  } else {
+    const direction = groupToDirection(group);
+    const movers = await fetchMovers(direction);
+    if (!movers.ok) return { ok: false, status: 500, body: { ok: false, error: "Movers failed", moverDebug: movers } };
+
+    universeTickers = movers.rows
+      .map((x) => String(x?.ticker ?? x?.symbol ?? x?.sym ?? "").trim().toUpperCase())
+      .filter(Boolean)
+      .slice(0, limit * 3);
   }
-  return out;
+
+  const snaps = await mapPool(universeTickers, SNAP_CONCURRENCY, async (t) => {
+    const r = await fetchTickerSnapshot(t);
+    return { ticker: t, ...r };
+  });
+
+  const good = snaps.filter((x) => x.ok);
+  const bad = snaps.filter((x) => !x.ok);
+
+  let rows = good.map((x) => normalizeSnapshotAuto(x.ticker, x.data)).map(addExtPctFromPrevClose);
+
+  // cap filter first
+  rows = rows.filter((r) => capPass(r, cap));
+
+  // ✅ IMPORTANT FIX: overwrite Gap% using Polygon FIRST
+  rows = await enrichRowsWithDailyOpen(rows, 200);
+
+  // ✅ then apply minGap filter using correct gapPct
+  if (minGap !== null && Number.isFinite(minGap) && group === "topGappers") {
+    if (minGapAbs) rows = rows.filter((r) => Math.abs(r.gapPct ?? 0) >= minGap);
+    else rows = rows.filter((r) => (r.gapPct ?? 0) >= minGap);
+  }
+
+  // float enrich
+  rows = await enrichRowsWithFloat(rows, 200);
+
+  // now cut to limit
+  rows = rows.slice(0, limit);
+
+  const { rows: withInd, aggsErrors } = await attachIndicatorsIfEnabled(rows);
+  rows = finalizeRows(withInd);
+
+  // final sort based on group
+  sortRowsByGroup(rows, group);
+
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      ok: true,
+      mode: "group",
+      group,
+      cap,
+      limitRequested: limit,
+      minGap: group === "topGappers" ? minGap : undefined,
+      minGapAbs: group === "topGappers" ? minGapAbs : undefined,
+      results: rows,
+      snapshotErrors: DEBUG
+        ? bad.slice(0, 10).map((x) => ({
+            ticker: x.ticker,
+            status: x.status,
+            url: x.url,
+            errorDetail: x.errorDetail,
+          }))
+        : undefined,
+      aggsErrors: DEBUG ? aggsErrors.slice(0, 10) : undefined,
+    },
+  };
 }
-function emaSeries(values, len) {
-  const out = Array(values.length).fill(null);
-  if (values.length < len) return out;
-  const k = 2 / (len + 1);
-  let seed = 0;
-  for (let i = 0; i < len; i++) seed += values[i];
-  let e = seed / len;
-  out[len - 1] = e;
-  for (let i = len; i < values.length; i++) {
-    e = values[i] * k + e * (1 - k);
-    out[i] = e;
+
+async function buildUnusualVolume({ cap = "all", limit = 120, sort = "" } = {}) {
+  const base = ENABLE_SNAPSHOT_ALL
+    ? await buildRowsFromSnapshotAll({ cap, limit: Math.max(250, limit * 5), session: null, sortMode: "active" })
+    : await buildRowsFromMoversUnion({ cap, limit: Math.max(250, limit * 5), sortMode: "active" });
+
+  if (!base.ok) return base;
+
+  let rows = Array.isArray(base.body?.results) ? base.body.results : [];
+
+  if (!ENABLE_5M_INDICATORS && !ENABLE_RVOL) {
+    rows.sort((a, b) => (b.volume ?? 0) - (a.volume ?? 0));
+    rows = rows.slice(0, limit);
+    return {
+      ok: true,
+      status: 200,
+      body: {
+        ok: true,
+        cap,
+        note: "ENABLE_5M_INDICATORS and ENABLE_RVOL are false, fallback ranking by volume",
+        results: rows,
+      },
+    };
   }
-  return out;
+
+  // Unusual = 5m volume spike, last 5m bar >= 2x its average, or time-of-day RVOL >= RVOL_UNUSUAL_MIN
+  const byRvol = (a, b) => (n(b.rvol) ?? 0) - (n(a.rvol) ?? 0);
+  const byVolRatio = (a, b) => (n(b.volRatio_5m) ?? 0) - (n(a.volRatio_5m) ?? 0);
+  const [first, second] = sort === "rvol" || !ENABLE_5M_INDICATORS ? [byRvol, byVolRatio] : [byVolRatio, byRvol];
+
+  rows = rows
+    .filter((r) => r && (r.volSpike_5m || (n(r.volRatio_5m) ?? 0) >= 2 || (n(r.rvol) ?? 0) >= RVOL_UNUSUAL_MIN))
+    .sort((a, b) => first(a, b) || second(a, b) || (b.volume ?? 0) - (a.volume ?? 0))
+    .slice(0, limit);
+
+  return { ok: true, status: 200, body: { ok: true, cap, results: rows } };
 }
-function vwapSeries(closes, vols) {
-  const out = Array(closes.length).fill(null);
-  let pv = 0, vv = 0;
-  for (let i = 0; i < closes.length; i++) {
-    const c = closes[i];
-    const v = vols[i] || 0;
-    pv += c * v;
-    vv += v;
-    out[i] = vv > 0 ? pv / vv : null;
+
+// Top movers (daytrade module): gainers / losers / all merged, light by default (no indicators)
+async function buildTopMovers({ direction = "all", cap = "all", limit = 80 } = {}) {
+  const miss = envMissingFor();
+  if (miss.length) return { ok: false, status: 400, body: { ok: false, error: "Missing env", miss } };
+
+  const dirs = direction === "gainers" || direction === "losers" ? [direction] : ["gainers", "losers"];
+  const movers = await Promise.all(dirs.map((d) => fetchMovers(d)));
+  if (movers.every((m) => !m.ok)) {
+    return { ok: false, status: 500, body: { ok: false, error: "Movers failed", moverDebug: movers } };
   }
+
+  const tickers = Array.from(
+    new Set(
+      movers
+        .flatMap((m) => (m.ok ? m.rows.slice(0, limit) : []))
+        .map((x) => String(x?.ticker ?? x?.symbol ?? x?.sym ?? "").trim().toUpperCase())
+        .filter(Boolean)
+    )
+  );
+
+  const snaps = await mapPool(tickers, SNAP_CONCURRENCY, async (t) => ({ ticker: t, ...(await fetchTickerSnapshot(t)) }));
+  const good = snaps.filter((x) => x.ok);
+  const bad = snaps.filter((x) => !x.ok);
+
+  let rows = good.map((x) => normalizeSnapshotAuto(x.ticker, x.data)).map(addExtPctFromPrevClose);
+  rows = rows.filter((r) => capPass(r, cap));
+  rows = finalizeRows(rows);
+
+  rows.sort((a, b) => Math.abs(b.pricePct ?? 0) - Math.abs(a.pricePct ?? 0));
+  rows = rows.slice(0, limit);
+
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      ok: true,
+      module: "top-movers",
+      direction,
+      cap,
+      limit,
+      results: rows,
+      snapshotErrors: DEBUG ? bad.slice(0, 12) : undefined,
+    },
+  };
+}
+
+// Optional ?minPrice=&maxPrice=&minVol=&minRVOL= on any builder result
+function withSmartFilters(out, query) {
+  if (out?.ok && Array.isArray(out.body?.results)) out.body.results = applySortParam(applySmartFilters(out.body.results, query), query);
   return out;
 }
 
-app.get("/mini-chart", async (req, res) => {
-  try {
-    const sym = String(req.query.symbol || "").trim().toUpperCase();
-    const tf = String(req.query.tf || "1");
-    if (!sym) return res.json({ ok: false, error: "symbol required" });
+// ============================================================================
+// SECTION 11 — Mini Chart endpoint (hover)
+// ============================================================================
+// Finished payloads per symbol|tf|anchor; hovering the same row from many tabs builds it once
+const miniCache = createLruCache({ name: "mini", maxEntries: MINI_CACHE_MAX, defaultTtlMs: MINI_CACHE_TTL_MS });
 
-    const key = `${sym}|${tf}`;
-    const hit = miniCache.get(key);
-    if (hit && Date.now() - hit.ts < MINI_CACHE_TTL_MS) return res.json(hit.payload);
+// tf: an engine timeframe (1m / 5m / 15m / 1h / 1d, or minutes: 1 / 5 / 15 / 60)
+async function buildMiniChart(sym, tf, anchor) {
+  const frame = parseTimeframe(tf);
+  const ag = frame === "1d" ? await fetchBars(sym, "1d", { limit: 280 }) : await fetchAggs(sym, String(TIMEFRAMES[frame].minutes), 280, "asc");
+  if (!ag.ok) return { ok: false, error: "no bars", detail: ag.errorDetail };
 
-    const miss = envMissingFor({ needAggs: true });
-    if (miss.length) return res.status(400).json({ ok: false, error: "Missing env", miss });
+  const bars = [...ag.bars]
+    .sort((a, b) => (Number(a.t) || 0) - (Number(b.t) || 0))
+    .map((b) => ({
+      time: Math.floor((Number(b.t) || 0) / 1000),
+      open: n(b.o),
+      high: n(b.h),
+      low: n(b.l),
+      close: n(b.c),
+      volume: n(b.v) ?? 0,
+    }))
+    .filter((x) => x.time > 0 && x.open !== null && x.high !== null && x.low !== null && x.close !== null);
 
-    const ag = await fetchAggs(sym, tf, 280, "asc");
-    if (!ag.ok) return res.json({ ok: false, error: "no bars", detail: ag.errorDetail });
+  if (!bars.length) return { ok: false, error: "no bars" };
 
-    const bars = ag.bars
-      .map((b) => ({
-        time: Math.floor((Number(b.t) || 0) / 1000),
-        open: n(b.o),
-        high: n(b.h),
-        low: n(b.l),
-        close: n(b.c),
-        volume: n(b.v) ?? 0,
-      }))
-      .filter((x) => x.time > 0 && x.open !== null && x.high !== null && x.low !== null && x.close !== null);
+  const closes = bars.map((x) => x.close);
 
-    if (!bars.length) return res.json({ ok: false, error: "no bars" });
+  const ema9 = emaSeries(closes, 9);
+  const ema34 = emaSeries(closes, 34);
+  const sma26 = smaSeries(closes, 26);
+  const vw = anchoredVWAPSeries(
+    bars.map((b) => ({ t: b.time * 1000, h: b.high, l: b.low, c: b.close, v: b.volume })),
+    { anchor }
+  );
+  const band = (mult) => vw.bands.find((b) => b.mult === mult);
+  const bb = bollingerSeries(closes, 20, 2);
+  const macd = macdSeries(closes);
+  const hlc = bars.map((b) => ({ h: b.high, l: b.low, c: b.close }));
 
-    const closes = bars.map((x) => x.close);
-    const vols = bars.map((x) => x.volume);
+  const toLine = (arr) =>
+    bars
+      .map((b, i) => (arr[i] == null ? null : { time: b.time, value: Number(arr[i].toFixed(4)) }))
+      .filter(Boolean);
 
-    const ema9 = emaSeries(closes, 9);
-    const ema34 = emaSeries(closes, 34);
-    const sma26 = smaSeries(closes, 26);
-    const vw = vwapSeries(closes, vols);
+  return {
+    ok: true,
+    symbol: sym,
+    tf,
+    vwapAnchor: anchor,
+    ohlc: bars.map(({ volume, ...x }) => x),
+    overlays: {
+      ema9: toLine(ema9),
+      ema34: toLine(ema34),
+      sma26: toLine(sma26),
+      vwap: toLine(vw.vwap),
+      vwapUpper1: toLine(band(1).upper),
+      vwapLower1: toLine(band(1).lower),
+      vwapUpper2: toLine(band(2).upper),
+      vwapLower2: toLine(band(2).lower),
+      bbUpper: toLine(bb.upper),
+      bbMid: toLine(bb.mid),
+      bbLower: toLine(bb.lower),
+    },
+    // own scale (not price): RSI 0-100, MACD around 0, ATR in price units
+    oscillators: {
+      rsi14: toLine(rsiSeries(closes, 14)),
+      macd: toLine(macd.macd),
+      macdSignal: toLine(macd.signal),
+      macdHist: toLine(macd.hist),
+      atr14: toLine(atrSeries(hlc, 14)),
+    },
+  };
+}
 
-    const toLine = (arr) =>
-      bars
-        .map((b, i) => (arr[i] == null ? null : { time: b.time, value: Number(arr[i].toFixed(4)) }))
-        .filter(Boolean);
+app.get("/mini-chart", scanAccess, rateLimit, async (req, res) => {
+  try {
+    const sym = String(req.query.symbol || "").trim().toUpperCase();
+    const tf = String(req.query.tf || "1");
+    const anchor = normalizeVwapAnchor(req.query.anchor, VWAP_ANCHOR);
+    if (!sym) return res.json({ ok: false, error: "symbol required" });
+    if (!parseTimeframe(tf)) return res.status(400).json({ ok: false, error: "Invalid tf", detail: `use ${Object.keys(TIMEFRAMES).join(", ")}` });
 
-    const payload = {
-      ok: true,
-      symbol: sym,
-      tf,
-      ohlc: bars.map(({ volume, ...x }) => x),
-      overlays: {
-        ema9: toLine(ema9),
-        ema34: toLine(ema34),
-        sma26: toLine(sma26),
-        vwap: toLine(vw),
-      },
-    };
+    const miss = envMissingFor({ needAggs: true });
+    if (miss.length) return res.status(400).json({ ok: false, error: "Missing env", miss });
 
-    miniCache.set(key, { ts: Date.now(), payload });
-    res.json(payload);
+    const { value } = await miniCache.wrap(`${sym}|${parseTimeframe(tf)}|${anchor}`, () => buildMiniChart(sym, tf, anchor), {
+      cacheIf: (p) => p.ok,
+    });
+    res.json(value);
   } catch (e) {
     res.status(500).json({ ok: false, error: "mini-chart failed", detail: String(e?.message || e) });
   }
@@ -1649,26 +2136,98 @@ app.get("/", (req, res) => {
       "/most-lately",
       "/mini-chart",
       "/halts",
+      "/halts/history",
+      "/halts/stats",
+      "/luld",
+      "/market-status",
+      "/top-movers",
+      "/help",
+      "/stream",
+      "/alerts/rules",
+      "/alerts/events",
+      "/webhooks",
+      "/webhooks/deliveries",
+      ...(ENABLE_WATCHLISTS ? ["/watchlists"] : []),
+      ...(ENABLE_LAYOUTS ? ["/layouts", "/layouts/catalog"] : []),
+      ...(ENABLE_SCREEN ? ["/screen", "/screen/fields", "/screens"] : []),
+      "/replay",
+      "/backtest",
       "/api",
+      ...(ENABLE_AUTH ? ["/login", "/logout", "/me"] : []),
+      ...(ENABLE_BILLING ? ["/subscribe", "/billing/portal", "/stripe/webhook"] : []),
+      ...(ENABLE_API_TOKENS ? ["/tokens", "/tokens/keys"] : []),
     ],
   });
 });
 
+// --------------------------------------------------------------------------
+// /market-status — NYSE clock now (session, next open / close, holidays ahead)
+//   ?date=YYYY-MM-DD → that day only (trading day, holiday, half-day hours)
+// --------------------------------------------------------------------------
+app.get("/market-status", (req, res) => {
+  const date = String(req.query.date || "").trim();
+  if (date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ ok: false, error: "Invalid date", detail: "date must be YYYY-MM-DD" });
+    return res.json({ ok: true, ...tradingDayInfo(date) });
+  }
+  const st = marketStatus(Date.now());
+  res.json({ ok: true, ...st, label: marketStatusLabel(st), upcoming: upcomingMarketDays(st.date, 5) });
+});
+
 app.get("/api", (req, res) => {
   res.json({
     ok: true,
     config: {
+      profile: SCANNER_PROFILE,
+      dataProvider: provider.name,
+      mockDataDir: provider.name === "mock" ? MOCK_DATA_DIR : undefined,
       port: PORT,
+      uiEnabled: ENABLE_UI,
+      authEnabled: ENABLE_AUTH,
+      authProvider: ENABLE_AUTH ? AUTH_PROVIDER : undefined,
+      billingEnabled: ENABLE_BILLING,
+      apiTokensEnabled: ENABLE_API_TOKENS,
+      scanRoutesPublic: SCAN_ROUTES_PUBLIC,
       snapshotAllEnabled: ENABLE_SNAPSHOT_ALL,
       indicators5mEnabled: ENABLE_5M_INDICATORS,
+      rvolEnabled: ENABLE_RVOL,
+      timeframeIndicators: { default: MTF_INDICATORS, maxTimeframes: MTF_MAX_TIMEFRAMES, bars: MTF_BARS, timeframes: Object.keys(TIMEFRAMES) },
+      rateLimit: ENABLE_RATE_LIMIT ? { perMin: RATE_LIMIT_PER_MIN, burst: RATE_LIMIT_BURST, callers: routeLimiter.size() } : null,
+      upstreamBudget: upstreamBudget.stats(),
+      rvolLookbackDays: RVOL_LOOKBACK_DAYS,
+      vwapAnchor: VWAP_ANCHOR,
       awesomeOscillatorFilterEnabled: ENABLE_AO_FILTER,
+      rsiFilter: ENABLE_RSI_FILTER ? { min: RSI_MIN, max: RSI_MAX } : null,
+      macdFilter: ENABLE_MACD_FILTER ? { mode: MACD_MODE, crossBars: MACD_CROSS_BARS } : null,
       haltWebSocketEnabled: ENABLE_HALT_WS,
+      haltHistoryEnabled: ENABLE_HALT_HISTORY,
+      haltHistoryDays: ENABLE_HALT_HISTORY ? HALT_HISTORY_DAYS : undefined,
+      luldNearPct: LULD_NEAR_PCT,
+      luldBands: luldMap.size,
       amWebSocketEnabled: ENABLE_AM_WS,
       amSubscriptions: AM_WS_SUBS,
+      recordFeed: RECORD_FEED,
+      feedDir: FEED_DIR,
+      replay: REPLAY_FILE ? replayStatus() : null,
+      backtestDir: BACKTEST_DIR,
       amCacheSize: amMap.size,
-      amSnapCacheSize: amSnapCache.size,
-      miniCacheSize: miniCache.size,
+      amSnapCacheSize: amSnapCache.size(),
+      miniCacheSize: miniCache.size(),
+      cache: { upstream: upstreamCache.stats(), amSnap: amSnapCache.stats(), mini: miniCache.stats(), rvolBaseline: rvolBaselineCache.stats() },
       uiAutoRefreshMs: UI_AUTO_REFRESH_MS,
+      streamEnabled: ENABLE_STREAM,
+      streamRefreshMs: STREAM_REFRESH_MS,
+      streamClients: streamClients.size,
+      alertsEnabled: ENABLE_ALERTS,
+      alertDefaultCooldownSec: ALERT_DEFAULT_COOLDOWN_SEC,
+      dbPath: DB_PATH,
+      webhooksEnabled: ENABLE_WEBHOOKS,
+      webhookMaxAttempts: WEBHOOK_MAX_ATTEMPTS,
+      webhookBackoffMs: WEBHOOK_BACKOFF_MS,
+      watchlists: ENABLE_WATCHLISTS ? { maxLists: WATCHLIST_MAX_LISTS, maxSymbols: WATCHLIST_MAX_SYMBOLS } : null,
+      layouts: ENABLE_LAYOUTS ? { maxLayouts: LAYOUT_MAX_PER_USER, maxBoxes: LAYOUT_MAX_BOXES } : null,
+      screens: ENABLE_SCREEN ? { universes: SCREEN_UNIVERSES, maxSaved: SCREEN_MAX_PER_USER } : null,
+      exportFormats: ["json", ...Object.keys(EXPORT_FORMATS)],
       polygonApiKeyPresent: Boolean(POLYGON_API_KEY),
       floatEnrichEnabled: ENABLE_FLOAT_ENRICH,
       financialModelingPrepApiKeyPresent: Boolean(FMP_API_KEY),
@@ -1678,78 +2237,42 @@ app.get("/api", (req, res) => {
 });
 
 // --------------------------------------------------------------------------
-// /scan — scan YOUR symbols list only (IMPORTANT_SYMBOLS or query symbols=)
+// /scan — scan YOUR symbols list only (watchlist=<id>, symbols=, or IMPORTANT_SYMBOLS)
 // --------------------------------------------------------------------------
-app.get("/scan", async (req, res) => {
+app.get("/scan", scanAccess, exportable(), rateLimitBy(scanFanout), async (req, res) => {
   try {
-    const miss = envMissingFor({ needAggs: ENABLE_5M_INDICATORS });
-    if (miss.length) return res.status(400).json({ ok: false, error: "Missing env", miss });
-
-    const ALL = parseSymbols(req.query.symbols || req.query.symbol || IMPORTANT_SYMBOLS);
+    const mtf = parseTimeframeQuery(req.query);
+    if (!mtf.ok) return res.status(mtf.status).json(mtf.body);
 
+    const miss = envMissingFor({ needAggs: ENABLE_5M_INDICATORS || mtf.tfs.length > 0 });
+    if (miss.length) return res.status(400).json({ ok: false, error: "Missing env", miss });
 
-    const MAX_FROM_UI = Number(req.query.max);
-    const ENV_MAX = Number(process.env.SCAN_MAX_SYMBOLS || SCAN_MAX_SYMBOLS);
-    const HARD_MAX = Number(process.env.SCAN_HARD_MAX || SCAN_HARD_MAX);
+    const wl = resolveScanWatchlist(req);
+    if (!wl.ok) return res.status(wl.status).json(wl.body);
 
-    const maxN = (() => {
-      const base = Number.isFinite(MAX_FROM_UI) ? MAX_FROM_UI : ENV_MAX;
-      return Math.max(20, Math.min(HARD_MAX, Math.floor(base)));
-    })();
+    const ALL = wl.symbols ? wl.symbols.map(normalizeSymbolForAPI) : parseSymbols(req.query.symbols || req.query.symbol || IMPORTANT_SYMBOLS);
 
-    const symbols = ALL.slice(0, maxN);
 
-    const snaps = await mapPool(symbols, SNAP_CONCURRENCY, async (t) => {
-      const r = await fetchTickerSnapshot(t);
-      return { ticker: t, ...r };
-    });
+    const symbols = ALL.slice(0, scanMaxSymbols(req.query));
+    const { rows: scanned, bad, aggsErrors } = await buildRowsFromSymbols(symbols);
 
-    const good = snaps.filter((x) => x.ok);
-    const bad = snaps.filter((x) => !x.ok);
-
-    let rows = good.map((x) => normalizeSnapshotAuto(x.ticker, x.data)).map(addExtPctFromPrevClose);
-
-    // ✅ Gap% overwrite (Polygon RTH open/prevClose)
-    rows = await enrichRowsWithDailyOpen(rows, 200);
-
-    // ✅ Float enrich (FMP)
-    rows = await enrichRowsWithFloat(rows, 200);
-
-    const badRows = bad.map((x) => ({
-      symbol: x.ticker,
-      price: null,
-      open: null,
-      prevClose: null,
-      pricePct: null,
-      gapPct: null,
-      extPct: null,
-      volume: null,
-      floatShares: null,
-      floatM: null,
-      floatTurnoverPct: null,
-      marketCapB: null,
-      cap: null,
-      demandScore: 0,
-      signalIcon: "⚠️",
-      paIcon: "",
-      source: "SNAPSHOT_FAILED",
-    }));
-
-    rows = rows.concat(badRows);
-
-    const { rows: withInd, aggsErrors } = await attachIndicatorsIfEnabled(rows);
-    rows = finalizeRows(withInd);
+    const tfInd = await attachTimeframeIndicators(scanned, mtf);
+    let rows = tfInd.rows;
 
+    rows = applySmartFilters(rows, req.query);
     rows.sort(
       (a, b) =>
         Math.abs(b.gapPct ?? 0) - Math.abs(a.gapPct ?? 0) ||
         Math.abs(b.pricePct ?? 0) - Math.abs(a.pricePct ?? 0)
     );
+    rows = applySortParam(rows, req.query);
 
     res.json({
       ok: true,
-      mode: "symbols",
+      mode: wl.symbols ? "watchlist" : "symbols",
+      watchlist: wl.id ?? undefined,
       scanned: symbols.length,
+      timeframes: mtf.tfs.length ? timeframesInfo(mtf) : undefined,
       results: rows,
       snapshotErrors: DEBUG
         ? bad.slice(0, 10).map((x) => ({
@@ -1760,6 +2283,7 @@ app.get("/scan", async (req, res) => {
           }))
         : undefined,
       aggsErrors: DEBUG ? aggsErrors.slice(0, 10) : undefined,
+      timeframeErrors: DEBUG && tfInd.aggsErrors.length ? tfInd.aggsErrors.slice(0, 10) : undefined,
     });
   } catch (e) {
     res.status(500).json({ ok: false, error: "Scan failed", detail: String(e?.message || e) });
@@ -1771,254 +2295,1259 @@ app.get("/scan", async (req, res) => {
 // ✅ FIX: for topGappers, we use gainers+losers union universe
 // ✅ FIX: minGap filter runs AFTER Polygon gap overwrite
 // --------------------------------------------------------------------------
-app.get("/list", async (req, res) => {
+app.get("/list", scanAccess, exportable(), rateLimitBy(limitFanout(50, 5, 200)), async (req, res) => {
   try {
-    const miss = envMissingFor({ needAggs: ENABLE_5M_INDICATORS });
-    if (miss.length) return res.status(400).json({ ok: false, error: "Missing env", miss });
-
-    const group = String(req.query.group || "topGainers").trim(); // topGainers | topLosers | topGappers
-    const cap = String(req.query.cap || "all").trim().toLowerCase();
-    const limit = clamp(Number(req.query.limit || 50), 5, 200);
-    const minGap = n(req.query.minGap);
-    const minGapAbs = String(req.query.minGapAbs || "false").toLowerCase() === "true"; // optional: abs filter
+    const mtf = parseTimeframeQuery(req.query);
+    if (!mtf.ok) return res.status(mtf.status).json(mtf.body);
+
+    const out = await buildListRows({
+      group: String(req.query.group || "topGainers").trim(), // topGainers | topLosers | topGappers
+      cap: String(req.query.cap || "all").trim().toLowerCase(),
+      limit: clamp(Number(req.query.limit || 50), 5, 200),
+      minGap: n(req.query.minGap),
+      minGapAbs: String(req.query.minGapAbs || "false").toLowerCase() === "true", // optional: abs filter
+    });
+    await withTimeframeIndicators(out, mtf);
+    withSmartFilters(out, req.query);
+    return res.status(out.status).json(out.body);
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "List failed", detail: String(e?.message || e) });
+  }
+});
 
-    // Build ticker universe:
-    // - topGainers => gainers only
-    // - topLosers  => losers only
-    // - topGappers => union (gainers + losers) so you don't miss down-gappers
-    let universeTickers = [];
+// --------------------------------------------------------------------------
+// Snapshot-all + sessions
+// --------------------------------------------------------------------------
+app.get("/snapshot-all", proAccess("pro"), exportable(), rateLimitBy(rowsFanout), async (req, res) => {
+  const cap = String(req.query.cap || "all").toLowerCase();
+  const limit = req.query.limit;
+  const out = withSmartFilters(await buildRowsFromSnapshotAll({ cap, limit, session: null, sortMode: "gap", pro: true }), req.query);
+  return res.status(out.status).json(out.body);
+});
 
-    if (group === "topGappers") {
-      const g = await fetchMovers("gainers");
-      const l = await fetchMovers("losers");
-      if (!g.ok && !l.ok) return res.status(500).json({ ok: false, error: "Movers failed", moverDebug: { g, l } });
+app.get("/premarket", proAccess("pro"), exportable(), rateLimitBy(rowsFanout), async (req, res) => {
+  const cap = String(req.query.cap || "all").toLowerCase();
+  const limit = req.query.limit;
 
-      const pool = [...(g.ok ? g.rows : []), ...(l.ok ? l.rows : [])]
-        .map((x) => String(x?.ticker ?? x?.symbol ?? x?.sym ?? "").trim().toUpperCase())
-        .filter(Boolean);
+  const out = ENABLE_SNAPSHOT_ALL
+    ? await buildRowsFromSnapshotAll({ cap, limit, session: "pre", sortMode: "gap", pro: true })
+    : await buildRowsFromAMCache({ cap, limit, session: "pre", sortMode: "gap", pro: true });
+  withSmartFilters(out, req.query);
+  return res.status(out.status).json(out.body);
+});
 
-      universeTickers = Array.from(new Set(pool)).slice(0, limit * 6);
-    } else {
-      const direction = groupToDirection(group);
-      const movers = await fetchMovers(direction);
-      if (!movers.ok) return res.status(500).json({ ok: false, error: "Movers failed", moverDebug: movers });
+app.get("/aftermarket", proAccess("pro"), exportable(), rateLimitBy(rowsFanout), async (req, res) => {
+  const cap = String(req.query.cap || "all").toLowerCase();
+  const limit = req.query.limit;
 
-      universeTickers = movers.rows
-        .map((x) => String(x?.ticker ?? x?.symbol ?? x?.sym ?? "").trim().toUpperCase())
-        .filter(Boolean)
-        .slice(0, limit * 3);
-    }
+  const out = ENABLE_SNAPSHOT_ALL
+    ? await buildRowsFromSnapshotAll({ cap, limit, session: "after", sortMode: "gap", pro: true })
+    : await buildRowsFromAMCache({ cap, limit, session: "after", sortMode: "gap", pro: true });
+  withSmartFilters(out, req.query);
+  return res.status(out.status).json(out.body);
+});
 
-    const snaps = await mapPool(universeTickers, SNAP_CONCURRENCY, async (t) => {
-      const r = await fetchTickerSnapshot(t);
-      return { ticker: t, ...r };
+// --------------------------------------------------------------------------
+// Movers Premarket / After-hours (Massive Movers list is the fastest fragment)
+// Ranking: Gap% (abs) desc -> FloatTurnover% desc -> Volume desc
+// --------------------------------------------------------------------------
+app.get("/movers-premarket", scanAccess, exportable(), rateLimitBy(rowsFanout), async (req, res) => {
+  try {
+    const limit = clamp(Number(req.query.limit || 120), 10, 500);
+    const rows = await buildRowsFromMoversUnionBySession({ session: "pre", limit });
+    res.json({
+      ok: true,
+      session: "premarket",
+      source: `${provider.name}_movers_list`,
+      rank: "gap_percent_then_float_turnover_percent_then_volume",
+      results: rows,
     });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "movers-premarket failed", detail: String(e?.message || e) });
+  }
+});
 
-    const good = snaps.filter((x) => x.ok);
-    const bad = snaps.filter((x) => !x.ok);
-
-    let rows = good.map((x) => normalizeSnapshotAuto(x.ticker, x.data)).map(addExtPctFromPrevClose);
-
-    // cap filter first
-    rows = rows.filter((r) => capPass(r, cap));
-
-    // ✅ IMPORTANT FIX: overwrite Gap% using Polygon FIRST
-    rows = await enrichRowsWithDailyOpen(rows, 200);
-
-    // ✅ then apply minGap filter using correct gapPct
-    if (minGap !== null && Number.isFinite(minGap) && group === "topGappers") {
-      if (minGapAbs) rows = rows.filter((r) => Math.abs(r.gapPct ?? 0) >= minGap);
-      else rows = rows.filter((r) => (r.gapPct ?? 0) >= minGap);
-    }
-
-    // float enrich
-    rows = await enrichRowsWithFloat(rows, 200);
-
-    // now cut to limit
-    rows = rows.slice(0, limit);
-
-    const { rows: withInd, aggsErrors } = await attachIndicatorsIfEnabled(rows);
-    rows = finalizeRows(withInd);
-
-    // final sort based on group
-    sortRowsByGroup(rows, group);
-
+app.get("/movers-afterhours", scanAccess, exportable(), rateLimitBy(rowsFanout), async (req, res) => {
+  try {
+    const limit = clamp(Number(req.query.limit || 120), 10, 500);
+    const rows = await buildRowsFromMoversUnionBySession({ session: "after", limit });
     res.json({
       ok: true,
-      mode: "group",
-      group,
-      cap,
-      limitRequested: limit,
-      minGap: group === "topGappers" ? minGap : undefined,
-      minGapAbs: group === "topGappers" ? minGapAbs : undefined,
+      session: "afterhours",
+      source: `${provider.name}_movers_list`,
+      rank: "gap_percent_then_float_turnover_percent_then_volume",
       results: rows,
-      snapshotErrors: DEBUG
-        ? bad.slice(0, 10).map((x) => ({
-            ticker: x.ticker,
-            status: x.status,
-            url: x.url,
-            errorDetail: x.errorDetail,
-          }))
-        : undefined,
-      aggsErrors: DEBUG ? aggsErrors.slice(0, 10) : undefined,
     });
   } catch (e) {
-    res.status(500).json({ ok: false, error: "List failed", detail: String(e?.message || e) });
+    res.status(500).json({ ok: false, error: "movers-afterhours failed", detail: String(e?.message || e) });
   }
 });
 
 // --------------------------------------------------------------------------
-// Snapshot-all + sessions
+// Most Active / Most Volatile / Most Lately / Unusual Volume
 // --------------------------------------------------------------------------
-app.get("/snapshot-all", async (req, res) => {
+app.get("/most-active", scanAccess, exportable(), rateLimitBy(rowsFanout), async (req, res) => {
   const cap = String(req.query.cap || "all").toLowerCase();
   const limit = req.query.limit;
-  const out = await buildRowsFromSnapshotAll({ cap, limit, session: null, sortMode: "gap" });
+  const out = ENABLE_SNAPSHOT_ALL
+    ? await buildRowsFromSnapshotAll({ cap, limit, session: null, sortMode: "active" })
+    : await buildRowsFromMoversUnion({ cap, limit, sortMode: "active" });
+  withSmartFilters(out, req.query);
   return res.status(out.status).json(out.body);
 });
 
-app.get("/premarket", async (req, res) => {
+app.get("/most-volatile", scanAccess, exportable(), rateLimitBy(rowsFanout), async (req, res) => {
   const cap = String(req.query.cap || "all").toLowerCase();
   const limit = req.query.limit;
-
-  if (ENABLE_SNAPSHOT_ALL) {
-    const out = await buildRowsFromSnapshotAll({ cap, limit, session: "pre", sortMode: "gap" });
-    return res.status(out.status).json(out.body);
-  }
-
-  const out = await buildRowsFromAMCache({ cap, limit, session: "pre", sortMode: "gap" });
+  const out = ENABLE_SNAPSHOT_ALL
+    ? await buildRowsFromSnapshotAll({ cap, limit, session: null, sortMode: "volatile" })
+    : await buildRowsFromMoversUnion({ cap, limit, sortMode: "volatile" });
+  withSmartFilters(out, req.query);
   return res.status(out.status).json(out.body);
 });
 
-app.get("/aftermarket", async (req, res) => {
+app.get("/most-lately", scanAccess, exportable([...ROW_EXPORT_COLUMNS, "lastTsMs"]), rateLimitBy(widenedRowsFanout(3)), async (req, res) => {
   const cap = String(req.query.cap || "all").toLowerCase();
-  const limit = req.query.limit;
+  const limit = clamp(Number(req.query.limit || 120), 10, 500);
 
-  if (ENABLE_SNAPSHOT_ALL) {
-    const out = await buildRowsFromSnapshotAll({ cap, limit, session: "after", sortMode: "gap" });
+  const lastTimestampMsOfRow = (r) => {
+    const a = toMs(r?.am_ts) ?? null;
+    const b = n(r?.haltTsMs) ?? null;
+    return a ?? b ?? 0;
+  };
+
+  const out = ENABLE_SNAPSHOT_ALL
+    ? await buildRowsFromSnapshotAll({ cap, limit: Math.max(250, limit * 3), session: null, sortMode: "active" })
+    : await buildRowsFromMoversUnion({ cap, limit: Math.max(250, limit * 3), sortMode: "active" });
+
+  if (!out.ok) return res.status(out.status).json(out.body);
+
+  let rows = Array.isArray(out.body?.results) ? out.body.results : [];
+  rows = rows
+    .map((r) => ({ ...r, lastTsMs: lastTimestampMsOfRow(r) }))
+    .sort((a, b) => (b.lastTsMs ?? 0) - (a.lastTsMs ?? 0))
+    .slice(0, limit);
+
+  return res.json({ ok: true, cap, results: rows });
+});
+
+app.get("/unusual-volume", scanAccess, exportable([...ROW_EXPORT_COLUMNS, "volRatio_5m"]), rateLimitBy(widenedRowsFanout(5)), async (req, res) => {
+  try {
+    const cap = String(req.query.cap || "all").toLowerCase();
+    const limit = clamp(Number(req.query.limit || 120), 10, 500);
+    const sort = String(req.query.sort || "").toLowerCase();
+    const out = withSmartFilters(await buildUnusualVolume({ cap, limit, sort }), req.query);
     return res.status(out.status).json(out.body);
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "unusual-volume failed", detail: String(e?.message || e) });
   }
-
-  const out = await buildRowsFromAMCache({ cap, limit, session: "after", sortMode: "gap" });
-  return res.status(out.status).json(out.body);
 });
 
 // --------------------------------------------------------------------------
-// Movers Premarket / After-hours (Massive Movers list is the fastest fragment)
-// Ranking: Gap% (abs) desc -> FloatTurnover% desc -> Volume desc
+// /top-movers — gainers | losers | all (merged), no indicators
 // --------------------------------------------------------------------------
-app.get("/movers-premarket", async (req, res) => {
+app.get("/top-movers", scanAccess, exportable(), rateLimitBy(limitFanout(80, 5, 200)), async (req, res) => {
+  try {
+    const d = String(req.query.direction || "all").toLowerCase();
+    const out = await buildTopMovers({
+      direction: d === "gainers" || d === "losers" ? d : "all",
+      cap: String(req.query.cap || "all").toLowerCase(),
+      limit: clamp(Number(req.query.limit || 80), 5, 200),
+    });
+    withSmartFilters(out, req.query);
+    return res.status(out.status).json(out.body);
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "Top movers failed", detail: String(e?.message || e) });
+  }
+});
+
+// ============================================================================
+// SECTION 12.5 — Live Stream (SSE /stream)
+// - Every STREAM_SECTIONS list is recomputed ONCE per tick on the server,
+//   no matter how many browsers are subscribed (same Massive quota as one user)
+// - Clients get a full "snapshot" on connect, then "diff" events:
+//     added   = rows whose symbol was not in the previous list
+//     removed = symbols that dropped out of the list
+//     changed = rows whose fields changed since the previous tick
+// - The refresh loop only runs while at least one client is connected
+// - Same access as the row routes (scanAccess); PRO sections (scope) only for callers their
+//   JSON route admits: a premium account or an API token with that scope
+// ============================================================================
+const STREAM_SECTIONS = [
+  { id: "pm_movers", load: async () => ({ ok: true, results: await buildRowsFromMoversUnionBySession({ session: "pre", limit: 200 }) }) },
+  { id: "ah_movers", load: async () => ({ ok: true, results: await buildRowsFromMoversUnionBySession({ session: "after", limit: 200 }) }) },
+  { id: "gappers", load: async () => (await buildListRows({ group: "topGappers", cap: "all", limit: 200, minGap: 5 })).body },
+  { id: "unusual", load: async () => (await buildUnusualVolume({ cap: "all", limit: 200 })).body },
+  {
+    id: "most_active",
+    load: async () =>
+      (ENABLE_SNAPSHOT_ALL
+        ? await buildRowsFromSnapshotAll({ cap: "all", limit: 200, session: null, sortMode: "active" })
+        : await buildRowsFromMoversUnion({ cap: "all", limit: 200, sortMode: "active" })
+      ).body,
+  },
+  {
+    id: "most_volatile",
+    load: async () =>
+      (ENABLE_SNAPSHOT_ALL
+        ? await buildRowsFromSnapshotAll({ cap: "all", limit: 200, session: null, sortMode: "volatile" })
+        : await buildRowsFromMoversUnion({ cap: "all", limit: 200, sortMode: "volatile" })
+      ).body,
+  },
+  { id: "halts", scope: "halts", load: async () => ({ ok: true, results: listHalts({ only: "all" }).slice(0, 500) }) },
+];
+
+const streamClients = new Set(); // { res, sections:Set<string> }
+const streamState = new Map(); // sectionId -> { rows: Map<symbol,row>, ts, error }
+let streamTimer = null;
+let streamBusy = false;
+
+function rowKey(row) {
+  return String(row?.symbol || "").trim().toUpperCase();
+}
+
+function diffRows(prevRows, nextList) {
+  const next = new Map();
+  for (const r of nextList) {
+    const k = rowKey(r);
+    if (k && !next.has(k)) next.set(k, r);
+  }
+
+  const added = [];
+  const changed = [];
+  const removed = [];
+  for (const [k, r] of next.entries()) {
+    const prev = prevRows.get(k);
+    if (!prev) added.push(r);
+    else if (JSON.stringify(prev) !== JSON.stringify(r)) changed.push(r);
+  }
+  for (const k of prevRows.keys()) if (!next.has(k)) removed.push(k);
+
+  return { next, added, changed, removed };
+}
+
+function sseWrite(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function streamBroadcast(sectionId, event, data) {
+  for (const c of streamClients) {
+    if (!c.sections.has(sectionId)) continue;
+    try {
+      sseWrite(c.res, event, data);
+    } catch {}
+  }
+}
+
+async function refreshStreamSection(sec) {
+  const prev = streamState.get(sec.id);
+  let body = null;
+  try {
+    body = await sec.load();
+  } catch (e) {
+    body = { ok: false, error: `${sec.id} failed`, detail: String(e?.message || e) };
+  }
+
+  const ts = Date.now();
+  if (!body || !body.ok) {
+    streamState.set(sec.id, { rows: prev?.rows || new Map(), ts: prev?.ts ?? null, error: body });
+    streamBroadcast(sec.id, "sectionError", { section: sec.id, ts, error: body });
+    return;
+  }
+
+  const list = Array.isArray(body.results) ? body.results : [];
+  const { next, added, changed, removed } = diffRows(prev?.rows || new Map(), list);
+  streamState.set(sec.id, { rows: next, ts, error: null });
+  streamBroadcast(sec.id, "diff", { section: sec.id, ts, count: next.size, added, changed, removed });
+}
+
+async function streamTick() {
+  streamTimer = null;
+  if (!streamClients.size) return;
+  if (streamBusy) return;
+
+  streamBusy = true;
+  try {
+    // Sequential on purpose: one section at a time keeps the upstream burst small.
+    for (const sec of STREAM_SECTIONS) {
+      if (!streamClients.size) break;
+      const wanted = Array.from(streamClients).some((c) => c.sections.has(sec.id));
+      if (wanted) await refreshStreamSection(sec);
+    }
+  } finally {
+    streamBusy = false;
+  }
+
+  if (streamClients.size && !streamTimer) streamTimer = setTimeout(streamTick, STREAM_REFRESH_MS);
+}
+
+function streamSnapshot(sectionId) {
+  const st = streamState.get(sectionId);
+  if (!st) return null;
+  return { section: sectionId, ts: st.ts, count: st.rows.size, results: Array.from(st.rows.values()), error: st.error || undefined };
+}
+
+app.get("/stream", scanAccess, (req, res) => {
+  if (!ENABLE_STREAM) return res.status(403).json({ ok: false, error: "Stream is OFF", hint: "Set ENABLE_STREAM=true" });
+
+  // scope: PRO sections, same gate as their JSON route (premium account or a token with that scope)
+  const known = STREAM_SECTIONS.filter((s) => !s.scope || hasProAccess(req, s.scope)).map((s) => s.id);
+  const asked = String(req.query.sections || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const sections = new Set(asked.length ? asked.filter((s) => known.includes(s)) : known);
+
+  res.set({
+    "content-type": "text/event-stream",
+    "cache-control": "no-cache",
+    connection: "keep-alive",
+    "x-accel-buffering": "no",
+  });
+  res.flushHeaders?.();
+  res.write("retry: 3000\n\n");
+
+  const client = { res, sections };
+  streamClients.add(client);
+
+  sseWrite(res, "hello", { sections: Array.from(sections), refreshMs: STREAM_REFRESH_MS, clients: streamClients.size });
+  for (const id of sections) {
+    const snap = streamSnapshot(id);
+    if (snap) sseWrite(res, "snapshot", snap);
+  }
+
+  const heartbeat = setInterval(() => {
+    try {
+      res.write(": ping\n\n");
+    } catch {}
+  }, STREAM_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    streamClients.delete(client);
+    if (!streamClients.size && streamTimer) {
+      clearTimeout(streamTimer);
+      streamTimer = null;
+    }
+  });
+
+  // First subscriber kicks the loop; later ones reuse the running loop.
+  if (!streamTimer && !streamBusy) streamTick();
+});
+
+// ============================================================================
+// SECTION 12.6 — Alert Rules Engine (SQLite) + /alerts
+// - Rules live in SQLite (db.js) and survive restarts (browser alerts did not)
+// - A rule = list of conditions over normalized row fields, match "all" | "any"
+//     { "name": "Gap runner", "match": "all", "cooldownSec": 900,
+//       "conditions": [ { "field": "gapPct", "op": ">=", "value": 20, "abs": true },
+//                       { "field": "aboveVWAP_5m", "op": "==", "value": true } ] }
+// - evaluateAlertRules() is called from finalizeRows(), so every scan refresh
+//   (routes + /stream) evaluates the rules; rows of the PRO-only builds (snapshot-all,
+//   premarket / aftermarket, snapshot / am screens) only go to rules of premium owners
+// - Cooldown is per rule + symbol: a symbol re-fires only after cooldownSec
+// - Rules and their events belong to a user (signed in when ENABLE_AUTH=true); an
+//   alert goes to that user's webhooks only, market events (halt, rocket, …) to the
+//   webhooks of premium accounts
+// ============================================================================
+const ALERT_FIELDS = {
+  gapPct: "number",
+  pricePct: "number",
+  extPct: "number",
+  price: "number",
+  volume: "number",
+  floatM: "number",
+  floatTurnoverPct: "number",
+  demandScore: "number",
+  volRatio_5m: "number",
+  rvol: "number",
+  vwapDev_5m: "number",
+  rsi14_5m: "number",
+  macdHist_5m: "number",
+  atrPct_5m: "number",
+  bbPctB_5m: "number",
+  aboveVWAP_5m: "boolean",
+  volSpike_5m: "boolean",
+  halted: "boolean",
+  pctToLimitUp: "number",
+  pctToLimitDown: "number",
+  pctToBand: "number",
+  nearLuldBand: "boolean",
+};
+const ALERT_NUMBER_OPS = [">", ">=", "<", "<=", "==", "!="];
+const ALERT_BOOLEAN_OPS = ["==", "!="];
+
+function validateAlertRule(input) {
+  const x = input && typeof input === "object" ? input : {};
+  const errors = [];
+
+  const name = String(x.name ?? "").trim();
+  if (!name) errors.push("name is required");
+
+  const match = String(x.match ?? "all").toLowerCase();
+  if (match !== "all" && match !== "any") errors.push('match must be "all" or "any"');
+
+  const cooldownSec = x.cooldownSec == null ? ALERT_DEFAULT_COOLDOWN_SEC : n(x.cooldownSec);
+  if (cooldownSec === null || cooldownSec < 0) errors.push("cooldownSec must be a number >= 0");
+
+  const rawConditions = Array.isArray(x.conditions) ? x.conditions : [];
+  if (!rawConditions.length) errors.push("conditions must be a non-empty array");
+  if (rawConditions.length > 20) errors.push("at most 20 conditions per rule");
+
+  const conditions = rawConditions.slice(0, 20).map((c, i) => {
+    const field = String(c?.field ?? "").trim();
+    const type = ALERT_FIELDS[field];
+    if (!type) {
+      errors.push(`conditions[${i}].field "${field}" is not one of: ${Object.keys(ALERT_FIELDS).join(", ")}`);
+      return null;
+    }
+
+    if (type === "boolean") {
+      const op = String(c?.op ?? "==");
+      if (!ALERT_BOOLEAN_OPS.includes(op)) errors.push(`conditions[${i}].op must be one of: ${ALERT_BOOLEAN_OPS.join(" ")}`);
+      const value = c?.value == null ? true : c.value === true || String(c.value).toLowerCase() === "true";
+      return { field, op, value };
+    }
+
+    const op = String(c?.op ?? "");
+    if (!ALERT_NUMBER_OPS.includes(op)) errors.push(`conditions[${i}].op must be one of: ${ALERT_NUMBER_OPS.join(" ")}`);
+    const value = n(c?.value);
+    if (value === null) errors.push(`conditions[${i}].value must be a number`);
+    return { field, op, value, abs: Boolean(c?.abs) };
+  });
+
+  if (errors.length) return { ok: false, errors };
+
+  return {
+    ok: true,
+    rule: {
+      name: name.slice(0, 120),
+      enabled: x.enabled == null ? true : Boolean(x.enabled),
+      match,
+      conditions,
+      cooldownSec: Math.floor(cooldownSec),
+    },
+  };
+}
+
+function alertRuleFromDb(r) {
+  if (!r) return null;
+  let conditions = [];
+  try {
+    conditions = JSON.parse(r.conditions);
+  } catch {}
+  return {
+    id: r.id,
+    name: r.name,
+    enabled: Boolean(r.enabled),
+    match: r.match,
+    conditions,
+    cooldownSec: r.cooldown_sec,
+    createdAt: r.created_at,
+    updatedAt: r.updated_at,
+  };
+}
+
+function alertRuleToDb(rule) {
+  return {
+    name: rule.name,
+    enabled: rule.enabled ? 1 : 0,
+    match: rule.match,
+    conditions: JSON.stringify(rule.conditions),
+    cooldown_sec: rule.cooldownSec,
+    now: Date.now(),
+  };
+}
+
+function alertEventFromDb(e) {
+  if (!e) return null;
+  let row = null;
+  try {
+    row = e.row ? JSON.parse(e.row) : null;
+  } catch {}
+  return { id: e.id, ruleId: e.rule_id, ruleName: e.rule_name, symbol: e.symbol, ts: e.ts, message: e.message, row };
+}
+
+function alertConditionPass(row, c) {
+  if (ALERT_FIELDS[c.field] === "boolean") {
+    const v = Boolean(row?.[c.field]);
+    return c.op === "!=" ? v !== c.value : v === c.value;
+  }
+
+  if (row?.[c.field] == null) return false; // n(null) is 0: a missing value never matches
+  let v = n(row?.[c.field]);
+  if (v === null) return false;
+  if (c.abs) v = Math.abs(v);
+
+  if (c.op === ">") return v > c.value;
+  if (c.op === ">=") return v >= c.value;
+  if (c.op === "<") return v < c.value;
+  if (c.op === "<=") return v <= c.value;
+  if (c.op === "==") return v === c.value;
+  if (c.op === "!=") return v !== c.value;
+  return false;
+}
+
+function alertRuleMatches(rule, row) {
+  const conds = Array.isArray(rule?.conditions) ? rule.conditions : [];
+  if (!conds.length) return false;
+  return rule.match === "any" ? conds.some((c) => alertConditionPass(row, c)) : conds.every((c) => alertConditionPass(row, c));
+}
+
+function alertMessage(rule, row) {
+  const parts = [`${row.symbol}`];
+  if (row.price != null) parts.push(`$${row.price}`);
+  if (row.gapPct != null) parts.push(`Gap ${row.gapPct}%`);
+  if (row.pricePct != null) parts.push(`Chg ${row.pricePct}%`);
+  if (row.volRatio_5m != null) parts.push(`Vol5m x${row.volRatio_5m}`);
+  if (row.floatTurnoverPct != null) parts.push(`FloatTurn ${row.floatTurnoverPct}%`);
+  if (row.halted) parts.push("HALTED");
+  return `${rule.name}: ${parts.join(" • ")}`;
+}
+
+// pro: rows of a PRO-only build; only rules of premium owners see them
+function evaluateAlertRules(rows, { pro = false, nowMs = Date.now() } = {}) {
+  if (!ENABLE_ALERTS || !Array.isArray(rows) || !rows.length) return [];
+
+  const fired = [];
+  try {
+    let rules = listEnabledAlertRules.all().map((r) => ({ ...alertRuleFromDb(r), userId: r.user_id }));
+    if (pro) {
+      const owners = new Map();
+      for (const r of rules) if (!owners.has(r.userId)) owners.set(r.userId, ownerHasPro(r.userId));
+      rules = rules.filter((r) => owners.get(r.userId));
+    }
+    if (!rules.length) return [];
+
+    for (const rule of rules) {
+      for (const row of rows) {
+        const symbol = String(row?.symbol || "").trim().toUpperCase();
+        if (!symbol || row?.source === "SNAPSHOT_FAILED") continue;
+        if (!alertRuleMatches(rule, row)) continue;
+
+        const last = lastAlertEventFor.get(rule.id, symbol);
+        if (last && nowMs - last.ts < rule.cooldownSec * 1000) continue;
+
+        const ev = {
+          user_id: rule.userId,
+          rule_id: rule.id,
+          rule_name: rule.name,
+          symbol,
+          ts: nowMs,
+          message: alertMessage(rule, row),
+          row: JSON.stringify(row),
+        };
+        const info = insertAlertEvent.run(ev);
+        const saved = alertEventFromDb({ id: Number(info.lastInsertRowid), ...ev });
+        fired.push(saved);
+        // only the rule owner's webhooks hear about it
+        emitScannerEvent("alert", {
+          userId: rule.userId,
+          symbol,
+          message: `🔔 ${ev.message}`,
+          data: { ruleId: rule.id, ruleName: rule.name, alertEventId: saved.id, row },
+        });
+      }
+    }
+
+    if (fired.length) dlog(`🔔 alerts fired: ${fired.map((x) => x.message).join(" | ")}`);
+  } catch (e) {
+    dlog("⚠️ alert rules evaluation failed:", String(e?.message || e));
+  }
+  return fired;
+}
+
+function parseRuleId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+app.get("/alerts/fields", (req, res) => {
+  res.json({ ok: true, fields: ALERT_FIELDS, numberOps: ALERT_NUMBER_OPS, booleanOps: ALERT_BOOLEAN_OPS });
+});
+
+// Rules, events, webhooks and deliveries belong to the caller (ownerOf: 0 = the shared set when accounts are off)
+app.get("/alerts/rules", ownerAccess, (req, res) => {
+  const rules = listAlertRules.all(ownerOf(req)).map(alertRuleFromDb);
+  res.json({ ok: true, count: rules.length, results: rules });
+});
+
+app.post("/alerts/rules", ownerAccess, (req, res) => {
+  const v = validateAlertRule(req.body);
+  if (!v.ok) return res.status(400).json({ ok: false, error: "Invalid rule", detail: v.errors });
+
+  const user_id = ownerOf(req);
+  const info = insertAlertRule.run({ user_id, ...alertRuleToDb(v.rule) });
+  res.status(201).json({ ok: true, rule: alertRuleFromDb(getAlertRule.get({ id: Number(info.lastInsertRowid), user_id })) });
+});
+
+app.get("/alerts/rules/:id", ownerAccess, (req, res) => {
+  const rule = alertRuleFromDb(getAlertRule.get({ id: parseRuleId(req), user_id: ownerOf(req) }));
+  if (!rule) return res.status(404).json({ ok: false, error: "Rule not found" });
+  res.json({ ok: true, rule });
+});
+
+// PUT replaces the rule, PATCH merges the body over the stored rule (e.g. { "enabled": false })
+function saveAlertRule(req, res, merge) {
+  const key = { id: parseRuleId(req), user_id: ownerOf(req) };
+  const existing = alertRuleFromDb(getAlertRule.get(key));
+  if (!existing) return res.status(404).json({ ok: false, error: "Rule not found" });
+
+  const v = validateAlertRule(merge ? { ...existing, ...(req.body || {}) } : req.body);
+  if (!v.ok) return res.status(400).json({ ok: false, error: "Invalid rule", detail: v.errors });
+
+  updateAlertRule.run({ ...key, ...alertRuleToDb(v.rule) });
+  res.json({ ok: true, rule: alertRuleFromDb(getAlertRule.get(key)) });
+}
+app.put("/alerts/rules/:id", ownerAccess, (req, res) => saveAlertRule(req, res, false));
+app.patch("/alerts/rules/:id", ownerAccess, (req, res) => saveAlertRule(req, res, true));
+
+app.delete("/alerts/rules/:id", ownerAccess, (req, res) => {
+  const info = deleteAlertRule.run({ id: parseRuleId(req), user_id: ownerOf(req) });
+  if (!info.changes) return res.status(404).json({ ok: false, error: "Rule not found" });
+  res.json({ ok: true, deleted: parseRuleId(req) });
+});
+
+app.get("/alerts/events", ownerAccess, (req, res) => {
+  const symbol = String(req.query.symbol || "").trim().toUpperCase() || null;
+  const ruleId = n(req.query.ruleId);
+  const since = n(req.query.since);
+  const limit = clamp(Number(req.query.limit || 200), 1, 2000);
+
+  const events = listAlertEvents.all({ user_id: ownerOf(req), symbol, rule_id: ruleId, since, limit }).map(alertEventFromDb);
+  res.json({ ok: true, count: events.length, results: events });
+});
+
+// ============================================================================
+// SECTION 12.7 — Outbound Webhooks (Discord / Slack / Telegram / generic JSON)
+// Events:
+//   halt          new HALT from handleLULD (not re-sent while the symbol stays halted)
+//   resume        RESUME after a HALT
+//   rocket        a row's signalIcon turned 🚀
+//   volume_spike  a row's volSpike_5m (attach5mSignals) turned true
+//   alert         an alert rule fired (SECTION 12.6)
+//   all but alert are market events: only webhooks of premium accounts get them
+//   (the same PRO data /halts and the PRO universes gate; open when ENABLE_AUTH=false)
+// Delivery:
+//   every event -> one webhook_deliveries row per matching webhook
+//   POST JSON, retry on network error / 408 / 429 / 5xx with exponential backoff
+//   (WEBHOOK_BACKOFF_MS * 2^attempt, Retry-After honored), up to WEBHOOK_MAX_ATTEMPTS
+//   the log keeps the HTTP status and a fixed error label, never the receiver's body
+// Targets (scanner/hostguard.js): public hosts only, checked on save and again when
+//   sending (loopback / private / link-local / metadata refused, no redirects);
+//   WEBHOOK_ALLOW_HOSTS=localhost,127.0.0.1 opens a local receiver
+// Local end-to-end check (no chat service needed):
+//   WEBHOOK_ALLOW_HOSTS=localhost  node webhook-stub.js 4000
+//   POST /webhooks {"name":"local","url":"http://localhost:4000/hook","format":"discord"}
+//   POST /webhooks/1/test   -> stub prints the payload, /webhooks/deliveries shows "delivered"
+// ============================================================================
+const WEBHOOK_EVENT_TYPES = ["halt", "resume", "rocket", "volume_spike", "alert"];
+const WEBHOOK_FORMATS = ["json", "discord", "slack", "telegram", "custom"];
+const WEBHOOK_DEFAULT_EVENTS = ["halt", "rocket", "volume_spike", "alert"];
+
+const rowEventState = new Map(); // sym -> { rocket, volSpike }
+
+function detectRowEvents(rows) {
+  if (!ENABLE_WEBHOOKS || !Array.isArray(rows)) return;
+
+  for (const r of rows) {
+    const sym = String(r?.symbol || "").trim().toUpperCase();
+    if (!sym || r?.source === "SNAPSHOT_FAILED") continue;
+
+    const prev = rowEventState.get(sym) || { rocket: false, volSpike: false };
+    const rocket = r.signalIcon === "🚀";
+    const volSpike = Boolean(r.volSpike_5m);
+
+    if (rocket && !prev.rocket) {
+      emitScannerEvent("rocket", {
+        symbol: sym,
+        message: `🚀 ${sym} demand score ${r.demandScore} • $${r.price ?? "-"} • Gap ${r.gapPct ?? "-"}% • Chg ${r.pricePct ?? "-"}%`,
+        data: r,
+      });
+    }
+    if (volSpike && !prev.volSpike) {
+      emitScannerEvent("volume_spike", {
+        symbol: sym,
+        message: `🔊 ${sym} 5m volume spike x${r.volRatio_5m ?? "-"} (last ${r.lastVol_5m ?? "-"} vs avg ${r.avgVol_5m ?? "-"})`,
+        data: r,
+      });
+    }
+
+    rowEventState.set(sym, { rocket, volSpike });
+  }
+}
+
+// -> { ok, webhook } | { ok: false, errors } (async: the url host is resolved)
+async function validateWebhook(input) {
+  const x = input && typeof input === "object" ? input : {};
+  const errors = [];
+
+  const name = String(x.name ?? "").trim();
+  if (!name) errors.push("name is required");
+
+  const url = String(x.url ?? "").trim();
+  if (!/^https?:\/\/[^\s]+$/i.test(url)) errors.push("url must be an http(s) URL");
+
+  const format = String(x.format ?? "json").toLowerCase();
+  if (!WEBHOOK_FORMATS.includes(format)) errors.push(`format must be one of: ${WEBHOOK_FORMATS.join(", ")}`);
+
+  const events = x.events == null ? WEBHOOK_DEFAULT_EVENTS : Array.isArray(x.events) ? x.events.map(String) : [];
+  if (!events.length) errors.push("events must be a non-empty array");
+  for (const e of events) {
+    if (e !== "*" && !WEBHOOK_EVENT_TYPES.includes(e)) errors.push(`unknown event "${e}" (use ${WEBHOOK_EVENT_TYPES.join(", ")} or *)`);
+  }
+
+  const chatId = x.chatId == null || x.chatId === "" ? null : String(x.chatId);
+  if (format === "telegram" && !chatId) errors.push("chatId is required for telegram");
+
+  const template = x.template ?? null;
+  if (format === "custom" && (!template || typeof template !== "object")) errors.push("template (JSON object) is required for custom");
+
+  if (!errors.length) {
+    const target = await checkPublicUrl(url, { allowHosts: WEBHOOK_ALLOW_HOSTS });
+    if (!target.ok) errors.push(target.error);
+  }
+  if (errors.length) return { ok: false, errors };
+
+  return {
+    ok: true,
+    webhook: {
+      name: name.slice(0, 120),
+      url,
+      format,
+      events: Array.from(new Set(events)),
+      template: format === "custom" ? template : null,
+      chatId,
+      enabled: x.enabled == null ? true : Boolean(x.enabled),
+    },
+  };
+}
+
+function webhookFromDb(w) {
+  if (!w) return null;
+  let events = [];
+  let template = null;
+  try {
+    events = JSON.parse(w.events);
+  } catch {}
+  try {
+    template = w.template ? JSON.parse(w.template) : null;
+  } catch {}
+  return {
+    id: w.id,
+    name: w.name,
+    url: w.url,
+    format: w.format,
+    events,
+    template,
+    chatId: w.chat_id,
+    enabled: Boolean(w.enabled),
+    createdAt: w.created_at,
+    updatedAt: w.updated_at,
+  };
+}
+
+function webhookToDb(w) {
+  return {
+    name: w.name,
+    url: w.url,
+    format: w.format,
+    events: JSON.stringify(w.events),
+    template: w.template ? JSON.stringify(w.template) : null,
+    chat_id: w.chatId,
+    enabled: w.enabled ? 1 : 0,
+    now: Date.now(),
+  };
+}
+
+function webhookDeliveryFromDb(d) {
+  if (!d) return null;
+  let payload = null;
+  try {
+    payload = JSON.parse(d.payload);
+  } catch {}
+  return {
+    id: d.id,
+    webhookId: d.webhook_id,
+    eventType: d.event_type,
+    symbol: d.symbol,
+    status: d.status,
+    attempts: d.attempts,
+    httpStatus: d.http_status,
+    error: d.error,
+    payload,
+    createdAt: d.created_at,
+    updatedAt: d.updated_at,
+  };
+}
+
+// "{{symbol}} moved {{pricePct}}%" -> values from the event (top level) and its data (primitives)
+function fillWebhookTemplate(tpl, vars) {
+  if (typeof tpl === "string") return tpl.replace(/\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g, (_, k) => (vars[k] == null ? "" : String(vars[k])));
+  if (Array.isArray(tpl)) return tpl.map((x) => fillWebhookTemplate(x, vars));
+  if (tpl && typeof tpl === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(tpl)) out[k] = fillWebhookTemplate(v, vars);
+    return out;
+  }
+  return tpl;
+}
+
+function buildWebhookPayload(hook, ev) {
+  if (hook.format === "discord") return { username: BRAND.name, content: ev.message };
+  if (hook.format === "slack") return { text: ev.message };
+  if (hook.format === "telegram") return { chat_id: hook.chatId, text: ev.message, disable_web_page_preview: true };
+
+  if (hook.format === "custom") {
+    const vars = {};
+    for (const [k, v] of Object.entries(ev.data || {})) if (v === null || typeof v !== "object") vars[k] = v;
+    Object.assign(vars, { type: ev.type, symbol: ev.symbol, message: ev.message, ts: ev.ts, time: new Date(ev.ts).toISOString() });
+    return fillWebhookTemplate(hook.template, vars);
+  }
+
+  return { source: BRAND.name, type: ev.type, ts: ev.ts, symbol: ev.symbol, message: ev.message, data: ev.data ?? null };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function webhookRetryable(status) {
+  return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+const webhookLookup = guardedLookup(WEBHOOK_ALLOW_HOSTS);
+const webhookAgents = { httpAgent: new http.Agent({ lookup: webhookLookup }), httpsAgent: new https.Agent({ lookup: webhookLookup }) };
+
+// -> { ok, status, retryAfter } | { ok: false, status: null, error } (error = fixed label, nothing from the receiver)
+async function postWebhook(url, payload) {
+  const target = await checkPublicUrl(url, { allowHosts: WEBHOOK_ALLOW_HOSTS });
+  if (!target.ok) return { ok: false, status: null, error: "blocked host", retryable: false };
+  try {
+    const r = await axios.post(url, payload, {
+      headers: { "content-type": "application/json", "user-agent": "ALGTP-Webhook" },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      responseType: "text",
+      validateStatus: () => true,
+      ...webhookAgents,
+    });
+    return { ok: r.status < 300, status: r.status, retryAfter: n(r.headers?.["retry-after"]) };
+  } catch (e) {
+    const f = axiosFail(e);
+    if (f.code === "EBLOCKEDHOST") return { ok: false, status: null, error: "blocked host", retryable: false };
+    return { ok: false, status: null, error: f.code === "ECONNABORTED" || f.code === "ETIMEDOUT" ? "timeout" : "network error" };
+  }
+}
+
+async function deliverWebhook(deliveryId, hook, payload) {
+  let last = null;
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    last = await postWebhook(hook.url, payload);
+
+    const error = last.ok ? null : last.error || `HTTP ${last.status}`;
+    const willRetry = !last.ok && last.retryable !== false && webhookRetryable(last.status) && attempt < WEBHOOK_MAX_ATTEMPTS;
+
+    updateWebhookDelivery.run({
+      id: deliveryId,
+      status: last.ok ? "delivered" : willRetry ? "retrying" : "failed",
+      attempts: attempt,
+      http_status: last.status,
+      error,
+      now: Date.now(),
+    });
+
+    if (!willRetry) break;
+
+    const backoff = Math.min(60000, WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1));
+    const retryAfterMs = last.retryAfter !== null && last.retryAfter !== undefined ? last.retryAfter * 1000 : 0;
+    await sleep(Math.min(60000, Math.max(backoff, retryAfterMs)));
+  }
+
+  if (!last?.ok) dlog(`⚠️ webhook #${hook.id} (${hook.name}) delivery ${deliveryId} failed`);
+  return webhookDeliveryFromDb(getWebhookDelivery.get(deliveryId));
+}
+
+// userId: the hook's owner (the delivery log is theirs)
+function queueWebhookDelivery(hook, ev, userId) {
+  const payload = buildWebhookPayload(hook, ev);
+  const info = insertWebhookDelivery.run({
+    user_id: userId,
+    webhook_id: hook.id,
+    event_type: ev.type,
+    symbol: ev.symbol ?? null,
+    payload: JSON.stringify(payload),
+    now: Date.now(),
+  });
+  return deliverWebhook(Number(info.lastInsertRowid), hook, payload);
+}
+
+// userId: only that user's hooks (an alert rule's owner); null = market events (halts, 🚀, volume
+// spikes), a PRO feed: only hooks whose owner has premium hear them
+// Replay (REPLAY_FILE): a recorded day's halts / alerts never reach the real endpoints
+function emitScannerEvent(type, { userId = null, symbol = null, message = "", data = null } = {}) {
+  if (!ENABLE_WEBHOOKS || REPLAY_FILE) return;
+
+  const ev = { type, ts: Date.now(), symbol, message, data };
+  const pro = new Map(); // owner -> premium (once per event)
+  try {
+    for (const w of listEnabledWebhooks.all({ user_id: userId })) {
+      const hook = webhookFromDb(w);
+      if (!hook.events.includes("*") && !hook.events.includes(type)) continue;
+      if (userId === null) {
+        if (!pro.has(w.user_id)) pro.set(w.user_id, ownerHasPro(w.user_id));
+        if (!pro.get(w.user_id)) continue;
+      }
+      // fire-and-forget: scans and the LULD handler never wait on delivery
+      queueWebhookDelivery(hook, ev, w.user_id).catch((e) => dlog("⚠️ webhook delivery crashed:", String(e?.message || e)));
+    }
+  } catch (e) {
+    dlog("⚠️ webhook dispatch failed:", String(e?.message || e));
+  }
+}
+
+function parseWebhookId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+app.get("/webhooks", ownerAccess, (req, res) => {
+  const hooks = listWebhooks.all(ownerOf(req)).map(webhookFromDb);
+  res.json({ ok: true, count: hooks.length, events: WEBHOOK_EVENT_TYPES, formats: WEBHOOK_FORMATS, results: hooks });
+});
+
+app.post("/webhooks", ownerAccess, async (req, res) => {
+  const v = await validateWebhook(req.body);
+  if (!v.ok) return res.status(400).json({ ok: false, error: "Invalid webhook", detail: v.errors });
+
+  const user_id = ownerOf(req);
+  const info = insertWebhook.run({ user_id, ...webhookToDb(v.webhook) });
+  res.status(201).json({ ok: true, webhook: webhookFromDb(getWebhook.get({ id: Number(info.lastInsertRowid), user_id })) });
+});
+
+app.get("/webhooks/deliveries", ownerAccess, (req, res) => {
+  const webhookId = n(req.query.webhookId);
+  const status = String(req.query.status || "").trim().toLowerCase() || null;
+  const limit = clamp(Number(req.query.limit || 200), 1, 2000);
+
+  const rows = listWebhookDeliveries.all({ user_id: ownerOf(req), webhook_id: webhookId, status, limit }).map(webhookDeliveryFromDb);
+  res.json({ ok: true, count: rows.length, results: rows });
+});
+
+app.get("/webhooks/:id", ownerAccess, (req, res) => {
+  const hook = webhookFromDb(getWebhook.get({ id: parseWebhookId(req), user_id: ownerOf(req) }));
+  if (!hook) return res.status(404).json({ ok: false, error: "Webhook not found" });
+  res.json({ ok: true, webhook: hook });
+});
+
+// PUT replaces the webhook, PATCH merges the body over the stored webhook
+async function saveWebhook(req, res, merge) {
+  const key = { id: parseWebhookId(req), user_id: ownerOf(req) };
+  const existing = webhookFromDb(getWebhook.get(key));
+  if (!existing) return res.status(404).json({ ok: false, error: "Webhook not found" });
+
+  const v = await validateWebhook(merge ? { ...existing, ...(req.body || {}) } : req.body);
+  if (!v.ok) return res.status(400).json({ ok: false, error: "Invalid webhook", detail: v.errors });
+
+  updateWebhook.run({ ...key, ...webhookToDb(v.webhook) });
+  res.json({ ok: true, webhook: webhookFromDb(getWebhook.get(key)) });
+}
+app.put("/webhooks/:id", ownerAccess, (req, res) => saveWebhook(req, res, false));
+app.patch("/webhooks/:id", ownerAccess, (req, res) => saveWebhook(req, res, true));
+
+app.delete("/webhooks/:id", ownerAccess, (req, res) => {
+  const info = deleteWebhook.run({ id: parseWebhookId(req), user_id: ownerOf(req) });
+  if (!info.changes) return res.status(404).json({ ok: false, error: "Webhook not found" });
+  res.json({ ok: true, deleted: parseWebhookId(req) });
+});
+
+// Sends a sample event right now (even if the webhook is disabled) and waits for the final delivery status
+app.post("/webhooks/:id/test", ownerAccess, async (req, res) => {
+  const owner = ownerOf(req);
+  const hook = webhookFromDb(getWebhook.get({ id: parseWebhookId(req), user_id: owner }));
+  if (!hook) return res.status(404).json({ ok: false, error: "Webhook not found" });
+
   try {
-    const limit = clamp(Number(req.query.limit || 120), 10, 500);
-    const rows = await buildRowsFromMoversUnionBySession({ session: "pre", limit });
-    res.json({
-      ok: true,
-      session: "premarket",
-      source: "massive_movers_list",
-      rank: "gap_percent_then_float_turnover_percent_then_volume",
-      results: rows,
-    });
+    const delivery = await queueWebhookDelivery(hook, {
+      type: "test",
+      ts: Date.now(),
+      symbol: "TEST",
+      message: `🧪 ${BRAND.name} webhook test (${hook.name})`,
+      data: { price: 1.23, gapPct: 45.6, demandScore: 5, signalIcon: "🚀" },
+    }, owner);
+    res.status(delivery?.status === "delivered" ? 200 : 502).json({ ok: delivery?.status === "delivered", delivery });
   } catch (e) {
-    res.status(500).json({ ok: false, error: "movers-premarket failed", detail: String(e?.message || e) });
+    res.status(500).json({ ok: false, error: "Webhook test failed", detail: String(e?.message || e) });
   }
 });
 
-app.get("/movers-afterhours", async (req, res) => {
+// ============================================================================
+// SECTION 12.8 — Backtest (/backtest)
+// Stored bars (CSV / SQLite in BACKTEST_DIR) replayed through the same
+// indicator + demandScore + gap/float ranking code as live scans.
+//   /backtest?source=bars.csv&daily=daily.csv&floats=floats.csv&times=09:45,10:00&dates=2026-01-27&top=10&rows=1&vwapAnchor=pre
+// CLI equivalent: node backtest.js --bars data/backtest/bars.csv --times 09:45
+// A scan route (scanAccess); each replayed time ranks a whole universe, so it is
+// charged like a default /scan per entry in ?times=.
+// ============================================================================
+function backtestPath(name) {
+  // Plain file names only: no absolute paths, no "..", nothing outside BACKTEST_DIR
+  const raw = String(name || "").trim();
+  if (!raw) return null;
+  const root = path.resolve(BACKTEST_DIR);
+  const file = path.resolve(root, raw);
+  return file.startsWith(root + path.sep) ? file : null;
+}
+
+const backtestFanout = (req) => String(req.query.times || "09:45").split(",").filter((t) => t.trim()).length * scanMaxSymbols({});
+
+app.get("/backtest", scanAccess, rateLimitBy(backtestFanout), async (req, res) => {
+  const source = String(req.query.source || "").trim();
+  if (!source) {
+    return res.status(400).json({ ok: false, error: "source is required", detail: `file name inside ${BACKTEST_DIR}` });
+  }
+
+  const files = {};
+  for (const key of ["source", "daily", "floats"]) {
+    if (!req.query[key]) continue;
+    const file = backtestPath(req.query[key]);
+    if (!file) return res.status(400).json({ ok: false, error: `Invalid ${key}`, detail: `must be a file inside ${BACKTEST_DIR}` });
+    if (!fs.existsSync(file)) return res.status(404).json({ ok: false, error: `${key} not found`, detail: req.query[key] });
+    files[key] = file;
+  }
+
   try {
-    const limit = clamp(Number(req.query.limit || 120), 10, 500);
-    const rows = await buildRowsFromMoversUnionBySession({ session: "after", limit });
-    res.json({
-      ok: true,
-      session: "afterhours",
-      source: "massive_movers_list",
-      rank: "gap_percent_then_float_turnover_percent_then_volume",
-      results: rows,
+    const data = await loadBacktestData({ bars: files.source, daily: files.daily, floats: files.floats });
+    const report = runBacktest(data, {
+      times: req.query.times,
+      dates: req.query.dates,
+      top: req.query.top,
+      volAvgLen: VOL_AVG_LEN_5M,
+      volSpikeMult: VOL_SPIKE_MULT,
+      vwapAnchor: normalizeVwapAnchor(req.query.vwapAnchor, VWAP_ANCHOR),
+      includeRows: String(req.query.rows || "") === "1",
     });
+    res.json(report);
   } catch (e) {
-    res.status(500).json({ ok: false, error: "movers-afterhours failed", detail: String(e?.message || e) });
+    res.status(500).json({ ok: false, error: "Backtest failed", detail: String(e?.message || e) });
   }
 });
 
-// --------------------------------------------------------------------------
-// Most Active / Most Volatile / Most Lately / Unusual Volume
-// --------------------------------------------------------------------------
-app.get("/most-active", async (req, res) => {
-  const cap = String(req.query.cap || "all").toLowerCase();
-  const limit = req.query.limit;
-  const out = ENABLE_SNAPSHOT_ALL
-    ? await buildRowsFromSnapshotAll({ cap, limit, session: null, sortMode: "active" })
-    : await buildRowsFromMoversUnion({ cap, limit, sortMode: "active" });
-  return res.status(out.status).json(out.body);
-});
+// ============================================================================
+// SECTION 12.9 — Watchlists (SQLite, per user → watchlists.js)
+// - /watchlists                     GET list (first call seeds "Default" from IMPORTANT_SYMBOLS) • POST { name, symbols? }
+// - /watchlists/:id                 GET • PATCH { name?, position?, symbols? } • DELETE
+// - /watchlists/:id/symbols         GET • POST { symbols, position? } add • PUT { symbols } replace / reorder
+// - /watchlists/:id/symbols/:symbol PATCH { position } move • DELETE remove
+// - /scan?watchlist=<id>            scans the list in its saved order (the dashboard picker uses this)
+// ============================================================================
+if (ENABLE_WATCHLISTS) {
+  const send = (res, out) => res.status(out.status).json(out.body);
 
-app.get("/most-volatile", async (req, res) => {
-  const cap = String(req.query.cap || "all").toLowerCase();
-  const limit = req.query.limit;
-  const out = ENABLE_SNAPSHOT_ALL
-    ? await buildRowsFromSnapshotAll({ cap, limit, session: null, sortMode: "volatile" })
-    : await buildRowsFromMoversUnion({ cap, limit, sortMode: "volatile" });
-  return res.status(out.status).json(out.body);
-});
+  app.get("/watchlists", ownerAccess, (req, res) => {
+    ensureDefaultWatchlist(ownerOf(req), IMPORTANT_SYMBOLS);
+    send(res, listWatchlists(ownerOf(req)));
+  });
+  app.post("/watchlists", ownerAccess, (req, res) => send(res, createWatchlist(ownerOf(req), req.body)));
 
-app.get("/most-lately", async (req, res) => {
-  const cap = String(req.query.cap || "all").toLowerCase();
-  const limit = clamp(Number(req.query.limit || 120), 10, 500);
+  app.get("/watchlists/:id", ownerAccess, (req, res) => send(res, getWatchlistFor(ownerOf(req), req.params.id)));
+  app.patch("/watchlists/:id", ownerAccess, (req, res) => send(res, updateWatchlist(ownerOf(req), req.params.id, req.body)));
+  app.delete("/watchlists/:id", ownerAccess, (req, res) => send(res, deleteWatchlistFor(ownerOf(req), req.params.id)));
 
-  const lastTimestampMsOfRow = (r) => {
-    const a = toMs(r?.am_ts) ?? null;
-    const b = n(r?.haltTsMs) ?? null;
-    return a ?? b ?? 0;
+  app.get("/watchlists/:id/symbols", ownerAccess, (req, res) => {
+    const out = getWatchlistFor(ownerOf(req), req.params.id);
+    if (!out.ok) return send(res, out);
+    res.json({ ok: true, id: out.body.watchlist.id, count: out.body.watchlist.symbols.length, symbols: out.body.watchlist.symbols });
+  });
+  app.post("/watchlists/:id/symbols", ownerAccess, (req, res) => send(res, addWatchlistSymbols(ownerOf(req), req.params.id, req.body)));
+  app.put("/watchlists/:id/symbols", ownerAccess, (req, res) => send(res, setWatchlistSymbols(ownerOf(req), req.params.id, req.body)));
+  app.patch("/watchlists/:id/symbols/:symbol", ownerAccess, (req, res) =>
+    send(res, moveWatchlistSymbol(ownerOf(req), req.params.id, req.params.symbol, req.body))
+  );
+  app.delete("/watchlists/:id/symbols/:symbol", ownerAccess, (req, res) =>
+    send(res, removeWatchlistSymbol(ownerOf(req), req.params.id, req.params.symbol))
+  );
+}
+
+// ============================================================================
+// SECTION 12.10 — Dashboard layouts (SQLite, per user → layouts.js, boxes → scanner/layout.js)
+// - /layouts/catalog   sections registry, sources, params, sort modes, widths (what the editor offers)
+// - /layouts           GET saved layouts (+ the built-in "default")
+// - /layouts/:name     GET • PUT { boxes: [{ section, source?, params?, cols?, limit?, sort?, title? }] } • DELETE
+// - /ui?layout=<name>  the dashboard with that layout (Edit layout → Save as… in the page)
+// ============================================================================
+if (ENABLE_LAYOUTS) {
+  const send = (res, out) => res.status(out.status).json(out.body);
+
+  app.get("/layouts/catalog", (req, res) => res.json({ ok: true, builtin: BUILTIN_LAYOUT, ...layoutCatalog() }));
+  app.get("/layouts", ownerAccess, (req, res) => send(res, listLayouts(ownerOf(req))));
+  app.get("/layouts/:name", ownerAccess, (req, res) => send(res, getLayout(ownerOf(req), req.params.name)));
+  app.put("/layouts/:name", ownerAccess, (req, res) => send(res, saveLayout(ownerOf(req), req.params.name, req.body)));
+  app.delete("/layouts/:name", ownerAccess, (req, res) => send(res, deleteLayout(ownerOf(req), req.params.name)));
+}
+
+// ============================================================================
+// SECTION 12.11 — Screener (/screen?q= → scanner/screen.js)
+// - /screen/fields   field catalog (+ <indicator>_<tf> timeframe fields), operators, sort syntax
+// - /screen?q=<expr>&universe=&cap=&pool=&limit=
+//     q         gapPct > 10 and floatM < 20 and aboveVWAP_5m and price between 1 and 20 sort floatTurnoverPct desc
+//     universe  movers (Massive gainers + losers, default) • snapshot (Snapshot-All, PRO) • am (AM WebSocket cache, PRO)
+//               watchlist (?watchlist=<id>, the default when given) • symbols (?symbols=, else IMPORTANT_SYMBOLS)
+//     pool      rows built from the universe before the screen runs (10-500, default 200) • limit rows returned (default 100)
+//   Timeframe fields in q (rsi14_15m, ema20_1h, …) are computed for the pool, at most MTF_MAX_TIMEFRAMES timeframes.
+// ============================================================================
+function screenUniverseOf(req) {
+  const raw = String(req.query.universe || (req.query.watchlist ? "watchlist" : "movers")).trim().toLowerCase();
+  return raw === "snapshot-all" ? "snapshot" : raw;
+}
+
+// snapshot / am read the PRO universes (same access as /snapshot-all, /premarket); the rest are scan routes
+const proScreenAccess = proAccess("pro");
+const isProUniverse = (universe) => universe === "snapshot" || universe === "am";
+function screenAccess(req, res, next) {
+  return (isProUniverse(screenUniverseOf(req)) ? proScreenAccess : scanAccess)(req, res, next);
+}
+
+// watchlist: { id, symbols } (already resolved for the caller / the screen's owner) • symbols: ["NVDA", …] | null
+async function buildScreenUniverse(universe, { cap, pool, watchlist = null, symbols = null }) {
+  if (universe === "movers") return buildRowsFromMoversUnion({ cap, limit: pool, sortMode: "active" });
+  if (universe === "snapshot") return buildRowsFromSnapshotAll({ cap, limit: pool, session: null, sortMode: "gap", pro: true });
+  if (universe === "am") return buildRowsFromAMCache({ cap, limit: pool, session: null, sortMode: "gap", pro: true });
+  if (universe === "watchlist" && !watchlist) {
+    return { ok: false, status: 400, body: { ok: false, error: "Invalid query", detail: ["universe=watchlist needs ?watchlist=<id>"] } };
+  }
+
+  const list = (watchlist ? watchlist.symbols.map(normalizeSymbolForAPI) : symbols || parseSymbols(IMPORTANT_SYMBOLS)).slice(0, pool);
+  const { rows, aggsErrors } = await buildRowsFromSymbols(list);
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      ok: true,
+      source: watchlist ? "WATCHLIST" : "SYMBOLS",
+      watchlist: watchlist?.id,
+      cap,
+      results: rows.filter((r) => capPass(r, cap)),
+      aggsErrors: DEBUG ? aggsErrors.slice(0, 10) : undefined,
+    },
   };
+}
 
-  const out = ENABLE_SNAPSHOT_ALL
-    ? await buildRowsFromSnapshotAll({ cap, limit: Math.max(250, limit * 3), session: null, sortMode: "active" })
-    : await buildRowsFromMoversUnion({ cap, limit: Math.max(250, limit * 3), sortMode: "active" });
+// compiled screen + universe -> { ok, status, body } (/screen and saved /screens/:slug)
+// extraFields: more fields to compute (a saved screen's timeframe columns)
+async function runScreenOn(screen, { universe, cap = "all", pool = 200, limit = 100, watchlist = null, symbols = null, extraFields = [] }) {
+  const tf = screenTimeframes([...screen.fields, ...extraFields]);
+  if (tf.tfs.length > MTF_MAX_TIMEFRAMES) {
+    return { ok: false, status: 400, body: { ok: false, error: "Invalid screen", detail: [`at most ${MTF_MAX_TIMEFRAMES} timeframes per request`] } };
+  }
 
-  if (!out.ok) return res.status(out.status).json(out.body);
+  const miss = envMissingFor({ needAggs: ENABLE_5M_INDICATORS || tf.tfs.length > 0 });
+  if (miss.length) return { ok: false, status: 400, body: { ok: false, error: "Missing env", miss } };
 
-  let rows = Array.isArray(out.body?.results) ? out.body.results : [];
-  rows = rows
-    .map((r) => ({ ...r, lastTsMs: lastTimestampMsOfRow(r) }))
-    .sort((a, b) => (b.lastTsMs ?? 0) - (a.lastTsMs ?? 0))
-    .slice(0, limit);
+  const out = await withTimeframeIndicators(await buildScreenUniverse(universe, { cap, pool, watchlist, symbols }), tf);
+  if (!out.ok) return out;
 
-  return res.json({ ok: true, cap, results: rows });
-});
+  const rows = out.body.results;
+  const results = runScreen(rows, screen, { limit });
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      ok: true,
+      universe,
+      source: out.body.source,
+      watchlist: out.body.watchlist,
+      q: screen.query,
+      fields: screen.fields,
+      sort: screen.sort,
+      scanned: rows.length,
+      count: results.length,
+      timeframes: out.body.timeframes,
+      results,
+      aggsErrors: out.body.aggsErrors,
+      timeframeErrors: out.body.timeframeErrors,
+    },
+  };
+}
 
-app.get("/unusual-volume", async (req, res) => {
-  try {
-    const cap = String(req.query.cap || "all").toLowerCase();
-    const limit = clamp(Number(req.query.limit || 120), 10, 500);
+// exports: the stock row columns + whatever else q filters / sorts on
+const screenExportColumns = (body) => [...ROW_EXPORT_COLUMNS, ...body.fields.filter((f) => !ROW_EXPORT_COLUMNS.includes(f))];
 
-    const base = ENABLE_SNAPSHOT_ALL
-      ? await buildRowsFromSnapshotAll({ cap, limit: Math.max(250, limit * 5), session: null, sortMode: "active" })
-      : await buildRowsFromMoversUnion({ cap, limit: Math.max(250, limit * 5), sortMode: "active" });
+if (ENABLE_SCREEN) {
+  app.get("/screen/fields", (req, res) => res.json({ ok: true, universes: SCREEN_UNIVERSES, ...screenCatalog() }));
+
+  app.get("/screen", screenAccess, exportable(screenExportColumns), rateLimitBy((req) => clamp(Number(req.query.pool || 200), 10, 500)), async (req, res) => {
+    try {
+      const universe = screenUniverseOf(req);
+      if (!SCREEN_UNIVERSES.includes(universe)) {
+        return res.status(400).json({ ok: false, error: "Invalid query", detail: [`universe must be one of: ${SCREEN_UNIVERSES.join(", ")}`] });
+      }
 
-    if (!base.ok) return res.status(base.status).json(base.body);
+      const screen = compileScreen(req.query.q);
+      if (!screen.ok) return res.status(400).json({ ok: false, error: "Invalid screen", detail: screen.errors });
 
-    let rows = Array.isArray(base.body?.results) ? base.body.results : [];
+      const wl = universe === "watchlist" ? resolveScanWatchlist(req) : { ok: true, symbols: null };
+      if (!wl.ok) return res.status(wl.status).json(wl.body);
 
-    if (!ENABLE_5M_INDICATORS) {
-      rows.sort((a, b) => (b.volume ?? 0) - (a.volume ?? 0));
-      rows = rows.slice(0, limit);
-      return res.json({
-        ok: true,
-        cap,
-        note: "ENABLE_5M_INDICATORS is false, fallback ranking by volume",
-        results: rows,
+      const out = await runScreenOn(screen, {
+        universe,
+        cap: String(req.query.cap || "all").trim().toLowerCase(),
+        pool: clamp(Number(req.query.pool || 200), 10, 500),
+        limit: clamp(Number(req.query.limit || 100), 1, 500),
+        watchlist: wl.symbols ? wl : null,
+        symbols: req.query.symbols ? parseSymbols(req.query.symbols) : null,
       });
+      res.status(out.status).json(out.body);
+    } catch (e) {
+      res.status(500).json({ ok: false, error: "Screen failed", detail: String(e?.message || e) });
     }
+  });
+}
 
-    rows = rows
-      .filter((r) => r && (r.volSpike_5m || (n(r.volRatio_5m) ?? 0) >= 2))
-      .sort((a, b) => (n(b.volRatio_5m) ?? 0) - (n(a.volRatio_5m) ?? 0) || (b.volume ?? 0) - (a.volume ?? 0))
-      .slice(0, limit);
-
-    res.json({ ok: true, cap, results: rows });
-  } catch (e) {
-    res.status(500).json({ ok: false, error: "unusual-volume failed", detail: String(e?.message || e) });
-  }
-});
+// ============================================================================
+// SECTION 12.12 — Saved screens (SQLite → screens.js, shareable read-only by slug)
+// - /screens         GET own screens • POST { name, slug?, universe?, watchlist?, symbols?, cap?, q?, columns?,
+//                    limit?, pool?, refreshSec?, shared? }
+// - /screens/:slug   GET runs it (definition in body.screen) • PATCH (owner) • DELETE (owner)
+// - /ui/s/:slug      the screen as a dashboard page (its columns, rows and refresh rate)
+// shared=true lets any signed-in user open the link; a watchlist universe reads the owner's list.
+// ============================================================================
+if (ENABLE_SCREEN) {
+  const send = (res, out) => res.status(out.status).json(out.body);
+
+  app.get("/screens", ownerAccess, (req, res) => send(res, listScreens(ownerOf(req))));
+  app.post("/screens", ownerAccess, (req, res) => send(res, createScreen(ownerOf(req), req.body)));
+  app.patch("/screens/:slug", ownerAccess, (req, res) => send(res, updateScreen(ownerOf(req), req.params.slug, req.body)));
+  app.delete("/screens/:slug", ownerAccess, (req, res) => send(res, deleteScreen(ownerOf(req), req.params.slug)));
+
+  app.get("/screens/:slug", ownerAccess, exportable((body) => ["symbol", ...body.screen.columns]), rateLimitBy((req) => getScreen(ownerOf(req), req.params.slug).body?.screen?.pool), (req, res) => {
+    const found = getScreen(ownerOf(req), req.params.slug);
+    if (!found.ok) return send(res, found);
+    const def = found.body.screen;
+
+    const run = async () => {
+      try {
+        const watchlist = def.universe === "watchlist" ? { id: def.watchlist, symbols: watchlistSymbols(found.ownerId, def.watchlist) } : null;
+        if (watchlist && !watchlist.symbols) return res.status(404).json({ ok: false, error: "Watchlist not found", detail: def.watchlist });
+
+        const out = await runScreenOn(compileScreen(def.q), {
+          universe: def.universe,
+          cap: def.cap,
+          pool: def.pool,
+          limit: def.limit,
+          watchlist,
+          symbols: def.symbols ? def.symbols.map(normalizeSymbolForAPI) : null,
+          extraFields: def.columns,
+        });
+        if (!out.ok) return send(res, out);
+        res.json({ ...out.body, screen: def });
+      } catch (e) {
+        res.status(500).json({ ok: false, error: "Screen failed", detail: String(e?.message || e) });
+      }
+    };
+    return isProUniverse(def.universe) ? proScreenAccess(req, res, run) : run();
+  });
+}
 
 // ============================================================================
 // SECTION 13 — UI (Dashboard) ✅ FULL REWRITE + FIXED
@@ -2043,8 +3572,38 @@ function riskNoticeContent() {
   };
 }
 
-function renderUI() {
+// Single-box pages (/ui/<preset>): same dashboard, one full-width box.
+// Boxes that share an id with STREAM_SECTIONS are fed live by /stream.
+// pro: true = premium account required when ENABLE_AUTH=true (same gate as the JSON route).
+const UI_PRESETS = {
+  "top-movers": { id: "top_movers", title: "TOP MOVERS (Gainers + Losers)", url: "/top-movers?direction=all&limit=200", limit: 120, sort: "none" },
+  gainers: { id: "gainers", title: "TOP GAINERS", url: "/list?group=topGainers&cap=all&limit=200", limit: 120, sort: "none" },
+  losers: { id: "losers", title: "TOP LOSERS", url: "/list?group=topLosers&cap=all&limit=200", limit: 120, sort: "none" },
+  gappers: { id: "gappers", title: "GAPPERS", url: "/list?group=topGappers&cap=all&limit=200&minGap=5", limit: 120, sort: "gapDesc", stream: true },
+  smallcap: { id: "smallcap", title: "SMALL CAP (< $2B) GAINERS", url: "/list?group=topGainers&cap=small&limit=200", limit: 120, sort: "none" },
+  midcap: { id: "midcap", title: "MID CAP ($2B – $10B) GAINERS", url: "/list?group=topGainers&cap=mid&limit=200", limit: 120, sort: "none" },
+  bigcap: { id: "bigcap", title: "BIG CAP (> $10B) GAINERS", url: "/list?group=topGainers&cap=big&limit=200", limit: 120, sort: "none" },
+  premarket: { id: "premarket", title: "PREMARKET", url: "/premarket?cap=all&limit=200", limit: 120, sort: "gapDesc", pro: true },
+  aftermarket: { id: "aftermarket", title: "AFTER HOURS", url: "/aftermarket?cap=all&limit=200", limit: 120, sort: "gapDesc", pro: true },
+  "movers-premarket": { id: "pm_movers", title: "PREMARKET MOVERS (Gap% + Float Turnover %)", url: "/movers-premarket?limit=200", limit: 120, sort: "gapFloatRank", stream: true },
+  "movers-afterhours": { id: "ah_movers", title: "AFTER HOURS MOVERS (Gap% + Float Turnover %)", url: "/movers-afterhours?limit=200", limit: 120, sort: "gapFloatRank", stream: true },
+  "snapshot-all": { id: "snapshot_all", title: "SNAPSHOT-ALL", url: "/snapshot-all?cap=all&limit=200", limit: 200, sort: "none", pro: true },
+  unusual: { id: "unusual", title: "UNUSUAL VOLUME", url: "/unusual-volume?cap=all&limit=200", limit: 120, sort: "uv", stream: true },
+  "most-active": { id: "most_active", title: "MOST ACTIVE", url: "/most-active?cap=all&limit=200", limit: 120, sort: "active", stream: true },
+  "most-volatile": { id: "most_volatile", title: "MOST VOLATILE", url: "/most-volatile?cap=all&limit=200", limit: 120, sort: "volatile", stream: true },
+  halts: { id: "halts", title: "HALT (Limit Up / Limit Down)", url: "/halts?only=all", limit: 300, type: "halts", stream: true, pro: true },
+  scan: { id: "important", title: "SCAN (your symbols)", url: null, limit: 1000, sort: "gapDesc" },
+};
+
+// JSON inside an inline <script>: user text (layout titles) must not close the tag
+function jsonForScript(x) {
+  return JSON.stringify(x).replace(/</g, "\\u003c");
+}
+
+// layout: a layouts.js layout ({ name, builtin, boxes }); null = the built-in dashboard
+function renderUI({ preset = null, layout = null } = {}) {
   const risk = riskNoticeContent();
+  const layoutDef = layout || { name: BUILTIN_LAYOUT, builtin: true, boxes: defaultLayoutBoxes() };
 
   const importantDefault = IMPORTANT_SYMBOLS || "NVDA,TSLA,AAPL,AMD,META";
   const autoMs = UI_AUTO_REFRESH_MS;
@@ -2062,7 +3621,7 @@ function renderUI() {
 <head>
 <meta charset="utf-8"/>
 <meta name="viewport" content="width=device-width,initial-scale=1"/>
-<title>${BRAND?.name || "ALGTP™"} Dashboard</title>
+<title>${BRAND?.name || "ALGTP™"} ${preset ? escapeHtml(preset.title) : "Dashboard"}</title>
 <style>
 :root{ color-scheme: dark; }
 body{ margin:0; font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; background:#0b0d12; color:#e6e8ef; }
@@ -2101,6 +3660,13 @@ header{ position:sticky; top:0; background:rgba(11,13,18,.92); backdrop-filter:
   color:#e6e8ef;
 }
 .hintMini{ font-size:12px; color:#a7adc2; white-space:nowrap; }
+.wlSelect{
+  background:#0f1320; border:1px solid rgba(255,255,255,.14);
+  border-radius:999px;
+  padding:7px 10px;
+  color:#e6e8ef; font-size:12px;
+  max-width:220px;
+}
 
 .btnTiny{
   font-size:12px;
@@ -2198,13 +3764,20 @@ header{ position:sticky; top:0; background:rgba(11,13,18,.92); backdrop-filter:
 /* ===== GRID ===== */
 .grid{ display:grid; grid-template-columns: repeat(12, 1fr); gap:8px; padding:12px 0 18px; }
 .box{ grid-column: span 3; border:1px solid rgba(255,255,255,.14); border-radius:10px; overflow:hidden; background:#0b0d12; min-height:180px; }
-.box.cols2{ grid-column: span 4; }
+.box.cols2{ grid-column: span 3; }
 .box.cols3{ grid-column: span 4; }
 .box.cols4{ grid-column: span 6; }
 .box.cols6{ grid-column: span 12; }
 
 .boxHead{ background:#121622; border-bottom:1px solid rgba(255,255,255,.10); padding:6px 10px; display:flex; align-items:center; justify-content:space-between; font-weight:900; font-size:12px; letter-spacing:.3px; }
 .boxMeta{ font-weight:600; font-size:11px; color:#a7adc2; }
+.boxTools{ display:flex; gap:4px; }
+.boxTools .btnTiny{ padding:2px 7px; }
+.boxRight{ display:flex; align-items:center; gap:8px; }
+.boxExport{ padding:2px 7px; font-size:11px; }
+.layoutBar{ display:flex; align-items:center; gap:10px; flex-wrap:wrap; margin-top:10px; }
+.boxForm label{ display:flex; align-items:center; justify-content:space-between; gap:10px; margin:8px 0; font-size:12px; }
+.boxForm input, .boxForm select{ flex:1; max-width:440px; background:#0f1320; border:1px solid rgba(255,255,255,.14); border-radius:10px; padding:7px 10px; color:#e6e8ef; }
 .boxBody{ overflow:auto; max-height:420px; }
 .box table{ width:100%; border-collapse:collapse; }
 .box th,.box td{ padding:6px 8px; border-bottom:1px solid rgba(255,255,255,.06); font-size:12px; white-space:nowrap; }
@@ -2248,6 +3821,9 @@ header{ position:sticky; top:0; background:rgba(11,13,18,.92); backdrop-filter:
     <div class="topBar">
       <div class="left">
         <span class="tag">🔎 SYMBOLS</span>
+        <select id="watchlist" class="wlSelect" title="Saved watchlist (Apply saves the symbols below into it)" style="display:none"></select>
+        <button class="btnTiny" id="btnNewList" style="display:none" title="New watchlist from the symbols below">+ List</button>
+        <button class="btnTiny" id="btnDelList" style="display:none" title="Delete this watchlist">🗑</button>
         <input id="symbols" class="symbolsInput"
                value="${String(importantDefault).replace(/"/g, "&quot;")}"
                placeholder="Paste many symbols... (Enter)" />
@@ -2263,11 +3839,12 @@ header{ position:sticky; top:0; background:rgba(11,13,18,.92); backdrop-filter:
 
         <button class="btnTiny" id="btnApply">Apply</button>
         <button class="btnTiny" id="btnClear">Clear</button>
-        <span class="hintMini">Enter/Apply → update IMPORTANT_STOCKS</span>
+        <span class="hintMini" id="applyHint">Enter/Apply → update IMPORTANT_STOCKS</span>
       </div>
 
       <div class="right">
         <span class="pill" id="statusPill">Dashboard</span>
+        <span class="pill" id="marketPill" title="NYSE session (New York time)">${marketStatusLabel(marketStatus())}</span>
         <span class="pill">Snapshot-All: <b>${snapAllOn}</b></span>
         <span class="pill">Indicators: <b>${indOn}</b></span>
       </div>
@@ -2285,10 +3862,38 @@ header{ position:sticky; top:0; background:rgba(11,13,18,.92); backdrop-filter:
       TradingView click FIXED: no forced NASDAQ prefix. Movers ranked by Gap% + Float Turnover%.
     </div>
 
+    <div class="layoutBar" id="layoutBar" style="display:none">
+      <span class="tag">🧩 LAYOUT</span>
+      <select id="layoutSel" class="wlSelect" title="Saved dashboard layouts (/ui?layout=<name>)"></select>
+      <button class="btnTiny" id="btnEditLayout">✎ Edit layout</button>
+      <span id="layoutTools" style="display:none">
+        <select id="addSection" class="wlSelect" title="Add a box from the sections registry"></select>
+        <button class="btnTiny" id="btnSaveLayout">💾 Save as…</button>
+        <button class="btnTiny" id="btnDelLayout">🗑 Delete layout</button>
+        <span class="hintMini">◀ ▶ move • ⇔ width • ⚙ source / filters / rows / sort • ✕ remove</span>
+      </span>
+    </div>
+
     <div class="err" id="errBox"></div>
   </div>
 </div>
 
+<!-- Layout editor: one box -->
+<div class="riskBack" id="boxEditBack" aria-hidden="true">
+  <div class="riskBox" role="dialog" aria-modal="true">
+    <div class="riskTop"><div class="riskTitle">Edit box</div></div>
+    <div class="riskBody boxForm">
+      <label>Title <input id="beTitle" maxlength="80"/></label>
+      <label>Source <select id="beSource"></select></label>
+      <label>Filters <input id="beParams" placeholder="group=topGainers&cap=small&minPrice=1&maxPrice=20"/></label>
+      <label>Rows <input id="beLimit" type="number" min="1" max="1000"/></label>
+      <label>Sort <select id="beSort"></select></label>
+      <label>Width <select id="beCols"></select></label>
+    </div>
+    <div class="riskFoot"><button class="riskBtn" id="beCancel">Cancel</button><button class="riskBtn" id="beApply">Apply</button></div>
+  </div>
+</div>
+
 <div class="wrap">
   <div class="grid" id="grid"></div>
 </div>
@@ -2327,6 +3932,7 @@ const byId = (id) => document.getElementById(id);
 const grid = byId("grid");
 const errBox = byId("errBox");
 const statusPill = byId("statusPill");
+const marketPill = byId("marketPill");
 const roller = byId("roller");
 
 let riskAccepted = false;
@@ -2379,7 +3985,8 @@ window.handleTickerClick = function(ev, sym){
 };
 
 // hover mini chart
-let miniBox=null, miniChart=null, candle=null, lineEMA9=null, lineEMA34=null, lineSMA26=null, lineVWAP=null;
+let miniBox=null, miniChart=null, candle=null, lineEMA9=null, lineEMA34=null, lineSMA26=null, lineVWAP=null, lineVWAPUp=null, lineVWAPDn=null;
+let lineBBUp=null, lineBBDn=null, lineRSI=null, histMACD=null;
 let miniSym=null, hoverTimer=null;
 const miniCache = new Map();
 
@@ -2399,7 +4006,7 @@ function ensureMiniBox(){
   miniBox.innerHTML=\`
     <div id="miniTitle" style="font-weight:900;font-size:12px;margin-bottom:6px;"></div>
     <div id="miniChart" style="width:100%;height:190px;"></div>
-    <div style="margin-top:6px;font-size:11px;color:#a7adc2">Hover = mini chart • Click = TradingView</div>\`;
+    <div style="margin-top:6px;font-size:11px;color:#a7adc2">Hover = mini chart (BB 20,2σ • RSI / MACD strip) • Click = TradingView</div>\`;
   document.body.appendChild(miniBox);
 
   const el = miniBox.querySelector("#miniChart");
@@ -2415,6 +4022,16 @@ function ensureMiniBox(){
   lineEMA34 = miniChart.addLineSeries();
   lineSMA26 = miniChart.addLineSeries();
   lineVWAP  = miniChart.addLineSeries();
+  lineVWAPUp = miniChart.addLineSeries({ lineStyle: 2, lineWidth: 1 });
+  lineVWAPDn = miniChart.addLineSeries({ lineStyle: 2, lineWidth: 1 });
+  lineBBUp = miniChart.addLineSeries({ lineStyle: 1, lineWidth: 1, color: "rgba(160,170,255,.55)" });
+  lineBBDn = miniChart.addLineSeries({ lineStyle: 1, lineWidth: 1, color: "rgba(160,170,255,.55)" });
+  // oscillators in a strip under the candles (own scales)
+  lineRSI = miniChart.addLineSeries({ priceScaleId: "rsi", lineWidth: 1, color: "#f5c542", lastValueVisible: false, priceLineVisible: false });
+  histMACD = miniChart.addHistogramSeries({ priceScaleId: "macd", lastValueVisible: false, priceLineVisible: false });
+  miniChart.priceScale("rsi").applyOptions({ scaleMargins: { top: 0.8, bottom: 0 } });
+  miniChart.priceScale("macd").applyOptions({ scaleMargins: { top: 0.8, bottom: 0 } });
+  miniChart.priceScale("right").applyOptions({ scaleMargins: { top: 0.05, bottom: 0.25 } });
 }
 
 function posMini(ev){
@@ -2445,14 +4062,27 @@ async function showMini(ev, sym){
 
   const data = await fetchMini(sym);
   if (!data || miniSym!==sym) return;
+  miniBox.querySelector("#miniTitle").textContent = "📈 " + sym + " — mini chart • VWAP ±1σ (" + data.vwapAnchor + ")";
 
   candle.setData(data.ohlc||[]);
   lineEMA9.setData(data.overlays?.ema9||[]);
   lineEMA34.setData(data.overlays?.ema34||[]);
   lineSMA26.setData(data.overlays?.sma26||[]);
   lineVWAP.setData(data.overlays?.vwap||[]);
+  lineVWAPUp.setData(data.overlays?.vwapUpper1||[]);
+  lineVWAPDn.setData(data.overlays?.vwapLower1||[]);
+  lineBBUp.setData(data.overlays?.bbUpper||[]);
+  lineBBDn.setData(data.overlays?.bbLower||[]);
+  lineRSI.setData(data.oscillators?.rsi14||[]);
+  histMACD.setData((data.oscillators?.macdHist||[]).map(p=>({ ...p, color: p.value>=0 ? "rgba(60,200,120,.5)" : "rgba(230,80,80,.5)" })));
+}
+function hideMini(){
+  miniSym=null;
+  if(miniBox) miniBox.style.display="none";
+  const ids = Array.from(pendingRender);
+  pendingRender.clear();
+  for (const id of ids) renderStreamed(id);
 }
-function hideMini(){ miniSym=null; if(miniBox) miniBox.style.display="none"; }
 
 function bindMiniHover(){
   document.querySelectorAll(".symLink").forEach(a=>{
@@ -2466,37 +4096,66 @@ function bindMiniHover(){
 // ===== Dashboard state =====
 let importantSymbols = byId("symbols").value || "";
 let scanMax = Number(byId("maxSymbols").value || 200);
-const REFRESH_MS = ${UI_AUTO_REFRESH_MS};
-
-// Boxes
-const SECTIONS = [
-  { id:"pm_movers", title:"PREMARKET MOVERS (Gap% + Float Turnover %)", url:"/movers-premarket?limit=200", cols:3, limit:40, sort:"gapFloatRank" },
-  { id:"ah_movers", title:"AFTER HOURS MOVERS (Gap% + Float Turnover %)", url:"/movers-afterhours?limit=200", cols:3, limit:40, sort:"gapFloatRank" },
+const WATCHLISTS_ON = ${ENABLE_WATCHLISTS ? "true" : "false"};
+let watchlistId = null; // selected saved list; null = the typed symbols only
+let watchlistsReady = !WATCHLISTS_ON; // IMPORTANT box waits for the picker so it loads once
+const REFRESH_MS = ${preset?.refreshMs ?? UI_AUTO_REFRESH_MS};
+const STREAM_ON = ${ENABLE_STREAM ? "true" : "false"};
+const PRESET = ${jsonForScript(preset)};
+const LAYOUTS_ON = ${ENABLE_LAYOUTS && !preset ? "true" : "false"};
+const LAYOUT = ${jsonForScript({ name: layoutDef.name, builtin: layoutDef.builtin, boxes: layoutSections(layoutDef.boxes) })};
+const LAYOUT_CATALOG = ${jsonForScript(layoutCatalog())};
+let editLayout = false;
+
+// Boxes (a /ui/<preset> or /ui/s/<slug> page shows just that one box, full width; otherwise the layout, see scanner/layout.js)
+const SECTIONS = PRESET ? [{
+  ...PRESET,
+  cols:6,
+  url: PRESET.url || importantUrl(),
+}] : LAYOUT.boxes.map(b => b.id==="important" && !b.params.symbols && !b.params.watchlist ? { ...b, url: importantUrl() } : b);
+
+function importantUrl(){
+  if (watchlistId) return "/scan?watchlist=" + encodeURIComponent(watchlistId) + "&max=" + encodeURIComponent(scanMax);
+  return "/scan?symbols=" + encodeURIComponent(importantSymbols) + "&max=" + encodeURIComponent(scanMax);
+}
 
-  { id:"gappers", title:"GAPPERS", url:"/list?group=topGappers&cap=all&limit=200&minGap=5", cols:3, limit:20, sort:"gapDesc" },
-  { id:"unusual", title:"UNUSUAL VOLUME", url:"/unusual-volume?cap=all&limit=200", cols:3, limit:20, sort:"uv" },
-  { id:"most_active", title:"MOST ACTIVE", url:"/most-active?cap=all&limit=200", cols:3, limit:20, sort:"active" },
-  { id:"most_volatile", title:"MOST VOLATILE", url:"/most-volatile?cap=all&limit=200", cols:3, limit:20, sort:"volatile" },
+function escHtml(s){
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" })[c]);
+}
 
-  // IMPORTANT (big) — hide symbol text but keep hover/click
-  { id:"important", title:"IMPORTANT_STOCKS", url:"/scan?symbols="+encodeURIComponent(importantSymbols)+"&max="+encodeURIComponent(scanMax), cols:6, limit:200, sort:"gapDesc", hideSymbol:true },
+// stream section that feeds a box: presets say stream:true (= their id), layout boxes name it (or false)
+function streamKey(sec){ return sec.stream === true ? sec.id : (sec.stream || null); }
 
-  { id:"halts", title:"HALT (Limit Up / Limit Down)", url:"/halts?only=all", cols:6, limit:120, type:"halts" },
-];
+const BOX_TOOLS = [["left","◀","Move left"],["right","▶","Move right"],["wider","⇔","Width"],["edit","⚙","Source / filters / rows / sort"],["remove","✕","Remove box"]];
 
 function boxHtml(sec){
   const cls = sec.cols ? "cols"+sec.cols : "";
+  const tools = editLayout
+    ? '<span class="boxTools" data-id="'+sec.id+'">'+BOX_TOOLS.map(([a,t,h]) => '<button class="btnTiny" data-act="'+a+'" title="'+h+'">'+t+'</button>').join("")+'</span>'
+    : "";
   return \`
     <div class="box \${cls}" id="box_\${sec.id}">
       <div class="boxHead">
-        <div>\${sec.title}</div>
-        <div class="boxMeta" id="meta_\${sec.id}">...</div>
+        <div>\${escHtml(sec.title)}</div>
+        \${tools}
+        <div class="boxRight">
+          <div class="boxMeta" id="meta_\${sec.id}">...</div>
+          <button class="btnTiny boxExport" data-id="\${sec.id}" title="Download these rows as CSV (Excel / Sheets)">⤓ CSV</button>
+        </div>
       </div>
       <div class="boxBody" id="body_\${sec.id}"></div>
     </div>\`;
 }
 function renderGrid(){ grid.innerHTML = SECTIONS.map(boxHtml).join(""); }
 
+// Export: the box's own source URL as a download (same rows the box polls / streams)
+function exportUrl(url, format){ return url + (url.includes("?") ? "&" : "?") + "format=" + format; }
+grid.addEventListener("click", (e)=>{
+  const btn = e.target.closest(".boxExport");
+  const sec = btn && SECTIONS.find(s=>s.id===btn.dataset.id);
+  if (sec) location.href = exportUrl(sec.url, "csv");
+});
+
 function sortRows(rows, mode){
   const safe = (v)=> (Number.isFinite(Number(v)) ? Number(v) : null);
   if (mode==="gapDesc") return [...rows].sort((a,b)=> (safe(b.gapPct)??-1e18)-(safe(a.gapPct)??-1e18));
@@ -2513,8 +4172,31 @@ function sortRows(rows, mode){
   return rows;
 }
 
+// Saved screens pick their own columns (field names from /screen/fields)
+const INT_COLUMNS = ["volume", "floatShares", "marketCap", "lastVol_5m", "avgVol_5m"];
+
+function cellHtml(r, f){
+  const v = r[f];
+  if (typeof v === "boolean") return '<td>'+(v ? "✓" : "")+'</td>';
+  if (typeof v === "number") return '<td class="right mono">'+(INT_COLUMNS.includes(f) ? fmtInt(v) : fmtNum(v) + (/Pct$/.test(f) ? "%" : ""))+'</td>';
+  if (v == null) return '<td class="right mono">-</td>';
+  return '<td>'+escHtml(v)+'</td>';
+}
+
+function columnsTable(rows, sec){
+  const cols = sec.columns.filter(f=>f!=="symbol");
+  const head = cols.map(f=>'<th class="right">'+escHtml(f)+'</th>').join("");
+  const body = rows.map(r=>{
+    const sym = String(r.symbol||"").replace(/[^A-Za-z0-9.\\-]/g,"");
+    const link = '<a class="symLink" data-sym="'+sym+'" href="javascript:void(0)" onclick="handleTickerClick(event,\\''+sym+'\\')">'+sym+'</a>';
+    return '<tr><td>'+(r.signalIcon||"")+'</td><td class="mono">'+link+'</td>'+cols.map(f=>cellHtml(r, f)).join("")+'</tr>';
+  }).join("");
+  return '<table><thead><tr><th>Sig</th><th>Symbol</th>'+head+'</tr></thead><tbody>'+body+'</tbody></table>';
+}
+
 function rowsTable(rowsRaw, sec){
   const rows = sortRows(rowsRaw, sec.sort).slice(0, sec.limit ?? 40);
+  if (sec.columns) return columnsTable(rows, sec);
   return \`
   <table>
     <thead>
@@ -2528,6 +4210,7 @@ function rowsTable(rowsRaw, sec){
         <th class="right">Gap%</th>
         <th class="right">VWAP</th>
         <th class="right">Vol</th>
+        <th class="right">RVOL</th>
         <th class="right">Float(M)</th>
         <th class="right">Float%</th>
       </tr>
@@ -2550,6 +4233,7 @@ function rowsTable(rowsRaw, sec){
           <td class="right mono">\${fmtNum(r.gapPct)}%</td>
           <td class="right mono">\${fmtNum(r.vwap_5m)}</td>
           <td class="right mono">\${fmtInt(r.volume)}</td>
+          <td class="right mono">\${fmtNum(r.rvol)}</td>
           <td class="right mono">\${fmtNum(r.floatM)}</td>
           <td class="right mono">\${fmtNum(r.floatTurnoverPct)}%</td>
         </tr>\`;
@@ -2602,6 +4286,21 @@ function renderRoller(symbols){
   });
 }
 
+function renderSectionRows(sec, rows, ts){
+  const meta = byId("meta_"+sec.id);
+  const body = byId("body_"+sec.id);
+  if (!meta || !body) return;
+
+  meta.textContent = rows.length + " rows • " + new Date(ts || Date.now()).toLocaleTimeString();
+
+  if (sec.type==="halts"){
+    body.innerHTML = haltsTable([...rows].sort((a,b)=> (b.tsMs??0)-(a.tsMs??0)));
+  } else {
+    body.innerHTML = rowsTable(rows, sec);
+    bindMiniHover();
+  }
+}
+
 async function loadSection(sec){
   const meta = byId("meta_"+sec.id);
   const body = byId("body_"+sec.id);
@@ -2617,16 +4316,7 @@ async function loadSection(sec){
       return;
     }
 
-    meta.textContent = (j.results?.length ?? j.count ?? 0) + " rows • " + new Date().toLocaleTimeString();
-
-    if (sec.type==="halts"){
-      const rows = Array.isArray(j.results) ? j.results : [];
-      body.innerHTML = haltsTable(rows);
-    } else {
-      const rows = Array.isArray(j.results) ? j.results : [];
-      body.innerHTML = rowsTable(rows, sec);
-      bindMiniHover();
-    }
+    renderSectionRows(sec, Array.isArray(j.results) ? j.results : []);
   }catch(e){
     meta.textContent="Error";
     body.innerHTML = "<div style='padding:10px;color:#ffb4b4;font-size:12px;'>"+String(e?.message||e)+"</div>";
@@ -2635,11 +4325,287 @@ async function loadSection(sec){
 
 function loadAll(){
   clearError();
-  for (const sec of SECTIONS) loadSection(sec);
+  for (const sec of SECTIONS) {
+    if (streamKey(sec) && stream) continue; // fed by /stream
+    if (sec.id === "important" && !watchlistsReady) continue; // loadWatchlists() loads it
+    loadSection(sec);
+  }
+}
+
+// ===== LIVE STREAM (SSE) — server recomputes each box once and pushes row diffs =====
+const streamRows = new Map();     // sectionId -> { rows: Map(symbol -> row), ts }
+const pendingRender = new Set();  // sectionIds updated while the mini chart was open
+let stream = null;
+
+function symKey(r){ return String(r?.symbol||"").trim().toUpperCase(); }
+
+function renderStreamed(id){
+  const secs = SECTIONS.filter(s=>streamKey(s)===id);
+  const st = streamRows.get(id);
+  if (!secs.length || !st) return;
+  // Re-rendering the table would kill the hover target → wait until the mini chart closes
+  if (miniBox && miniBox.style.display==="block"){ pendingRender.add(id); return; }
+  for (const sec of secs) renderSectionRows(sec, Array.from(st.rows.values()), st.ts);
+}
+
+function startStream(){
+  if (!STREAM_ON || !window.EventSource) return false;
+  const ids = [...new Set(SECTIONS.map(streamKey).filter(Boolean))];
+  if (!ids.length) return false;
+
+  stream = new EventSource("/stream?sections="+encodeURIComponent(ids.join(",")));
+
+  stream.addEventListener("hello",(ev)=>{
+    const j = JSON.parse(ev.data);
+    // (re)connected: start from a clean state, the server follows with snapshots/diffs
+    for (const id of (j.sections||[])) streamRows.set(id, { rows: new Map(), ts: null });
+    statusPill.textContent = "Live";
+  });
+
+  stream.addEventListener("snapshot",(ev)=>{
+    const j = JSON.parse(ev.data);
+    const rows = new Map();
+    for (const r of (j.results||[])) rows.set(symKey(r), r);
+    streamRows.set(j.section, { rows, ts: j.ts });
+    renderStreamed(j.section);
+  });
+
+  stream.addEventListener("diff",(ev)=>{
+    const j = JSON.parse(ev.data);
+    const st = streamRows.get(j.section) || { rows: new Map(), ts: null };
+    for (const sym of (j.removed||[])) st.rows.delete(sym);
+    for (const r of (j.added||[])) st.rows.set(symKey(r), r);
+    for (const r of (j.changed||[])) st.rows.set(symKey(r), r);
+    st.ts = j.ts;
+    streamRows.set(j.section, st);
+    renderStreamed(j.section);
+  });
+
+  stream.addEventListener("sectionError",(ev)=>{
+    const j = JSON.parse(ev.data);
+    for (const sec of SECTIONS.filter(s=>streamKey(s)===j.section)){
+      const meta = byId("meta_"+sec.id);
+      if (meta) meta.textContent = "Error";
+    }
+  });
+
+  stream.onerror = ()=>{
+    if (stream && stream.readyState === EventSource.CLOSED){
+      // Stream is gone for good → fall back to polling every box
+      stream = null;
+      statusPill.textContent = "Polling";
+      loadAll();
+      return;
+    }
+    statusPill.textContent = "Reconnecting...";
+  };
+
+  return true;
+}
+
+// ===== LAYOUT EDITOR (boxes from the sections registry; Save as… stores the layout server-side) =====
+const COLS_LABEL = { 2:"¼", 3:"⅓", 4:"½", 6:"full" };
+
+function paramsToQuery(p){ return new URLSearchParams(p||{}).toString(); }
+function queryToParams(q){ return Object.fromEntries(new URLSearchParams(String(q||"").trim().replace(/^[?]/,"")).entries()); }
+
+function boxSourceUrl(sec){
+  if (sec.id==="important" && !sec.params.symbols && !sec.params.watchlist) return importantUrl();
+  const qs = paramsToQuery(sec.params);
+  return sec.source + (qs ? "?"+qs : "");
+}
+
+function redrawGrid(){
+  renderGrid();
+  for (const sec of SECTIONS){
+    const k = streamKey(sec);
+    if (k && stream) renderStreamed(k);
+    else loadSection(sec);
+  }
+}
+
+function uniqueBoxId(section){
+  let id = section, k = 1;
+  while (SECTIONS.some(s=>s.id===id)) id = section + "_" + (++k);
+  return id;
+}
+
+// Added / edited boxes are polled; they join the live stream once the layout is saved and reloaded
+function addBox(sectionId){
+  const def = LAYOUT_CATALOG.sections[sectionId];
+  if (!def) return;
+  const sec = { section:sectionId, title:def.title, source:def.source, params:{ ...def.params }, cols:def.cols, limit:def.limit, sort:def.sort, type:def.type, hideSymbol:Boolean(def.hideSymbol), stream:false };
+  sec.id = uniqueBoxId(sectionId);
+  sec.url = boxSourceUrl(sec);
+  SECTIONS.push(sec);
+  redrawGrid();
+}
+
+let editingBox = null;
+function openBoxEditor(sec){
+  editingBox = sec;
+  const opts = (list, cur, label) => list.map(v => '<option value="'+v+'"'+(String(v)===String(cur)?" selected":"")+'>'+(label ? label(v) : v)+'</option>').join("");
+  byId("beTitle").value = sec.title;
+  byId("beSource").innerHTML = opts(LAYOUT_CATALOG.sources, sec.source);
+  byId("beParams").value = paramsToQuery(sec.params);
+  byId("beLimit").value = String(sec.limit);
+  byId("beSort").innerHTML = opts(LAYOUT_CATALOG.sorts, sec.sort);
+  byId("beCols").innerHTML = opts(LAYOUT_CATALOG.cols, sec.cols, v => COLS_LABEL[v] || v);
+  byId("boxEditBack").style.display = "flex";
+}
+
+function applyBoxEditor(){
+  const sec = editingBox;
+  if (!sec) return;
+  sec.title = byId("beTitle").value.trim() || sec.title;
+  sec.source = byId("beSource").value;
+  sec.params = queryToParams(byId("beParams").value);
+  sec.limit = Math.max(1, Math.min(1000, Math.floor(Number(byId("beLimit").value) || sec.limit)));
+  sec.sort = byId("beSort").value;
+  sec.cols = Number(byId("beCols").value);
+  sec.url = boxSourceUrl(sec);
+  sec.stream = false;
+  byId("boxEditBack").style.display = "none";
+  editingBox = null;
+  redrawGrid();
+}
+
+function boxAction(act, id){
+  const i = SECTIONS.findIndex(s=>s.id===id);
+  if (i < 0) return;
+  const sec = SECTIONS[i];
+  if (act==="left" && i > 0) SECTIONS.splice(i-1, 2, SECTIONS[i], SECTIONS[i-1]);
+  else if (act==="right" && i < SECTIONS.length-1) SECTIONS.splice(i, 2, SECTIONS[i+1], SECTIONS[i]);
+  else if (act==="wider"){
+    const cols = LAYOUT_CATALOG.cols;
+    sec.cols = cols[(cols.indexOf(sec.cols) + 1) % cols.length];
+  }
+  else if (act==="edit") return openBoxEditor(sec);
+  else if (act==="remove") SECTIONS.splice(i, 1);
+  else return;
+  redrawGrid();
+}
+
+function layoutBoxesForSave(){
+  return SECTIONS.map(s => ({ section:s.section, title:s.title, source:s.source, params:s.params, cols:s.cols, limit:s.limit, sort:s.sort, hideSymbol:s.hideSymbol }));
+}
+
+async function saveLayoutAs(){
+  const name = prompt("Layout name (a-z 0-9 _ -)", LAYOUT.builtin ? "" : LAYOUT.name);
+  if (!name) return;
+  const j = await wlFetch("/layouts/" + encodeURIComponent(name.trim().toLowerCase()), { method:"PUT", body: JSON.stringify({ boxes: layoutBoxesForSave() }) });
+  if (!j || !j.ok) return showError(j);
+  location.href = "/ui?layout=" + encodeURIComponent(j.layout.name);
+}
+
+async function deleteLayoutNow(){
+  if (LAYOUT.builtin || !confirm("Delete layout " + LAYOUT.name + "?")) return;
+  const j = await wlFetch("/layouts/" + encodeURIComponent(LAYOUT.name), { method:"DELETE" });
+  if (!j || !j.ok) return showError(j);
+  location.href = "/ui";
+}
+
+function setEditLayout(on){
+  editLayout = on;
+  byId("layoutTools").style.display = on ? "" : "none";
+  byId("btnEditLayout").textContent = on ? "✓ Done" : "✎ Edit layout";
+  byId("btnDelLayout").style.display = LAYOUT.builtin ? "none" : "";
+  redrawGrid();
+}
+
+async function initLayoutBar(){
+  if (!LAYOUTS_ON) return;
+  try{
+    const j = await wlFetch("/layouts");
+    if (!j || !j.ok) return; // e.g. not signed in
+    const sel = byId("layoutSel");
+    sel.innerHTML = j.results.map(l => '<option value="'+escHtml(l.name)+'"'+(l.name===LAYOUT.name?" selected":"")+'>'+escHtml(l.name)+(l.builtin?" (built-in)":"")+'</option>').join("");
+    sel.addEventListener("change", ()=>{ location.href = "/ui?layout=" + encodeURIComponent(sel.value); });
+
+    byId("addSection").innerHTML = '<option value="">+ Box…</option>' + Object.entries(LAYOUT_CATALOG.sections)
+      .map(([id, d]) => '<option value="'+id+'">'+escHtml(d.title)+'</option>').join("");
+    byId("addSection").addEventListener("change", (e)=>{ addBox(e.target.value); e.target.value = ""; });
+    byId("btnEditLayout").addEventListener("click", ()=> setEditLayout(!editLayout));
+    byId("btnSaveLayout").addEventListener("click", saveLayoutAs);
+    byId("btnDelLayout").addEventListener("click", deleteLayoutNow);
+    byId("beCancel").addEventListener("click", ()=>{ byId("boxEditBack").style.display = "none"; editingBox = null; });
+    byId("beApply").addEventListener("click", applyBoxEditor);
+    grid.addEventListener("click", (e)=>{
+      const btn = e.target.closest(".boxTools button");
+      if (btn) boxAction(btn.dataset.act, btn.parentElement.dataset.id);
+    });
+    byId("layoutBar").style.display = "";
+  }catch{}
+}
+
+// ===== WATCHLISTS (saved per user on the server; Apply writes the symbols box into the selected list) =====
+async function wlFetch(url, opts){
+  const r = await fetch(url, { ...(opts||{}), headers:{ accept:"application/json", "content-type":"application/json" } });
+  return r.json();
+}
+
+function renderWatchlistPicker(lists){
+  const sel = byId("watchlist");
+  sel.innerHTML = lists.map(w =>
+    '<option value="'+w.id+'">'+String(w.name).replace(/[&<>"]/g, "")+' ('+w.symbolCount+')</option>'
+  ).join("");
+  if (watchlistId) sel.value = String(watchlistId);
+  for (const id of ["watchlist","btnNewList","btnDelList"]) byId(id).style.display = "";
+  byId("applyHint").textContent = "Enter/Apply → save watchlist + update IMPORTANT_STOCKS";
+}
+
+async function selectWatchlist(id){
+  const j = await wlFetch("/watchlists/" + encodeURIComponent(id));
+  if (!j || !j.ok) return showError(j);
+  watchlistId = j.watchlist.id;
+  try { localStorage.setItem("algtp.watchlist", String(watchlistId)); } catch {}
+  importantSymbols = j.watchlist.symbols.join(",");
+  byId("symbols").value = importantSymbols;
+  renderRoller(importantSymbols);
+
+  const sec = SECTIONS.find(s=>s.id==="important");
+  if (!sec) return;
+  sec.url = importantUrl();
+  loadSection(sec);
+}
+
+async function loadWatchlists(selectId){
+  try{
+    const j = await wlFetch("/watchlists");
+    if (!j || !j.ok || !j.results.length) return; // e.g. not signed in: keep the typed symbols
+    let saved = selectId || null;
+    if (!saved) { try { saved = Number(localStorage.getItem("algtp.watchlist")); } catch {} }
+    watchlistId = (j.results.find(w => w.id === saved) || j.results[0]).id;
+    renderWatchlistPicker(j.results);
+    await selectWatchlist(watchlistId);
+  }catch{}
+  finally{
+    if (!watchlistsReady){
+      watchlistsReady = true;
+      const sec = SECTIONS.find(s=>s.id==="important");
+      if (sec && !watchlistId) loadSection(sec);
+    }
+  }
+}
+
+async function createWatchlistFromInput(){
+  const name = prompt("Watchlist name");
+  if (!name) return;
+  const j = await wlFetch("/watchlists", { method:"POST", body: JSON.stringify({ name, symbols: byId("symbols").value }) });
+  if (!j || !j.ok) return showError(j);
+  loadWatchlists(j.watchlist.id);
+}
+
+async function deleteSelectedWatchlist(){
+  if (!watchlistId || !confirm("Delete this watchlist?")) return;
+  const j = await wlFetch("/watchlists/" + encodeURIComponent(watchlistId), { method:"DELETE" });
+  if (!j || !j.ok) return showError(j);
+  watchlistId = null;
+  loadWatchlists();
 }
 
 // ===== APPLY IMPORTANT (THIS IS THE LINE YOU COULD NOT FIND) =====
-function applyImportant(){
+async function applyImportant(){
   const input = byId("symbols");
   const maxInput = byId("maxSymbols");
 
@@ -2651,16 +4617,28 @@ function applyImportant(){
   maxInput.value = String(scanMax);
   renderRoller(importantSymbols);
 
+  // Saved list selected: the symbols box is its editor (order kept, server normalizes)
+  if (watchlistId){
+    const j = await wlFetch("/watchlists/" + encodeURIComponent(watchlistId) + "/symbols", { method:"PUT", body: JSON.stringify({ symbols: importantSymbols }) });
+    if (!j || !j.ok) return showError(j);
+    clearError();
+    importantSymbols = j.watchlist.symbols.join(",");
+    input.value = importantSymbols;
+    renderRoller(importantSymbols);
+    const opt = byId("watchlist").selectedOptions[0];
+    if (opt) opt.textContent = j.watchlist.name + " (" + j.watchlist.symbolCount + ")";
+  }
+
   const sec = SECTIONS.find(s=>s.id==="important");
   if (!sec) return;
 
-  // ✅ IMPORTANT BOX URL UPDATE (always uses ?symbols= )
-  sec.url = "/scan?symbols=" + encodeURIComponent(importantSymbols) + "&max=" + encodeURIComponent(scanMax);
+  // ✅ IMPORTANT BOX URL UPDATE (?watchlist=<id> when a saved list is selected, else ?symbols= )
+  sec.url = importantUrl();
 
   loadSection(sec);
 
   statusPill.textContent = "Updated";
-  setTimeout(()=>statusPill.textContent="Dashboard", 900);
+  setTimeout(()=>statusPill.textContent = stream ? "Live" : "Dashboard", 900);
 }
 
 (function bindControls(){
@@ -2675,6 +4653,10 @@ function applyImportant(){
 
   btnApply.addEventListener("click", applyImportant);
 
+  byId("watchlist").addEventListener("change", (e)=> selectWatchlist(e.target.value));
+  byId("btnNewList").addEventListener("click", createWatchlistFromInput);
+  byId("btnDelList").addEventListener("click", deleteSelectedWatchlist);
+
   btnClear.addEventListener("click", ()=>{
     input.value = "";
     input.focus();
@@ -2712,8 +4694,11 @@ function applyImportant(){
 
 // init
 renderGrid();
+startStream();
 loadAll();
 renderRoller(importantSymbols);
+if (WATCHLISTS_ON) loadWatchlists();
+initLayoutBar();
 
 // auto refresh
 setInterval(()=>{
@@ -2722,27 +4707,127 @@ setInterval(()=>{
   if (miniBox && miniBox.style.display==="block") return;
   loadAll();
 }, REFRESH_MS);
+
+// market clock pill (session / holiday / half day)
+setInterval(async ()=>{
+  try{
+    const r = await fetch("/market-status");
+    const j = await r.json();
+    if (j && j.ok && j.label) marketPill.textContent = j.label;
+  }catch{}
+}, 60000);
 </script>
 </body>
 </html>`;
 }
 
-app.get("/ui", (req, res) => res.type("html").send(renderUI()));
+if (ENABLE_UI) {
+  // ?layout=<name>: a saved layout (unknown name → 404); no ?layout: the user's own "default" if saved
+  app.get("/ui", (req, res) => {
+    const name = String(req.query.layout || "").trim();
+    if (!ENABLE_LAYOUTS) return res.type("html").send(renderUI());
+    if (!name) {
+      const owner = ownerOf(req);
+      return res.type("html").send(renderUI({ layout: owner === null ? null : getLayout(owner, BUILTIN_LAYOUT).body.layout }));
+    }
+    ownerAccess(req, res, () => {
+      const out = getLayout(ownerOf(req), name);
+      if (!out.ok) return res.status(out.status).json(out.body);
+      res.type("html").send(renderUI({ layout: out.body.layout }));
+    });
+  });
+
+  app.get("/ui/:preset", (req, res) => {
+    const preset = UI_PRESETS[String(req.params.preset || "").toLowerCase()];
+    if (!preset) return res.status(404).json({ ok: false, error: "Unknown UI page", detail: Object.keys(UI_PRESETS) });
+    const send = () => res.type("html").send(renderUI({ preset }));
+    return preset.pro ? premiumOnly(req, res, send) : send();
+  });
+
+  // Saved screen -> one full-width box fed by /screens/<slug> (its columns, rows, refresh rate)
+  if (ENABLE_SCREEN) {
+    app.get("/ui/s/:slug", ownerAccess, (req, res) => {
+      const found = getScreen(ownerOf(req), req.params.slug);
+      if (!found.ok) return res.status(found.status).json(found.body);
+      const s = found.body.screen;
+      const preset = {
+        id: "screen",
+        title: s.readOnly ? `${s.name} (shared, read-only)` : s.name,
+        url: `/screens/${s.slug}`,
+        limit: s.limit,
+        sort: "none",
+        columns: s.columns,
+        refreshMs: s.refreshSec == null ? null : s.refreshSec * 1000,
+      };
+      const send = () => res.type("html").send(renderUI({ preset }));
+      return isProUniverse(s.universe) ? premiumOnly(req, res, send) : send();
+    });
+  }
+}
+
+app.get("/help", (req, res) => {
+  const pages = Object.entries(UI_PRESETS)
+    .map(([k, p]) => `<li><a href="/ui/${k}">/ui/${k}</a> — ${p.title}</li>`)
+    .join("");
+  res.type("html").send(`<!doctype html><html><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>${BRAND.name} Help | ${BRAND.legal}</title>
+<style>
+  :root{ color-scheme: dark; }
+  body{ margin:0; font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; background:#0b0d12; color:#e6e8ef; }
+  .wrap{ max-width:980px; margin:0 auto; padding:18px; }
+  h1{ margin:0 0 8px 0; font-size:18px; }
+  h2{ margin:18px 0 8px 0; font-size:14px; color:#cfd5ea; }
+  p,li{ color:#c1c7de; line-height:1.5; font-size:13px; }
+  code{ font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace; background:#121622; padding:2px 6px; border-radius:8px; }
+  a{ color:#c8cde0; }
+</style></head><body><div class="wrap">
+  <h1>${BRAND.mark} ${BRAND.legal}</h1>
+  <p>Profile: <code>${SCANNER_PROFILE}</code> • Data <code>${provider.name}</code> • UI ${ENABLE_UI ? "ON" : "OFF"} • Snapshot-All ${ENABLE_SNAPSHOT_ALL ? "ON" : "OFF"} • 5m indicators ${ENABLE_5M_INDICATORS ? "ON" : "OFF"}</p>
+  <h2>Pages</h2>
+  <ul><li><a href="/ui">/ui</a> — Dashboard${ENABLE_LAYOUTS ? ` (✎ Edit layout → Save as… → <code>/ui?layout=&lt;name&gt;</code>)` : ""}</li>${ENABLE_UI ? pages : ""}${ENABLE_UI && ENABLE_SCREEN ? `<li><code>/ui/s/&lt;slug&gt;</code> — a saved screen (<code>POST /screens</code>, share the link with <code>shared: true</code>)</li>` : ""}</ul>
+  <h2>Quick tests</h2>
+  <ul>
+    <li><code>/list?group=topGainers&cap=all&limit=50&minPrice=1&maxPrice=20</code></li>
+    <li><code>/top-movers?direction=all&limit=80</code></li>
+    <li><code>/scan?symbols=NVDA,TSLA</code> • <code>/scan?symbols=NVDA&tf=15m,1h&ind=ema9,rsi14,macd</code></li>
+    ${ENABLE_SCREEN ? `<li><code>/screen?q=gapPct &gt; 10 and floatM &lt; 20 and aboveVWAP_5m and price between 1 and 20 sort floatTurnoverPct desc</code> • <code>&amp;universe=movers|snapshot|am|watchlist|symbols</code> • <code>/screen/fields</code></li>
+    <li><code>POST /screens { name, universe, q, columns: ["price","gapPct","rsi14_15m"], limit, refreshSec, shared }</code> • <code>/screens/:slug</code> • <code>/ui/s/:slug</code></li>` : ""}
+    ${ENABLE_LAYOUTS ? `<li><code>/layouts</code> • <code>/layouts/catalog</code> • <code>PUT /layouts/:name { boxes: [{ section, source, params, cols, limit, sort }] }</code></li>` : ""}
+    ${ENABLE_WATCHLISTS ? `<li><code>/watchlists</code> • <code>/scan?watchlist=1</code> (saved lists: POST /watchlists, PUT /watchlists/:id/symbols)</li>` : ""}
+    <li><code>/premarket?cap=all&limit=80</code> • <code>/aftermarket?cap=all&limit=80</code></li>
+    <li><code>/halts</code> • <code>/halts/history?symbol=HOLO&from=2026-01-27</code> • <code>/halts/stats</code> • <code>/luld?within=2</code> • <code>/market-status</code> • <code>/api</code></li>
+    <li><code>/list?group=topGappers&format=csv</code> • <code>/halts?format=tsv</code> • <code>/scan?symbols=NVDA,TSLA&format=ndjson&columns=symbol,price,gapPct</code> (downloads; the ⤓ CSV button on each dashboard box)</li>
+  </ul>
+</div></body></html>`);
+});
 
 
 
 // ============================================================================
 // SECTION 14 — Start WebSockets + Listen
 // ============================================================================
-startHaltWebSocket();
-startAMWebSocket();
+if (REPLAY_FILE) {
+  // Replay mode: recorded AM/LULD day instead of the live sockets
+  startReplay();
+} else {
+  restoreHaltedMap();
+  startHaltWebSocket();
+  startAMWebSocket();
+}
+
+if (ENABLE_HALT_HISTORY && HALT_HISTORY_DAYS) {
+  pruneHaltHistory();
+  setInterval(() => pruneHaltHistory(), 60 * 60 * 1000).unref();
+}
 
 app.listen(PORT, () => {
   const base = `http://localhost:${PORT}`;
-  console.log(`\n✅ ${BRAND.legal} running`);
-  console.log(`🚀 UI: ${base}/ui`);
+  console.log(`\n✅ ${BRAND.legal} running (profile: ${SCANNER_PROFILE}, data: ${provider.name})`);
+  if (ENABLE_UI) console.log(`🚀 UI: ${base}/ui  (single boxes: ${base}/ui/gainers, /ui/premarket, … see ${base}/help)`);
   console.log(`📈 Mini chart: ${base}/mini-chart?symbol=AAPL&tf=1`);
   console.log(`⛔ Halts: ${base}/halts`);
+  if (REPLAY_FILE) console.log(`⏪ Replay: ${base}/replay  (${REPLAY_FILE} @ ${REPLAY_SPEED}x)`);
+  if (RECORD_FEED) console.log(`⏺️ Recording AM/LULD feed to ${FEED_DIR}/`);
   console.log(`📌 Movers Premarket: ${base}/movers-premarket?limit=50`);
   console.log(`📌 Movers After-hours: ${base}/movers-afterhours?limit=50`);
   console.log(`ℹ️ API: ${base}/api`);
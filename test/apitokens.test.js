@@ -0,0 +1,206 @@
+// API tokens: issue / verify / revoke (apitokens.js) and Bearer / ?token= access on the routes.
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+import { signIn } from "./helpers/auth.js";
+
+// apitokens.js + db.js read their env at import time
+process.env.DB_PATH = ":memory:";
+process.env.APP_ACCESS_SECRET = "unit-secret";
+const { upsertGoogleUser, getUserByEmail, setUserPremium } = await import("../db.js");
+const { validateTokenRequest, issueApiToken, listApiTokens, revokeApiToken, verifyApiToken, tokenHasScope } = await import("../apitokens.js");
+
+function user(email, premium = 0) {
+  upsertGoogleUser.run({ email, name: null, avatar_url: null, google_id: `g-${email}`, premium, now: Date.now() });
+  return getUserByEmail.get(email);
+}
+
+describe("apitokens.js", () => {
+  test("validateTokenRequest: name, known scopes, premium-only scopes, days range", () => {
+    const free = user("free-unit@example.com");
+    const pro = user("pro-unit@example.com", 1);
+
+    assert.deepEqual(validateTokenRequest(pro, { name: " bot ", scopes: ["SCAN", "pro", "scan"] }), { ok: true, name: "bot", scopes: ["scan", "pro"], days: 90 });
+
+    const bad = validateTokenRequest(free, { name: "", scopes: ["pro", "nope"], days: 9999 });
+    assert.equal(bad.ok, false);
+    assert.deepEqual(bad.errors, ["name is required", 'scope "pro" needs a premium account', 'unknown scope "nope"', "days must be in (0, 365]"]);
+    assert.equal(validateTokenRequest(free, { name: "x", scopes: [] }).ok, false);
+  });
+
+  test("issue -> verify -> revoke; tampered and expired tokens fail", () => {
+    const u = user("bot-unit@example.com");
+    const out = issueApiToken(u, { name: "bot", scopes: ["scan"], days: 7 });
+    assert.equal(out.status, 201);
+    assert.equal(out.body.meta.status, "active");
+    assert.deepEqual(out.body.meta.scopes, ["scan"]);
+
+    const v = verifyApiToken(out.body.token);
+    assert.equal(v.ok, true);
+    assert.equal(v.user.id, u.id);
+    assert.deepEqual(v.token, { jti: out.body.meta.id, scopes: ["scan"] });
+
+    const [body, sig] = out.body.token.split(".");
+    assert.equal(verifyApiToken(`${body}.${sig.slice(0, -2)}xx`).reason, "bad_signature");
+    assert.equal(verifyApiToken("garbage").reason, "bad_format");
+
+    const old = issueApiToken(u, { name: "old", scopes: ["scan"], days: 1 }, Date.now() - 3 * 86_400_000);
+    assert.equal(verifyApiToken(old.body.token).reason, "expired");
+    assert.equal(listApiTokens(u).find((t) => t.name === "old").status, "expired");
+
+    assert.equal(revokeApiToken(user("someone-else@example.com"), out.body.meta.id).status, 404);
+    assert.equal(revokeApiToken(u, out.body.meta.id).body.revoked.status, "revoked");
+    assert.equal(verifyApiToken(out.body.token).reason, "revoked");
+  });
+
+  test("tokenHasScope: premium scopes follow the owner's current plan", () => {
+    const u = user("lapse-unit@example.com", 1);
+    const t = { scopes: ["scan", "pro"] };
+    assert.equal(tokenHasScope(t, u, "pro"), true);
+    assert.equal(tokenHasScope(t, u, "halts"), false);
+
+    setUserPremium.run({ id: u.id, premium: 0, now: Date.now() });
+    const lapsed = getUserByEmail.get(u.email);
+    assert.equal(tokenHasScope(t, lapsed, "pro"), false);
+    assert.equal(tokenHasScope(t, lapsed, "scan"), true);
+  });
+});
+
+describe("routes with ENABLE_API_TOKENS=true, SCAN_ROUTES_PUBLIC=false", () => {
+  let srv;
+  const jsonReq = (cookie) => ({ headers: { accept: "application/json", ...(cookie ? { cookie } : {}) } });
+  const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+  // /stream: status + the "hello" event (the sections this caller gets), then hang up
+  const streamHello = async (opts = {}) => {
+    const ac = new AbortController();
+    const r = await fetch(`${srv.base}/stream`, { ...opts, signal: ac.signal });
+    if (r.status !== 200) {
+      ac.abort();
+      return { status: r.status };
+    }
+    const reader = r.body.getReader();
+    const decoder = new TextDecoder();
+    let text = "";
+    while (!/event: hello\ndata: .*\n/.test(text)) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value, { stream: true });
+    }
+    ac.abort();
+    return { status: r.status, hello: JSON.parse(text.match(/event: hello\ndata: (.*)\n/)[1]) };
+  };
+
+  before(async () => {
+    srv = await startServer({
+      DATA_PROVIDER: "mock",
+      MASSIVE_API_KEY: "",
+      SCANNER_PROFILE: "platform",
+      ENABLE_5M_INDICATORS: "false",
+      ENABLE_RVOL: "false",
+      ENABLE_STREAM: "true",
+      ENABLE_AUTH: "true",
+      AUTH_PROVIDER: "stub",
+      SESSION_SECRET: "test-secret",
+      PREMIUM_EMAILS: "pro@example.com",
+      ENABLE_API_TOKENS: "true",
+      APP_ACCESS_SECRET: "route-secret",
+      SCAN_ROUTES_PUBLIC: "false",
+    });
+  });
+  after(async () => {
+    await srv?.stop();
+  });
+
+  test("scan routes need a login or a scan token; bad tokens are 401, never anonymous", async () => {
+    const anon = await srv.get("/list?group=topGainers&limit=5", jsonReq());
+    assert.equal(anon.status, 401);
+
+    const bad = await srv.get("/list?group=topGainers&limit=5", bearer("abc.def"));
+    assert.equal(bad.status, 401);
+    assert.deepEqual(bad.body, { ok: false, error: "Invalid token", detail: "bad_signature" });
+
+    const { cookie } = await signIn(srv, "free@example.com");
+    assert.equal((await srv.get("/list?group=topGainers&limit=5", jsonReq(cookie))).status, 200);
+    assert.equal((await srv.get("/backtest?source=bars.csv", jsonReq())).status, 401);
+    assert.equal((await srv.get("/backtest", jsonReq(cookie))).status, 400); // past scanAccess: source is required
+    assert.equal((await srv.get("/api")).body.config.apiTokensEnabled, true);
+  });
+
+  test("/stream and /mini-chart are scan routes; PRO stream sections follow the token's scopes", async () => {
+    assert.equal((await streamHello({ headers: { accept: "application/json" } })).status, 401);
+    assert.equal((await srv.get("/mini-chart?symbol=NVDA", jsonReq())).status, 401);
+
+    const free = await signIn(srv, "free@example.com");
+    const viaSession = await streamHello({ headers: { cookie: free.cookie } });
+    assert.equal(viaSession.status, 200);
+    assert.equal(viaSession.hello.sections.includes("gappers"), true);
+    assert.equal(viaSession.hello.sections.includes("halts"), false);
+    assert.equal((await srv.get("/mini-chart?symbol=NVDA", jsonReq(free.cookie))).status, 200);
+
+    const pro = await signIn(srv, "pro@example.com");
+    const scanOnly = (await srv.post("/tokens/keys", { name: "s", scopes: ["scan"] }, { headers: { cookie: pro.cookie } })).body.token;
+    const withHalts = (await srv.post("/tokens/keys", { name: "h", scopes: ["scan", "halts"] }, { headers: { cookie: pro.cookie } })).body.token;
+    assert.equal((await streamHello(bearer(scanOnly))).hello.sections.includes("halts"), false);
+    assert.equal((await streamHello(bearer(withHalts))).hello.sections.includes("halts"), true);
+    assert.equal((await srv.get("/mini-chart?symbol=NVDA", bearer(scanOnly))).status, 200);
+  });
+
+  test("free account: scan token works as Bearer and ?token=, pro routes stay closed", async () => {
+    const { cookie } = await signIn(srv, "free@example.com");
+    const page = await srv.get("/tokens", { headers: { cookie, accept: "text/html" } });
+    assert.equal(page.status, 200);
+    assert.match(page.body, /API tokens — free@example\.com/);
+
+    const denied = await srv.post("/tokens/keys", { name: "bot", scopes: ["pro"] }, { headers: { cookie } });
+    assert.equal(denied.status, 400);
+    assert.deepEqual(denied.body.detail, ['scope "pro" needs a premium account']);
+
+    const made = await srv.post("/tokens/keys", { name: "bot", scopes: ["scan"], days: 30 }, { headers: { cookie } });
+    assert.equal(made.status, 201);
+    const { token } = made.body;
+
+    const list = await srv.get("/list?group=topGainers&limit=5", bearer(token));
+    assert.equal(list.status, 200);
+    assert.equal(list.body.ok, true);
+    assert.equal((await srv.get(`/scan?symbols=NVDA&token=${encodeURIComponent(token)}`)).status, 200);
+
+    const pro = await srv.get("/premarket", bearer(token));
+    assert.equal(pro.status, 403);
+    assert.deepEqual(pro.body, { ok: false, error: "Token scope required", detail: "pro" });
+
+    // a token cannot manage tokens
+    assert.equal((await srv.get("/tokens/keys", bearer(token))).status, 403);
+    assert.equal((await srv.post("/tokens/keys", { name: "x", scopes: ["scan"] }, bearer(token))).status, 403);
+  });
+
+  test("premium account: pro scope opens the PRO JSON routes; revoked tokens are denied", async () => {
+    const { cookie } = await signIn(srv, "pro@example.com");
+    const made = await srv.post("/tokens/keys", { name: "desk", scopes: ["scan", "pro"] }, { headers: { cookie } });
+    assert.equal(made.status, 201);
+    const { token, meta } = made.body;
+
+    assert.equal((await srv.get("/premarket", bearer(token))).status, 200);
+    assert.equal((await srv.get("/snapshot-all", bearer(token))).status, 200);
+    const halts = await srv.get("/halts", bearer(token));
+    assert.equal(halts.status, 403);
+    assert.equal(halts.body.detail, "halts");
+
+    const listed = await srv.get("/tokens/keys", { headers: { cookie } });
+    const mine = listed.body.results.find((t) => t.id === meta.id);
+    assert.equal(mine.status, "active");
+    assert.ok(mine.lastUsedAt > 0);
+    assert.equal("token" in mine, false);
+
+    const other = await signIn(srv, "free@example.com");
+    assert.equal((await srv.del(`/tokens/keys/${meta.id}`, { headers: { cookie: other.cookie } })).status, 404);
+
+    const revoked = await srv.del(`/tokens/keys/${meta.id}`, { headers: { cookie } });
+    assert.equal(revoked.status, 200);
+    assert.equal(revoked.body.revoked.status, "revoked");
+
+    const gone = await srv.get("/premarket", bearer(token));
+    assert.equal(gone.status, 401);
+    assert.equal(gone.body.detail, "revoked");
+  });
+});
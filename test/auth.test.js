@@ -0,0 +1,257 @@
+// Accounts: stub OAuth sign-in, SQLite sessions across restarts, premium gate on the PRO routes.
+// Offline: DATA_PROVIDER=mock + AUTH_PROVIDER=stub (no Google round trip).
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { startServer } from "./helpers/server.js";
+import { signIn } from "./helpers/auth.js";
+import { writeSignalFixtures } from "./helpers/signals.js";
+import { startWebhookStub } from "../webhook-stub.js";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "algtp-auth-"));
+const ENV = {
+  DATA_PROVIDER: "mock",
+  MASSIVE_API_KEY: "",
+  SCANNER_PROFILE: "platform",
+  ENABLE_5M_INDICATORS: "false",
+  ENABLE_RVOL: "false",
+  ENABLE_STREAM: "false",
+  ENABLE_AUTH: "true",
+  AUTH_PROVIDER: "stub",
+  SESSION_SECRET: "test-secret",
+  PREMIUM_EMAILS: "pro@example.com",
+  WEBHOOK_ALLOW_HOSTS: "127.0.0.1",
+  DB_PATH: path.join(TMP, "auth.db"),
+};
+
+const manual = (cookie) => ({ redirect: "manual", headers: cookie ? { cookie } : {} });
+const json = (cookie) => ({ headers: { accept: "application/json", ...(cookie ? { cookie } : {}) } });
+const html = (cookie) => ({ redirect: "manual", headers: { accept: "text/html", ...(cookie ? { cookie } : {}) } });
+
+describe("auth (ENABLE_AUTH=true, stub OAuth, SQLite sessions)", () => {
+  let srv;
+  before(async () => {
+    srv = await startServer(ENV);
+  });
+  after(async () => {
+    await srv?.stop();
+    fs.rmSync(TMP, { recursive: true, force: true });
+  });
+
+  test("/login page + /api reports auth", async () => {
+    const r = await srv.get("/login?next=/ui/premarket");
+    assert.equal(r.status, 200);
+    assert.match(r.body, /Continue with Google/);
+    assert.match(r.body, /\/auth\/google\?next=%2Fui%2Fpremarket/);
+
+    const api = await srv.get("/api");
+    assert.equal(api.body.config.authEnabled, true);
+    assert.equal(api.body.config.authProvider, "stub");
+  });
+
+  test("signed out: PRO JSON routes 401, PRO pages redirect to /login, free routes stay open", async () => {
+    for (const p of ["/snapshot-all", "/premarket", "/aftermarket", "/halts"]) {
+      const r = await srv.get(p, json());
+      assert.equal(r.status, 401, p);
+      assert.deepEqual(r.body, { ok: false, error: "Login required", detail: "/login" });
+    }
+
+    const page = await srv.get("/ui/premarket", html());
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get("location"), "/login?next=%2Fui%2Fpremarket");
+
+    assert.equal((await srv.get("/ui/gainers", html())).status, 200);
+    assert.equal((await srv.get("/list?group=topGainers&limit=5", json())).status, 200);
+    assert.equal((await srv.get("/scan?symbols=NVDA", json())).status, 200);
+    assert.equal((await srv.get("/me", json())).status, 401);
+  });
+
+  test("free account: signed in, PRO routes 403", async () => {
+    const { cookie, location } = await signIn(srv, "free@example.com");
+    assert.equal(location, "/ui");
+
+    const me = await srv.get("/me", json(cookie));
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.email, "free@example.com");
+    assert.equal(me.body.user.premium, false);
+
+    const r = await srv.get("/premarket", json(cookie));
+    assert.equal(r.status, 403);
+    assert.deepEqual(r.body, { ok: false, error: "Premium required", detail: "/subscribe" });
+
+    const page = await srv.get("/ui/halts", html(cookie));
+    assert.equal(page.status, 403);
+    assert.match(page.body, /Premium required/);
+  });
+
+  test("premium account: PRO routes open, ?next survives the login, logout ends the session", async () => {
+    const { cookie, location } = await signIn(srv, "pro@example.com", "/ui/premarket");
+    assert.equal(location, "/ui/premarket");
+
+    for (const p of ["/snapshot-all", "/premarket", "/aftermarket", "/halts"]) {
+      const r = await srv.get(p, json(cookie));
+      assert.equal(r.status, 200, p);
+      assert.equal(r.body.ok, true, p);
+    }
+    assert.equal((await srv.get("/ui/premarket", html(cookie))).status, 200);
+    assert.equal((await srv.get("/me", json(cookie))).body.user.premium, true);
+
+    const out = await srv.get("/logout", manual(cookie));
+    assert.equal(out.status, 302);
+    assert.equal(out.headers.get("location"), "/login");
+    assert.equal((await srv.get("/me", json(cookie))).status, 401);
+    assert.equal((await srv.get("/premarket", json(cookie))).status, 401);
+  });
+
+  test("watchlists: login required, each account only sees its own lists", async () => {
+    assert.equal((await srv.get("/watchlists", json())).status, 401);
+    assert.equal((await srv.get("/scan?watchlist=1", json())).status, 401);
+
+    const a = (await signIn(srv, "free@example.com")).cookie;
+    const b = (await signIn(srv, "pro@example.com")).cookie;
+    const created = await srv.post("/watchlists", { name: "Mine", symbols: "NVDA" }, json(a));
+    assert.equal(created.status, 201);
+    const id = created.body.watchlist.id;
+
+    assert.deepEqual((await srv.get("/watchlists", json(a))).body.results.map((w) => w.name), ["Mine"]);
+    assert.deepEqual((await srv.get("/watchlists", json(b))).body.results.map((w) => w.name), ["Default"]);
+    assert.equal((await srv.get(`/watchlists/${id}`, json(b))).status, 404);
+    assert.equal((await srv.get(`/scan?watchlist=${id}`, json(b))).status, 404);
+    assert.equal((await srv.get(`/scan?watchlist=${id}`, json(a))).body.mode, "watchlist");
+  });
+
+  test("screens: shared links open read-only for other accounts, private ones 404", async () => {
+    assert.equal((await srv.get("/screens", json())).status, 401);
+
+    const a = (await signIn(srv, "free@example.com")).cookie;
+    const b = (await signIn(srv, "pro@example.com")).cookie;
+    const mine = await srv.post("/screens", { name: "Team gappers", universe: "symbols", symbols: "NVDA,TSLA", q: "price > 1", shared: true }, json(a));
+    assert.equal(mine.status, 201);
+    const secret = await srv.post("/screens", { name: "Private", q: "price > 1" }, json(a));
+
+    const seen = await srv.get("/screens/team-gappers", json(b));
+    assert.equal(seen.status, 200);
+    assert.equal(seen.body.screen.readOnly, true);
+    assert.equal((await srv.get("/ui/s/team-gappers", html(b))).status, 200);
+    assert.equal((await srv.patch("/screens/team-gappers", { q: "price > 2" }, json(b))).status, 403);
+    assert.equal((await srv.del("/screens/team-gappers", json(b))).status, 403);
+    assert.equal((await srv.get(`/screens/${secret.body.screen.slug}`, json(b))).status, 404);
+    assert.deepEqual((await srv.get("/screens", json(b))).body.results, []);
+    assert.equal((await srv.get("/screens/team-gappers", json(a))).body.screen.readOnly, false);
+  });
+
+  test("alert rules + webhooks: login required, each account only sees and changes its own", async () => {
+    const rule = { name: "Gap", conditions: [{ field: "gapPct", op: ">", value: 10 }] };
+    const hook = { name: "Mine", url: "http://127.0.0.1:9/hook" };
+    for (const [method, p, body] of [
+      ["get", "/alerts/rules"],
+      ["post", "/alerts/rules", rule],
+      ["get", "/alerts/events"],
+      ["get", "/webhooks"],
+      ["post", "/webhooks", hook],
+      ["post", "/webhooks/1/test", {}],
+      ["get", "/webhooks/deliveries"],
+    ]) {
+      const r = body ? await srv[method](p, body, json()) : await srv[method](p, json());
+      assert.equal(r.status, 401, `${method} ${p}`);
+    }
+
+    const a = (await signIn(srv, "free@example.com")).cookie;
+    const b = (await signIn(srv, "pro@example.com")).cookie;
+    const r = await srv.post("/alerts/rules", rule, json(a));
+    assert.equal(r.status, 201);
+    const h = await srv.post("/webhooks", hook, json(a));
+    assert.equal(h.status, 201);
+
+    assert.deepEqual((await srv.get("/alerts/rules", json(b))).body.results, []);
+    assert.deepEqual((await srv.get("/webhooks", json(b))).body.results, []);
+    assert.equal((await srv.patch(`/alerts/rules/${r.body.rule.id}`, { enabled: false }, json(b))).status, 404);
+    assert.equal((await srv.del(`/alerts/rules/${r.body.rule.id}`, json(b))).status, 404);
+    assert.equal((await srv.get(`/webhooks/${h.body.webhook.id}`, json(b))).status, 404);
+    assert.equal((await srv.post(`/webhooks/${h.body.webhook.id}/test`, {}, json(b))).status, 404);
+    assert.equal((await srv.del(`/webhooks/${h.body.webhook.id}`, json(b))).status, 404);
+
+    assert.deepEqual((await srv.get("/alerts/rules", json(a))).body.results.map((x) => x.name), ["Gap"]);
+    assert.deepEqual((await srv.get("/webhooks", json(a))).body.results.map((x) => x.url), [hook.url]);
+    assert.equal((await srv.del(`/webhooks/${h.body.webhook.id}`, json(a))).status, 200);
+  });
+
+  test("open redirects are refused", async () => {
+    const { location } = await signIn(srv, "free@example.com", "//evil.example.com/x");
+    assert.equal(location, "/ui");
+  });
+
+  test("sessions persist across a restart (same DB_PATH)", async () => {
+    const { cookie } = await signIn(srv, "pro@example.com");
+    await srv.stop();
+    srv = await startServer(ENV);
+
+    const me = await srv.get("/me", json(cookie));
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.email, "pro@example.com");
+    assert.equal((await srv.get("/premarket", json(cookie))).status, 200);
+  });
+});
+
+describe("webhooks + alert rules follow the owner's premium access", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "algtp-auth-pro-"));
+  let srv;
+  let stub;
+  before(async () => {
+    writeSignalFixtures(dir);
+    stub = await startWebhookStub({ port: 0 });
+    srv = await startServer({ ...ENV, MOCK_DATA_DIR: dir, DB_PATH: path.join(dir, "auth.db") });
+  });
+  after(async () => {
+    await srv?.stop();
+    await stub?.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("market events (🚀 here, halts alike) only reach hooks of premium accounts", async () => {
+    const free = (await signIn(srv, "free@example.com")).cookie;
+    const pro = (await signIn(srv, "pro@example.com")).cookie;
+    for (const [cookie, p] of [[free, "/free"], [pro, "/pro"]]) {
+      const r = await srv.post("/webhooks", { name: p, url: `${stub.base}${p}`, events: ["*"] }, json(cookie));
+      assert.equal(r.status, 201);
+    }
+
+    assert.equal((await srv.get("/scan?symbols=ROKT")).status, 200);
+    const ev = await stub.waitFor((r) => r.path === "/pro" && r.body?.type === "rocket");
+    assert.equal(ev.body.symbol, "ROKT");
+
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.deepEqual(stub.received.filter((r) => r.path === "/free"), []);
+    assert.deepEqual((await srv.get("/webhooks/deliveries", json(free))).body.results, []);
+  });
+
+  test("alert rules of free accounts never see rows of the PRO-only builds", async () => {
+    const free = (await signIn(srv, "free@example.com")).cookie;
+    const pro = (await signIn(srv, "pro@example.com")).cookie;
+    const rule = { name: "Runner", cooldownSec: 0, conditions: [{ field: "gapPct", op: ">=", value: 50 }] };
+    const ids = {};
+    for (const [who, cookie] of [["free", free], ["pro", pro]]) {
+      const r = await srv.post("/alerts/rules", rule, json(cookie));
+      assert.equal(r.status, 201);
+      ids[who] = r.body.rule.id;
+    }
+    const events = async (who, cookie) => (await srv.get(`/alerts/events?ruleId=${ids[who]}`, json(cookie))).body.results.map((e) => e.symbol);
+
+    for (const p of ["/snapshot-all?limit=50", "/premarket?limit=50"]) assert.equal((await srv.get(p, json(pro))).status, 200, p);
+    assert.deepEqual(await events("free", free), []);
+    assert.ok((await events("pro", pro)).includes("ROKT"));
+
+    // the same symbol on a free scan route is fair game
+    assert.equal((await srv.get("/scan?symbols=ROKT", json(free))).status, 200);
+    assert.deepEqual(await events("free", free), ["ROKT"]);
+  });
+});
+
+test("ENABLE_AUTH=true without SESSION_SECRET refuses to boot", async () => {
+  await assert.rejects(
+    startServer({ DATA_PROVIDER: "mock", MASSIVE_API_KEY: "", ENABLE_AUTH: "true", AUTH_PROVIDER: "stub", SESSION_SECRET: "" }),
+    /SESSION_SECRET/
+  );
+});
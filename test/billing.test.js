@@ -0,0 +1,191 @@
+// Billing: /subscribe -> Stripe Checkout, /billing/portal, signed /stripe/webhook events flip premium.
+// Stripe API = test/helpers/stripe.js mock (STRIPE_API_BASE), events = fixtures/stripe/*.json signed locally.
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { startServer } from "./helpers/server.js";
+import { signIn } from "./helpers/auth.js";
+import { startStripeMock, loadStripeFixture, signStripeEvent } from "./helpers/stripe.js";
+
+const WEBHOOK_SECRET = "whsec_test_algtp";
+const json = (cookie) => ({ headers: { accept: "application/json", ...(cookie ? { cookie } : {}) } });
+const manual = (cookie) => ({ redirect: "manual", headers: cookie ? { cookie } : {} });
+
+describe("billing (ENABLE_BILLING=true, Stripe mock, signed fixture events)", () => {
+  const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "algtp-billing-"));
+  let srv;
+  let stripe;
+  let cookie;
+
+  // exact bytes: the signature covers the raw payload
+  const deliver = async (event, { secret = WEBHOOK_SECRET, headers } = {}) => {
+    const signed = signStripeEvent(event, secret);
+    const r = await fetch(`${srv.base}/stripe/webhook`, { method: "POST", headers: headers || signed.headers, body: signed.payload });
+    return { status: r.status, body: await r.json() };
+  };
+
+  before(async () => {
+    stripe = await startStripeMock();
+    srv = await startServer({
+      DATA_PROVIDER: "mock",
+      MASSIVE_API_KEY: "",
+      SCANNER_PROFILE: "platform",
+      ENABLE_5M_INDICATORS: "false",
+      ENABLE_RVOL: "false",
+      ENABLE_STREAM: "false",
+      ENABLE_AUTH: "true",
+      AUTH_PROVIDER: "stub",
+      SESSION_SECRET: "test-secret",
+      ENABLE_BILLING: "true",
+      STRIPE_SECRET_KEY: "sk_test_algtp",
+      STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      STRIPE_PRICE_ID: "price_test_pro",
+      STRIPE_API_BASE: stripe.base,
+      PUBLIC_BASE_URL: "https://scanner.example.com",
+      DB_PATH: path.join(TMP, "billing.db"),
+    });
+    ({ cookie } = await signIn(srv, "buyer@example.com"));
+  });
+  after(async () => {
+    await srv?.stop();
+    await stripe?.close();
+    fs.rmSync(TMP, { recursive: true, force: true });
+  });
+
+  test("/subscribe needs a login, then redirects to Stripe Checkout for the PRO price", async () => {
+    assert.equal((await srv.get("/subscribe", json())).status, 401);
+
+    const r = await srv.get("/subscribe", manual(cookie));
+    assert.equal(r.status, 303);
+    assert.match(r.headers.get("location"), /^https:\/\/checkout\.stripe\.test\/c\/pay\/cs_test_/);
+
+    const call = stripe.calls.at(-1);
+    assert.equal(call.path, "/v1/checkout/sessions");
+    assert.equal(call.auth, "Bearer sk_test_algtp");
+    assert.equal(call.form.get("mode"), "subscription");
+    assert.equal(call.form.get("line_items[0][price]"), "price_test_pro");
+    assert.equal(call.form.get("customer_email"), "buyer@example.com");
+    assert.equal(call.form.get("success_url"), "https://scanner.example.com/subscribe/success?session_id={CHECKOUT_SESSION_ID}");
+    const me = await srv.get("/me", json(cookie));
+    assert.equal(call.form.get("client_reference_id"), String(me.body.user.id));
+
+    // the success redirect alone grants nothing
+    assert.equal(me.body.user.premium, false);
+    assert.equal((await srv.get("/subscribe/success", json(cookie))).status, 200);
+    assert.equal((await srv.get("/premarket", json(cookie))).status, 403);
+    assert.equal((await srv.get("/billing/portal", json(cookie))).status, 404);
+  });
+
+  test("webhook rejects unsigned, wrongly signed and tampered payloads", async () => {
+    const event = loadStripeFixture("checkout.session.completed");
+
+    const unsigned = await deliver(event, { headers: { "content-type": "application/json" } });
+    assert.equal(unsigned.status, 400);
+    assert.equal(unsigned.body.error, "Invalid signature");
+
+    assert.equal((await deliver(event, { secret: "whsec_wrong" })).status, 400);
+
+    const signed = signStripeEvent(event, WEBHOOK_SECRET);
+    const tampered = await fetch(`${srv.base}/stripe/webhook`, {
+      method: "POST",
+      headers: signed.headers,
+      body: signed.payload.replace("buyer@example.com", "mallory@example.com"),
+    });
+    assert.equal(tampered.status, 400);
+    assert.equal((await srv.get("/me", json(cookie))).body.user.premium, false);
+  });
+
+  test("checkout.session.completed turns premium on (once, retries are deduped)", async () => {
+    const event = loadStripeFixture("checkout.session.completed");
+    const r = await deliver(event);
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body, { ok: true, type: "checkout.session.completed", handled: true, duplicate: false, userId: r.body.userId, premium: true });
+
+    const me = await srv.get("/me", json(cookie));
+    assert.equal(me.body.user.premium, true);
+    assert.equal(me.body.user.billing, true);
+    assert.equal((await srv.get("/premarket", json(cookie))).status, 200);
+
+    const again = await deliver(event);
+    assert.equal(again.status, 200);
+    assert.equal(again.body.duplicate, true);
+  });
+
+  test("/billing/portal opens the Stripe customer portal; /subscribe sends subscribers there", async () => {
+    const r = await srv.get("/billing/portal", manual(cookie));
+    assert.equal(r.status, 303);
+    assert.match(r.headers.get("location"), /^https:\/\/billing\.stripe\.test\/p\/session\/bps_test_/);
+    const call = stripe.calls.at(-1);
+    assert.equal(call.path, "/v1/billing_portal/sessions");
+    assert.equal(call.form.get("customer"), "cus_ALGTPbuyer0001");
+    assert.equal(call.form.get("return_url"), "https://scanner.example.com/ui");
+
+    const sub = await srv.get("/subscribe", manual(cookie));
+    assert.equal(sub.status, 303);
+    assert.equal(sub.headers.get("location"), "/billing/portal");
+  });
+
+  test("customer.subscription.deleted turns premium off", async () => {
+    const stale = loadStripeFixture("customer.subscription.deleted");
+    stale.id = "evt_stale_subscription";
+    stale.data.object.id = "sub_someOlderOne";
+    const ignored = await deliver(stale);
+    assert.equal(ignored.body.handled, false);
+    assert.equal((await srv.get("/me", json(cookie))).body.user.premium, true);
+
+    const r = await deliver(loadStripeFixture("customer.subscription.deleted"));
+    assert.equal(r.status, 200);
+    assert.equal(r.body.handled, true);
+    assert.equal(r.body.premium, false);
+
+    const me = await srv.get("/me", json(cookie));
+    assert.equal(me.body.user.premium, false);
+    assert.equal(me.body.user.billing, true); // portal still shows invoices
+    assert.equal((await srv.get("/premarket", json(cookie))).status, 403);
+  });
+
+  test("async payments: an unpaid checkout waits, async_payment_succeeded / _failed decide", async () => {
+    const checkout = (id, type, paymentStatus, sub) => {
+      const e = loadStripeFixture("checkout.session.completed");
+      e.id = id;
+      e.type = type;
+      e.data.object.payment_status = paymentStatus;
+      e.data.object.subscription = sub;
+      return e;
+    };
+    const premium = async () => (await srv.get("/me", json(cookie))).body.user.premium;
+
+    const pending = await deliver(checkout("evt_async_1", "checkout.session.completed", "unpaid", "sub_async_1"));
+    assert.deepEqual([pending.body.handled, pending.body.premium], [true, false]);
+    assert.equal(await premium(), false);
+    const failed = await deliver(checkout("evt_async_2", "checkout.session.async_payment_failed", "unpaid", "sub_async_1"));
+    assert.deepEqual([failed.body.handled, failed.body.premium], [true, false]);
+
+    await deliver(checkout("evt_async_3", "checkout.session.completed", "unpaid", "sub_async_2"));
+    const paid = checkout("evt_async_4", "checkout.session.async_payment_succeeded", "paid", "sub_async_2");
+    const r = await deliver(paid);
+    assert.deepEqual([r.body.handled, r.body.duplicate, r.body.premium], [true, false, true]);
+    assert.equal(await premium(), true);
+    assert.equal((await deliver(paid)).body.duplicate, true);
+
+    // the first checkout failing again (late / replayed) does not touch the paid subscription
+    const stale = await deliver(checkout("evt_async_5", "checkout.session.async_payment_failed", "unpaid", "sub_async_1"));
+    assert.equal(stale.body.handled, false);
+    assert.equal(await premium(), true);
+  });
+
+  test("other event types are acknowledged and ignored", async () => {
+    const r = await deliver({ id: "evt_other", object: "event", type: "invoice.paid", data: { object: { id: "in_1" } } });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.handled, false);
+  });
+});
+
+test("ENABLE_BILLING=true without accounts / Stripe keys refuses to boot", async () => {
+  await assert.rejects(
+    startServer({ DATA_PROVIDER: "mock", MASSIVE_API_KEY: "", ENABLE_BILLING: "true", STRIPE_SECRET_KEY: "" }),
+    (e) => /STRIPE_SECRET_KEY/.test(e.message) && /ENABLE_AUTH=true/.test(e.message)
+  );
+});
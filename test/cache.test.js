@@ -0,0 +1,156 @@
+// Shared cache: LRU + TTL + coalescing (scanner/cache.js), safeGet's upstream cache, stats on /api.
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createLruCache, requestKey } from "../scanner/cache.js";
+import { startServer } from "./helpers/server.js";
+import { startUpstream } from "./helpers/upstream.js";
+
+// scanner/http.js reads its TTLs at import time
+process.env.UPSTREAM_BUDGET_PER_MIN = "0";
+process.env.CACHE_TTL_SNAPSHOT_MS = "60000";
+const { safeGet, upstreamCache } = await import("../scanner/http.js");
+
+const T0 = 1_760_000_000_000;
+
+test("createLruCache: TTL expiry, LRU eviction, size bound", () => {
+  const c = createLruCache({ maxEntries: 2, defaultTtlMs: 1000 });
+  c.set("a", 1, 1000, T0);
+  c.set("b", 2, 1000, T0);
+  assert.equal(c.get("a", T0 + 10), 1); // a is now most recently used
+  c.set("c", 3, 1000, T0 + 20);
+  assert.equal(c.get("b", T0 + 30), undefined); // b evicted
+  assert.equal(c.get("a", T0 + 30), 1);
+  assert.equal(c.size(), 2);
+  assert.equal(c.get("a", T0 + 1000), undefined); // expired
+  assert.equal(c.stats().evictions, 1);
+
+  c.set("z", 9, 0); // ttl 0 = not stored
+  assert.equal(c.has("z"), false);
+});
+
+test("createLruCache.wrap: concurrent loads share one call; cacheIf keeps failures out", async () => {
+  const c = createLruCache({ name: "t", defaultTtlMs: 60_000 });
+  let calls = 0;
+  const load = async () => {
+    calls++;
+    await new Promise((r) => setTimeout(r, 20));
+    return { ok: calls === 1, n: calls };
+  };
+
+  const out = await Promise.all([1, 2, 3].map(() => c.wrap("k", load, { label: "x" })));
+  assert.equal(calls, 1);
+  assert.deepEqual(out.map((o) => o.value.n), [1, 1, 1]);
+  assert.deepEqual(out.map((o) => Boolean(o.coalesced)), [false, true, true]);
+  assert.equal((await c.wrap("k", load, { label: "x" })).cached, true);
+
+  await c.wrap("bad", load, { cacheIf: (v) => v.ok, label: "y" });
+  await c.wrap("bad", load, { cacheIf: (v) => v.ok, label: "y" });
+  assert.equal(calls, 3); // the failed value was not kept
+
+  const s = c.stats();
+  assert.deepEqual([s.hits, s.misses, s.coalesced], [1, 3, 2]);
+  assert.deepEqual(s.byLabel.x, { hits: 1, misses: 1, coalesced: 2 });
+  assert.equal(s.hitRate, 0.5);
+});
+
+test("requestKey: param order does not matter, credentials are left out", () => {
+  assert.equal(requestKey("https://x/y", { b: "2", a: 1, apiKey: "secret" }), "https://x/y?a=1&b=2");
+  assert.equal(requestKey("https://x/y", { a: 1, b: "2", apikey: "other" }), "https://x/y?a=1&b=2");
+  assert.equal(requestKey("https://x/y"), "https://x/y");
+});
+
+test("safeGet: endpoint TTL caches ok answers, errors are refetched", async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    const fail = req.url.includes("fail");
+    setTimeout(() => {
+      res.writeHead(fail ? 500 : 200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ n: hits }));
+    }, 20);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const rs = await Promise.all([1, 2, 3].map(() => safeGet(`${base}/snap`, { params: { apiKey: "k" }, endpoint: "snapshot" })));
+    assert.equal(hits, 1);
+    assert.deepEqual(rs.map((r) => r.data.n), [1, 1, 1]);
+    assert.equal(rs[0].cached, undefined);
+    assert.equal(rs[1].cached, true);
+
+    const again = await safeGet(`${base}/snap`, { params: { apiKey: "rotated" }, endpoint: "snapshot" });
+    assert.equal(again.cached, true);
+    assert.equal(hits, 1);
+
+    // no endpoint -> TTL 0: coalesced, never stored
+    await safeGet(`${base}/raw`, {});
+    await safeGet(`${base}/raw`, {});
+    assert.equal(hits, 3);
+
+    assert.equal((await safeGet(`${base}/fail`, { endpoint: "snapshot" })).ok, false);
+    assert.equal((await safeGet(`${base}/fail`, { endpoint: "snapshot" })).ok, false);
+    assert.equal(hits, 5);
+
+    assert.equal(upstreamCache.stats().byLabel.snapshot.hits, 1);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+describe("routes: shared upstream cache (massive provider -> mock HTTP upstream)", () => {
+  let upstream;
+  let srv;
+  before(async () => {
+    upstream = await startUpstream();
+    srv = await startServer({ ...upstream.env, ENABLE_5M_INDICATORS: "false", ENABLE_RVOL: "false" });
+  });
+  after(async () => {
+    await srv?.stop();
+    await upstream?.close();
+  });
+
+  test("concurrent identical scans hit the upstream once per symbol; stats on /api", async () => {
+    const rs = await Promise.all([1, 2, 3, 4].map(() => srv.get("/scan?symbols=NVDA,TSLA")));
+    for (const r of rs) assert.equal(r.status, 200);
+    const snaps = upstream.requests.filter((p) => p.includes("/tickers/NVDA") || p.includes("/tickers/TSLA"));
+    assert.equal(snaps.length, 2);
+
+    const mini = await Promise.all([1, 2].map(() => srv.get("/mini-chart?symbol=NVDA&tf=1")));
+    assert.equal(mini[0].body.ok, true);
+    assert.deepEqual(mini[0].body, mini[1].body);
+    assert.equal(upstream.requests.filter((p) => p.includes("/aggs/ticker/NVDA/range/1/minute")).length, 1);
+
+    const { cache } = (await srv.get("/api")).body.config;
+    assert.equal(cache.upstream.name, "upstream");
+    assert.ok(cache.upstream.byLabel.snapshot.hits + cache.upstream.byLabel.snapshot.coalesced >= 6);
+    assert.equal(cache.mini.entries, 1);
+    assert.equal(cache.mini.misses, 1);
+  });
+});
+
+describe("routes: RVOL baselines in the shared LRU (massive provider -> mock HTTP upstream)", () => {
+  let upstream;
+  let srv;
+  before(async () => {
+    upstream = await startUpstream();
+    srv = await startServer({ ...upstream.env, ENABLE_5M_INDICATORS: "false", ENABLE_RVOL: "true", RVOL_CACHE_MAX: "100" });
+  });
+  after(async () => {
+    await srv?.stop();
+    await upstream?.close();
+  });
+
+  test("one baseline fetch per symbol per day, bounded and on /api", async () => {
+    for (let i = 0; i < 3; i++) assert.equal((await srv.get("/scan?symbols=NVDA,TSLA")).status, 200);
+    const ranges = upstream.requests.filter((p) => p.includes("/range/5/minute"));
+    assert.equal(ranges.length, 2);
+
+    const { rvolBaseline } = (await srv.get("/api")).body.config.cache;
+    assert.equal(rvolBaseline.name, "rvolBaseline");
+    assert.equal(rvolBaseline.entries, 2);
+    assert.equal(rvolBaseline.maxEntries, 100);
+    assert.equal(rvolBaseline.misses, 2);
+    assert.equal(rvolBaseline.hits, 4);
+  });
+});
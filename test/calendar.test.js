@@ -0,0 +1,100 @@
+// NYSE calendar (scanner/calendar.js): holidays, half days, trading-day walks, market clock,
+// previous close from daily bars across holidays (scanner/polygon.js).
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  isTradingDay,
+  holidayName,
+  isHalfDay,
+  sessionMinutes,
+  sessionAt,
+  previousTradingDay,
+  nextTradingDay,
+  tradingDayOnOrBefore,
+  upcomingMarketDays,
+  tradingDayInfo,
+  calendarCovers,
+} from "../scanner/calendar.js";
+import { marketStatus, nyWallTimeToMs } from "../scanner/session.js";
+import { openPrevCloseFromDailyBars } from "../scanner/polygon.js";
+
+const hm = (h, m = 0) => h * 60 + m;
+
+test("isTradingDay: weekends and NYSE holidays are closed", () => {
+  assert.equal(isTradingDay("2026-01-27"), true);
+  assert.equal(isTradingDay("2026-01-24"), false); // Saturday
+  assert.equal(isTradingDay("2026-11-26"), false);
+  assert.equal(holidayName("2026-11-26"), "Thanksgiving Day");
+  assert.equal(isTradingDay("2026-07-03"), false); // July 4 on a Saturday -> observed Friday
+  assert.equal(isTradingDay("2027-12-31"), true); // Jan 1 2028 on a Saturday is not observed
+  assert.equal(isTradingDay("not-a-day"), false);
+  assert.equal(calendarCovers("2031-01-02"), false);
+});
+
+test("sessionMinutes / sessionAt: 13:00 close and 17:00 after-hours end on half days", () => {
+  assert.equal(isHalfDay("2026-11-27"), true);
+  assert.deepEqual(sessionMinutes("2026-11-27"), { preOpen: hm(4), open: hm(9, 30), close: hm(13), afterClose: hm(17), halfDay: true });
+  assert.equal(sessionAt("2026-11-27", hm(12, 59)), "rth");
+  assert.equal(sessionAt("2026-11-27", hm(13)), "after");
+  assert.equal(sessionAt("2026-11-27", hm(17)), "off");
+  assert.equal(sessionAt("2026-11-30", hm(15, 59)), "rth");
+  assert.equal(sessionAt("2026-11-26", hm(10)), "off");
+  assert.equal(sessionMinutes("2026-11-26"), null);
+});
+
+test("previousTradingDay / nextTradingDay: skip weekends and holiday runs", () => {
+  assert.equal(previousTradingDay("2026-01-20"), "2026-01-16"); // Tue after MLK Monday
+  assert.equal(previousTradingDay("2026-04-06"), "2026-04-02"); // Mon after Good Friday
+  assert.equal(previousTradingDay("2026-01-02"), "2025-12-31");
+  assert.equal(nextTradingDay("2026-12-24"), "2026-12-28");
+  assert.equal(tradingDayOnOrBefore("2026-11-26"), "2026-11-25");
+  assert.equal(tradingDayOnOrBefore("2026-11-27"), "2026-11-27");
+});
+
+test("upcomingMarketDays / tradingDayInfo", () => {
+  assert.deepEqual(upcomingMarketDays("2026-11-20", 3), [
+    { date: "2026-11-26", name: "Thanksgiving Day", type: "holiday" },
+    { date: "2026-11-27", name: "Day after Thanksgiving", type: "half_day" },
+    { date: "2026-12-24", name: "Christmas Eve", type: "half_day" },
+  ]);
+  const info = tradingDayInfo("2026-12-24");
+  assert.equal(info.tradingDay, true);
+  assert.equal(info.halfDay, "Christmas Eve");
+  assert.deepEqual(info.hours, { premarket: "04:00", open: "09:30", close: "13:00", afterHoursEnd: "17:00" });
+  assert.equal(info.nextTradingDay, "2026-12-28");
+  assert.equal(tradingDayInfo("2026-12-25").hours, null);
+});
+
+test("marketStatus: next open / close across a holiday and on a half day", () => {
+  const wed = marketStatus(nyWallTimeToMs("2026-11-25", "17:30"));
+  assert.equal(wed.session, "after");
+  assert.equal(wed.marketOpen, false);
+  assert.equal(wed.nextOpenMs, nyWallTimeToMs("2026-11-27", "09:30"));
+  assert.equal(wed.nextCloseMs, nyWallTimeToMs("2026-11-27", "13:00"));
+
+  const thu = marketStatus(nyWallTimeToMs("2026-11-26", "11:00"));
+  assert.equal(thu.session, "off");
+  assert.equal(thu.holiday, "Thanksgiving Day");
+  assert.equal(thu.sessionDay, "2026-11-25");
+
+  const fri = marketStatus(nyWallTimeToMs("2026-11-27", "10:00"));
+  assert.equal(fri.marketOpen, true);
+  assert.equal(fri.nextCloseMs, nyWallTimeToMs("2026-11-27", "13:00"));
+  assert.equal(fri.nextOpenMs, nyWallTimeToMs("2026-11-30", "09:30"));
+});
+
+test("openPrevCloseFromDailyBars: previous close is the prior trading day, not the prior bar", () => {
+  const bar = (day, o, c) => ({ t: nyWallTimeToMs(day, "00:00"), o, c });
+  const bars = [bar("2026-11-24", 10, 11), bar("2026-11-25", 11, 12)];
+
+  // premarket on the half day: no bar for today yet -> open unknown, prevClose = Wednesday
+  assert.deepEqual(openPrevCloseFromDailyBars(bars, "2026-11-27"), { open: null, prevClose: 12 });
+  assert.deepEqual(openPrevCloseFromDailyBars([...bars, bar("2026-11-27", 12.5, 13)], "2026-11-27"), { open: 12.5, prevClose: 12 });
+
+  // gap in the data: latest earlier bar
+  assert.deepEqual(openPrevCloseFromDailyBars([bar("2026-11-24", 10, 11), bar("2026-11-27", 12.5, 13)], "2026-11-27"), { open: 12.5, prevClose: 11 });
+
+  // undated bars keep the positional behaviour
+  assert.deepEqual(openPrevCloseFromDailyBars([{ o: 1, c: 2 }, { o: 3, c: 4 }], "2026-11-27"), { open: 3, prevClose: 2 });
+  assert.deepEqual(openPrevCloseFromDailyBars([], "2026-11-27"), { open: null, prevClose: null });
+});
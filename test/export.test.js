@@ -0,0 +1,50 @@
+// Row exports: ?format= / ?columns= parsing, csv / tsv / ndjson bodies with fixed columns (scanner/export.js).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseExportFormat, parseExportColumns, exportRows, exportFileName, ROW_EXPORT_COLUMNS } from "../scanner/export.js";
+
+const ROWS = [
+  { symbol: "AAA", price: 1.5, gapPct: -3.2, aboveVWAP_5m: true, signalIcon: "🚀", extra: "x" },
+  { symbol: "BBB", price: null, note: 'say "hi", bye\nnow', cap: "=1+1", tags: ["a", "b"] },
+];
+
+test("exportRows csv: BOM, header, fixed columns, quoting, CRLF, formula guard", () => {
+  const out = exportRows(ROWS, ["symbol", "price", "gapPct", "aboveVWAP_5m", "signalIcon", "note", "cap", "tags"], "csv");
+  assert.equal(out[0], "\uFEFF");
+  assert.deepEqual(out.slice(1).split("\r\n"), [
+    "symbol,price,gapPct,aboveVWAP_5m,signalIcon,note,cap,tags",
+    "AAA,1.5,-3.2,true,🚀,,,",
+    'BBB,,,,,"say ""hi"", bye\nnow",\'=1+1,"[""a"",""b""]"',
+    "",
+  ]);
+  // no rows: still the header
+  assert.equal(exportRows([], ["symbol", "price"], "csv"), "\uFEFFsymbol,price\r\n");
+});
+
+test("exportRows tsv / ndjson: same columns, nulls for missing fields", () => {
+  const tsv = exportRows(ROWS, ["symbol", "note", "price"], "tsv").slice(1).split("\r\n");
+  assert.deepEqual(tsv, ["symbol\tnote\tprice", "AAA\t\t1.5", 'BBB\tsay "hi", bye now\t', ""]);
+
+  const lines = exportRows(ROWS, ["symbol", "price", "tags"], "ndjson").trim().split("\n").map((l) => JSON.parse(l));
+  assert.deepEqual(lines, [
+    { symbol: "AAA", price: 1.5, tags: null },
+    { symbol: "BBB", price: null, tags: ["a", "b"] },
+  ]);
+  assert.equal(exportRows([], ["symbol"], "ndjson"), "");
+  assert.throws(() => exportRows(ROWS, ["symbol"], "xlsx"), /unknown export format/);
+});
+
+test("parseExportFormat / parseExportColumns / exportFileName", () => {
+  assert.deepEqual(parseExportFormat(undefined), { ok: true, format: null });
+  assert.deepEqual(parseExportFormat("JSON"), { ok: true, format: null });
+  assert.deepEqual(parseExportFormat(" CSV "), { ok: true, format: "csv" });
+  assert.deepEqual(parseExportFormat("xlsx").errors, ["format must be one of: json, csv, tsv, ndjson"]);
+
+  assert.deepEqual(parseExportColumns("", ROW_EXPORT_COLUMNS).columns, ROW_EXPORT_COLUMNS);
+  assert.deepEqual(parseExportColumns(" symbol, rsi14_15m ,symbol", []).columns, ["symbol", "rsi14_15m"]);
+  assert.deepEqual(parseExportColumns("symbol,a-b", []).errors, ['columns: invalid field name "a-b"']);
+
+  const at = Date.UTC(2026, 9, 19, 14, 30);
+  assert.equal(exportFileName("/movers-premarket", "csv", at), "algtp-movers-premarket-20261019-1430.csv");
+  assert.equal(exportFileName("/halts/history", "ndjson", at), "algtp-halts-history-20261019-1430.ndjson");
+});
@@ -0,0 +1,104 @@
+// Halt history (halts.js): LULD events -> halts rows with durations, range queries, stats, restore, prune.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { nyWallTimeToMs } from "../scanner/session.js";
+
+// halts.js + db.js read their env at import time
+process.env.DB_PATH = ":memory:";
+process.env.HALT_HISTORY_DAYS = "30";
+const { recordLuldEvent, parseHistoryQuery, haltHistory, haltStats, restoreHaltState, pruneHaltHistory } = await import("../halts.js");
+
+const at = (day, hhmm) => nyWallTimeToMs(day, hhmm);
+const luld = (symbol, ts, kind, extra = {}) =>
+  recordLuldEvent({ symbol, ts, kind, indicators: kind === "HALT" ? [17] : kind === "RESUME" ? [18] : [], limitUp: 5, limitDown: 4, ...extra });
+
+test("recordLuldEvent: HALT opens, repeated HALT is only logged, RESUME closes with the duration", () => {
+  const d = "2026-02-02";
+  assert.equal(luld("AAA", at(d, "09:50"), "BAND").halt, null);
+  assert.equal(luld("AAA", at(d, "10:00"), "HALT").halt.opened, true);
+  assert.equal(luld("AAA", at(d, "10:01"), "HALT").halt, null);
+  assert.deepEqual(luld("AAA", at(d, "10:05"), "RESUME").halt.durationMs, 5 * 60_000);
+  assert.equal(luld("AAA", at(d, "10:06"), "RESUME").halt, null); // nothing open
+
+  luld("AAA", at(d, "11:00"), "HALT");
+  luld("AAA", at(d, "11:10"), "RESUME");
+  luld("BBB", at(d, "15:59"), "HALT", { limitUp: 2.2, limitDown: 1.8 });
+
+  const h = haltHistory({ from: d, to: d });
+  assert.equal(h.status, 200);
+  assert.deepEqual(
+    h.body.results.map((x) => [x.symbol, x.halted, x.durationSec]),
+    [["BBB", true, null], ["AAA", false, 600], ["AAA", false, 300]]
+  );
+  assert.deepEqual([h.body.results[0].limitUp, h.body.results[0].limitDown], [2.2, 1.8]);
+
+  const ev = haltHistory({ symbol: "aaa", from: d, to: d, type: "events" });
+  assert.equal(ev.body.count, 7);
+  assert.deepEqual(ev.body.results.at(-1), {
+    id: ev.body.results.at(-1).id,
+    symbol: "AAA",
+    day: d,
+    kind: "BAND",
+    ts: at(d, "09:50"),
+    exchangeTs: null,
+    indicators: [],
+    limitUp: 5,
+    limitDown: 4,
+    reason: "LimitUpLimitDown",
+  });
+
+  const st = haltStats({ from: d, to: d });
+  assert.deepEqual(st.body.results, [
+    { symbol: "AAA", day: d, halts: 2, openHalts: 0, avgDurationMs: 450_000, avgDurationSec: 450, maxDurationMs: 600_000 },
+    { symbol: "BBB", day: d, halts: 1, openHalts: 1, avgDurationMs: null, avgDurationSec: null, maxDurationMs: null },
+  ]);
+
+  assert.deepEqual(
+    restoreHaltState(at(d, "00:00")).sort((a, b) => a.symbol.localeCompare(b.symbol)),
+    [
+      { symbol: "AAA", halted: false, lastEvent: "RESUME", tsMs: at(d, "11:10"), reason: "LimitUpLimitDown" },
+      { symbol: "BBB", halted: true, lastEvent: "HALT", tsMs: at(d, "15:59"), reason: "LimitUpLimitDown" },
+    ]
+  );
+});
+
+test("recordLuldEvent: the same message twice (replay re-run, REPLAY_LOOP) is stored once", () => {
+  const d = "2026-02-03";
+  const day = () => [
+    luld("CCC", at(d, "10:00"), "HALT", { exchangeTs: at(d, "10:00") - 40 }),
+    luld("CCC", at(d, "10:05"), "RESUME", { exchangeTs: at(d, "10:05") - 40 }),
+  ];
+  const first = day();
+  assert.equal(first[0].halt.opened, true);
+  assert.equal(first[1].halt.closed, true);
+
+  const again = day();
+  assert.deepEqual(again, [{ event: null, halt: null }, { event: null, halt: null }]);
+  assert.equal(haltHistory({ symbol: "CCC", from: d, to: d, type: "events" }).body.count, 2);
+  assert.deepEqual(haltStats({ symbol: "CCC", from: d, to: d }).body.results.map((r) => [r.halts, r.avgDurationSec]), [[1, 300]]);
+});
+
+test("parseHistoryQuery: NY days are inclusive, epoch ms accepted, bad input rejected", () => {
+  const now = at("2026-03-10", "12:00");
+  const p = parseHistoryQuery({ from: "2026-03-09", to: "2026-03-09", symbol: "x" }, now);
+  assert.deepEqual(p, { ok: true, symbol: "X", from: at("2026-03-09", "00:00"), to: at("2026-03-10", "00:00"), limit: 500 });
+
+  const def = parseHistoryQuery({}, now);
+  assert.equal(def.to, now + 1);
+  assert.equal(def.to - def.from, 7 * 86_400_000);
+  assert.equal(parseHistoryQuery({ from: String(now - 1000), limit: "99999" }, now).limit, 5000);
+
+  assert.deepEqual(parseHistoryQuery({ from: "soon", to: "2026-03-01" }, now).errors, ["from must be YYYY-MM-DD or epoch ms"]);
+  assert.deepEqual(parseHistoryQuery({ from: "2026-03-05", to: "2026-03-01" }, now).errors, ["from must be before to"]);
+  assert.equal(haltStats({ to: "x" }).status, 400);
+  assert.equal(haltHistory({ type: "nope" }).status, 400);
+});
+
+test("pruneHaltHistory: drops events and halts older than HALT_HISTORY_DAYS", () => {
+  const old = at("2025-01-02", "10:00");
+  luld("OLD", old, "HALT");
+  luld("OLD", old + 60_000, "RESUME");
+  const out = pruneHaltHistory(old + 31 * 86_400_000);
+  assert.deepEqual(out, { events: 2, halts: 1 });
+  assert.equal(haltHistory({ symbol: "OLD", from: "2025-01-01", to: "2025-01-03" }).body.count, 0);
+});
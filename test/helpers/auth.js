@@ -0,0 +1,17 @@
+// Stub OAuth sign-in (AUTH_PROVIDER=stub) for route tests: /auth/google?email= -> callback -> session cookie
+import assert from "node:assert/strict";
+
+async function signIn(srv, email, next) {
+  const q = new URLSearchParams({ email, ...(next ? { next } : {}) });
+  const start = await srv.get(`/auth/google?${q}`, { redirect: "manual" });
+  assert.equal(start.status, 302);
+  const startCookie = (start.headers.get("set-cookie") || "").split(";")[0];
+
+  const cb = await srv.get(start.headers.get("location"), { redirect: "manual", headers: startCookie ? { cookie: startCookie } : {} });
+  assert.equal(cb.status, 302);
+  const cookie = (cb.headers.get("set-cookie") || "").split(";")[0];
+  assert.match(cookie, /^algtp\.sid=/);
+  return { cookie, location: cb.headers.get("location") };
+}
+
+export { signIn };
@@ -0,0 +1,45 @@
+// Mock Massive WebSocket (ws): answers auth + subscribe like the real feed, then
+// the test pushes LULD / AM messages straight into server.js's live handlers.
+import { WebSocketServer } from "ws";
+
+async function startFeed() {
+  const wss = new WebSocketServer({ host: "127.0.0.1", port: 0 });
+  await new Promise((resolve) => wss.once("listening", resolve));
+  const subscribed = new Set(); // sockets past auth + subscribe
+
+  wss.on("connection", (ws) => {
+    ws.send(JSON.stringify([{ ev: "status", status: "connected" }]));
+    ws.on("message", (buf) => {
+      let msg = null;
+      try {
+        msg = JSON.parse(buf.toString("utf8"));
+      } catch {}
+      if (msg?.action === "auth") ws.send(JSON.stringify([{ ev: "status", status: "auth_success" }]));
+      if (msg?.action === "subscribe") subscribed.add(ws);
+    });
+    ws.on("close", () => subscribed.delete(ws));
+  });
+
+  async function waitForSubscriber(timeoutMs = 10000) {
+    const until = Date.now() + timeoutMs;
+    while (!subscribed.size) {
+      if (Date.now() > until) throw new Error("mock feed: server.js never subscribed");
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+
+  return {
+    env: { MASSIVE_WS_URL: `ws://127.0.0.1:${wss.address().port}`, ENABLE_HALT_WS: "true" },
+    waitForSubscriber,
+    send: (msgs) => {
+      for (const ws of subscribed) ws.send(JSON.stringify(msgs));
+    },
+    close: () =>
+      new Promise((resolve) => {
+        for (const ws of wss.clients) ws.terminate();
+        wss.close(resolve);
+      }),
+  };
+}
+
+export { startFeed };
@@ -0,0 +1,89 @@
+// Runs server.js (or a thin entry) as a child process on a free port.
+import { spawn } from "node:child_process";
+import net from "node:net";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const s = net.createServer();
+    s.on("error", reject);
+    s.listen(0, "127.0.0.1", () => {
+      const { port } = s.address();
+      s.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(env = {}, { entry = "server.js", timeoutMs = 20000 } = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [entry], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      DEBUG: "false",
+      DB_PATH: ":memory:",
+      ENABLE_HALT_WS: "false",
+      ENABLE_AM_WS: "false",
+      ENABLE_FLOAT_ENRICH: "false",
+      ENABLE_RATE_LIMIT: "false",
+      UPSTREAM_BUDGET_PER_MIN: "0",
+      ...env,
+      PORT: String(port),
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let log = "";
+  child.stdout.on("data", (d) => (log += d));
+  child.stderr.on("data", (d) => (log += d));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`${entry} did not start:\n${log}`)), timeoutMs);
+    const onExit = (code) => {
+      clearTimeout(timer);
+      reject(new Error(`${entry} exited (${code}):\n${log}`));
+    };
+    child.once("exit", onExit);
+    child.stdout.on("data", () => {
+      if (!log.includes("running (profile")) return;
+      clearTimeout(timer);
+      child.off("exit", onExit);
+      resolve();
+    });
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+
+  // opts: { headers, redirect: "manual" } (auth tests carry the session cookie by hand)
+  async function request(method, p, body, { headers = {}, redirect = "follow" } = {}) {
+    const r = await fetch(base + p, {
+      method,
+      redirect,
+      headers: body === undefined ? headers : { "content-type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const type = r.headers.get("content-type") || "";
+    return { status: r.status, type, headers: r.headers, body: type.includes("json") ? await r.json() : await r.text() };
+  }
+
+  return {
+    base,
+    log: () => log,
+    get: (p, opts) => request("GET", p, undefined, opts),
+    post: (p, body, opts) => request("POST", p, body, opts),
+    put: (p, body, opts) => request("PUT", p, body, opts),
+    patch: (p, body, opts) => request("PATCH", p, body, opts),
+    del: (p, opts) => request("DELETE", p, undefined, opts),
+    stop: () =>
+      new Promise((resolve) => {
+        if (child.exitCode !== null || child.signalCode !== null) return resolve();
+        child.once("exit", resolve);
+        child.kill();
+      }),
+  };
+}
+
+export { ROOT, startServer };
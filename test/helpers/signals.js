@@ -0,0 +1,44 @@
+// Mock-provider fixtures (MOCK_DATA_DIR) with two symbols that fire scanner events:
+//   ROKT  gap +80%, +140% on the day -> demandScore 5 -> 🚀
+//   VOLX  last 5m bar 10x the others -> volSpike_5m (attach5mSignals)
+import fs from "node:fs";
+import path from "node:path";
+import { ROOT } from "./server.js";
+
+function ticker(symbol, { prevClose, open, last, volume }) {
+  const ns = Date.now() * 1e6;
+  return {
+    ticker: symbol,
+    todaysChange: Number((last - prevClose).toFixed(2)),
+    todaysChangePerc: Number((((last - prevClose) / prevClose) * 100).toFixed(4)),
+    updated: ns,
+    day: { o: open, h: last, l: open, c: last, v: volume, vw: last },
+    min: { t: Date.now(), o: last, h: last, l: last, c: last, v: Math.round(volume / 100), vw: last },
+    prevDay: { o: prevClose, h: prevClose, l: prevClose, c: prevClose, v: volume, vw: prevClose },
+    lastTrade: { p: last, s: 100, t: ns },
+    lastQuote: { P: last, S: 1, p: last, s: 1, t: ns },
+    floatShares: 20_000_000,
+    marketCap: 100_000_000,
+  };
+}
+
+function writeSignalFixtures(dir) {
+  const base = JSON.parse(fs.readFileSync(path.join(ROOT, "fixtures/mock/snapshot.json"), "utf8"));
+  const tickers = [
+    ...base.tickers,
+    ticker("ROKT", { prevClose: 1, open: 1.8, last: 2.4, volume: 50_000_000 }),
+    ticker("VOLX", { prevClose: 10, open: 10.1, last: 10.3, volume: 2_000_000 }),
+  ];
+  fs.writeFileSync(path.join(dir, "snapshot.json"), JSON.stringify({ status: "OK", count: tickers.length, tickers }));
+
+  const now = Date.now();
+  const bars = Array.from({ length: 40 }, (_, i) => {
+    const c = 10.1 + i * 0.005;
+    return { t: now - (40 - i) * 300_000, o: c, h: c, l: c, c, v: i === 39 ? 10_000 : 1_000 };
+  });
+  fs.mkdirSync(path.join(dir, "aggs"), { recursive: true });
+  fs.writeFileSync(path.join(dir, "aggs", "VOLX_5.json"), JSON.stringify({ results: bars }));
+  return dir;
+}
+
+export { writeSignalFixtures };
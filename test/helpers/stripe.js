@@ -0,0 +1,54 @@
+// Mock Stripe API (STRIPE_API_BASE) + webhook signing for the billing tests.
+// Answers the two calls billing.js makes and records their form bodies.
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import Stripe from "stripe";
+import { ROOT } from "./server.js";
+
+async function startStripeMock() {
+  const calls = []; // { path, auth, form: URLSearchParams }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const form = new URLSearchParams(Buffer.concat(chunks).toString("utf8"));
+      calls.push({ path: req.url, auth: req.headers.authorization || "", form });
+      const send = (status, body) => {
+        res.writeHead(status, { "content-type": "application/json", "request-id": `req_${calls.length}` });
+        res.end(JSON.stringify(body));
+      };
+
+      if (req.method === "POST" && req.url === "/v1/checkout/sessions") {
+        const id = `cs_test_${calls.length}`;
+        return send(200, { id, object: "checkout.session", mode: form.get("mode"), url: `https://checkout.stripe.test/c/pay/${id}` });
+      }
+      if (req.method === "POST" && req.url === "/v1/billing_portal/sessions") {
+        const id = `bps_test_${calls.length}`;
+        return send(200, { id, object: "billing_portal.session", customer: form.get("customer"), url: `https://billing.stripe.test/p/session/${id}` });
+      }
+      send(404, { error: { type: "invalid_request_error", message: `Unrecognized request URL (${req.method}: ${req.url})` } });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    base: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+function loadStripeFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, "fixtures/stripe", `${name}.json`), "utf8"));
+}
+
+// -> { payload, headers } ready to POST to /stripe/webhook
+function signStripeEvent(event, secret) {
+  const payload = JSON.stringify(event);
+  const signature = new Stripe("sk_test_signing").webhooks.generateTestHeaderString({ payload, secret });
+  return { payload, headers: { "content-type": "application/json", "stripe-signature": signature } };
+}
+
+export { startStripeMock, loadStripeFixture, signStripeEvent };
@@ -0,0 +1,105 @@
+// Mock HTTP market-data provider for the route tests.
+// Serves fixtures/mock (through scanner/mock.js) on the same v2 snapshot / aggs
+// paths Massive and Polygon use, checks the apiKey, and records webhook POSTs.
+import http from "node:http";
+import { mock } from "../../scanner/mock.js";
+
+const STOCKS = "/v2/snapshot/locale/us/markets/stocks";
+
+async function route(url) {
+  const p = url.pathname;
+  let m;
+
+  if ((m = p.match(/^\/v2\/snapshot\/locale\/us\/markets\/stocks\/(gainers|losers)$/))) {
+    const r = await mock.fetchMovers(m[1]);
+    return [200, { status: "OK", tickers: r.rows }];
+  }
+  if ((m = p.match(/^\/v2\/snapshot\/locale\/us\/markets\/stocks\/tickers\/([^/]+)$/))) {
+    const r = await mock.fetchTickerSnapshot(decodeURIComponent(m[1]));
+    return [r.status, r.data];
+  }
+  if (p === `${STOCKS}/tickers`) {
+    const r = await mock.fetchSnapshotAll();
+    return [200, { status: "OK", tickers: r.rows }];
+  }
+  if ((m = p.match(/^\/v2\/aggs\/ticker\/([^/]+)\/range\/(\d+)\/(minute|day)\/([\d-]+)\/([\d-]+)/))) {
+    const sym = decodeURIComponent(m[1]);
+    if (m[3] === "day" && url.searchParams.get("sort") === "desc") {
+      const r = await mock.fetchBars(sym, "1d", { limit: url.searchParams.get("limit") });
+      return [200, { status: "OK", results: r.bars }];
+    }
+    if (m[3] === "day") {
+      const d = await mock.fetchDailyOpenPrevClose(sym);
+      const results = d.ok ? [{ o: d.prevClose, c: d.prevClose }, { o: d.open, c: d.open }] : [];
+      return [200, { status: "OK", results }];
+    }
+    // fetchAggs asks for the last 2 days, fetchAggsRange (RVOL baselines) and fetchBars (?tf=) for longer
+    const [from, to] = [m[4], m[5]];
+    if (Date.parse(to) - Date.parse(from) > 3 * 86_400_000) {
+      const r = await mock.fetchAggsRange(sym, { tf: m[2], from, to });
+      // fetchBars (?tf=): newest `limit` bars first
+      if (url.searchParams.get("sort") === "desc") return [200, { status: "OK", results: r.bars.reverse().slice(0, Number(url.searchParams.get("limit")) || undefined) }];
+      return [200, { status: "OK", results: r.bars }];
+    }
+    const r = await mock.fetchAggs(sym, m[2], url.searchParams.get("limit"), url.searchParams.get("sort"));
+    return [200, { status: "OK", results: r.bars }];
+  }
+  return [404, { status: "NOT_FOUND" }];
+}
+
+async function startUpstream({ apiKey = "test-key" } = {}) {
+  const requests = []; // GET paths
+  const hooks = []; // { path, body }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const send = (status, body) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === "POST") {
+      const chunks = [];
+      req.on("data", (c) => chunks.push(c));
+      req.on("end", () => {
+        let body = null;
+        try {
+          body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+        } catch {}
+        hooks.push({ path: url.pathname, body });
+        send(200, { ok: true });
+      });
+      return;
+    }
+
+    requests.push(url.pathname);
+    if (url.searchParams.get("apiKey") !== apiKey) return send(401, { status: "ERROR", error: "Unknown API Key" });
+    route(url).then(
+      ([status, body]) => send(status, body),
+      (e) => send(500, { status: "ERROR", error: String(e?.message || e) })
+    );
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    base,
+    requests,
+    hooks,
+    env: {
+      DATA_PROVIDER: "massive",
+      MASSIVE_API_KEY: apiKey,
+      MASSIVE_AUTH_TYPE: "query",
+      MASSIVE_MOVER_URL: `${base}${STOCKS}`,
+      MASSIVE_TICKER_SNAPSHOT_URL: `${base}${STOCKS}/tickers`,
+      MASSIVE_SNAPSHOT_ALL_URL: `${base}${STOCKS}/tickers`,
+      MASSIVE_AGGS_URL: `${base}/v2/aggs/ticker`,
+      POLYGON_BASE_URL: base,
+      POLYGON_API_KEY: apiKey,
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+export { startUpstream };
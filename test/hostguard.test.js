@@ -0,0 +1,39 @@
+// Outbound URL guard (scanner/hostguard.js): private / loopback / link-local targets refused.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isBlockedAddress, checkPublicUrl, guardedLookup } from "../scanner/hostguard.js";
+
+test("isBlockedAddress: loopback, private, CGNAT, link-local, metadata, mapped IPv4, multicast", () => {
+  for (const a of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "100.64.0.1", "169.254.169.254", "0.0.0.0", "224.0.0.1"]) {
+    assert.equal(isBlockedAddress(a), true, a);
+  }
+  for (const a of ["::1", "::", "fe80::1", "fd00:ec2::254", "::ffff:127.0.0.1", "::ffff:7f00:1", "64:ff9b::a00:1"]) {
+    assert.equal(isBlockedAddress(a), true, a);
+  }
+  for (const a of ["8.8.8.8", "172.32.0.1", "223.255.255.255", "2606:4700::1111", "::ffff:8.8.8.8"]) {
+    assert.equal(isBlockedAddress(a), false, a);
+  }
+  assert.equal(isBlockedAddress("not-an-ip"), true);
+});
+
+test("checkPublicUrl: IP literals in any spelling, resolved names, allowlist", async () => {
+  const lookup = async (host) => ({ "hooks.example.com": [{ address: "93.184.216.34" }], "evil.example.com": [{ address: "93.184.216.34" }, { address: "127.0.0.1" }] })[host] ?? Promise.reject(new Error("ENOTFOUND"));
+
+  assert.deepEqual(await checkPublicUrl("https://hooks.example.com/x", { lookup }), { ok: true });
+  assert.equal((await checkPublicUrl("http://evil.example.com/", { lookup })).ok, false); // one private answer is enough
+  assert.match((await checkPublicUrl("http://nowhere.example.com/", { lookup })).error, /does not resolve/);
+  for (const url of ["http://127.0.0.1:8080/", "http://2130706433/", "http://0x7f.1/", "http://[::ffff:127.0.0.1]/", "http://169.254.169.254/latest"]) {
+    assert.equal((await checkPublicUrl(url, { lookup })).ok, false, url);
+  }
+  assert.equal((await checkPublicUrl("ftp://hooks.example.com/", { lookup })).ok, false);
+  assert.deepEqual(await checkPublicUrl("http://127.0.0.1:4000/hook", { allowHosts: ["127.0.0.1"], lookup }), { ok: true });
+});
+
+test("guardedLookup: refuses a name that resolves to a private address at connect time", async () => {
+  const lookup = guardedLookup([]);
+  const err = await new Promise((resolve) => lookup("localhost", { all: true }, (e) => resolve(e)));
+  assert.equal(err?.code, "EBLOCKEDHOST");
+  const ok = await new Promise((resolve) => guardedLookup(["localhost"])("localhost", {}, (e, address) => resolve({ e, address })));
+  assert.equal(ok.e, null);
+  assert.ok(ok.address);
+});
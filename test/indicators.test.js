@@ -0,0 +1,199 @@
+// EMA / SMA / VWAP / Awesome Oscillator / 5m indicator bundle / RSI / MACD / ATR series (scanner/indicators.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { nyWallTimeToMs } from "../scanner/session.js";
+import {
+  computeSMA,
+  computeEMA,
+  computeVWAP,
+  computeAwesomeOscillatorFrom5mBars,
+  indicatorsFromAggs5m,
+  smaSeries,
+  emaSeries,
+  rsiSeries,
+  macdSeries,
+  atrSeries,
+  aoSeries,
+  bollingerSeries,
+  macdCrossOf,
+} from "../scanner/indicators.js";
+
+const range = (a, b) => Array.from({ length: b - a + 1 }, (_, i) => a + i);
+
+// 5m bars, newest first (as fetchAggs5m returns them), median price = medians[i]
+const barsFromMedians = (mediansChrono) =>
+  mediansChrono.map((m, i) => ({ t: i * 300_000, h: m + 0.5, l: m - 0.5, c: m, v: 100 })).reverse();
+
+test("computeSMA: mean of the last len values", () => {
+  assert.equal(computeSMA([1, 2, 3, 4, 5], 3), 4);
+  assert.equal(computeSMA([1, 2, 3, 4, 5], 5), 3);
+  assert.equal(computeSMA([1, 2], 3), null);
+  assert.equal(computeSMA(null, 3), null);
+});
+
+test("computeEMA: SMA seed, then k = 2 / (len + 1)", () => {
+  // seed SMA(1,2,3)=2, k=0.5 -> 3, 4, 5, ... 9
+  assert.equal(computeEMA(range(1, 10), 3), 9);
+  assert.equal(computeEMA([7, 7, 7, 7, 7, 7], 4), 7);
+  assert.equal(computeEMA([1, 2], 3), null);
+  // matches the last point of the chart series
+  const xs = [3, 1, 4, 1, 5, 9, 2, 6, 5, 3, 5];
+  assert.ok(Math.abs(computeEMA(xs, 4) - emaSeries(xs, 4).at(-1)) < 1e-9);
+  assert.ok(Math.abs(computeSMA(xs, 4) - smaSeries(xs, 4).at(-1)) < 1e-9);
+});
+
+test("computeVWAP: volume weighted, skips bad / zero volume bars", () => {
+  assert.equal(computeVWAP([10, 20], [1, 3]), 17.5);
+  assert.equal(computeVWAP([10, 20, 99], [1, 3, 0]), 17.5);
+  assert.equal(computeVWAP([10, "x", 20], [1, 5, 3]), 17.5);
+  assert.equal(computeVWAP([10, 20], [0, 0]), null);
+  assert.equal(computeVWAP([10, 20], [1]), null);
+  assert.equal(computeVWAP([], []), null);
+});
+
+test("computeAwesomeOscillatorFrom5mBars: SMA5 - SMA34 of the newest median prices", () => {
+  // chronological medians 0..39 -> newest 5 avg 37, newest 34 avg 22.5
+  const { ao, aoPrev } = computeAwesomeOscillatorFrom5mBars(barsFromMedians(range(0, 39)));
+  assert.equal(ao, 14.5);
+  assert.equal(aoPrev, 14.5);
+
+  const down = computeAwesomeOscillatorFrom5mBars(barsFromMedians(range(0, 39).reverse()));
+  assert.equal(down.ao, -14.5);
+});
+
+test("computeAwesomeOscillatorFrom5mBars: reacts to the latest bars, not the oldest", () => {
+  // flat at 10 for 39 bars, then the newest bar jumps to 20
+  const medians = [...Array(39).fill(10), 20];
+  const { ao, aoPrev } = computeAwesomeOscillatorFrom5mBars(barsFromMedians(medians));
+  assert.equal(aoPrev, 0);
+  assert.equal(ao, Number((10 / 5 - 10 / 34).toFixed(2)));
+  assert.ok(ao > aoPrev);
+});
+
+test("computeAwesomeOscillatorFrom5mBars: needs 35 bars with high / low", () => {
+  assert.deepEqual(computeAwesomeOscillatorFrom5mBars(barsFromMedians(range(1, 33))), { ao: null, aoPrev: null });
+  assert.deepEqual(computeAwesomeOscillatorFrom5mBars(barsFromMedians(range(1, 34))), { ao: null, aoPrev: null });
+  const bars = barsFromMedians(range(1, 40)).map((b, i) => (i < 10 ? { ...b, h: undefined } : b));
+  assert.deepEqual(computeAwesomeOscillatorFrom5mBars(bars), { ao: null, aoPrev: null });
+  assert.deepEqual(computeAwesomeOscillatorFrom5mBars(null), { ao: null, aoPrev: null });
+});
+
+test("indicatorsFromAggs5m: newest-first bars -> EMA / SMA / VWAP / volume stats", () => {
+  const open = nyWallTimeToMs("2026-01-27", "09:30");
+  const barsDesc = range(1, 40)
+    .map((c) => ({ t: open + (c - 1) * 300_000, c, h: c + 1, l: c - 1, v: c === 40 ? 500 : 100 }))
+    .reverse();
+  const ind = indicatorsFromAggs5m(barsDesc, { volAvgLen: 20 });
+
+  assert.equal(ind.sma26_5m, 27.5); // avg of 15..40
+  assert.equal(ind.ema9_5m, 36); // linear series: EMA lags by (len-1)/2
+  assert.equal(ind.ema34_5m, 23.5);
+  assert.equal(ind.lastVol_5m, 500);
+  assert.equal(ind.avgVol_5m, 120); // (19*100 + 500) / 20
+  // all bars are in the regular session, HLC3 = close here
+  assert.equal(ind.vwap_5m, Number(((100 * 780 + 500 * 40) / (39 * 100 + 500)).toFixed(2))); // sum(1..39) = 780
+  assert.equal(ind.vwapRth_5m, ind.vwap_5m);
+  assert.equal(ind.vwapPre_5m, ind.vwap_5m);
+  assert.ok(ind.vwapRthSd_5m > 0);
+  assert.equal(ind._bars5m_forAwesomeOscillator.length, 40);
+
+  const empty = indicatorsFromAggs5m([]);
+  assert.equal(empty.ema9_5m, null);
+  assert.equal(empty.vwap_5m, null);
+  assert.equal(empty.vwapPre_5m, null);
+});
+
+test("indicatorsFromAggs5m: VWAP starts at today's anchor, not 600 bars back", () => {
+  const bar = (day, hhmm, c, v) => ({ t: nyWallTimeToMs(day, hhmm), o: c, h: c, l: c, c, v });
+  const barsDesc = [
+    bar("2026-01-26", "15:55", 50, 1_000_000), // yesterday: ignored by both anchors
+    bar("2026-01-27", "08:00", 10, 100),
+    bar("2026-01-27", "09:30", 20, 100),
+    bar("2026-01-27", "09:35", 30, 300),
+  ].reverse();
+  const ind = indicatorsFromAggs5m(barsDesc);
+  assert.equal(ind.vwapRth_5m, 27.5); // (20*100 + 30*300) / 400
+  assert.equal(ind.vwapPre_5m, 24); // (10*100 + 20*100 + 30*300) / 500
+  assert.equal(ind.vwap_5m, ind.vwapRth_5m);
+});
+
+test("rsiSeries: Wilder RSI — null warm-up, 100 on straight gains, 0 on losses, 50 when flat", () => {
+  const up = rsiSeries(range(1, 30), 14);
+  assert.equal(up[13], null);
+  assert.equal(up[14], 100);
+  assert.equal(rsiSeries(range(1, 30).reverse(), 14).at(-1), 0);
+  assert.equal(rsiSeries(Array(20).fill(5), 14).at(-1), 50);
+
+  // +2 / -1 alternating: average gain 1, average loss 0.5 after the seed -> RS 2 -> RSI 66.67
+  const zig = [10];
+  for (let i = 1; i < 200; i++) zig.push(zig[i - 1] + (i % 2 ? 2 : -1));
+  assert.ok(Math.abs(rsiSeries(zig, 14).at(-1) - 66.67) < 3);
+});
+
+test("macdSeries: zero on a flat series, EMA-lag difference on a linear one", () => {
+  const flat = macdSeries(Array(60).fill(3));
+  assert.equal(flat.macd.at(-1), 0);
+  assert.equal(flat.signal.at(-1), 0);
+  assert.equal(flat.hist.at(-1), 0);
+  assert.equal(flat.macd[24], null);
+  assert.equal(flat.signal[25 + 7], null); // signal needs 9 MACD values
+
+  // linear series: EMA(len) lags by (len-1)/2 -> MACD = (25 - 11) / 2 = 7
+  const lin = macdSeries(range(1, 400));
+  assert.ok(Math.abs(lin.macd.at(-1) - 7) < 0.01);
+  assert.ok(Math.abs(lin.hist.at(-1)) < 0.01);
+});
+
+test("atrSeries: true range includes gaps from the previous close", () => {
+  const bars = range(1, 20).map(() => ({ h: 11, l: 9, c: 10 }));
+  assert.equal(atrSeries(bars, 14)[12], null);
+  assert.equal(atrSeries(bars, 14).at(-1), 2);
+
+  const gap = [...bars, { h: 16, l: 15, c: 15.5 }]; // TR = 16 - 10 = 6
+  assert.ok(Math.abs(atrSeries(gap, 14).at(-1) - (2 * 13 + 6) / 14) < 1e-9);
+});
+
+test("aoSeries: last two values match computeAwesomeOscillatorFrom5mBars", () => {
+  const medians = range(1, 60).map((i) => 10 + Math.sin(i / 4) * 2);
+  const chrono = medians.map((m, i) => ({ t: i, h: m + 0.5, l: m - 0.5 }));
+  const ao = aoSeries(chrono);
+  const ref = computeAwesomeOscillatorFrom5mBars(barsFromMedians(medians));
+  assert.equal(Number(ao.at(-1).toFixed(2)), ref.ao);
+  assert.equal(Number(ao.at(-2).toFixed(2)), ref.aoPrev);
+  assert.equal(ao[32], null);
+});
+
+test("bollingerSeries: SMA ± 2 population σ", () => {
+  const bb = bollingerSeries([1, 2, 3, 4, 5], 5, 2);
+  assert.equal(bb.mid[3], null);
+  assert.equal(bb.mid[4], 3);
+  assert.ok(Math.abs(bb.upper[4] - (3 + 2 * Math.sqrt(2))) < 1e-9);
+  assert.ok(Math.abs(bb.lower[4] - (3 - 2 * Math.sqrt(2))) < 1e-9);
+  assert.equal(bollingerSeries(Array(25).fill(7)).upper.at(-1), 7);
+});
+
+test("macdCrossOf: side change within the last N bars", () => {
+  assert.equal(macdCrossOf([-0.2, -0.1, 0.05, 0.1], 3), "bull");
+  assert.equal(macdCrossOf([0.3, -0.1, -0.2, -0.3, -0.4], 3), null); // crossed 4 bars ago
+  assert.equal(macdCrossOf([0.3, -0.1, -0.2, -0.3, -0.4], 4), "bear");
+  assert.equal(macdCrossOf([null, null, 0.1], 3), null);
+  assert.equal(macdCrossOf([0.1, 0.2], 3), null);
+});
+
+test("indicatorsFromAggs5m: RSI / MACD / ATR / Bollinger fields on the 5m bundle", () => {
+  // rising closes (+1 per bar, 1.0 high-low range): RSI 100, MACD = EMA lag gap, price near the upper band
+  const barsDesc = range(1, 60)
+    .map((i) => ({ t: nyWallTimeToMs("2026-01-27", "09:30") + i * 300_000, h: i + 0.5, l: i - 0.5, c: i, v: 100 }))
+    .reverse();
+  const ind = indicatorsFromAggs5m(barsDesc);
+  assert.equal(ind.rsi14_5m, 100);
+  assert.equal(ind.macd_5m, 7); // (25 - 11) / 2
+  assert.equal(ind.macdCross_5m, null); // no recent cross on a straight line
+  assert.ok(Math.abs(ind.atr14_5m - 1.5) < 0.01); // true range = high - previous close = 1.5
+  assert.equal(ind.atrPct_5m, 2.5);
+  assert.equal(ind.bbMid_5m, 50.5); // mean of 41..60
+  assert.ok(ind.bbPctB_5m > 0.8 && ind.bbPctB_5m <= 1);
+
+  const empty = indicatorsFromAggs5m([]);
+  for (const k of ["rsi14_5m", "macd_5m", "macdCross_5m", "atr14_5m", "bbUpper_5m", "bbPctB_5m"]) assert.equal(empty[k], null, k);
+});
@@ -0,0 +1,94 @@
+// Dashboard layouts: box validation + URLs (scanner/layout.js), per-user storage with the built-in default (layouts.js).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateLayout, layoutSections, defaultLayoutBoxes, normalizeLayoutName, boxUrl } from "../scanner/layout.js";
+
+// layouts.js + db.js read their env at import time
+process.env.DB_PATH = ":memory:";
+process.env.LAYOUT_MAX_PER_USER = "2";
+process.env.LAYOUT_MAX_BOXES = "3";
+const { listLayouts, getLayout, saveLayout, deleteLayout } = await import("../layouts.js");
+
+test("defaultLayoutBoxes: the stock dashboard, same URLs and stream sections as before", () => {
+  const secs = layoutSections(defaultLayoutBoxes());
+  assert.deepEqual(secs.map((s) => s.id), ["pm_movers", "ah_movers", "gappers", "unusual", "most_active", "most_volatile", "important", "halts"]);
+  assert.equal(secs[2].url, "/list?group=topGappers&cap=all&limit=200&minGap=5");
+  assert.equal(secs[2].stream, "gappers");
+  assert.equal(secs[6].stream, false);
+  assert.equal(secs[6].hideSymbol, true);
+  assert.equal(secs[7].type, "halts");
+});
+
+test("validateLayout: section defaults, overrides, query-string params, errors per box", () => {
+  const v = validateLayout({
+    boxes: [
+      { section: "gappers", params: "group=topGappers&cap=small&minGap=8&minPrice=1", cols: 4, limit: 30, title: " Small gappers " },
+      { section: "gappers" },
+      { section: "gainers", source: "/top-movers", params: { direction: "up", limit: 100 }, sort: "active" },
+    ],
+  });
+  assert.equal(v.ok, true);
+  assert.deepEqual(v.boxes[0], {
+    section: "gappers",
+    title: "Small gappers",
+    source: "/list",
+    params: { group: "topGappers", cap: "small", minGap: "8", minPrice: "1" },
+    cols: 4,
+    limit: 30,
+    sort: "gapDesc",
+    hideSymbol: false,
+  });
+  assert.equal(boxUrl(v.boxes[2]), "/top-movers?direction=up&limit=100");
+
+  // duplicates get their own ids; only the untouched copy stays on /stream
+  const secs = layoutSections(v.boxes);
+  assert.deepEqual(secs.map((s) => [s.id, s.stream]), [["gappers", false], ["gappers_2", "gappers"], ["gainers", false]]);
+
+  const bad = validateLayout({
+    boxes: [{ section: "nope" }, { section: "halts", source: "/admin", params: { evil: 1 }, cols: 5, limit: 0, sort: "x" }],
+  });
+  assert.equal(bad.ok, false);
+  assert.match(bad.errors[0], /^boxes\[0\]\.section "nope" is not one of: pm_movers/);
+  assert.deepEqual(bad.errors.slice(1).map((e) => e.split(" ")[0]), [
+    "boxes[1].source",
+    "boxes[1].params.evil",
+    "boxes[1].cols",
+    "boxes[1].limit",
+    "boxes[1].sort",
+  ]);
+  assert.deepEqual(validateLayout({}).errors, ["boxes must be an array"]);
+  assert.deepEqual(validateLayout({ boxes: [] }).errors, ["boxes must not be empty"]);
+  assert.deepEqual(validateLayout({ boxes: [{ section: "halts" }, { section: "halts" }] }, { maxBoxes: 1 }).errors, ["at most 1 boxes per layout"]);
+});
+
+test("normalizeLayoutName: URL-safe names only", () => {
+  assert.equal(normalizeLayoutName(" Morning "), "morning");
+  assert.equal(normalizeLayoutName("small-caps_2"), "small-caps_2");
+  assert.equal(normalizeLayoutName("../x"), null);
+  assert.equal(normalizeLayoutName(""), null);
+});
+
+test("layouts.js: built-in default, save / replace / delete, per-user, limits", () => {
+  assert.deepEqual(listLayouts(1).body.results.map((l) => [l.name, l.builtin, l.boxCount]), [["default", true, 8]]);
+  assert.equal(getLayout(1, "default").body.layout.builtin, true);
+  assert.equal(getLayout(1, "morning").status, 404);
+
+  const boxes = [{ section: "gappers" }, { section: "halts", cols: 3 }];
+  const created = saveLayout(1, "Morning", { boxes });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.layout.name, "morning");
+  assert.equal(saveLayout(1, "morning", { boxes: boxes.slice(0, 1) }).status, 200);
+  assert.equal(getLayout(1, "morning").body.layout.boxes.length, 1);
+  assert.equal(getLayout(2, "morning").status, 404);
+
+  assert.equal(saveLayout(1, "bad name!", { boxes }).status, 400);
+  assert.deepEqual(saveLayout(1, "big", { boxes: [...boxes, ...boxes] }).body.detail, ["at most 3 boxes per layout"]);
+
+  // an own "default" shadows the built-in one until it is deleted
+  saveLayout(1, "default", { boxes });
+  assert.deepEqual(listLayouts(1).body.results.map((l) => [l.name, l.builtin]), [["default", false], ["morning", false]]);
+  assert.deepEqual(saveLayout(1, "third", { boxes }).body.detail, ["at most 2 layouts per user"]);
+  assert.deepEqual(deleteLayout(1, "default").body, { ok: true, deleted: "default" });
+  assert.equal(getLayout(1, "default").body.layout.builtin, true);
+  assert.equal(deleteLayout(1, "default").status, 404);
+});
@@ -0,0 +1,48 @@
+// LULD: message parsing and distance to the Limit Up / Limit Down bands (scanner/luld.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseLuldMessage, luldDistance } from "../scanner/luld.js";
+
+test("parseLuldMessage: bands, halt / resume / band kind, ns timestamp", () => {
+  const t = 1_769_526_300_000;
+  assert.deepEqual(parseLuldMessage({ ev: "LULD", T: "holo", h: 2.4, l: 2.1, i: [17], t: t * 1e6 }), {
+    symbol: "HOLO",
+    kind: "HALT",
+    indicators: [17],
+    limitUp: 2.4,
+    limitDown: 2.1,
+    exchangeTs: t,
+  });
+  assert.equal(parseLuldMessage({ ev: "LULD", T: "X", i: [18] }).kind, "RESUME");
+  const band = parseLuldMessage({ ev: "LULD", T: "X", h: null, l: 0 });
+  assert.deepEqual([band.kind, band.limitUp, band.limitDown, band.exchangeTs], ["BAND", null, null, null]);
+  assert.equal(parseLuldMessage({ ev: "AM", sym: "X" }), null);
+  assert.equal(parseLuldMessage({ ev: "LULD" }), null);
+});
+
+test("luldDistance: % to each band, nearest side, near flag, missing data", () => {
+  assert.deepEqual(luldDistance(10, { limitUp: 10.5, limitDown: 9 }, 5), {
+    luldUpper: 10.5,
+    luldLower: 9,
+    pctToLimitUp: 5,
+    pctToLimitDown: 10,
+    pctToBand: 5,
+    luldSide: "up",
+    nearLuldBand: true,
+  });
+  const down = luldDistance(9.1, { limitUp: 10.5, limitDown: 9 });
+  assert.equal(down.luldSide, "down");
+  assert.equal(down.nearLuldBand, true); // 1.1% <= default 2%
+
+  // price through the band (halted at the limit): distance 0, still "near"
+  const through = luldDistance(10.6, { limitUp: 10.5, limitDown: 9 });
+  assert.equal(through.pctToLimitUp, -0.94);
+  assert.equal(through.pctToBand, 0);
+  assert.equal(through.luldSide, "up");
+
+  for (const x of [luldDistance(null, { limitUp: 1, limitDown: 2 }), luldDistance(5, null)]) {
+    assert.equal(x.pctToBand, null);
+    assert.equal(x.luldSide, null);
+    assert.equal(x.nearLuldBand, false);
+  }
+});
@@ -0,0 +1,68 @@
+// Multi-timeframe indicator engine (scanner/mtf.js): tf / ind parsing, namespaced fields, bar windows.
+import test from "node:test";
+import assert from "node:assert/strict";
+import { nyWallTimeToMs } from "../scanner/session.js";
+import { emaSeries, smaSeries } from "../scanner/indicators.js";
+import {
+  parseTimeframe,
+  parseTimeframes,
+  parseIndicators,
+  timeframeFieldNames,
+  barsNeeded,
+  barWindow,
+  computeTimeframeIndicators,
+} from "../scanner/mtf.js";
+
+const range = (a, b) => Array.from({ length: b - a + 1 }, (_, i) => a + i);
+
+test("parseTimeframe(s): keys, minute aliases, unknowns reported", () => {
+  assert.equal(parseTimeframe("15m"), "15m");
+  assert.equal(parseTimeframe("60"), "1h");
+  assert.equal(parseTimeframe("Daily"), "1d");
+  assert.equal(parseTimeframe("constructor"), null);
+  assert.deepEqual(parseTimeframes("15m, 1h,60,4h"), { tfs: ["15m", "1h"], errors: ['unknown timeframe "4h" (use 1m, 5m, 15m, 1h, 1d)'] });
+});
+
+test("parseIndicators: default lengths, custom lengths, bad tokens", () => {
+  const { specs, errors } = parseIndicators("ema, ema20,SMA200,rsi,macd,vwap,ao,ema9");
+  assert.deepEqual(specs.map((s) => s.id), ["ema9", "ema20", "sma200", "rsi14", "macd", "vwap", "ao"]);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(parseIndicators("macd5,ema1,stoch").errors, [
+    "macd takes no length",
+    "ema length must be 2-400",
+    'unknown indicator "stoch" (use ema, sma, rsi, atr, macd, bb, vwap, ao)',
+  ]);
+  assert.deepEqual(timeframeFieldNames(specs.slice(3, 5), "1h"), ["rsi14_1h", "macd_1h", "macdSignal_1h", "macdHist_1h"]);
+  assert.equal(barsNeeded(specs), 200);
+});
+
+test("barWindow: regular sessions back from today, holidays skipped", () => {
+  // 1h x 40 bars = 2400 min -> 7 sessions before Monday: 27, 25, 24, 23, 20, 19, 18 (26 = Thanksgiving)
+  assert.deepEqual(barWindow("1h", 40, "2026-11-30"), { from: "2026-11-18", to: "2026-11-30" });
+  // Saturday -> counted from Friday's session
+  assert.deepEqual(barWindow("1d", 3, "2026-11-28"), { from: "2026-11-23", to: "2026-11-28" });
+  assert.deepEqual(barWindow("1m", 50, "2026-11-30"), { from: "2026-11-27", to: "2026-11-30" });
+});
+
+test("computeTimeframeIndicators: same math as the mini-chart series, any bar order", () => {
+  const bars = range(1, 80).map((i) => ({ t: nyWallTimeToMs("2026-01-27", "09:30") + i * 60_000, o: i, h: i + 1, l: i - 1, c: i, v: 100 }));
+  const specs = parseIndicators("ema9,sma26,rsi,macd,atr,vwap,ao").specs;
+  const out = computeTimeframeIndicators([...bars].reverse(), "15m", specs);
+
+  const closes = bars.map((b) => b.c);
+  assert.equal(out.ema9_15m, Number(emaSeries(closes, 9).at(-1).toFixed(2)));
+  assert.equal(out.sma26_15m, Number(smaSeries(closes, 26).at(-1).toFixed(2)));
+  assert.equal(out.rsi14_15m, 100);
+  assert.equal(out.atr14_15m, 2);
+  assert.ok(out.macd_15m > 0);
+  assert.equal(out.ao_15m, 14.5); // linear medians: SMA5 - SMA34 = (34 - 5) / 2
+  assert.equal(out.aoPrev_15m, 14.5);
+  assert.ok(out.vwap_15m > 0);
+
+  // daily bars have no session VWAP; too few bars -> null, never 0
+  const daily = computeTimeframeIndicators(bars.slice(0, 5), "1d", specs);
+  assert.equal(daily.vwap_1d, null);
+  assert.equal(daily.ema9_1d, null);
+  assert.equal(daily.macd_1d, null);
+  assert.deepEqual(Object.keys(computeTimeframeIndicators([], "1h", parseIndicators("ema9").specs)), ["ema9_1h"]);
+});
@@ -0,0 +1,164 @@
+// normalizeSnapshotAuto / findFirstNumberByKeys / AM rows (scanner/normalize.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  capCategory,
+  floatCategory,
+  findFirstNumberByKeys,
+  normalizeSnapshotAuto,
+  normalizeFromAMOnly,
+  mergeAMWithSnapshot,
+} from "../scanner/normalize.js";
+
+const POLYGON_TICKER = {
+  ticker: "abcl",
+  todaysChangePerc: 41.3462,
+  day: { o: 3.88, h: 4.49, l: 3.82, c: 4.4, v: 24600000 },
+  prevDay: { c: 3.12 },
+  lastTrade: { p: 4.41 },
+  floatShares: 8400000,
+};
+
+test("normalizeSnapshotAuto: Polygon ticker object (snapshot-all / movers row)", () => {
+  const r = normalizeSnapshotAuto("abcl", POLYGON_TICKER);
+  assert.equal(r.symbol, "ABCL");
+  assert.equal(r.price, 4.41); // lastTrade wins over day.c
+  assert.equal(r.open, 3.88);
+  assert.equal(r.prevClose, 3.12);
+  assert.equal(r.pricePct, 41.35);
+  assert.equal(r.gapPct, 24.36);
+  assert.equal(r.volume, 24600000);
+  assert.equal(r.floatM, 8.4);
+  assert.equal(r.floatCat, "nano");
+  // no marketCap in the snapshot -> price * float estimate
+  assert.equal(r.marketCap, Math.round(4.41 * 8400000));
+  assert.equal(r.cap, "small");
+});
+
+test("normalizeSnapshotAuto: single ticker response wrapped in results", () => {
+  const r = normalizeSnapshotAuto("ABCL", { status: "OK", results: POLYGON_TICKER });
+  assert.equal(r.price, 4.41);
+  assert.equal(r.gapPct, 24.36);
+});
+
+test("normalizeSnapshotAuto: flat shape with long field names", () => {
+  const r = normalizeSnapshotAuto("xyz", {
+    price: 10.5,
+    open: 10,
+    previousClose: 8,
+    volume: 1234.6,
+    marketCap: 12_500_000_000,
+  });
+  assert.equal(r.price, 10.5);
+  assert.equal(r.prevClose, 8);
+  assert.equal(r.pricePct, 31.25); // computed from price / prevClose
+  assert.equal(r.gapPct, 25);
+  assert.equal(r.volume, 1235);
+  assert.equal(r.marketCapB, 12.5);
+  assert.equal(r.cap, "big");
+  assert.equal(r.floatShares, null);
+});
+
+test("normalizeSnapshotAuto: alternative day / prev keys", () => {
+  const r = normalizeSnapshotAuto("ALT", {
+    todays: { open: 5, close: 6, volume: 100 },
+    previousDay: { close: 4 },
+    todaysChangePercent: 50,
+  });
+  assert.equal(r.price, 6); // no last trade -> day close
+  assert.equal(r.open, 5);
+  assert.equal(r.prevClose, 4);
+  assert.equal(r.pricePct, 50);
+  assert.equal(r.volume, 100);
+});
+
+test("normalizeSnapshotAuto: unknown nesting falls back to a key search", () => {
+  const r = normalizeSnapshotAuto("DEEP", {
+    payload: { quote: { last: "2.5", openPrice: 2, pc: 2, dayVolume: 900 }, stats: { sharesFloat: 15_000_000 } },
+  });
+  assert.equal(r.price, 2.5);
+  assert.equal(r.open, 2);
+  assert.equal(r.prevClose, 2);
+  assert.equal(r.pricePct, 25);
+  assert.equal(r.volume, 900);
+  assert.equal(r.floatCat, "low");
+});
+
+test("normalizeSnapshotAuto: empty / missing snapshot gives a null row", () => {
+  for (const snap of [null, undefined, {}, { results: {} }]) {
+    const r = normalizeSnapshotAuto(" aapl ", snap);
+    assert.equal(r.symbol, "AAPL");
+    for (const k of ["price", "open", "prevClose", "pricePct", "gapPct", "volume", "floatShares", "marketCap"]) {
+      assert.equal(r[k], null, `${k} should be null`);
+    }
+  }
+});
+
+test("findFirstNumberByKeys: breadth first, case-insensitive, numeric only", () => {
+  const obj = { a: { b: { price: 3 } }, Price: "not a number", c: { PRICE: "7" } };
+  // depth 1 "Price" is not numeric -> depth 2 { PRICE: "7" } is reached before depth 3 { price: 3 }
+  assert.equal(findFirstNumberByKeys(obj, ["price"]).value, 7);
+  assert.equal(findFirstNumberByKeys({ list: [{ v: 1 }, { v: 2 }] }, ["v"]).value, 1);
+  assert.equal(findFirstNumberByKeys({ x: { y: 1 } }, ["missing"]).value, null);
+  assert.equal(findFirstNumberByKeys(null, ["price"]).value, null);
+  assert.equal(findFirstNumberByKeys("price", ["price"]).value, null);
+});
+
+test("findFirstNumberByKeys: first listed key does not win over a shallower match", () => {
+  const obj = { close: 1, deep: { price: 2 } };
+  assert.equal(findFirstNumberByKeys(obj, ["price", "close"]).value, 1);
+});
+
+test("findFirstNumberByKeys: maxNodes caps the search", () => {
+  let obj = { price: 42 };
+  for (let i = 0; i < 20; i++) obj = { next: obj };
+  assert.equal(findFirstNumberByKeys(obj, ["price"], 5).value, null);
+  assert.equal(findFirstNumberByKeys(obj, ["price"]).value, 42);
+});
+
+test("capCategory / floatCategory buckets", () => {
+  assert.equal(capCategory(1_999_999_999), "small");
+  assert.equal(capCategory(2_000_000_000), "mid");
+  assert.equal(capCategory(10_000_000_000), "big");
+  assert.equal(capCategory(undefined), null);
+  assert.equal(floatCategory(9_999_999), "nano");
+  assert.equal(floatCategory(10_000_000), "low");
+  assert.equal(floatCategory(20_000_000), "mid");
+  assert.equal(floatCategory(50_000_000), "high");
+});
+
+test("normalizeFromAMOnly: minute aggregate -> row", () => {
+  const r = normalizeFromAMOnly("TSLA", { ev: "AM", sym: "TSLA", op: 240, c: 252, av: 1000.4, v: 10, s: 1769524200000, e: 1769524260000 });
+  assert.equal(r.price, 252);
+  assert.equal(r.open, 240);
+  assert.equal(r.extPct, 5);
+  assert.equal(r.volume, 1000); // accumulated volume first
+  assert.equal(r.am_ts, 1769524260000);
+  assert.equal(r.source, "AM_WebSocket");
+});
+
+test("mergeAMWithSnapshot: AM price + snapshot prevClose / open", () => {
+  const am = { price: 11, open: 9.5, volume: 500, extPct: 3, am_ts: 123 };
+  const snap = { symbol: "X", price: 10, open: 10.2, prevClose: 10, volume: 800, floatShares: 1e6 };
+  const r = mergeAMWithSnapshot(am, snap);
+  assert.equal(r.symbol, "X");
+  assert.equal(r.floatShares, 1e6);
+  assert.equal(r.price, 11);
+  assert.equal(r.open, 10.2); // snapshot open first
+  assert.equal(r.pricePct, 10);
+  assert.equal(r.gapPct, 2);
+  assert.equal(r.extPct, 10);
+  assert.equal(r.volume, 800); // max of both
+  assert.equal(r.am_ts, 123);
+  assert.equal(r.source, "AM_WebSocket_plus_Snapshot");
+});
+
+test("mergeAMWithSnapshot: no prevClose keeps AM / snapshot percentages", () => {
+  const r = mergeAMWithSnapshot({ price: 5, open: 4, extPct: 25, volume: 10 }, { pricePct: 7, gapPct: 3 });
+  assert.equal(r.price, 5);
+  assert.equal(r.open, 4); // AM minute open as fallback
+  assert.equal(r.pricePct, 7);
+  assert.equal(r.gapPct, 3);
+  assert.equal(r.extPct, 25);
+  assert.equal(r.volume, 10);
+});
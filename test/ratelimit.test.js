@@ -0,0 +1,210 @@
+// Rate limits: token buckets (scanner/ratelimit.js), the upstream budget in safeGet, 429 + Retry-After on the routes.
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createTokenBucket, createKeyedLimiter, createUpstreamBudget, fanoutCost } from "../scanner/ratelimit.js";
+import { startServer } from "./helpers/server.js";
+import { startUpstream } from "./helpers/upstream.js";
+
+// scanner/http.js reads its budget at import time
+process.env.UPSTREAM_BUDGET_PER_MIN = "60";
+process.env.UPSTREAM_BUDGET_BURST = "2";
+const { safeGet, upstreamBudget } = await import("../scanner/http.js");
+
+const T0 = 1_760_000_000_000;
+
+test("createTokenBucket: burst, refill, Retry-After", () => {
+  const b = createTokenBucket({ capacity: 3, refillPerSec: 0.5 }, T0);
+  assert.deepEqual(b.take(1, T0), { ok: true, remaining: 2, retryAfterSec: 0 });
+  assert.equal(b.take(2, T0).ok, true);
+  assert.deepEqual(b.take(1, T0), { ok: false, remaining: 0, retryAfterSec: 2 });
+  assert.equal(b.take(1, T0 + 2000).ok, true); // 2 s * 0.5/s = 1 token
+  assert.equal(b.available(T0 + 60_000), 3); // never above capacity
+  // a cost above capacity is charged as a full bucket: it fits once full, and Retry-After is the time to refill
+  assert.deepEqual(b.take(10, T0 + 60_000), { ok: true, remaining: 0, retryAfterSec: 0 });
+  assert.deepEqual(b.take(10, T0 + 60_000), { ok: false, remaining: 0, retryAfterSec: 6 });
+});
+
+test("createKeyedLimiter: one bucket per key, idle keys evicted first", () => {
+  const l = createKeyedLimiter({ capacity: 2, refillPerSec: 1, maxKeys: 2 });
+  assert.equal(l.take("a", 2, T0).ok, true);
+  assert.equal(l.take("a", 1, T0).ok, false);
+  assert.equal(l.take("b", 1, T0).ok, true); // own bucket
+  assert.equal(l.size(), 2);
+
+  // "a" refilled (idle) -> evicted for "c"; "b" keeps its state
+  l.take("c", 1, T0 + 5000);
+  assert.equal(l.size(), 2);
+  assert.equal(l.take("b", 2, T0 + 5000).ok, true);
+});
+
+test("createUpstreamBudget: unlimited at 0, counts usage over the last minute", () => {
+  const off = createUpstreamBudget({ perMin: 0 }, T0);
+  for (let i = 0; i < 5; i++) assert.equal(off.take(T0).ok, true);
+  assert.deepEqual(off.stats(T0), { enabled: false, perMin: null, burst: null, available: null, usedLastMin: 5, allowed: 5, rejected: 0 });
+
+  const b = createUpstreamBudget({ perMin: 60, burst: 2 }, T0);
+  assert.equal(b.take(T0).ok, true);
+  assert.equal(b.take(T0 + 10).ok, true);
+  assert.equal(b.check(T0 + 10).ok, false);
+  assert.equal(b.take(T0 + 20).ok, false);
+  assert.equal(b.check(T0 + 1500).ok, true);
+  assert.deepEqual(b.stats(T0 + 1500), { enabled: true, perMin: 60, burst: 2, available: 1, usedLastMin: 2, allowed: 2, rejected: 1 });
+  assert.equal(b.stats(T0 + 61_000).usedLastMin, 0);
+});
+
+test("fanoutCost: 1 per started 100 symbols", () => {
+  assert.equal(fanoutCost(0), 1);
+  assert.equal(fanoutCost(100), 1);
+  assert.equal(fanoutCost(101), 2);
+  assert.equal(fanoutCost(1000), 10);
+  assert.equal(fanoutCost("x"), 1);
+});
+
+test("safeGet: refuses calls once the upstream budget is empty (no request sent)", async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end("{}");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/x`;
+  try {
+    assert.equal((await safeGet(url, {})).ok, true);
+    assert.equal(hits, 1);
+
+    while (upstreamBudget.check().ok) upstreamBudget.take(); // drain (refills 1/s)
+    const rejected = upstreamBudget.stats().rejected;
+    const r = await safeGet(url, {});
+    assert.equal(r.ok, false);
+    assert.equal(r.status, 429);
+    assert.equal(r.errorDetail.kind, "budget");
+    assert.ok(r.errorDetail.retryAfterSec >= 1);
+    assert.equal(hits, 1);
+    assert.equal(upstreamBudget.stats().rejected, rejected + 1);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+describe("routes: per-caller limits", () => {
+  let srv;
+  before(async () => {
+    srv = await startServer({
+      DATA_PROVIDER: "mock",
+      MASSIVE_API_KEY: "",
+      ENABLE_5M_INDICATORS: "false",
+      ENABLE_RVOL: "false",
+      ENABLE_RATE_LIMIT: "true",
+      RATE_LIMIT_BURST: "4",
+      RATE_LIMIT_PER_MIN: "1",
+    });
+  });
+  after(async () => {
+    await srv?.stop();
+  });
+
+  test("bucket drains per request (cost grows with fan-out), then 429 + Retry-After", async () => {
+    const first = await srv.get("/list?group=topGainers&limit=50");
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get("x-ratelimit-limit"), "4");
+    assert.equal(first.headers.get("x-ratelimit-remaining"), "3");
+
+    const big = await srv.get("/scan?symbols=NVDA&max=250&limit=250");
+    assert.equal(big.status, 200);
+    assert.equal(big.headers.get("x-ratelimit-remaining"), "2"); // 1 symbol -> cost 1
+
+    assert.equal((await srv.get("/list?group=topGainers&limit=200")).headers.get("x-ratelimit-remaining"), "0"); // cost 2
+
+    const r = await srv.get("/list?group=topGainers&limit=5");
+    assert.equal(r.status, 429);
+    assert.equal(r.headers.get("retry-after"), "60");
+    assert.equal(r.body.error, "Rate limit exceeded");
+    assert.equal(r.body.detail.retryAfterSec, 60);
+
+    // only data routes are limited
+    const api = await srv.get("/api");
+    assert.equal(api.status, 200);
+    assert.deepEqual(api.body.config.rateLimit, { perMin: 1, burst: 4, callers: 1 });
+  });
+});
+
+describe("routes: cost follows the handler's clamps, capped at the burst", () => {
+  let srv;
+  before(async () => {
+    srv = await startServer({
+      DATA_PROVIDER: "mock",
+      MASSIVE_API_KEY: "",
+      ENABLE_5M_INDICATORS: "false",
+      ENABLE_RVOL: "false",
+      ENABLE_RATE_LIMIT: "true",
+      RATE_LIMIT_BURST: "3",
+      RATE_LIMIT_PER_MIN: "1",
+    });
+  });
+  after(async () => {
+    await srv?.stop();
+  });
+
+  test("?limit=5000 on /list is charged for its 200 rows; a fan-out above the burst costs the whole bucket", async () => {
+    const list = await srv.get("/list?group=topGainers&limit=5000");
+    assert.equal(list.status, 200);
+    assert.equal(list.headers.get("x-ratelimit-remaining"), "1"); // 200 rows -> cost 2, not 50
+
+    // 500 candidates -> cost 5 > burst 3: charged 3, so Retry-After is the time to refill 2 tokens
+    const r = await srv.get("/most-lately?limit=500");
+    assert.equal(r.status, 429);
+    assert.equal(r.body.detail.cost, 3);
+    assert.equal(r.headers.get("retry-after"), "120");
+  });
+
+  test("/backtest is charged like a default /scan per replayed time, before its own checks", async () => {
+    // 1 token left from the test above; one time = 200 symbols -> cost 2
+    const r = await srv.get("/backtest?times=09:45");
+    assert.equal(r.status, 429);
+    assert.equal(r.body.detail.cost, 2);
+
+    // 4 times -> cost 8 > burst 3
+    assert.equal((await srv.get("/backtest?source=bars.csv&times=09:45,10:00,10:15,10:30")).body.detail.cost, 3);
+  });
+});
+
+describe("routes: global upstream budget (massive provider -> mock HTTP upstream)", () => {
+  let upstream;
+  let srv;
+  before(async () => {
+    upstream = await startUpstream();
+    srv = await startServer({
+      ...upstream.env,
+      ENABLE_5M_INDICATORS: "false",
+      ENABLE_RVOL: "false",
+      UPSTREAM_BUDGET_PER_MIN: "1",
+      UPSTREAM_BUDGET_BURST: "3",
+    });
+  });
+  after(async () => {
+    await srv?.stop();
+    await upstream?.close();
+  });
+
+  test("fan-out stops at the budget, next request is 429 before any upstream call", async () => {
+    const r = await srv.get("/scan?symbols=NVDA,TSLA,AAPL,AMD,META");
+    assert.equal(r.status, 200);
+    assert.ok(r.body.results.some((x) => x.source === "SNAPSHOT_FAILED"));
+    const sent = upstream.requests.length;
+    assert.ok(sent <= 3, `upstream saw ${sent} calls`);
+
+    const again = await srv.get("/scan?symbols=NVDA");
+    assert.equal(again.status, 429);
+    assert.equal(again.body.error, "Upstream budget exhausted");
+    assert.ok(Number(again.headers.get("retry-after")) >= 1);
+    assert.equal(upstream.requests.length, sent);
+
+    const { upstreamBudget: b } = (await srv.get("/api")).body.config;
+    assert.equal(b.enabled, true);
+    assert.equal(b.perMin, 1);
+    assert.equal(b.usedLastMin, sent);
+    assert.ok(b.rejected >= 2);
+  });
+});
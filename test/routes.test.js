@@ -0,0 +1,735 @@
+// Every server.js route, end to end: server.js runs as a child process with
+// DATA_PROVIDER=massive pointed at the mock HTTP provider (test/helpers/upstream.js),
+// plus a recorded AM / LULD day (REPLAY_FILE) and a backtest CSV (BACKTEST_DIR).
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { nyWallTimeToMs } from "../scanner/session.js";
+import { startUpstream } from "./helpers/upstream.js";
+import { startServer } from "./helpers/server.js";
+
+const DAY = "2026-01-27";
+const at = (hhmm, day = DAY) => nyWallTimeToMs(day, hhmm);
+
+function am(sym, hhmm, { op, c, av }) {
+  const s = at(hhmm);
+  return { t: s + 60_000, m: { ev: "AM", sym, op, o: op, h: c, l: op, c, v: 10_000, av, s, e: s + 60_000 } };
+}
+function luld(sym, hhmm, i, { h = 5, l = 4 } = {}) {
+  return { t: at(hhmm), m: { ev: "LULD", T: sym, h, l, i, t: at(hhmm) * 1e6 } };
+}
+
+function writeFixtures(dir) {
+  const feed = [
+    am("ABCL", "08:00", { op: 3.5, c: 3.95, av: 900_000 }),
+    am("QBTS", "08:05", { op: 2.9, c: 3.1, av: 2_000_000 }),
+    am("NVDA", "10:00", { op: 133, c: 134, av: 40_000_000 }),
+    am("MARA", "17:00", { op: 17.3, c: 17.1, av: 400_000 }),
+    luld("HOLO", "10:05", [17], { h: 2.4, l: 2.1 }),
+    luld("MULN", "10:10", [17]),
+    luld("MULN", "10:15", [18], { h: 0.8, l: 0.6 }),
+  ];
+  fs.writeFileSync(path.join(dir, "feed.ndjson"), feed.map((x) => JSON.stringify(x)).join("\n") + "\n");
+
+  // one symbol, previous close on 01-26, RTH minute bars 09:30-10:30 on 01-27
+  const lines = ["symbol,t,o,h,l,c,v", `ABCL,2026-01-26 15:59,3.1,3.12,3.1,3.12,5000`];
+  for (let i = 0; i <= 60; i++) {
+    const hh = String(9 + Math.floor((30 + i) / 60)).padStart(2, "0");
+    const mm = String((30 + i) % 60).padStart(2, "0");
+    const c = (3.9 + i * 0.01).toFixed(2);
+    lines.push(`ABCL,${DAY} ${hh}:${mm},${c},${c},${c},${c},${10_000 + i * 100}`);
+  }
+  fs.writeFileSync(path.join(dir, "bars.csv"), lines.join("\n") + "\n");
+}
+
+async function waitFor(fn, { timeoutMs = 10_000, everyMs = 100 } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const x = await fn();
+    if (x) return x;
+    if (Date.now() > until) throw new Error("waitFor timed out");
+    await new Promise((r) => setTimeout(r, everyMs));
+  }
+}
+
+const symbols = (body) => body.results.map((r) => r.symbol);
+
+describe("server.js routes (massive provider -> mock HTTP upstream)", () => {
+  let up;
+  let srv;
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "algtp-routes-"));
+    writeFixtures(dir);
+    up = await startUpstream();
+    srv = await startServer({
+      ...up.env,
+      SCANNER_PROFILE: "pro",
+      ENABLE_SNAPSHOT_ALL: "false",
+      ENABLE_5M_INDICATORS: "true",
+      ENABLE_UI: "true",
+      IMPORTANT_SYMBOLS: "NVDA,ABCL",
+      REPLAY_FILE: path.join(dir, "feed.ndjson"),
+      REPLAY_SPEED: "max",
+      BACKTEST_DIR: dir,
+      STREAM_REFRESH_MS: "2000",
+      WEBHOOK_MAX_ATTEMPTS: "1",
+      WEBHOOK_ALLOW_HOSTS: "127.0.0.1", // the mock upstream records the POSTs
+    });
+    await waitFor(async () => (await srv.get("/replay")).body.done);
+  });
+
+  after(async () => {
+    await srv?.stop();
+    await up?.close();
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("GET / lists the endpoints, and none of them 404s or 500s", async () => {
+    const r = await srv.get("/");
+    assert.equal(r.status, 200);
+    assert.ok(r.body.endpoints.includes("/top-movers"));
+    for (const ep of r.body.endpoints) {
+      if (ep === "/stream") continue; // SSE never ends, covered below
+      const x = await srv.get(ep);
+      assert.ok(x.status < 500 && x.status !== 404, `${ep} -> ${x.status}`);
+    }
+  });
+
+  test("GET /api reports profile, provider and replay", async () => {
+    const { body } = await srv.get("/api");
+    assert.equal(body.ok, true);
+    assert.equal(body.config.profile, "pro");
+    assert.equal(body.config.dataProvider, "massive");
+    assert.equal(body.config.snapshotAllEnabled, false);
+    assert.equal(body.config.replay.fed, 7);
+    assert.equal(body.config.amCacheSize, 4);
+  });
+
+  test("GET /help, /ui, /ui/:preset", async () => {
+    const help = await srv.get("/help");
+    assert.equal(help.status, 200);
+    assert.match(help.body, /Data <code>massive<\/code>/);
+
+    const ui = await srv.get("/ui");
+    assert.equal(ui.status, 200);
+    assert.match(ui.type, /html/);
+    assert.match(ui.body, /const PRESET = null;/);
+    assert.match(ui.body, /id="marketPill"[^>]*>(🟢|🌅|🌙|⛔) /);
+
+    const one = await srv.get("/ui/gainers");
+    assert.equal(one.status, 200);
+    assert.match(one.body, /TOP GAINERS/);
+
+    const bad = await srv.get("/ui/nope");
+    assert.equal(bad.status, 404);
+    assert.ok(bad.body.detail.includes("gainers"));
+  });
+
+  test("GET /scan: snapshot + daily open + 5m indicators per symbol", async () => {
+    const { body } = await srv.get("/scan?symbols=nvda,ABCL,ZZZZ");
+    assert.equal(body.ok, true);
+    assert.equal(body.scanned, 3);
+    const bySym = Object.fromEntries(body.results.map((r) => [r.symbol, r]));
+
+    assert.equal(bySym.ABCL.price, 4.41);
+    assert.equal(bySym.ABCL.gapPct, 24.36);
+    assert.equal(bySym.ABCL.prevClose, 3.12);
+    assert.equal(typeof bySym.ABCL.ema9_5m, "number");
+    assert.equal(typeof bySym.ABCL.vwap_5m, "number");
+    assert.equal(bySym.ABCL.vwapAnchor_5m, "rth");
+    assert.equal(typeof bySym.ABCL.ao, "number");
+    assert.ok(bySym.ABCL.demandScore >= 3);
+    assert.equal(bySym.NVDA.cap, "big");
+    assert.equal(bySym.ZZZZ.source, "SNAPSHOT_FAILED");
+    // sorted by |Gap%|
+    assert.equal(body.results[0].symbol, "ABCL");
+
+    const defaults = await srv.get("/scan");
+    assert.deepEqual(symbols(defaults.body).sort(), ["ABCL", "NVDA"]);
+
+    const filtered = await srv.get("/scan?symbols=NVDA,ABCL&maxPrice=10");
+    assert.deepEqual(symbols(filtered.body), ["ABCL"]);
+
+    const rvolSorted = await srv.get("/scan?symbols=NVDA,ABCL,AMD&sort=rvol");
+    const rv = rvolSorted.body.results.map((r) => r.rvol ?? -Infinity);
+    assert.deepEqual(rv, [...rv].sort((a, b) => b - a));
+  });
+
+  test("GET /list: gainers / losers / gappers, cap and smart filters", async () => {
+    const g = await srv.get("/list?group=topGainers&cap=all&limit=50");
+    assert.equal(g.status, 200);
+    assert.ok(g.body.results.length > 0);
+    assert.ok(g.body.results.every((r) => r.pricePct > 0));
+
+    const l = await srv.get("/list?group=topLosers&cap=all&limit=50");
+    assert.ok(l.body.results.length > 0);
+    assert.ok(l.body.results.every((r) => r.pricePct < 0));
+
+    const gap = await srv.get("/list?group=topGappers&cap=all&limit=50&minGap=20");
+    assert.ok(gap.body.results.length > 0);
+    assert.ok(gap.body.results.every((r) => r.gapPct >= 20));
+
+    const big = await srv.get("/list?group=topGainers&cap=big&limit=50");
+    assert.ok(big.body.results.length > 0);
+    assert.ok(big.body.results.every((r) => r.cap === "big"));
+
+    const cheap = await srv.get("/list?group=topGainers&cap=all&limit=50&minPrice=1&maxPrice=5&minVol=20000000");
+    assert.deepEqual(symbols(cheap.body).sort(), ["ABCL", "QBTS"]);
+
+    // time-of-day RVOL on every row (value depends on the NY clock; baseline does not)
+    assert.ok(g.body.results.every((r) => "rvol" in r && r.rvolSessions === 10));
+    const byRvol = await srv.get("/list?group=topGainers&cap=all&limit=50&sort=rvol");
+    const rv = byRvol.body.results.map((r) => r.rvol ?? -Infinity);
+    assert.deepEqual(rv, [...rv].sort((a, b) => b - a));
+    const minRvol = await srv.get("/list?group=topGainers&cap=all&limit=50&minRVOL=0.5");
+    assert.ok(minRvol.body.results.every((r) => r.rvol >= 0.5));
+  });
+
+  test("GET /snapshot-all is 403 while ENABLE_SNAPSHOT_ALL is off", async () => {
+    const r = await srv.get("/snapshot-all");
+    assert.equal(r.status, 403);
+    assert.equal(r.body.ok, false);
+  });
+
+  test("GET /premarket and /aftermarket fall back to the (replayed) AM cache", async () => {
+    const pre = await srv.get("/premarket?cap=all&limit=50");
+    assert.equal(pre.body.source, "AM_FALLBACK");
+    assert.deepEqual(symbols(pre.body).sort(), ["ABCL", "QBTS"]);
+    const abcl = pre.body.results.find((r) => r.symbol === "ABCL");
+    assert.equal(abcl.source, "AM_WebSocket_plus_Snapshot");
+    assert.equal(abcl.gapPct, 24.36); // daily open / prevClose overwrite
+
+    const after = await srv.get("/aftermarket?cap=all&limit=50");
+    assert.deepEqual(symbols(after.body), ["MARA"]);
+  });
+
+  test("GET /movers-premarket and /movers-afterhours filter movers by snapshot time", async () => {
+    // fixture snapshots are stamped 10:00 NY (regular hours)
+    for (const p of ["/movers-premarket", "/movers-afterhours"]) {
+      const r = await srv.get(`${p}?limit=50`);
+      assert.equal(r.status, 200);
+      assert.equal(r.body.source, "massive_movers_list");
+      assert.deepEqual(r.body.results, []);
+    }
+  });
+
+  test("GET /most-active, /most-volatile, /most-lately, /unusual-volume", async () => {
+    const active = await srv.get("/most-active?cap=all&limit=50");
+    assert.equal(active.body.source, "MOVERS_UNION");
+    const vols = active.body.results.map((r) => r.volume);
+    assert.deepEqual(vols, [...vols].sort((a, b) => b - a));
+
+    const volatile = await srv.get("/most-volatile?cap=all&limit=50");
+    const moves = volatile.body.results.map((r) => Math.max(Math.abs(r.gapPct ?? 0), Math.abs(r.pricePct ?? 0), Math.abs(r.extPct ?? 0)));
+    assert.deepEqual(moves, [...moves].sort((a, b) => b - a));
+
+    const lately = await srv.get("/most-lately?cap=all&limit=50");
+    assert.equal(lately.body.ok, true);
+    assert.ok(lately.body.results.every((r) => "lastTsMs" in r));
+
+    const uv = await srv.get("/unusual-volume?cap=all&limit=50");
+    assert.equal(uv.status, 200);
+    assert.ok(Array.isArray(uv.body.results));
+    const uvR = await srv.get("/unusual-volume?cap=all&limit=50&sort=rvol");
+    const uvRv = uvR.body.results.map((r) => r.rvol ?? 0);
+    assert.deepEqual(uvRv, [...uvRv].sort((a, b) => b - a));
+  });
+
+  test("GET /top-movers: direction, limit and smart filters", async () => {
+    const all = await srv.get("/top-movers?direction=all&limit=80");
+    assert.equal(all.body.direction, "all");
+    assert.ok(all.body.results.some((r) => r.pricePct > 0) && all.body.results.some((r) => r.pricePct < 0));
+
+    const g = await srv.get("/top-movers?direction=gainers&limit=5");
+    assert.equal(g.body.results.length, 5);
+    assert.ok(g.body.results.every((r) => r.pricePct > 0));
+
+    const l = await srv.get("/top-movers?direction=losers&maxPrice=1");
+    assert.deepEqual(symbols(l.body).sort(), ["MULN", "SNAL"]);
+  });
+
+  test("GET /halts from replayed LULD messages", async () => {
+    const all = await srv.get("/halts");
+    assert.deepEqual(symbols(all.body).sort(), ["HOLO", "MULN"]);
+    const halted = await srv.get("/halts?only=halted");
+    assert.deepEqual(symbols(halted.body), ["HOLO"]);
+    assert.equal(halted.body.results[0].tsMs, at("10:05"));
+  });
+
+  test("GET /halts/history + /halts/stats from the stored LULD events", async () => {
+    const h = await srv.get(`/halts/history?from=${DAY}&to=${DAY}`);
+    assert.equal(h.status, 200);
+    assert.deepEqual(symbols(h.body), ["MULN", "HOLO"]);
+    const muln = h.body.results[0];
+    assert.equal(muln.haltedAt, at("10:10"));
+    assert.equal(muln.resumedAt, at("10:15"));
+    assert.equal(muln.durationSec, 300);
+    assert.deepEqual([muln.limitUp, muln.limitDown], [5, 4]);
+    assert.equal(h.body.results[1].halted, true);
+
+    const ev = await srv.get(`/halts/history?symbol=muln&from=${DAY}&to=${DAY}&type=events`);
+    assert.deepEqual(ev.body.results.map((e) => e.kind), ["RESUME", "HALT"]);
+    assert.equal(ev.body.results[1].exchangeTs, at("10:10"));
+
+    const st = await srv.get(`/halts/stats?from=${DAY}&to=${DAY}`);
+    assert.deepEqual(
+      st.body.results.map((r) => [r.symbol, r.day, r.halts, r.openHalts, r.avgDurationSec]),
+      [["HOLO", DAY, 1, 1, null], ["MULN", DAY, 1, 0, 300]]
+    );
+
+    assert.equal((await srv.get("/halts/history?from=yesterday")).status, 400);
+  });
+
+  test("GET /luld + LULD band fields on rows + near-band alert condition", async () => {
+    // HOLO 2.37 (snapshot) in 2.10 – 2.40, MULN 0.69 in 0.60 – 0.80 (RESUME message bands)
+    const near = await srv.get("/luld");
+    assert.equal(near.body.bands, 2);
+    assert.deepEqual(symbols(near.body), ["HOLO"]);
+    assert.deepEqual(
+      { ...near.body.results[0], luldTsMs: undefined },
+      { symbol: "HOLO", price: 2.37, luldUpper: 2.4, luldLower: 2.1, pctToLimitUp: 1.27, pctToLimitDown: 11.39, pctToBand: 1.27, luldSide: "up", nearLuldBand: true, luldTsMs: undefined, halted: true }
+    );
+    assert.deepEqual(symbols((await srv.get("/luld?within=20")).body), ["HOLO", "MULN"]);
+    assert.deepEqual(symbols((await srv.get("/luld?within=20&side=down")).body), ["MULN"]);
+
+    const rule = await srv.post("/alerts/rules", { name: "Near band", cooldownSec: 0, conditions: [{ field: "pctToBand", op: "<=", value: 2 }] });
+    assert.equal(rule.status, 201);
+    const { body } = await srv.get("/scan?symbols=HOLO,NVDA");
+    const bySym = Object.fromEntries(body.results.map((r) => [r.symbol, r]));
+    assert.equal(bySym.HOLO.luldUpper, 2.4);
+    assert.equal(bySym.HOLO.nearLuldBand, true);
+    assert.equal(bySym.NVDA.luldUpper, null);
+    assert.equal(bySym.NVDA.pctToBand, null);
+    // a row without a band never matches a numeric condition
+    const events = await srv.get(`/alerts/events?ruleId=${rule.body.rule.id}`);
+    assert.deepEqual(events.body.results.map((e) => e.symbol), ["HOLO"]);
+    assert.equal((await srv.del(`/alerts/rules/${rule.body.rule.id}`)).status, 200);
+  });
+
+  test("GET /market-status: clock now, single day via ?date=, bad date 400", async () => {
+    const now = await srv.get("/market-status");
+    assert.equal(now.status, 200);
+    assert.ok(["pre", "rth", "after", "off"].includes(now.body.session));
+    assert.equal(typeof now.body.label, "string");
+    assert.ok(now.body.nextOpenMs > Date.now() - 7 * 3_600_000);
+    assert.ok(Array.isArray(now.body.upcoming));
+
+    const day = await srv.get("/market-status?date=2026-11-26");
+    assert.equal(day.body.tradingDay, false);
+    assert.equal(day.body.holiday, "Thanksgiving Day");
+    assert.equal(day.body.previousTradingDay, "2026-11-25");
+    assert.equal((await srv.get("/market-status?date=2026-11-27")).body.hours.close, "13:00");
+    assert.equal((await srv.get("/market-status?date=Nov26")).status, 400);
+  });
+
+  test("GET /replay reports the finished replay", async () => {
+    const r = await srv.get("/replay");
+    assert.equal(r.body.enabled, true);
+    assert.equal(r.body.done, true);
+    assert.equal(r.body.fed, 7);
+    assert.equal(r.body.recordedToMs, at("17:00") + 60_000);
+  });
+
+  test("GET /mini-chart: OHLC + overlays, error without a symbol", async () => {
+    const r = await srv.get("/mini-chart?symbol=NVDA&tf=1");
+    assert.equal(r.body.ok, true);
+    assert.ok(r.body.ohlc.length > 30);
+    for (const k of ["ema9", "ema34", "sma26", "vwap", "vwapUpper1", "vwapLower1", "vwapUpper2", "vwapLower2", "bbUpper", "bbMid", "bbLower"]) {
+      assert.ok(Array.isArray(r.body.overlays[k]), k);
+    }
+    for (const k of ["rsi14", "macd", "macdSignal", "macdHist", "atr14"]) assert.ok(r.body.oscillators[k].length > 0, k);
+    assert.ok(r.body.oscillators.rsi14.every((p) => p.value >= 0 && p.value <= 100));
+    assert.ok(r.body.overlays.bbUpper.at(-1).value >= r.body.overlays.bbLower.at(-1).value);
+    assert.equal(r.body.vwapAnchor, "rth");
+    const i = r.body.overlays.vwap.length - 1;
+    assert.ok(r.body.overlays.vwapUpper1[i].value >= r.body.overlays.vwap[i].value);
+    assert.ok(r.body.overlays.vwapLower2[i].value <= r.body.overlays.vwapLower1[i].value);
+
+    const pre = await srv.get("/mini-chart?symbol=NVDA&tf=1&anchor=pre");
+    assert.equal(pre.body.vwapAnchor, "pre");
+
+    const bad = await srv.get("/mini-chart");
+    assert.equal(bad.body.ok, false);
+    assert.equal(bad.body.error, "symbol required");
+  });
+
+  test("GET /scan + /list ?tf=&ind=: indicator fields per timeframe; /mini-chart on engine timeframes", async () => {
+    const r = await srv.get("/scan?symbols=NVDA,TSLA&tf=15m,1d&ind=ema9,rsi14,macd");
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body.timeframes.tfs, ["15m", "1d"]);
+    assert.deepEqual(r.body.timeframes.indicators, ["ema9", "rsi14", "macd"]);
+    const nvda = r.body.results.find((x) => x.symbol === "NVDA");
+    for (const f of r.body.timeframes.fields) assert.ok(Object.hasOwn(nvda, f), f);
+    assert.equal(typeof nvda.ema9_15m, "number");
+    assert.equal(typeof nvda.rsi14_1d, "number");
+    assert.ok(up.requests.some((p) => p.includes("/aggs/ticker/NVDA/range/1/day/")));
+    assert.ok(up.requests.some((p) => p.includes("/aggs/ticker/NVDA/range/15/minute/")));
+
+    const list = await srv.get("/list?group=topGainers&limit=5&tf=1h&ind=sma5");
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.timeframes.fields, ["sma5_1h"]);
+    assert.ok(list.body.results.every((x) => Object.hasOwn(x, "sma5_1h")));
+
+    // 5m RSI / MACD / Bollinger on every row + ?rsiMin= filter
+    const osc = await srv.get("/scan?symbols=NVDA,TSLA");
+    for (const row of osc.body.results) for (const k of ["rsi14_5m", "macd_5m", "macdSignal_5m", "atr14_5m", "bbUpper_5m"]) assert.equal(typeof row[k], "number", k);
+    const hi = Math.max(...osc.body.results.map((x) => x.rsi14_5m));
+    assert.deepEqual(symbols((await srv.get(`/scan?symbols=NVDA,TSLA&rsiMin=${hi}`)).body), osc.body.results.filter((x) => x.rsi14_5m >= hi).map((x) => x.symbol));
+    assert.equal((await srv.get("/scan?symbols=NVDA,TSLA&rsiMin=101")).body.results.length, 0);
+
+    const bad = await srv.get("/scan?symbols=NVDA&tf=4h&ind=stoch");
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.detail.length, 2);
+    assert.equal((await srv.get("/list?tf=1m,5m,15m,1h")).status, 400); // MTF_MAX_TIMEFRAMES
+
+    const day = await srv.get("/mini-chart?symbol=NVDA&tf=1d");
+    assert.equal(day.body.ok, true);
+    assert.ok(day.body.ohlc.every((b, i, a) => i === 0 || b.time > a[i - 1].time));
+    assert.equal((await srv.get("/mini-chart?symbol=NVDA&tf=4h")).status, 400);
+  });
+
+  test("GET /stream pushes hello + the section rows", async () => {
+    const ac = new AbortController();
+    const r = await fetch(`${srv.base}/stream?sections=gappers,halts`, { signal: ac.signal });
+    assert.match(r.headers.get("content-type"), /text\/event-stream/);
+
+    const reader = r.body.getReader();
+    const dec = new TextDecoder();
+    let text = "";
+    try {
+      await waitFor(async () => {
+        const { value, done } = await reader.read();
+        if (value) text += dec.decode(value);
+        return done || (/event: hello/.test(text) && /"section":"halts"/.test(text) && /"section":"gappers"/.test(text));
+      });
+    } finally {
+      ac.abort();
+    }
+    assert.match(text, /event: hello/);
+    assert.match(text, /HOLO/);
+  });
+
+  test("/alerts: rule CRUD, validation and events fired by a scan", async () => {
+    const fields = await srv.get("/alerts/fields");
+    assert.equal(fields.body.fields.gapPct, "number");
+
+    const bad = await srv.post("/alerts/rules", { name: "x", conditions: [{ field: "nope", op: ">", value: 1 }] });
+    assert.equal(bad.status, 400);
+
+    const created = await srv.post("/alerts/rules", {
+      name: "Big gap",
+      cooldownSec: 0,
+      conditions: [{ field: "gapPct", op: ">=", value: 20, abs: true }],
+    });
+    assert.equal(created.status, 201);
+    const id = created.body.rule.id;
+
+    assert.equal((await srv.get(`/alerts/rules/${id}`)).body.rule.name, "Big gap");
+    assert.equal((await srv.get("/alerts/rules")).body.results.length, 1);
+
+    const patched = await srv.patch(`/alerts/rules/${id}`, { enabled: false });
+    assert.equal(patched.body.rule.enabled, false);
+    const put = await srv.put(`/alerts/rules/${id}`, {
+      name: "Big gap",
+      cooldownSec: 0,
+      conditions: [{ field: "gapPct", op: ">=", value: 20, abs: true }],
+    });
+    assert.equal(put.body.rule.enabled, true);
+
+    await srv.get("/scan?symbols=ABCL,NVDA");
+    const events = await srv.get(`/alerts/events?ruleId=${id}`);
+    assert.deepEqual(events.body.results.map((e) => e.symbol), ["ABCL"]);
+
+    assert.equal((await srv.del(`/alerts/rules/${id}`)).status, 200);
+    assert.equal((await srv.get(`/alerts/rules/${id}`)).status, 404);
+  });
+
+  test("/watchlists: seeded Default, CRUD + ordering, /scan?watchlist=<id>, UI picker", async () => {
+    const first = await srv.get("/watchlists");
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.results.map((w) => [w.name, w.symbolCount]), [["Default", 2]]);
+
+    const created = await srv.post("/watchlists", { name: "Smalls", symbols: "abcl,qbts" });
+    assert.equal(created.status, 201);
+    const id = created.body.watchlist.id;
+    assert.equal((await srv.post("/watchlists", { name: "Smalls" })).status, 409);
+    assert.equal((await srv.post("/watchlists", { name: "Bad", symbols: "NVDA,???" })).status, 400);
+
+    const added = await srv.post(`/watchlists/${id}/symbols`, { symbols: ["NVDA"], position: 0 });
+    assert.deepEqual(added.body.watchlist.symbols, ["NVDA", "ABCL", "QBTS"]);
+    const moved = await srv.patch(`/watchlists/${id}/symbols/qbts`, { position: 1 });
+    assert.deepEqual(moved.body.watchlist.symbols, ["NVDA", "QBTS", "ABCL"]);
+    assert.deepEqual((await srv.del(`/watchlists/${id}/symbols/QBTS`)).body.watchlist.symbols, ["NVDA", "ABCL"]);
+    assert.deepEqual((await srv.put(`/watchlists/${id}/symbols`, { symbols: "ABCL" })).body.watchlist.symbols, ["ABCL"]);
+    assert.deepEqual((await srv.get(`/watchlists/${id}/symbols`)).body.symbols, ["ABCL"]);
+
+    assert.equal((await srv.patch(`/watchlists/${id}`, { position: 0 })).body.watchlist.position, 0);
+    assert.deepEqual((await srv.get("/watchlists")).body.results.map((w) => w.name), ["Smalls", "Default"]);
+
+    const scan = await srv.get(`/scan?watchlist=${id}`);
+    assert.equal(scan.body.mode, "watchlist");
+    assert.equal(scan.body.watchlist, id);
+    assert.deepEqual(symbols(scan.body), ["ABCL"]);
+    assert.equal((await srv.get("/scan?watchlist=9999")).status, 404);
+
+    const ui = await srv.get("/ui");
+    assert.match(ui.body, /const WATCHLISTS_ON = true;/);
+    assert.match(ui.body, /id="watchlist"/);
+
+    assert.deepEqual((await srv.del(`/watchlists/${id}`)).body, { ok: true, deleted: id });
+    assert.equal((await srv.get(`/watchlists/${id}`)).status, 404);
+  });
+
+  test("/layouts: catalog, save, /ui?layout=<name> renders the boxes, own default, delete", async () => {
+    const cat = await srv.get("/layouts/catalog");
+    assert.ok(cat.body.sources.includes("/list"));
+    assert.equal(cat.body.sections.gappers.source, "/list");
+
+    const builtin = await srv.get("/ui");
+    assert.match(builtin.body, /"id":"pm_movers"/);
+    assert.match(builtin.body, /"stream":"gappers"/);
+
+    const boxes = [
+      { section: "gainers", params: "group=topGainers&cap=small&maxPrice=20", cols: 4, limit: 25, title: "<b>Cheap</b> gainers" },
+      { section: "halts", cols: 2 },
+    ];
+    const saved = await srv.put("/layouts/morning", { boxes });
+    assert.equal(saved.status, 201);
+    assert.equal((await srv.put("/layouts/morning", { boxes: [{ section: "nope" }] })).status, 400);
+    assert.deepEqual((await srv.get("/layouts")).body.results.map((l) => l.name), ["default", "morning"]);
+
+    const ui = await srv.get("/ui?layout=morning");
+    assert.equal(ui.status, 200);
+    assert.match(ui.body, /"url":"\/list\?group=topGainers&cap=small&maxPrice=20"/);
+    assert.match(ui.body, /\\u003cb>Cheap\\u003c\/b> gainers/); // user text cannot close the <script>
+    assert.doesNotMatch(ui.body, /"id":"pm_movers"/);
+    assert.equal((await srv.get("/ui?layout=nope")).status, 404);
+
+    // an own "default" replaces the stock dashboard on plain /ui
+    await srv.put("/layouts/default", { boxes });
+    assert.doesNotMatch((await srv.get("/ui")).body, /"id":"pm_movers"/);
+    assert.equal((await srv.del("/layouts/default")).status, 200);
+    assert.match((await srv.get("/ui")).body, /"id":"pm_movers"/);
+    assert.equal((await srv.del("/layouts/morning")).status, 200);
+  });
+
+  test("/screen: expression over movers / AM cache / watchlist / symbols, timeframe fields, errors", async () => {
+    const screen = (q, extra = "") => srv.get(`/screen?q=${encodeURIComponent(q)}${extra}`);
+
+    const movers = await screen("gapPct > 5 and price between 1 and 20 sort gapPct desc");
+    assert.equal(movers.status, 200);
+    assert.equal(movers.body.universe, "movers");
+    assert.equal(movers.body.source, "MOVERS_UNION");
+    assert.ok(movers.body.count > 0 && movers.body.count < movers.body.scanned);
+    assert.ok(movers.body.results.every((r) => r.gapPct > 5 && r.price >= 1 && r.price <= 20));
+    const gaps = movers.body.results.map((r) => r.gapPct);
+    assert.deepEqual(gaps, [...gaps].sort((a, b) => b - a));
+    assert.equal((await screen("sort volume asc", "&limit=2")).body.results.length, 2);
+
+    const am = await screen("volume > 1m sort symbol asc", "&universe=am");
+    assert.equal(am.body.source, "AM_FALLBACK");
+    assert.ok(am.body.count >= 2 && am.body.results.every((r) => r.volume > 1e6));
+    assert.deepEqual(symbols(am.body), symbols(am.body).sort());
+
+    const wl = await srv.post("/watchlists", { name: "Screened", symbols: "NVDA,ABCL" });
+    const id = wl.body.watchlist.id;
+    const byList = await screen("cap in ('big') or not aboveVWAP_5m or aboveVWAP_5m", `&watchlist=${id}`);
+    assert.equal(byList.body.universe, "watchlist");
+    assert.equal(byList.body.watchlist, id);
+    assert.deepEqual(symbols(byList.body).sort(), ["ABCL", "NVDA"]);
+    await srv.del(`/watchlists/${id}`);
+
+    const tf = await screen("rsi14_1d >= 0 and ema9_15m > 0 sort rsi14_1d", "&universe=symbols&symbols=NVDA,TSLA");
+    assert.equal(tf.status, 200);
+    assert.deepEqual(tf.body.timeframes.tfs, ["1d", "15m"]);
+    assert.deepEqual(symbols(tf.body).sort(), ["NVDA", "TSLA"]);
+
+    const bad = await screen("gapPc > 5");
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error, "Invalid screen");
+    assert.match(bad.body.detail[0], /unknown field "gapPc"/);
+    assert.equal((await screen("cap > 5")).status, 400);
+    assert.equal((await screen("ema9_1m > 0 and ema9_15m > 0 and ema9_1h > 0 and ema9_1d > 0")).status, 400); // MTF_MAX_TIMEFRAMES
+    assert.equal((await screen("", "&universe=nope")).status, 400);
+    assert.equal((await screen("", "&universe=watchlist")).status, 400);
+    assert.equal((await screen("", "&universe=snapshot")).status, 403); // ENABLE_SNAPSHOT_ALL=false
+
+    const fields = await srv.get("/screen/fields");
+    assert.equal(fields.body.fields.floatTurnoverPct, "number");
+    assert.ok(fields.body.universes.includes("watchlist"));
+  });
+
+  test("/screens: save, run as /screens/:slug with its columns, /ui/s/:slug page, PATCH, DELETE", async () => {
+    const saved = await srv.post("/screens", {
+      name: "Cheap gappers",
+      universe: "symbols",
+      symbols: "NVDA,ABCL,TSLA",
+      q: "price < 100 sort gapPct desc",
+      columns: "price,gapPct,ema9_15m",
+      refreshSec: 30,
+    });
+    assert.equal(saved.status, 201);
+    assert.equal(saved.body.screen.slug, "cheap-gappers");
+    assert.equal((await srv.post("/screens", { name: "Cheap gappers" })).body.screen.slug, "cheap-gappers-2");
+    assert.equal((await srv.post("/screens", { name: "x", slug: "cheap-gappers" })).status, 409);
+    assert.equal((await srv.post("/screens", { name: "x", q: "nope > 1" })).status, 400);
+
+    const run = await srv.get("/screens/cheap-gappers");
+    assert.equal(run.status, 200);
+    assert.equal(run.body.screen.name, "Cheap gappers");
+    assert.deepEqual(symbols(run.body), ["ABCL"]);
+    assert.equal(typeof run.body.results[0].ema9_15m, "number"); // timeframe column computed
+    assert.equal(run.body.results[0].price < 100, true);
+
+    const page = await srv.get("/ui/s/cheap-gappers");
+    assert.equal(page.status, 200);
+    assert.match(page.body, /"url":"\/screens\/cheap-gappers"/);
+    assert.match(page.body, /"columns":\["price","gapPct","ema9_15m"\]/);
+    assert.match(page.body, /const REFRESH_MS = 30000;/);
+    assert.equal((await srv.get("/ui/s/nope")).status, 404);
+
+    const renamed = await srv.patch("/screens/cheap-gappers", { slug: "abcl-only", q: "symbol == 'abcl'" });
+    assert.equal(renamed.body.screen.slug, "abcl-only");
+    assert.equal(renamed.body.screen.refreshSec, 30); // untouched fields kept
+    assert.equal((await srv.get("/screens/cheap-gappers")).status, 404);
+    assert.deepEqual((await srv.get("/screens")).body.results.map((x) => x.slug), ["abcl-only", "cheap-gappers-2"]);
+
+    assert.deepEqual((await srv.del("/screens/abcl-only")).body, { ok: true, deleted: "abcl-only" });
+    assert.equal((await srv.del("/screens/cheap-gappers-2")).status, 200);
+  });
+
+  test("?format=csv|tsv|ndjson: row routes download fixed columns with a header, errors stay JSON", async () => {
+    const csv = await srv.get("/list?group=topGainers&limit=5&format=csv");
+    assert.equal(csv.status, 200);
+    assert.match(csv.type, /^text\/csv/);
+    assert.match(csv.headers.get("content-disposition"), /attachment; filename="algtp-list-\d{8}-\d{4}\.csv"/);
+    const lines = csv.body.trimEnd().split("\r\n");
+    assert.equal(lines[0], "symbol,price,open,prevClose,pricePct,gapPct,extPct,volume,rvol,floatM,floatTurnoverPct,marketCapB,cap,vwap_5m,aboveVWAP_5m,ema9_5m,ema34_5m,rsi14_5m,macdHist_5m,atrPct_5m,demandScore,signalIcon,halted");
+    const json = await srv.get("/list?group=topGainers&limit=5");
+    assert.deepEqual(lines.slice(1).map((l) => l.split(",")[0]), symbols(json.body));
+    assert.equal(lines.every((l) => l.split(",").length === 23), true);
+
+    // raw fetch: the helper would JSON.parse an x-ndjson body
+    const nd = await fetch(srv.base + "/scan?symbols=NVDA,ABCL&format=ndjson&columns=symbol,price,ema9_15m&tf=15m&ind=ema9");
+    assert.match(nd.headers.get("content-type"), /^application\/x-ndjson/);
+    const objs = (await nd.text()).trim().split("\n").map((l) => JSON.parse(l));
+    assert.deepEqual(objs.map((o) => Object.keys(o)), [["symbol", "price", "ema9_15m"], ["symbol", "price", "ema9_15m"]]);
+    assert.equal(typeof objs[0].ema9_15m, "number");
+
+    const halts = await srv.get("/halts?format=tsv");
+    assert.match(halts.type, /^text\/tab-separated-values/);
+    assert.equal(halts.body.split("\r\n")[0], "symbol\thalted\tlastEvent\treason\ttsMs");
+
+    const saved = await srv.post("/screens", { name: "Export me", universe: "symbols", symbols: "NVDA", columns: "price,gapPct" });
+    assert.equal((await srv.get(`/screens/${saved.body.screen.slug}?format=csv`)).body.split("\r\n")[0], "symbol,price,gapPct");
+    const screen = await srv.get("/screen?universe=symbols&symbols=NVDA&q=rsi14_15m > 0 or price > 0&format=csv");
+    assert.match(screen.body.split("\r\n")[0], /,halted,rsi14_15m$/);
+    await srv.del(`/screens/${saved.body.screen.slug}`);
+
+    assert.deepEqual((await srv.get("/list?format=xlsx")).body, { ok: false, error: "Invalid query", detail: ["format must be one of: json, csv, tsv, ndjson"] });
+    assert.equal((await srv.get("/list?format=csv&columns=a-b")).status, 400);
+    const failed = await srv.get("/screen?q=nope > 1&format=csv");
+    assert.equal(failed.status, 400);
+    assert.equal(failed.body.error, "Invalid screen");
+  });
+
+  test("/webhooks: CRUD, test delivery to the upstream and the delivery log", async () => {
+    const bad = await srv.post("/webhooks", { name: "x", url: "ftp://nope" });
+    assert.equal(bad.status, 400);
+    // only the allowlisted local receiver may be private
+    for (const url of ["http://169.254.169.254/latest/meta-data", "http://localhost:9/x", "http://10.0.0.5/", "http://[::1]:9/"]) {
+      const r = await srv.post("/webhooks", { name: "x", url });
+      assert.equal(r.status, 400, url);
+      assert.match(r.body.detail[0], /loopback, private or link-local/);
+    }
+
+    const created = await srv.post("/webhooks", { name: "local", url: `${up.base}/hook`, format: "json", events: ["halt"] });
+    assert.equal(created.status, 201);
+    const id = created.body.webhook.id;
+
+    assert.equal((await srv.get(`/webhooks/${id}`)).body.webhook.url, `${up.base}/hook`);
+    assert.equal((await srv.patch(`/webhooks/${id}`, { name: "renamed" })).body.webhook.name, "renamed");
+    assert.equal((await srv.get("/webhooks")).body.results.length, 1);
+
+    const sent = await srv.post(`/webhooks/${id}/test`);
+    assert.equal(sent.status, 200);
+    assert.equal(sent.body.delivery.status, "delivered");
+    const hook = up.hooks.find((h) => h.path === "/hook");
+    assert.equal(hook.body.symbol, "TEST");
+
+    const log = await srv.get(`/webhooks/deliveries?webhookId=${id}`);
+    assert.equal(log.body.results[0].status, "delivered");
+
+    assert.equal((await srv.del(`/webhooks/${id}`)).status, 200);
+    assert.equal((await srv.get(`/webhooks/${id}`)).status, 404);
+  });
+
+  test("GET /backtest: CSV inside BACKTEST_DIR, path checks", async () => {
+    assert.equal((await srv.get("/backtest")).status, 400);
+    assert.equal((await srv.get("/backtest?source=../etc/passwd")).status, 400);
+    assert.equal((await srv.get("/backtest?source=missing.csv")).status, 404);
+
+    const r = await srv.get(`/backtest?source=bars.csv&times=09:45&dates=${DAY}&rows=1`);
+    assert.equal(r.status, 200);
+    assert.equal(r.body.ok, true);
+    assert.equal(r.body.samples, 1);
+    assert.equal(r.body.rows[0].symbol, "ABCL");
+  });
+
+  test("every upstream call carried the API key (no 401s reached a route)", () => {
+    assert.ok(up.requests.length > 0);
+    assert.ok(up.requests.some((p) => p.includes("/range/1/day/")));
+    assert.ok(up.requests.some((p) => p.includes("/range/5/minute/")));
+  });
+});
+
+describe("thin entries + offline mock provider", () => {
+  test("server-core.js on DATA_PROVIDER=mock: core profile, no UI, /list offline", async () => {
+    const srv = await startServer({ DATA_PROVIDER: "mock", MASSIVE_API_KEY: "" }, { entry: "server-core.js" });
+    try {
+      const api = await srv.get("/api");
+      assert.equal(api.body.config.profile, "core");
+      assert.equal(api.body.config.dataProvider, "mock");
+      assert.equal(api.body.config.indicators5mEnabled, false);
+      assert.equal(api.body.config.rvolEnabled, false);
+      assert.equal((await srv.get("/ui")).status, 404);
+
+      const l = await srv.get("/list?group=topGainers&cap=all&limit=5");
+      assert.equal(l.body.results[0].symbol, "ABCL");
+      assert.match(srv.log(), /HALT WebSocket disabled|running/);
+    } finally {
+      await srv.stop();
+    }
+  });
+
+  test("server-platform-v1.js on DATA_PROVIDER=mock: Snapshot-All routes", async () => {
+    const srv = await startServer({ DATA_PROVIDER: "mock", MASSIVE_API_KEY: "", ENABLE_5M_INDICATORS: "false" }, { entry: "server-platform-v1.js" });
+    try {
+      const all = await srv.get("/snapshot-all?cap=all&limit=50");
+      assert.equal(all.body.source, "SNAPSHOT_ALL");
+      assert.equal(all.body.results.length, 15);
+
+      const active = await srv.get("/most-active?cap=all&limit=10");
+      assert.equal(active.body.source, "SNAPSHOT_ALL");
+      assert.equal(active.body.results[0].symbol, "NVDA");
+
+      const screened = await srv.get(`/screen?universe=snapshot&q=${encodeURIComponent("price > 100 sort price desc")}`);
+      assert.equal(screened.body.source, "SNAPSHOT_ALL");
+      assert.ok(screened.body.count > 0);
+      assert.ok(screened.body.results.every((r, i, a) => r.price > 100 && (i === 0 || a[i - 1].price >= r.price)));
+    } finally {
+      await srv.stop();
+    }
+  });
+
+  test("missing provider ENV stops the server at boot", async () => {
+    await assert.rejects(
+      startServer({ DATA_PROVIDER: "massive", MASSIVE_API_KEY: "" }),
+      /Missing ENV for DATA_PROVIDER=massive[\s\S]*MASSIVE_API_KEY/
+    );
+  });
+});
@@ -0,0 +1,62 @@
+// Time-of-day RVOL: lookback range, cumulative baseline curve, ratio (scanner/rvol.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { nyWallTimeToMs } from "../scanner/session.js";
+import { nyMinuteOfDay, rvolLookbackRange, buildRvolBaseline, rvolBaselineAt, computeRVOL } from "../scanner/rvol.js";
+
+const bar = (day, hhmm, v) => ({ t: nyWallTimeToMs(day, hhmm), v });
+
+test("nyMinuteOfDay: NY wall clock minutes, DST aware", () => {
+  assert.equal(nyMinuteOfDay(nyWallTimeToMs("2026-01-27", "09:30")), 570);
+  assert.equal(nyMinuteOfDay(nyWallTimeToMs("2026-07-14", "09:30")), 570);
+  assert.equal(nyMinuteOfDay(nyWallTimeToMs("2026-01-27", "00:00")), 0);
+});
+
+test("rvolLookbackRange: ends yesterday, pads weekends / holidays", () => {
+  assert.deepEqual(rvolLookbackRange("2026-01-27", 10), { from: "2026-01-07", to: "2026-01-26" });
+  // across the March DST switch the dates stay whole NY days
+  assert.deepEqual(rvolLookbackRange("2026-03-09", 2), { from: "2026-03-01", to: "2026-03-08" });
+});
+
+test("buildRvolBaseline: average cumulative volume per 5m bucket, today excluded", () => {
+  const bars = [
+    bar("2026-01-22", "09:30", 999), // oldest: dropped by days=2
+    bar("2026-01-23", "04:00", 100),
+    bar("2026-01-23", "09:30", 1000),
+    bar("2026-01-26", "04:00", 300),
+    bar("2026-01-26", "09:35", 3000),
+    bar("2026-01-27", "09:30", 1e9), // today
+  ];
+  const b = buildRvolBaseline(bars, { days: 2, excludeYmd: "2026-01-27" });
+  assert.deepEqual(b.sessions, ["2026-01-23", "2026-01-26"]);
+  assert.equal(b.bucketMin, 5);
+  assert.equal(b.cum.length, 288);
+
+  const at = (hhmm) => Math.floor(nyMinuteOfDay(nyWallTimeToMs("2026-01-27", hhmm)) / 5);
+  assert.equal(b.cum[at("03:55")], 0);
+  assert.equal(b.cum[at("04:00")], 200); // (100 + 300) / 2
+  assert.equal(b.cum[at("09:30")], 700); // (1100 + 300) / 2
+  assert.equal(b.cum[at("09:35")], 2200); // (1100 + 3300) / 2
+  assert.equal(b.cum[287], 2200);
+
+  assert.equal(buildRvolBaseline([], { days: 5 }), null);
+  assert.equal(buildRvolBaseline([bar("2026-01-27", "09:30", 5)], { excludeYmd: "2026-01-27" }), null);
+});
+
+test("rvolBaselineAt: linear inside the current bucket", () => {
+  const b = { bucketMin: 5, cum: [0, 0, 100, 300] };
+  assert.equal(rvolBaselineAt(b, 10), 0); // start of bucket 2 = end of bucket 1
+  assert.equal(rvolBaselineAt(b, 12), 40);
+  assert.equal(rvolBaselineAt(b, 15), 100);
+  assert.equal(rvolBaselineAt(b, 99), 300); // past the curve -> full day
+  assert.equal(rvolBaselineAt(null, 10), null);
+});
+
+test("computeRVOL: today's volume / baseline, null while the baseline is noise", () => {
+  const b = { bucketMin: 5, cum: [0, 2000, 4000] };
+  assert.deepEqual(computeRVOL(6000, b, 10), { rvol: 3, rvolBaseline: 2000 });
+  assert.deepEqual(computeRVOL(1000, b, 15), { rvol: 0.25, rvolBaseline: 4000 });
+  assert.deepEqual(computeRVOL(6000, b, 7), { rvol: null, rvolBaseline: 800 });
+  assert.deepEqual(computeRVOL(null, b, 10), { rvol: null, rvolBaseline: 2000 });
+  assert.deepEqual(computeRVOL(100, null, 10), { rvol: null, rvolBaseline: null });
+});
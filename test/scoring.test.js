@@ -0,0 +1,163 @@
+// demandScore / icons / 5m signals / Volume-Float tiers / ranking + row filters
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  demandScore,
+  signalIcon,
+  paSignalIcon,
+  attach5mSignals,
+  volFloatTier,
+  attachVolFloat,
+  sortForPrepick,
+  sortGapFloatVolume,
+} from "../scanner/scoring.js";
+import { capPass, applySmartFilters, applySortParam, aoPass, rsiPass, macdPass, bbPass } from "../scanner/filters.js";
+
+test("demandScore: gap / move buckets + VWAP & volume spike, capped at 5", () => {
+  assert.equal(demandScore({}), 0);
+  assert.equal(demandScore({ gapPct: 20 }), 1);
+  assert.equal(demandScore({ gapPct: -45, pricePct: 10 }), 3);
+  assert.equal(demandScore({ gapPct: 60, pricePct: 25 }), 5);
+  assert.equal(demandScore({ gapPct: 60, pricePct: 25, aboveVWAP_5m: true, volSpike_5m: true }), 5);
+  assert.equal(demandScore({ extPct: 12, aboveVWAP_5m: true, volSpike_5m: true }), 2); // extPct when no pricePct
+});
+
+test("signalIcon / paSignalIcon", () => {
+  assert.deepEqual([5, 4, 3, 2, 0].map(signalIcon), ["🚀", "🔥", "👀", "⛔", "⛔"]);
+  assert.equal(paSignalIcon({ aboveVWAP_5m: true, volSpike_5m: true }), "🚨");
+  assert.equal(paSignalIcon({ aboveVWAP_5m: true }), "✅");
+  assert.equal(paSignalIcon({ volSpike_5m: true }), "🔊");
+  assert.equal(paSignalIcon({}), "");
+});
+
+test("attach5mSignals: price vs VWAP, last vs average volume", () => {
+  const r = attach5mSignals({ price: 10, vwap_5m: 9.5, lastVol_5m: 300, avgVol_5m: 200 }, { volSpikeMult: 1.5 });
+  assert.equal(r.aboveVWAP_5m, true);
+  assert.equal(r.volSpike_5m, true);
+  assert.equal(r.volRatio_5m, 1.5);
+  assert.equal(r.paIcon, "🚨");
+
+  const q = attach5mSignals({ price: 9, vwap_5m: 9.5, lastVol_5m: 299, avgVol_5m: 200 });
+  assert.equal(q.aboveVWAP_5m, false);
+  assert.equal(q.volSpike_5m, false);
+  assert.equal(attach5mSignals({ price: 9 }).volRatio_5m, null);
+});
+
+test("attach5mSignals: vwapAnchor picks the session VWAP + σ bands", () => {
+  const row = { price: 10, vwapRth_5m: 10.5, vwapRthSd_5m: 0.25, vwapPre_5m: 9, vwapPreSd_5m: 0.5 };
+
+  const rth = attach5mSignals(row);
+  assert.equal(rth.vwapAnchor_5m, "rth");
+  assert.equal(rth.vwap_5m, 10.5);
+  assert.equal(rth.aboveVWAP_5m, false);
+  assert.equal(rth.vwapUpper1_5m, 10.75);
+  assert.equal(rth.vwapLower2_5m, 10);
+  assert.equal(rth.vwapDev_5m, -2);
+
+  const pre = attach5mSignals(row, { vwapAnchor: "PRE" });
+  assert.equal(pre.vwap_5m, 9);
+  assert.equal(pre.aboveVWAP_5m, true);
+  assert.equal(pre.vwapUpper2_5m, 10);
+  assert.equal(pre.vwapDev_5m, 2);
+  assert.equal(pre.paIcon, "✅");
+
+  // unknown anchor -> rth; rows with only vwap_5m keep it (no bands)
+  assert.equal(attach5mSignals(row, { vwapAnchor: "x" }).vwap_5m, 10.5);
+  const legacy = attach5mSignals({ price: 10, vwap_5m: 9.5 });
+  assert.equal(legacy.vwap_5m, 9.5);
+  assert.equal(legacy.vwapUpper1_5m, null);
+});
+
+test("volFloatTier / attachVolFloat", () => {
+  assert.deepEqual(volFloatTier(1.4), { icon: "", label: null });
+  assert.equal(volFloatTier(1.5).label, "1.5x+");
+  assert.equal(volFloatTier(2).label, "2x");
+  assert.equal(volFloatTier(15).label, "15x+");
+  const r = attachVolFloat({ volume: 30_000_000, floatShares: 10_000_000 });
+  assert.equal(r.volFloatX, 3);
+  assert.equal(r.volFloatIcon, "🔥");
+  assert.equal(attachVolFloat({ volume: 1 }).volFloatX, null);
+});
+
+test("sortGapFloatVolume: |Gap%|, then Float Turnover%, then volume", () => {
+  const rows = [
+    { symbol: "A", gapPct: 10, floatTurnoverPct: 50, volume: 1 },
+    { symbol: "B", gapPct: -30, floatTurnoverPct: 1, volume: 1 },
+    { symbol: "C", gapPct: 10, floatTurnoverPct: 90, volume: 1 },
+    { symbol: "D", gapPct: 10, floatTurnoverPct: 90, volume: 5 },
+  ];
+  sortGapFloatVolume(rows);
+  assert.deepEqual(rows.map((r) => r.symbol), ["B", "D", "C", "A"]);
+});
+
+test("sortForPrepick: active / volatile / gap modes do not mutate input", () => {
+  const rows = [
+    { symbol: "A", volume: 5, gapPct: 1, pricePct: 30 },
+    { symbol: "B", volume: 9, gapPct: -20, pricePct: 0 },
+    { symbol: "C", volume: 1, gapPct: 5, extPct: -40 },
+  ];
+  assert.deepEqual(sortForPrepick(rows, "active").map((r) => r.symbol), ["B", "A", "C"]);
+  assert.deepEqual(sortForPrepick(rows, "volatile").map((r) => r.symbol), ["C", "A", "B"]);
+  assert.deepEqual(sortForPrepick(rows, "gap").map((r) => r.symbol), ["B", "C", "A"]);
+  assert.deepEqual(rows.map((r) => r.symbol), ["A", "B", "C"]);
+});
+
+test("capPass / applySmartFilters / aoPass", () => {
+  assert.equal(capPass({ cap: "small" }, "all"), true);
+  assert.equal(capPass({ cap: "small" }, "SMALL"), true);
+  assert.equal(capPass({ cap: "mid" }, "small"), false);
+
+  const rows = [
+    { symbol: "A", price: 2, volume: 100, rvol: 3 },
+    { symbol: "B", price: 25, volume: 5000, rvol: 1 },
+    { symbol: "C", price: null, volume: 9000 },
+  ];
+  assert.equal(applySmartFilters(rows, {}), rows);
+  assert.deepEqual(applySmartFilters(rows, { minPrice: "1", maxPrice: "20" }).map((r) => r.symbol), ["A"]);
+  assert.deepEqual(applySmartFilters(rows, { minVol: "1000" }).map((r) => r.symbol), ["B", "C"]);
+  assert.deepEqual(applySmartFilters(rows, { minRVOL: "2", maxPrice: "abc" }).map((r) => r.symbol), ["A"]);
+
+  assert.equal(aoPass({ ao: 0.1 }, "above_zero"), true);
+  assert.equal(aoPass({ ao: -0.1, aoPrev: -0.3 }, "rising"), true);
+  assert.equal(aoPass({ ao: -0.1 }, "rising"), false);
+  assert.equal(aoPass({}, "above_zero"), false);
+});
+
+test("rsiPass / macdPass / bbPass + ?rsiMin / ?macdCross / ?bb: missing indicators never pass", () => {
+  const rows = [
+    { symbol: "A", price: 10, rsi14_5m: 72, macd_5m: 0.2, macdSignal_5m: 0.1, macdCross_5m: "bull", bbUpper_5m: 9.5, bbLower_5m: 8 },
+    { symbol: "B", price: 10, rsi14_5m: 35, macd_5m: -0.1, macdSignal_5m: 0.05, macdCross_5m: "bear", bbUpper_5m: 11, bbLower_5m: 9 },
+    { symbol: "C", price: 10, rsi14_5m: null, macd_5m: null, macdCross_5m: null },
+  ];
+  assert.equal(rsiPass(rows[0], { min: 50 }), true);
+  assert.equal(rsiPass(rows[1], { min: 30, max: 40 }), true);
+  assert.equal(rsiPass(rows[2], { min: 0 }), false);
+  assert.equal(macdPass(rows[0], "bull"), true);
+  assert.equal(macdPass(rows[1], "below"), true);
+  assert.equal(macdPass(rows[2], "above"), false);
+  assert.equal(bbPass(rows[0], "above"), true);
+  assert.equal(bbPass(rows[1], "inside"), true);
+  assert.equal(bbPass(rows[2], "inside"), false);
+
+  const pick = (q) => applySmartFilters(rows, q).map((r) => r.symbol);
+  assert.deepEqual(pick({ rsiMin: "50" }), ["A"]);
+  assert.deepEqual(pick({ rsiMax: "50" }), ["B"]);
+  assert.deepEqual(pick({ macdCross: "bear" }), ["B"]);
+  assert.deepEqual(pick({ macd: "above" }), ["A"]);
+  assert.deepEqual(pick({ bb: "inside", minPrice: "5" }), ["B"]);
+  assert.deepEqual(applySortParam(rows, { sort: "rsi" }).map((r) => r.symbol), ["A", "B", "C"]);
+});
+
+test("applySortParam: ?sort=rvol ranks by RVOL, unknown keys keep the order", () => {
+  const rows = [
+    { symbol: "A", rvol: 1.2, volume: 10 },
+    { symbol: "B", rvol: null, volume: 999 },
+    { symbol: "C", rvol: 4.5, volume: 5 },
+    { symbol: "D", volume: 50 },
+    { symbol: "E", rvol: 1.2, volume: 20 },
+  ];
+  assert.deepEqual(applySortParam(rows, { sort: "RVOL" }).map((r) => r.symbol), ["C", "E", "A", "B", "D"]);
+  assert.equal(applySortParam(rows, { sort: "nope" }), rows);
+  assert.equal(applySortParam(rows, {}), rows);
+  assert.deepEqual(rows.map((r) => r.symbol), ["A", "B", "C", "D", "E"]); // not sorted in place
+});
@@ -0,0 +1,122 @@
+// Screener expression language: parse, type-check against the field catalog, evaluate + sort (scanner/screen.js).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileScreen, runScreen, resolveScreenField, validateScreenDefinition, slugifyScreenName, normalizeScreenSlug } from "../scanner/screen.js";
+
+const ROWS = [
+  { symbol: "AAA", gapPct: 12, floatM: 10, aboveVWAP_5m: true, price: 5, floatTurnoverPct: 30, cap: "small", volume: 2_500_000 },
+  { symbol: "BBB", gapPct: 25, floatM: 8, aboveVWAP_5m: true, price: 3, floatTurnoverPct: 90, cap: "micro", volume: 9_000_000 },
+  { symbol: "CCC", gapPct: null, floatM: 5, aboveVWAP_5m: true, price: 2, floatTurnoverPct: 10, cap: "nano", volume: 100_000 },
+  { symbol: "DDD", gapPct: 40, floatM: 50, aboveVWAP_5m: false, price: 12, floatTurnoverPct: null, cap: "small", volume: 700_000 },
+  { symbol: "EEE", gapPct: 15, floatM: 3, aboveVWAP_5m: true, price: 25, floatTurnoverPct: 5, cap: "big", volume: 40_000_000 },
+];
+const run = (q, opts) => {
+  const s = compileScreen(q);
+  assert.equal(s.ok, true, s.errors?.join("; "));
+  return runScreen(ROWS, s, opts).map((r) => r.symbol);
+};
+
+test("compileScreen: the request example -> AST, sort, fields", () => {
+  const s = compileScreen("gapPct > 10 and floatM < 20 and aboveVWAP_5m and price between 1 and 20 sort floatTurnoverPct desc");
+  assert.equal(s.ok, true);
+  assert.equal(s.where.type, "and");
+  assert.deepEqual(s.where.args.map((a) => a.type), ["cmp", "cmp", "field", "between"]);
+  assert.deepEqual(s.sort, [{ field: "floatTurnoverPct", dir: "desc" }]);
+  assert.deepEqual(s.fields, ["gapPct", "floatM", "aboveVWAP_5m", "price", "floatTurnoverPct"]);
+  assert.deepEqual(s.tf, { tfs: [], specs: [] });
+  assert.deepEqual(runScreen(ROWS, s).map((r) => r.symbol), ["BBB", "AAA"]);
+});
+
+test("runScreen: precedence, not / in / between, math, text, suffixes; null never passes", () => {
+  assert.deepEqual(run("gapPct > 20 or price < 3 and floatM < 6"), ["BBB", "CCC", "DDD"]);
+  assert.deepEqual(run("(gapPct > 20 or price < 3) and floatM < 6"), ["CCC"]);
+  assert.deepEqual(run("not gapPct > 12"), ["AAA", "CCC"]); // not flips a failed (null) test
+  assert.deepEqual(run("gapPct not between 12 and 25"), ["DDD"]);
+  assert.deepEqual(run("cap in ('SMALL', 'micro')"), ["AAA", "BBB", "DDD"]);
+  assert.deepEqual(run("cap not in ('small') and symbol != 'eee'"), ["BBB", "CCC"]);
+  assert.deepEqual(run("volume >= 2.5M and volume < 10m"), ["AAA", "BBB"]);
+  assert.deepEqual(run("abs(price - 4) <= 1 and -gapPct < -5"), ["AAA", "BBB"]);
+  assert.deepEqual(run("volume / floatM > 1000000"), ["BBB", "EEE"]);
+  assert.deepEqual(run("aboveVWAP_5m == false"), ["DDD"]);
+  assert.deepEqual(run(""), ["AAA", "BBB", "CCC", "DDD", "EEE"]);
+});
+
+test("runScreen: multi-key sort, nulls last, ties keep the universe order, limit", () => {
+  assert.deepEqual(run("sort floatTurnoverPct"), ["BBB", "AAA", "CCC", "EEE", "DDD"]);
+  assert.deepEqual(run("sort floatTurnoverPct asc"), ["EEE", "CCC", "AAA", "BBB", "DDD"]);
+  assert.deepEqual(run("sort cap asc, price desc"), ["EEE", "BBB", "CCC", "DDD", "AAA"]);
+  assert.deepEqual(run("price < 10 SORT gapPct DESC", { limit: 2 }), ["BBB", "AAA"]);
+});
+
+test("compileScreen: timeframe fields name the bars the route must add", () => {
+  const s = compileScreen("rsi14_15m > 70 and price > ema20_1h and macdHist_1h > 0 sort bbUpper_1d");
+  assert.equal(s.ok, true);
+  assert.deepEqual(s.tf.tfs, ["15m", "1h", "1d"]);
+  assert.deepEqual(s.tf.specs.map((x) => x.id), ["rsi14", "ema20", "macd", "bb"]);
+  // the standard 5m pipeline fields need no extra bars
+  assert.deepEqual(compileScreen("rsi14_5m > 70 and ema9_5m > 0").tf.tfs, []);
+  assert.deepEqual(resolveScreenField("aoPrev_1h"), { type: "number", tf: "1h", spec: { id: "ao", kind: "ao", len: null } });
+  assert.equal(resolveScreenField("ema_1h"), null);
+  assert.equal(resolveScreenField("ema9_4h"), null);
+  assert.equal(resolveScreenField("stoch14_1h"), null);
+});
+
+test("compileScreen: errors name the problem and the column", () => {
+  const err = (q) => compileScreen(q).errors?.[0];
+  assert.equal(err("gappct > 1"), 'unknown field "gappct" (did you mean gapPct?) at column 1');
+  assert.equal(err("gapPct >"), "expected a field or a value, got end of query at column 9");
+  assert.equal(err("price between 1"), 'expected "and", got end of query at column 16');
+  assert.equal(err("cap > 'small'"), '">" needs numbers, got a string at column 5');
+  assert.equal(err("cap == 5"), '"==" compares a string with a number at column 5');
+  assert.equal(err("price and halted"), '"and" needs a boolean, got a number at column 1');
+  assert.equal(err("price"), "the filter must be a test (e.g. gapPct > 5), not a plain value");
+  assert.equal(err("price > 1 sort"), "expected a field to sort by, got end of query at column 15");
+  assert.equal(err("price > 1 sort nope"), 'unknown field "nope" at column 16');
+  assert.equal(err("price > 1 volume"), 'unexpected "volume" at column 11');
+  assert.equal(err("symbol == 'abc"), "unterminated text at column 11");
+  assert.equal(err("price ; 1"), 'unexpected ";" at column 7');
+  assert.match(err("x".repeat(1001)), /longer than 1000/);
+  assert.match(err(Array(70).fill("price > 1").join(" and ")), /too long/);
+});
+
+test("validateScreenDefinition: defaults, columns from q, PATCH merge over a base, errors", () => {
+  const v = validateScreenDefinition({ name: " Gappers ", q: "gapPct > 10 and rsi14_15m < 70", shared: "true" });
+  assert.equal(v.ok, true);
+  assert.deepEqual(v.screen, {
+    name: "Gappers",
+    universe: "movers",
+    watchlist: null,
+    symbols: null,
+    cap: "all",
+    q: "gapPct > 10 and rsi14_15m < 70",
+    columns: ["price", "pricePct", "gapPct", "volume", "rvol", "floatM", "floatTurnoverPct", "vwap_5m", "rsi14_15m"],
+    limit: 100,
+    pool: 200,
+    refreshSec: null,
+    shared: true,
+  });
+
+  const merged = validateScreenDefinition({ universe: "symbols", symbols: "nvda, TSLA,nvda", columns: "price,ema20_1h", refreshSec: 0 }, v.screen);
+  assert.equal(merged.ok, true);
+  assert.deepEqual([merged.screen.name, merged.screen.symbols, merged.screen.columns, merged.screen.refreshSec], ["Gappers", ["NVDA", "TSLA"], ["price", "ema20_1h"], 0]);
+
+  const bad = validateScreenDefinition({ universe: "watchlist", cap: "huge", q: "nope > 1", columns: ["price", "x"], limit: 0, pool: 5, refreshSec: 2 });
+  assert.deepEqual(bad.errors, [
+    "name is required",
+    "watchlist must be a watchlist id (universe=watchlist)",
+    "cap must be one of: all, small, mid, big",
+    'q: unknown field "nope" at column 1',
+    'columns: unknown field "x"',
+    "limit must be an integer 1-500",
+    "pool must be an integer 10-500",
+    "refreshSec must be 0 (manual) or 5-3600",
+  ]);
+});
+
+test("screen slugs: derived from the name, URL-safe only", () => {
+  assert.equal(slugifyScreenName("Small caps > 10%!"), "small-caps-10");
+  assert.equal(slugifyScreenName("!!!"), "screen");
+  assert.equal(normalizeScreenSlug(" Morning-Gap "), "morning-gap");
+  assert.equal(normalizeScreenSlug("-x"), null);
+  assert.equal(normalizeScreenSlug("a/b"), null);
+});
@@ -0,0 +1,50 @@
+// Saved screens (screens.js): per-user SQLite storage, slug links, sharing read-only, limits.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// screens.js + db.js read their env at import time
+process.env.DB_PATH = ":memory:";
+process.env.SCREEN_MAX_PER_USER = "3";
+const { listScreens, getScreen, createScreen, updateScreen, deleteScreen } = await import("../screens.js");
+const { createWatchlist } = await import("../watchlists.js");
+
+test("screens.js: create with derived / explicit slugs, private vs shared, owner-only edits", () => {
+  const a = createScreen(1, { name: "Morning gap", q: "gapPct > 5" });
+  assert.equal(a.status, 201);
+  assert.equal(a.body.screen.slug, "morning-gap");
+  assert.equal(a.body.screen.readOnly, false);
+  assert.equal(createScreen(2, { name: "Morning gap", shared: true }).body.screen.slug, "morning-gap-2");
+  assert.equal(createScreen(2, { name: "x", slug: "morning-gap" }).status, 409);
+  assert.equal(createScreen(2, { name: "x", slug: "bad slug" }).status, 400);
+
+  // private: 404 for anyone else (no hint it exists); shared: readable, not writable
+  assert.equal(getScreen(2, "morning-gap").status, 404);
+  assert.equal(updateScreen(2, "morning-gap", { q: "" }).status, 404);
+  const shared = getScreen(1, "morning-gap-2");
+  assert.equal(shared.body.screen.readOnly, true);
+  assert.equal(shared.ownerId, 2);
+  assert.equal(updateScreen(1, "morning-gap-2", { q: "" }).status, 403);
+  assert.equal(deleteScreen(1, "morning-gap-2").status, 403);
+  assert.deepEqual(listScreens(1).body.results.map((s) => s.slug), ["morning-gap"]);
+
+  const renamed = updateScreen(1, "Morning-Gap", { slug: "am-gap", limit: 20 });
+  assert.equal(renamed.status, 200);
+  assert.deepEqual([renamed.body.screen.slug, renamed.body.screen.q, renamed.body.screen.limit], ["am-gap", "gapPct > 5", 20]);
+  assert.equal(getScreen(1, "morning-gap").status, 404);
+  assert.equal(updateScreen(1, "am-gap", { slug: "morning-gap-2" }).status, 409);
+  assert.deepEqual(updateScreen(1, "am-gap", { q: "gapPct >" }).body.detail, ["q: expected a field or a value, got end of query at column 9"]);
+
+  assert.deepEqual(deleteScreen(1, "am-gap").body, { ok: true, deleted: "am-gap" });
+  assert.equal(deleteScreen(1, "am-gap").status, 404);
+});
+
+test("screens.js: the watchlist must be the owner's, at most SCREEN_MAX_PER_USER", () => {
+  const wl = createWatchlist(5, { name: "Mine", symbols: "NVDA" }).body.watchlist;
+  assert.equal(createScreen(5, { name: "W", universe: "watchlist", watchlist: wl.id }).status, 201);
+  assert.deepEqual(createScreen(6, { name: "W", universe: "watchlist", watchlist: wl.id }).body.detail, [`watchlist ${wl.id} not found`]);
+
+  createScreen(5, { name: "two" });
+  createScreen(5, { name: "three" });
+  assert.deepEqual(createScreen(5, { name: "four" }).body.detail, ["at most 3 screens per user"]);
+  assert.equal(listScreens(5).body.count, 3);
+});
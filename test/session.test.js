@@ -0,0 +1,89 @@
+// NY session clock across DST (scanner/session.js)
+// 2026: DST starts Sun Mar 8 (02:00 -> 03:00), ends Sun Nov 1 (02:00 -> 01:00)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { toMs, nyHM, sessionOfMs, nyYMD, nyWallTimeToMs } from "../scanner/session.js";
+
+const utc = (s) => Date.parse(s);
+
+test("toMs: seconds / milliseconds / nanoseconds", () => {
+  assert.equal(toMs(1769524200), 1769524200000);
+  assert.equal(toMs(1769524200123), 1769524200123);
+  assert.equal(toMs(1769524200123456789), 1769524200123);
+  assert.equal(toMs("1769524200"), 1769524200000);
+  assert.equal(toMs(12345), null);
+  assert.equal(toMs(undefined), null);
+});
+
+test("nyHM: EST (UTC-5) and EDT (UTC-4)", () => {
+  assert.deepEqual(nyHM(utc("2026-01-27T14:30:00Z")), { h: 9, m: 30 });
+  assert.deepEqual(nyHM(utc("2026-07-15T13:30:00Z")), { h: 9, m: 30 });
+});
+
+test("nyHM: spring forward skips 02:xx", () => {
+  assert.deepEqual(nyHM(utc("2026-03-08T06:59:00Z")), { h: 1, m: 59 });
+  assert.deepEqual(nyHM(utc("2026-03-08T07:00:00Z")), { h: 3, m: 0 });
+});
+
+test("nyHM: fall back repeats 01:xx", () => {
+  assert.deepEqual(nyHM(utc("2026-11-01T05:30:00Z")), { h: 1, m: 30 }); // EDT
+  assert.deepEqual(nyHM(utc("2026-11-01T06:30:00Z")), { h: 1, m: 30 }); // EST
+});
+
+test("nyHM: midnight hour is 0", () => {
+  assert.deepEqual(nyHM(utc("2026-01-08T05:10:00Z")), { h: 0, m: 10 });
+  assert.deepEqual(nyHM(utc("2026-07-08T04:00:00Z")), { h: 0, m: 0 });
+});
+
+test("sessionOfMs: boundaries in winter time", () => {
+  assert.equal(sessionOfMs(utc("2026-01-08T08:59:00Z")), "off"); // 03:59
+  assert.equal(sessionOfMs(utc("2026-01-08T09:00:00Z")), "pre"); // 04:00
+  assert.equal(sessionOfMs(utc("2026-01-08T14:29:00Z")), "pre"); // 09:29
+  assert.equal(sessionOfMs(utc("2026-01-08T14:30:00Z")), "rth"); // 09:30
+  assert.equal(sessionOfMs(utc("2026-01-08T20:59:00Z")), "rth"); // 15:59
+  assert.equal(sessionOfMs(utc("2026-01-08T21:00:00Z")), "after"); // 16:00
+  assert.equal(sessionOfMs(utc("2026-01-09T00:59:00Z")), "after"); // 19:59
+  assert.equal(sessionOfMs(utc("2026-01-09T01:00:00Z")), "off"); // 20:00
+  assert.equal(sessionOfMs(utc("2026-01-08T05:30:00Z")), "off"); // 00:30
+});
+
+test("sessionOfMs: the open moves one UTC hour across spring forward", () => {
+  // Fri Mar 6 (EST): 09:30 = 14:30Z
+  assert.equal(sessionOfMs(utc("2026-03-06T13:30:00Z")), "pre");
+  assert.equal(sessionOfMs(utc("2026-03-06T14:30:00Z")), "rth");
+  // Mon Mar 9 (EDT): 09:30 = 13:30Z
+  assert.equal(sessionOfMs(utc("2026-03-09T13:29:00Z")), "pre");
+  assert.equal(sessionOfMs(utc("2026-03-09T13:30:00Z")), "rth");
+  assert.equal(sessionOfMs(utc("2026-03-09T20:00:00Z")), "after");
+});
+
+test("sessionOfMs: the close moves one UTC hour across fall back", () => {
+  // Fri Oct 30 (EDT): 16:00 = 20:00Z, 20:00 = 00:00Z
+  assert.equal(sessionOfMs(utc("2026-10-30T19:59:00Z")), "rth");
+  assert.equal(sessionOfMs(utc("2026-10-30T20:00:00Z")), "after");
+  assert.equal(sessionOfMs(utc("2026-10-31T00:00:00Z")), "off");
+  // Mon Nov 2 (EST): 16:00 = 21:00Z
+  assert.equal(sessionOfMs(utc("2026-11-02T20:30:00Z")), "rth");
+  assert.equal(sessionOfMs(utc("2026-11-02T21:00:00Z")), "after");
+  assert.equal(sessionOfMs(utc("2026-11-02T14:29:00Z")), "pre");
+});
+
+test("nyYMD / nyWallTimeToMs round trip across DST", () => {
+  assert.equal(nyYMD(utc("2026-01-28T03:00:00Z")), "2026-01-27"); // 22:00 NY
+  assert.equal(nyWallTimeToMs("2026-03-06", "09:30"), utc("2026-03-06T14:30:00Z"));
+  assert.equal(nyWallTimeToMs("2026-03-09", "09:30"), utc("2026-03-09T13:30:00Z"));
+  assert.equal(nyWallTimeToMs("2026-11-02", "16:00"), utc("2026-11-02T21:00:00Z"));
+  assert.equal(nyWallTimeToMs("bad-date"), null);
+});
+
+test("sessionOfMs: NYSE holidays are off, half days close at 13:00", () => {
+  // Thu Nov 26 2026 (Thanksgiving, EST): 10:00 = 15:00Z
+  assert.equal(sessionOfMs(utc("2026-11-26T15:00:00Z")), "off");
+  assert.equal(sessionOfMs(utc("2026-11-26T10:00:00Z")), "off"); // 05:00 premarket hour
+  // Fri Nov 27 2026 (half day): 12:59 rth, 13:00 after, 17:00 off
+  assert.equal(sessionOfMs(utc("2026-11-27T17:59:00Z")), "rth");
+  assert.equal(sessionOfMs(utc("2026-11-27T18:00:00Z")), "after");
+  assert.equal(sessionOfMs(utc("2026-11-27T22:00:00Z")), "off");
+  // Saturday
+  assert.equal(sessionOfMs(utc("2026-11-28T15:00:00Z")), "off");
+});
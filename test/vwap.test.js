@@ -0,0 +1,84 @@
+// Session-anchored VWAP: anchors across sessions / DST, HLC3, σ bands, series resets (scanner/vwap.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { nyWallTimeToMs } from "../scanner/session.js";
+import {
+  normalizeVwapAnchor,
+  vwapAnchorMs,
+  typicalPrice,
+  anchoredVWAP,
+  anchoredVWAPSeries,
+} from "../scanner/vwap.js";
+
+const at = (day, hhmm) => nyWallTimeToMs(day, hhmm);
+const bar = (day, hhmm, { h, l, c, v }) => ({ t: at(day, hhmm), h, l, c, v });
+
+test("normalizeVwapAnchor: rth | pre, anything else -> fallback", () => {
+  assert.equal(normalizeVwapAnchor("PRE"), "pre");
+  assert.equal(normalizeVwapAnchor(" rth "), "rth");
+  assert.equal(normalizeVwapAnchor("rolling"), "rth");
+  assert.equal(normalizeVwapAnchor(undefined, "pre"), "pre");
+});
+
+test("vwapAnchorMs: 09:30 / 04:00 of the bar's NY day (EST and EDT)", () => {
+  for (const day of ["2026-01-27", "2026-07-14", "2026-03-09", "2026-11-02"]) {
+    assert.equal(vwapAnchorMs(at(day, "10:15"), "rth"), at(day, "09:30"), day);
+    assert.equal(vwapAnchorMs(at(day, "09:30"), "rth"), at(day, "09:30"), day);
+    assert.equal(vwapAnchorMs(at(day, "17:00"), "rth"), at(day, "09:30"), day);
+    assert.equal(vwapAnchorMs(at(day, "10:15"), "pre"), at(day, "04:00"), day);
+  }
+  // before the bell the rth anchor falls back to the premarket open
+  assert.equal(vwapAnchorMs(at("2026-01-27", "09:29"), "rth"), at("2026-01-27", "04:00"));
+  // overnight -> NY midnight
+  assert.equal(vwapAnchorMs(at("2026-01-27", "03:00"), "pre"), at("2026-01-27", "00:00"));
+});
+
+test("typicalPrice: HLC3, close when high / low are missing", () => {
+  assert.equal(typicalPrice({ h: 12, l: 9, c: 9 }), 10);
+  assert.equal(typicalPrice({ c: 7 }), 7);
+  assert.equal(typicalPrice({ h: 1, l: 1 }), null);
+});
+
+test("anchoredVWAP: HLC3 from the anchor + volume-weighted σ", () => {
+  const bars = [
+    bar("2026-01-26", "15:55", { h: 100, l: 100, c: 100, v: 1e6 }),
+    bar("2026-01-27", "07:00", { h: 6, l: 6, c: 6, v: 100 }),
+    bar("2026-01-27", "09:30", { h: 12, l: 9, c: 9, v: 100 }), // tp 10
+    bar("2026-01-27", "09:35", { h: 14, l: 14, c: 11, v: 0 }), // no volume: skipped
+    bar("2026-01-27", "09:40", { h: 14, l: 14, c: 14, v: 100 }), // tp 14
+  ];
+
+  const rth = anchoredVWAP(bars, { anchor: "rth" });
+  assert.equal(rth.vwap, 12);
+  assert.equal(rth.sd, 2);
+  assert.equal(rth.bars, 2);
+  assert.equal(rth.anchorMs, at("2026-01-27", "09:30"));
+
+  const pre = anchoredVWAP(bars, { anchor: "pre" });
+  assert.equal(pre.vwap, 10); // (6 + 10 + 14) / 3
+  assert.equal(pre.bars, 3);
+
+  assert.deepEqual(anchoredVWAP([]), { vwap: null, sd: null, anchorMs: null, bars: 0 });
+  assert.equal(anchoredVWAP([{ t: at("2026-01-27", "10:00"), c: 5, v: 0 }]).vwap, null);
+});
+
+test("anchoredVWAPSeries: resets at each anchor, bands = vwap ± k·σ", () => {
+  const bars = [
+    bar("2026-01-26", "15:58", { h: 50, l: 50, c: 50, v: 100 }),
+    bar("2026-01-27", "09:29", { h: 6, l: 6, c: 6, v: 100 }),
+    bar("2026-01-27", "09:30", { h: 10, l: 10, c: 10, v: 100 }),
+    bar("2026-01-27", "09:31", { h: 14, l: 14, c: 14, v: 100 }),
+  ];
+
+  const rth = anchoredVWAPSeries(bars, { anchor: "rth" });
+  assert.deepEqual(rth.vwap, [50, 6, 10, 12]);
+  const one = rth.bands.find((b) => b.mult === 1);
+  const two = rth.bands.find((b) => b.mult === 2);
+  assert.deepEqual(one.upper, [50, 6, 10, 14]);
+  assert.deepEqual(two.lower, [50, 6, 10, 8]);
+
+  const pre = anchoredVWAPSeries(bars, { anchor: "pre" });
+  assert.deepEqual(pre.vwap, [50, 6, 8, 10]);
+
+  assert.deepEqual(anchoredVWAPSeries([]).vwap, []);
+});
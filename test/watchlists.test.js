@@ -0,0 +1,99 @@
+// Watchlists (watchlists.js): per-user CRUD, symbol parsing, ordering of lists and symbols.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// watchlists.js + db.js read their env at import time
+process.env.DB_PATH = ":memory:";
+process.env.WATCHLIST_MAX_LISTS = "3";
+process.env.WATCHLIST_MAX_SYMBOLS = "5";
+const {
+  parseWatchlistSymbols,
+  listWatchlists,
+  ensureDefaultWatchlist,
+  createWatchlist,
+  getWatchlistFor,
+  updateWatchlist,
+  deleteWatchlistFor,
+  setWatchlistSymbols,
+  addWatchlistSymbols,
+  moveWatchlistSymbol,
+  removeWatchlistSymbol,
+  watchlistSymbols,
+} = await import("../watchlists.js");
+
+const names = (userId) => listWatchlists(userId).body.results.map((w) => w.name);
+
+test("parseWatchlistSymbols: comma / space / newline lists, upper-cased, de-duplicated, bad tokens reported", () => {
+  assert.deepEqual(parseWatchlistSymbols("nvda, TSLA\nbrk.b;nvda"), { symbols: ["NVDA", "TSLA", "BRK.B"], errors: [] });
+  assert.deepEqual(parseWatchlistSymbols(["amd", " "]).symbols, ["AMD"]);
+  assert.deepEqual(parseWatchlistSymbols("NVDA,$$$").errors, ['invalid symbol "$$$"']);
+  assert.deepEqual(parseWatchlistSymbols(undefined), { symbols: [], errors: [] });
+});
+
+test("createWatchlist / ensureDefaultWatchlist: validation, name clash, per-user limit", () => {
+  const seeded = ensureDefaultWatchlist(1, "NVDA,TSLA", 1000);
+  assert.deepEqual([seeded.name, seeded.symbols], ["Default", ["NVDA", "TSLA"]]);
+  assert.equal(ensureDefaultWatchlist(1, "AMD"), null); // already has lists
+
+  assert.equal(createWatchlist(1, { name: " " }).status, 400);
+  assert.deepEqual(createWatchlist(1, { name: "Big", symbols: "A,B,C,D,E,F" }).body.detail, ["at most 5 symbols per watchlist"]);
+
+  const c = createWatchlist(1, { name: "Small caps", symbols: ["abcl", "qbts"] });
+  assert.equal(c.status, 201);
+  assert.deepEqual(c.body.watchlist.symbols, ["ABCL", "QBTS"]);
+  assert.equal(c.body.watchlist.position, 1);
+  assert.equal(createWatchlist(1, { name: "Small caps" }).status, 409);
+
+  createWatchlist(1, { name: "Third" });
+  assert.deepEqual(createWatchlist(1, { name: "Fourth" }).body.detail, ["at most 3 watchlists per user"]);
+  assert.deepEqual(names(1), ["Default", "Small caps", "Third"]);
+});
+
+test("lists are private to their owner", () => {
+  const mine = createWatchlist(2, { name: "Mine", symbols: "AAPL" }).body.watchlist;
+  assert.equal(getWatchlistFor(3, mine.id).status, 404);
+  assert.equal(updateWatchlist(3, mine.id, { name: "Stolen" }).status, 404);
+  assert.equal(deleteWatchlistFor(3, mine.id).status, 404);
+  assert.equal(addWatchlistSymbols(3, mine.id, { symbols: "TSLA" }).status, 404);
+  assert.equal(watchlistSymbols(3, mine.id), null);
+  assert.deepEqual(watchlistSymbols(2, mine.id), ["AAPL"]);
+  assert.deepEqual(names(3), []);
+  assert.equal(getWatchlistFor(2, "abc").status, 404);
+});
+
+test("updateWatchlist: rename, move among the user's lists, replace symbols; delete closes the gap", () => {
+  const [a, b, c] = ["A", "B", "C"].map((name) => createWatchlist(4, { name }).body.watchlist.id);
+
+  assert.equal(updateWatchlist(4, c, { position: 0 }).body.watchlist.position, 0);
+  assert.deepEqual(names(4), ["C", "A", "B"]);
+  updateWatchlist(4, c, { position: 99 }); // clamped to the end
+  assert.deepEqual(names(4), ["A", "B", "C"]);
+
+  assert.equal(updateWatchlist(4, a, { name: "B" }).status, 409);
+  assert.deepEqual(updateWatchlist(4, a, { position: "x" }).body.detail, ["position must be an integer"]);
+  const renamed = updateWatchlist(4, a, { name: "Alpha", symbols: "msft,aapl" }).body.watchlist;
+  assert.deepEqual([renamed.name, renamed.symbols], ["Alpha", ["MSFT", "AAPL"]]);
+
+  assert.deepEqual(deleteWatchlistFor(4, b).body, { ok: true, deleted: b });
+  assert.deepEqual(listWatchlists(4).body.results.map((w) => [w.name, w.position, w.symbolCount]), [["Alpha", 0, 2], ["C", 1, 0]]);
+});
+
+test("symbols: add at a position, skip duplicates, move, remove, PUT replaces in order", () => {
+  const id = createWatchlist(5, { name: "Order", symbols: "NVDA,TSLA" }).body.watchlist.id;
+
+  const added = addWatchlistSymbols(5, id, { symbols: "amd,tsla", position: 1 });
+  assert.deepEqual(added.body.added, ["AMD"]);
+  assert.deepEqual(added.body.watchlist.symbols, ["NVDA", "AMD", "TSLA"]);
+  assert.equal(addWatchlistSymbols(5, id, {}).status, 400);
+  assert.deepEqual(addWatchlistSymbols(5, id, { symbols: "A,B,C" }).body.detail, ["at most 5 symbols per watchlist"]);
+
+  assert.deepEqual(moveWatchlistSymbol(5, id, "tsla", { position: 0 }).body.watchlist.symbols, ["TSLA", "NVDA", "AMD"]);
+  assert.equal(moveWatchlistSymbol(5, id, "META", { position: 0 }).status, 404);
+
+  assert.deepEqual(removeWatchlistSymbol(5, id, "NVDA").body.watchlist.symbols, ["TSLA", "AMD"]);
+  assert.equal(removeWatchlistSymbol(5, id, "NVDA").status, 404);
+
+  assert.equal(setWatchlistSymbols(5, id, {}).status, 400);
+  assert.deepEqual(setWatchlistSymbols(5, id, { symbols: "META,AMD,TSLA" }).body.watchlist.symbols, ["META", "AMD", "TSLA"]);
+  assert.deepEqual(watchlistSymbols(5, id), ["META", "AMD", "TSLA"]);
+});
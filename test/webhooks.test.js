@@ -0,0 +1,155 @@
+// Outbound webhooks end to end: server.js (massive provider -> mock HTTP upstream + mock
+// WebSocket feed) delivers to the local receiver in webhook-stub.js. Payload formats,
+// retry / backoff / Retry-After, the delivery log, and the real event sources:
+// handleLULD halts, 🚀 rows and attach5mSignals volume spikes.
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { startServer } from "./helpers/server.js";
+import { startFeed } from "./helpers/feed.js";
+import { writeSignalFixtures } from "./helpers/signals.js";
+import { startWebhookStub } from "../webhook-stub.js";
+
+// scanner/mock.js (behind the mock upstream) reads MOCK_DATA_DIR at import time
+const dir = writeSignalFixtures(fs.mkdtempSync(path.join(os.tmpdir(), "algtp-webhooks-")));
+process.env.MOCK_DATA_DIR = dir;
+const { startUpstream } = await import("./helpers/upstream.js");
+
+describe("webhooks -> local stub receiver", () => {
+  let up;
+  let feed;
+  let stub;
+  let srv;
+
+  before(async () => {
+    up = await startUpstream();
+    feed = await startFeed();
+    stub = await startWebhookStub({ port: 0 });
+    srv = await startServer({
+      ...up.env,
+      ...feed.env,
+      ENABLE_5M_INDICATORS: "true",
+      ENABLE_RVOL: "false",
+      WEBHOOK_ALLOW_HOSTS: "127.0.0.1",
+      WEBHOOK_MAX_ATTEMPTS: "3",
+      WEBHOOK_BACKOFF_MS: "100",
+    });
+  });
+  after(async () => {
+    await srv?.stop();
+    await stub?.close();
+    await feed?.close();
+    await up?.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function hook(p, body = {}) {
+    const r = await srv.post("/webhooks", { name: p, url: `${stub.base}${p}`, ...body });
+    assert.equal(r.status, 201, JSON.stringify(r.body));
+    return r.body.webhook.id;
+  }
+  const sendTest = (id) => srv.post(`/webhooks/${id}/test`);
+  const at = (p) => stub.received.filter((r) => r.path === p);
+
+  test("discord, slack, telegram and custom payload shapes", async () => {
+    const ids = {
+      discord: await hook("/discord", { format: "discord" }),
+      slack: await hook("/slack", { format: "slack" }),
+      telegram: await hook("/telegram", { format: "telegram", chatId: "-1001" }),
+      custom: await hook("/custom", { format: "custom", template: { content: "{{symbol}} gap {{gapPct}}%", meta: { kind: "{{type}}" } } }),
+    };
+    for (const id of Object.values(ids)) assert.equal((await sendTest(id)).status, 200);
+
+    const [discord] = at("/discord");
+    assert.deepEqual(Object.keys(discord.body).sort(), ["content", "username"]);
+    assert.match(discord.body.content, /webhook test/);
+    assert.deepEqual(Object.keys(at("/slack")[0].body), ["text"]);
+    assert.deepEqual(at("/telegram")[0].body, { chat_id: "-1001", text: discord.body.content.replace("(/discord)", "(/telegram)"), disable_web_page_preview: true });
+    assert.deepEqual(at("/custom")[0].body, { content: "TEST gap 45.6%", meta: { kind: "test" } });
+  });
+
+  test("retry with backoff: a 5xx then a 2xx is delivered on the second attempt", async () => {
+    const id = await hook("/flaky", { format: "slack" });
+    stub.queue("/flaky", 503);
+    const r = await sendTest(id);
+    assert.equal(r.status, 200);
+    assert.deepEqual([r.body.delivery.status, r.body.delivery.attempts, r.body.delivery.httpStatus], ["delivered", 2, 200]);
+
+    const [first, second] = at("/flaky");
+    assert.deepEqual([first.status, second.status], [503, 200]);
+    assert.ok(second.at - first.at >= 90, `backoff ${second.at - first.at} ms`);
+  });
+
+  test("Retry-After is honored over the shorter backoff", async () => {
+    const id = await hook("/slow", { format: "slack" });
+    stub.queue("/slow", { status: 429, retryAfter: 1 });
+    const r = await sendTest(id);
+    assert.equal(r.body.delivery.status, "delivered");
+
+    const [first, second] = at("/slow");
+    assert.equal(first.status, 429);
+    assert.ok(second.at - first.at >= 950, `waited ${second.at - first.at} ms`);
+  });
+
+  test("gives up after WEBHOOK_MAX_ATTEMPTS; 4xx is not retried; the log keeps only the status", async () => {
+    const down = await hook("/down", { format: "slack" });
+    stub.queue("/down", 500, 500, 500);
+    const r = await sendTest(down);
+    assert.equal(r.status, 502);
+    assert.deepEqual([r.body.delivery.status, r.body.delivery.attempts, r.body.delivery.error], ["failed", 3, "HTTP 500"]);
+    assert.equal(at("/down").length, 3);
+
+    const gone = await hook("/gone", { format: "slack" });
+    stub.queue("/gone", 404);
+    const g = await sendTest(gone);
+    assert.deepEqual([g.body.delivery.status, g.body.delivery.attempts, g.body.delivery.error], ["failed", 1, "HTTP 404"]);
+
+    const log = await srv.get(`/webhooks/deliveries?webhookId=${gone}`);
+    assert.equal(log.body.results[0].error, "HTTP 404"); // nothing of the receiver's body
+  });
+
+  test("a HALT / RESUME from the LULD feed (handleLULD) reaches the hook", async () => {
+    const id = await hook("/halts", { format: "json", events: ["halt", "resume"] });
+    await feed.waitForSubscriber();
+
+    const ns = (ms) => ms * 1e6;
+    feed.send([{ ev: "LULD", T: "HALTX", h: 5.5, l: 4.5, i: [17], t: ns(Date.now()) }]);
+    const halt = await stub.waitFor((r) => r.path === "/halts" && r.body?.type === "halt");
+    assert.equal(halt.body.symbol, "HALTX");
+    assert.match(halt.body.message, /HALTED/);
+    assert.equal(halt.body.data.halted, true);
+
+    feed.send([{ ev: "LULD", T: "HALTX", h: 5.6, l: 4.6, i: [18], t: ns(Date.now()) }]);
+    const resume = await stub.waitFor((r) => r.path === "/halts" && r.body?.type === "resume");
+    assert.equal(resume.body.symbol, "HALTX");
+
+    const log = await srv.get(`/webhooks/deliveries?webhookId=${id}`);
+    assert.deepEqual(log.body.results.map((d) => [d.eventType, d.status]).sort(), [["halt", "delivered"], ["resume", "delivered"]]);
+  });
+
+  test("a 🚀 row from a scan reaches the hook", async () => {
+    await hook("/rocket", { format: "json", events: ["rocket"] });
+    assert.equal((await srv.get("/scan?symbols=ROKT,NVDA")).status, 200);
+
+    const ev = await stub.waitFor((r) => r.path === "/rocket");
+    assert.equal(ev.body.type, "rocket");
+    assert.equal(ev.body.symbol, "ROKT");
+    assert.equal(ev.body.data.signalIcon, "🚀");
+    assert.equal(ev.body.data.demandScore, 5);
+
+    // the same row again is not news
+    await srv.get("/scan?symbols=ROKT");
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(at("/rocket").length, 1);
+  });
+
+  test("a 5m volume spike (attach5mSignals) reaches the hook", async () => {
+    await hook("/spike", { format: "discord", events: ["volume_spike"] });
+    assert.equal((await srv.get("/scan?symbols=VOLX")).status, 200);
+
+    const ev = await stub.waitFor((r) => r.path === "/spike");
+    assert.match(ev.body.content, /VOLX 5m volume spike x6\.9/);
+  });
+});
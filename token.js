@@ -1,6 +1,6 @@
 // token.js
-require("dotenv").config();
-const crypto = require("crypto");
+import "dotenv/config";
+import crypto from "node:crypto";
 
 const ACCESS_SECRET = process.env.APP_ACCESS_SECRET;
 if (!ACCESS_SECRET) {
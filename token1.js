@@ -1,5 +1,5 @@
 // auth/token.js
-const crypto = require("crypto");
+import crypto from "node:crypto";
 
 function b64url(input) {
   return Buffer.from(input)
@@ -58,4 +58,4 @@ function verifyToken(token, secret) {
   }
 }
 
-module.exports = { makeToken, verifyToken };
+export { makeToken, verifyToken };
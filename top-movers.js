@@ -3,109 +3,21 @@
  * 🔥 ALGTP™ Top Movers - Standalone Script
  * ----------------------------------------------------------------------------
  * Quick command-line tool to fetch and display top market movers
- * (gainers/losers) using the Massive API
+ * (gainers/losers) from the configured data provider (scanner/providers.js,
+ * DATA_PROVIDER=massive|polygon|mock)
  * 
  * Usage:
  *   node top-movers.js           # Show top gainers
  *   node top-movers.js gainers   # Show top gainers
  *   node top-movers.js losers    # Show top losers
+ *   DATA_PROVIDER=mock node top-movers.js   # Offline, fixtures/mock
  * ============================================================================
  */
 
-import "dotenv/config";
-import axios from "axios";
+import { n, round2 } from "./scanner/util.js";
+import { selectProvider } from "./scanner/providers.js";
 
-// ============================================================================
-// CONFIG
-// ============================================================================
-const MASSIVE_API_KEY = String(process.env.MASSIVE_API_KEY || "").trim();
-const MASSIVE_AUTH_TYPE = String(process.env.MASSIVE_AUTH_TYPE || "query").trim();
-const MASSIVE_QUERY_KEYNAME = String(process.env.MASSIVE_QUERY_KEYNAME || "apiKey").trim();
-const MASSIVE_MOVER_URL = String(
-  process.env.MASSIVE_MOVER_URL || "https://api.massive.com/v2/snapshot/locale/us/markets/stocks"
-).trim();
-const INCLUDE_OTC = String(process.env.INCLUDE_OTC || "false").toLowerCase() === "true";
-
-// ============================================================================
-// HELPERS
-// ============================================================================
-function n(x) {
-  const v = Number(x);
-  return Number.isFinite(v) ? v : null;
-}
-
-function round2(x) {
-  const v = n(x);
-  return v === null ? null : Number(v.toFixed(2));
-}
-
-function auth(params = {}, headers = {}) {
-  const t = String(MASSIVE_AUTH_TYPE).toLowerCase();
-  if (t === "query") params[MASSIVE_QUERY_KEYNAME || "apiKey"] = MASSIVE_API_KEY;
-  else if (t === "xapi") headers["x-api-key"] = MASSIVE_API_KEY;
-  else if (t === "bearer") headers["authorization"] = `Bearer ${MASSIVE_API_KEY}`;
-  else params[MASSIVE_QUERY_KEYNAME || "apiKey"] = MASSIVE_API_KEY;
-
-  headers["user-agent"] =
-    headers["user-agent"] ||
-    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36";
-
-  return { params, headers };
-}
-
-// ============================================================================
-// FETCH MOVERS
-// ============================================================================
-async function fetchMovers(direction = "gainers") {
-  const d = String(direction || "gainers").toLowerCase().trim();
-  const directionSafe = d === "losers" ? "losers" : "gainers";
-
-  const base = MASSIVE_MOVER_URL.replace(/\/+$/, "");
-  const url = `${base}/${directionSafe}`;
-
-  const params = {};
-  const headers = {};
-  if (INCLUDE_OTC) params["include_otc"] = "true";
-  const a = auth(params, headers);
-
-  try {
-    const r = await axios.get(url, {
-      params: a.params,
-      headers: a.headers,
-      timeout: 25000,
-      validateStatus: () => true,
-    });
-
-    if (r.status >= 400) {
-      return {
-        ok: false,
-        error: `HTTP ${r.status}`,
-        url,
-        data: r.data,
-      };
-    }
-
-    const rows = Array.isArray(r.data?.tickers)
-      ? r.data.tickers
-      : Array.isArray(r.data?.results)
-      ? r.data.results
-      : Array.isArray(r.data?.data)
-      ? r.data.data
-      : [];
-
-    return {
-      ok: true,
-      url,
-      rows,
-    };
-  } catch (e) {
-    return {
-      ok: false,
-      error: e.message || String(e),
-      url,
-    };
-  }
-}
+const provider = selectProvider(process.env.DATA_PROVIDER);
 
 // ============================================================================
 // DISPLAY
@@ -207,9 +119,10 @@ function displayMovers(rows, direction) {
 // MAIN
 // ============================================================================
 async function main() {
-  // Check API key
-  if (!MASSIVE_API_KEY) {
-    console.error("❌ Error: MASSIVE_API_KEY not found in .env file");
+  // Check provider ENV (API key / fixture dir)
+  const missing = provider.envMissingFor();
+  if (missing.length) {
+    console.error(`❌ Error: missing ${missing.join(", ")} for DATA_PROVIDER=${provider.name}`);
     process.exit(1);
   }
 
@@ -220,12 +133,12 @@ async function main() {
   console.log(`\n⏳ Fetching ${validDirection}...`);
 
   // Fetch movers
-  const result = await fetchMovers(validDirection);
+  const result = await provider.fetchMovers(validDirection);
 
   if (!result.ok) {
-    console.error(`\n❌ Failed to fetch movers: ${result.error}`);
-    if (result.data) {
-      console.error("Response data:", JSON.stringify(result.data, null, 2).slice(0, 500));
+    console.error(`\n❌ Failed to fetch movers: ${result.errorDetail?.message || `HTTP ${result.status}`}`);
+    if (result.errorDetail) {
+      console.error("Detail:", JSON.stringify(result.errorDetail, null, 2).slice(0, 500));
     }
     process.exit(1);
   }
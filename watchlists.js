@@ -0,0 +1,275 @@
+// ============================================================================
+// 🔥 ALGTP™ — Watchlists (named, ordered symbol lists per user → SQLite)
+// Usage (server.js):  listWatchlists(userId) / createWatchlist(userId, body) / …  -> { ok, status, body }
+//                     watchlistSymbols(userId, id)  -> ["NVDA", …] | null   (/scan?watchlist=<id>)
+// ----------------------------------------------------------------------------
+// ENV:
+//   WATCHLIST_MAX_LISTS    lists per user (default 50)
+//   WATCHLIST_MAX_SYMBOLS  symbols per list (default 500)
+// userId is users.id, or 0 when ENABLE_AUTH=false (one shared set of lists).
+// Order: lists by position, symbols by position (both 0..n-1, rewritten on every
+// move so there are never gaps). Symbols are upper-cased and de-duplicated.
+// ============================================================================
+import "dotenv/config";
+import {
+  db,
+  listWatchlistsForUser,
+  getWatchlist,
+  getWatchlistByName,
+  insertWatchlist,
+  renameWatchlist,
+  setWatchlistPosition,
+  touchWatchlist,
+  deleteWatchlist,
+  listWatchlistSymbols,
+  insertWatchlistSymbol,
+  clearWatchlistSymbols,
+} from "./db.js";
+
+const WATCHLIST_MAX_LISTS = Math.max(1, Math.min(1000, Number(process.env.WATCHLIST_MAX_LISTS || 50)));
+const WATCHLIST_MAX_SYMBOLS = Math.max(1, Math.min(5000, Number(process.env.WATCHLIST_MAX_SYMBOLS || 500)));
+const NAME_MAX = 80;
+const SYMBOL_RE = /^[A-Z][A-Z0-9.\-]{0,11}$/;
+
+const notFound = () => ({ ok: false, status: 404, body: { ok: false, error: "Watchlist not found" } });
+const invalid = (detail) => ({ ok: false, status: 400, body: { ok: false, error: "Invalid watchlist", detail } });
+
+function parseWatchlistId(x) {
+  const id = Number(x);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// "NVDA, tsla\nAMD" | ["NVDA","tsla"] -> { symbols, errors } (order kept, duplicates dropped)
+function parseWatchlistSymbols(input) {
+  const tokens = Array.isArray(input) ? input : String(input ?? "").split(/[\s,;]+/);
+  const symbols = [];
+  const errors = [];
+  for (const t of tokens) {
+    const s = String(t ?? "").trim().toUpperCase();
+    if (!s) continue;
+    if (!SYMBOL_RE.test(s)) errors.push(`invalid symbol "${String(t).slice(0, 20)}"`);
+    else if (!symbols.includes(s)) symbols.push(s);
+  }
+  return { symbols, errors };
+}
+
+function parseName(x) {
+  const name = String(x ?? "").trim();
+  if (!name) return { errors: ["name is required"] };
+  if (name.length > NAME_MAX) return { errors: [`name must be at most ${NAME_MAX} characters`] };
+  return { name, errors: [] };
+}
+
+// position: integer index, clamped into 0..max
+function parsePosition(x, max) {
+  const p = Number(x);
+  if (!Number.isInteger(p)) return null;
+  return Math.max(0, Math.min(max, p));
+}
+
+function symbolsOf(id) {
+  return listWatchlistSymbols.all(id).map((r) => r.symbol);
+}
+
+function watchlistFromDb(w, { withSymbols = true } = {}) {
+  if (!w) return null;
+  const symbols = withSymbols ? symbolsOf(w.id) : undefined;
+  return {
+    id: w.id,
+    name: w.name,
+    position: w.position,
+    symbolCount: symbols ? symbols.length : w.symbol_count,
+    symbols,
+    createdAt: w.created_at,
+    updatedAt: w.updated_at,
+  };
+}
+
+// Rewrites the whole list (small: <= WATCHLIST_MAX_SYMBOLS rows), keeps added_at of symbols that stay
+const writeSymbols = db.transaction((id, symbols, now) => {
+  const addedAt = new Map(listWatchlistSymbols.all(id).map((r) => [r.symbol, r.added_at]));
+  clearWatchlistSymbols.run(id);
+  symbols.forEach((symbol, position) => insertWatchlistSymbol.run({ watchlist_id: id, symbol, position, added_at: addedAt.get(symbol) ?? now }));
+  touchWatchlist.run({ id, now });
+});
+
+const writeListOrder = db.transaction((userId, ids) => {
+  ids.forEach((id, position) => setWatchlistPosition.run({ id, user_id: userId, position }));
+});
+
+function tooManySymbols(count) {
+  return count > WATCHLIST_MAX_SYMBOLS ? [`at most ${WATCHLIST_MAX_SYMBOLS} symbols per watchlist`] : [];
+}
+
+function listWatchlists(userId) {
+  const results = listWatchlistsForUser.all(userId).map((w) => watchlistFromDb(w, { withSymbols: false }));
+  return { ok: true, status: 200, body: { ok: true, count: results.length, maxLists: WATCHLIST_MAX_LISTS, maxSymbols: WATCHLIST_MAX_SYMBOLS, results } };
+}
+
+// First visit: a "Default" list seeded with `symbols` (IMPORTANT_SYMBOLS) so the dashboard has something to show
+function ensureDefaultWatchlist(userId, symbols, now = Date.now()) {
+  if (listWatchlistsForUser.all(userId).length) return null;
+  const out = createWatchlist(userId, { name: "Default", symbols }, now);
+  return out.ok ? out.body.watchlist : null;
+}
+
+// body: { name, symbols? }
+function createWatchlist(userId, body = {}, now = Date.now()) {
+  const { name, errors } = parseName(body?.name);
+  const parsed = parseWatchlistSymbols(body?.symbols);
+  errors.push(...parsed.errors, ...tooManySymbols(parsed.symbols.length));
+  if (errors.length) return invalid(errors);
+
+  const existing = listWatchlistsForUser.all(userId);
+  if (existing.length >= WATCHLIST_MAX_LISTS) return invalid([`at most ${WATCHLIST_MAX_LISTS} watchlists per user`]);
+  if (getWatchlistByName.get({ user_id: userId, name })) {
+    return { ok: false, status: 409, body: { ok: false, error: "Watchlist name taken", detail: name } };
+  }
+
+  const info = insertWatchlist.run({ user_id: userId, name, position: existing.length, now });
+  const id = Number(info.lastInsertRowid);
+  if (parsed.symbols.length) writeSymbols(id, parsed.symbols, now);
+  return { ok: true, status: 201, body: { ok: true, watchlist: watchlistFromDb(getWatchlist.get({ id, user_id: userId })) } };
+}
+
+function getWatchlistFor(userId, rawId) {
+  const w = watchlistFromDb(getWatchlist.get({ id: parseWatchlistId(rawId), user_id: userId }));
+  if (!w) return notFound();
+  return { ok: true, status: 200, body: { ok: true, watchlist: w } };
+}
+
+// body: { name?, position?, symbols? } — position moves the list among the user's lists
+function updateWatchlist(userId, rawId, body = {}, now = Date.now()) {
+  const id = parseWatchlistId(rawId);
+  const w = getWatchlist.get({ id, user_id: userId });
+  if (!w) return notFound();
+
+  const errors = [];
+  let name = null;
+  if (body?.name !== undefined) {
+    const p = parseName(body.name);
+    errors.push(...p.errors);
+    name = p.name ?? null;
+    const clash = name && getWatchlistByName.get({ user_id: userId, name });
+    if (clash && clash.id !== id) return { ok: false, status: 409, body: { ok: false, error: "Watchlist name taken", detail: name } };
+  }
+
+  const lists = listWatchlistsForUser.all(userId).map((x) => x.id);
+  let position = null;
+  if (body?.position !== undefined) {
+    position = parsePosition(body.position, lists.length - 1);
+    if (position === null) errors.push("position must be an integer");
+  }
+
+  let symbols = null;
+  if (body?.symbols !== undefined) {
+    const parsed = parseWatchlistSymbols(body.symbols);
+    errors.push(...parsed.errors, ...tooManySymbols(parsed.symbols.length));
+    symbols = parsed.symbols;
+  }
+  if (errors.length) return invalid(errors);
+
+  if (name && name !== w.name) renameWatchlist.run({ id, user_id: userId, name, now });
+  if (position !== null) {
+    const order = lists.filter((x) => x !== id);
+    order.splice(position, 0, id);
+    writeListOrder(userId, order);
+  }
+  if (symbols) writeSymbols(id, symbols, now);
+  return getWatchlistFor(userId, id);
+}
+
+function deleteWatchlistFor(userId, rawId) {
+  const id = parseWatchlistId(rawId);
+  const info = deleteWatchlist.run({ id, user_id: userId });
+  if (!info.changes) return notFound();
+  writeListOrder(userId, listWatchlistsForUser.all(userId).map((x) => x.id));
+  return { ok: true, status: 200, body: { ok: true, deleted: id } };
+}
+
+// PUT /watchlists/:id/symbols — body { symbols } replaces the list in the given order (also how a client reorders)
+function setWatchlistSymbols(userId, rawId, body = {}, now = Date.now()) {
+  if (body?.symbols === undefined) return invalid(["symbols is required"]);
+  return updateWatchlist(userId, rawId, { symbols: body.symbols }, now);
+}
+
+// POST /watchlists/:id/symbols — body { symbols, position? }: new symbols inserted at position (default: end),
+// symbols already on the list stay where they are
+function addWatchlistSymbols(userId, rawId, body = {}, now = Date.now()) {
+  const id = parseWatchlistId(rawId);
+  if (!getWatchlist.get({ id, user_id: userId })) return notFound();
+
+  const parsed = parseWatchlistSymbols(body?.symbols ?? body?.symbol);
+  const errors = [...parsed.errors];
+  if (!parsed.symbols.length && !errors.length) errors.push("symbols is required");
+
+  const current = symbolsOf(id);
+  const added = parsed.symbols.filter((s) => !current.includes(s));
+  let position = current.length;
+  if (body?.position !== undefined) {
+    position = parsePosition(body.position, current.length);
+    if (position === null) errors.push("position must be an integer");
+  }
+  errors.push(...tooManySymbols(current.length + added.length));
+  if (errors.length) return invalid(errors);
+
+  const next = [...current];
+  next.splice(position, 0, ...added);
+  writeSymbols(id, next, now);
+  const out = getWatchlistFor(userId, id);
+  out.body.added = added;
+  return out;
+}
+
+// PATCH /watchlists/:id/symbols/:symbol — body { position }
+function moveWatchlistSymbol(userId, rawId, rawSymbol, body = {}, now = Date.now()) {
+  const id = parseWatchlistId(rawId);
+  if (!getWatchlist.get({ id, user_id: userId })) return notFound();
+
+  const symbol = String(rawSymbol ?? "").trim().toUpperCase();
+  const current = symbolsOf(id);
+  if (!current.includes(symbol)) return { ok: false, status: 404, body: { ok: false, error: "Symbol not on watchlist", detail: symbol } };
+
+  const position = parsePosition(body?.position, current.length - 1);
+  if (position === null) return invalid(["position must be an integer"]);
+
+  const next = current.filter((s) => s !== symbol);
+  next.splice(position, 0, symbol);
+  writeSymbols(id, next, now);
+  return getWatchlistFor(userId, id);
+}
+
+function removeWatchlistSymbol(userId, rawId, rawSymbol, now = Date.now()) {
+  const id = parseWatchlistId(rawId);
+  if (!getWatchlist.get({ id, user_id: userId })) return notFound();
+
+  const symbol = String(rawSymbol ?? "").trim().toUpperCase();
+  const current = symbolsOf(id);
+  if (!current.includes(symbol)) return { ok: false, status: 404, body: { ok: false, error: "Symbol not on watchlist", detail: symbol } };
+
+  writeSymbols(id, current.filter((s) => s !== symbol), now);
+  return getWatchlistFor(userId, id);
+}
+
+// Ordered symbols of one of the user's lists, null when it is not theirs / does not exist
+function watchlistSymbols(userId, rawId) {
+  const w = getWatchlist.get({ id: parseWatchlistId(rawId), user_id: userId });
+  return w ? symbolsOf(w.id) : null;
+}
+
+export {
+  WATCHLIST_MAX_LISTS,
+  WATCHLIST_MAX_SYMBOLS,
+  parseWatchlistSymbols,
+  listWatchlists,
+  ensureDefaultWatchlist,
+  createWatchlist,
+  getWatchlistFor,
+  updateWatchlist,
+  deleteWatchlistFor,
+  setWatchlistSymbols,
+  addWatchlistSymbols,
+  moveWatchlistSymbol,
+  removeWatchlistSymbol,
+  watchlistSymbols,
+};
@@ -0,0 +1,144 @@
+/**
+ * ============================================================================
+ * 🔥 ALGTP™ Webhook Stub - Local Receiver
+ * ----------------------------------------------------------------------------
+ * Tiny HTTP receiver that records every webhook POST, so outbound alert
+ * delivery can be checked end-to-end without Discord/Slack/Telegram.
+ * The node:test suite (test/webhooks.test.js) runs it in-process.
+ *
+ * Usage:
+ *   node webhook-stub.js                  # listen on :4000
+ *   node webhook-stub.js 4000 --fail 2    # answer 500 to the first 2 requests (retry/backoff)
+ *   node webhook-stub.js 4000 --status 404  # always answer 404 (permanent failure)
+ *   node webhook-stub.js 4000 --fail 1 --retry-after 3  # 429 + Retry-After: 3, then 200
+ *
+ * Then point a webhook at it (the server must allow the local host):
+ *   WEBHOOK_ALLOW_HOSTS=localhost node server.js
+ *   POST /webhooks {"name":"local","url":"http://localhost:4000/hook","format":"discord"}
+ *   POST /webhooks/1/test
+ *
+ * In code:
+ *   const stub = await startWebhookStub({ port: 0 });
+ *   stub.queue("/flaky", 500, { status: 429, retryAfter: 1 });  // next answers on /flaky, then 200
+ *   await stub.waitFor((r) => r.path === "/flaky" && r.status === 200);
+ *   stub.received  // [{ n, path, body, status, at }]
+ * ============================================================================
+ */
+
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+// ============================================================================
+// SERVER
+// ============================================================================
+// failFirst: the first N requests get 500 (429 + Retry-After when retryAfter is set)
+// status: every request gets this status (permanent failure)
+function startWebhookStub({ port = 4000, host = "127.0.0.1", failFirst = 0, status = 0, retryAfter = null, log = false } = {}) {
+  const received = [];
+  const queues = new Map(); // path -> [status | { status, retryAfter }]
+  const waiters = new Set();
+  let failLeft = Math.max(0, Number(failFirst) || 0);
+
+  function nextResponse(p) {
+    const q = queues.get(p);
+    if (q?.length) {
+      const x = q.shift();
+      return typeof x === "object" ? x : { status: x };
+    }
+    if (status) return { status };
+    if (failLeft > 0) {
+      failLeft--;
+      return retryAfter !== null ? { status: 429, retryAfter } : { status: 500 };
+    }
+    return { status: 200 };
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      let body = raw;
+      try {
+        body = JSON.parse(raw);
+      } catch {}
+
+      const p = new URL(req.url, "http://localhost").pathname;
+      const r = nextResponse(p);
+      const rec = { n: received.length + 1, method: req.method, path: p, body, status: r.status, at: Date.now() };
+      received.push(rec);
+
+      if (log) {
+        console.log(`\n📨 #${rec.n} ${req.method} ${req.url} → ${r.status}  (${new Date(rec.at).toLocaleTimeString()})`);
+        console.log(typeof body === "string" ? body : JSON.stringify(body, null, 2));
+      }
+
+      res.statusCode = r.status;
+      res.setHeader("content-type", "application/json");
+      if (r.retryAfter !== undefined && r.retryAfter !== null) res.setHeader("retry-after", String(r.retryAfter));
+      res.end(JSON.stringify({ ok: r.status < 300, received: rec.n }));
+
+      for (const w of waiters) w();
+    });
+  });
+
+  // resolves with the first received request matching pred (already received ones count)
+  function waitFor(pred, timeoutMs = 10000) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const hit = received.find(pred);
+        if (!hit) return false;
+        waiters.delete(check);
+        clearTimeout(timer);
+        resolve(hit);
+        return true;
+      };
+      const timer = setTimeout(() => {
+        waiters.delete(check);
+        reject(new Error(`webhook stub: nothing matched within ${timeoutMs} ms (${received.length} received)`));
+      }, timeoutMs);
+      waiters.add(check);
+      check();
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const base = `http://${host}:${server.address().port}`;
+      resolve({
+        base,
+        received,
+        queue: (p, ...responses) => queues.set(p, [...(queues.get(p) || []), ...responses]),
+        waitFor,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+// ============================================================================
+// CLI (node webhook-stub.js [port] [--fail N] [--status S] [--retry-after SEC])
+// ============================================================================
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+
+  const port = Number(args.find((a) => /^\d+$/.test(a)) || 4000);
+  const failFirst = Math.max(0, Number(flag("--fail") || 0));
+  const status = Number(flag("--status") || 0);
+  const retryAfter = flag("--retry-after") === undefined ? null : Number(flag("--retry-after"));
+
+  startWebhookStub({ port, host: "0.0.0.0", failFirst, status, retryAfter, log: true }).then((stub) => {
+    console.log(`✅ Webhook stub listening on http://localhost:${port}`);
+    if (failFirst) console.log(`⚠️ First ${failFirst} request(s) will get HTTP ${retryAfter !== null ? `429 (Retry-After: ${retryAfter})` : 500}`);
+    if (status) console.log(`⚠️ Every request will get HTTP ${status}`);
+    return stub;
+  });
+}
+
+export { startWebhookStub };